@@ -0,0 +1,25 @@
+// Registry of uptime-client nodes which joined the network
+exports.up = function (knex) {
+    return knex.schema
+        .createTable("node", function (table) {
+            table.increments("id");
+            table.comment("This table contains the uptime-client nodes registered with this server");
+            table.string("node_id", 64).notNullable().unique()
+                .comment("Public identifier issued to the node at registration");
+            table.string("public_key", 64).notNullable().unique()
+                .comment("Base58 encoded ed25519 public key of the node wallet");
+            table.string("node_type", 32).notNullable().defaultTo("monitor");
+            table.text("system").defaultTo(null).comment("JSON, system information reported by the node");
+            table.text("geolocation").defaultTo(null).comment("JSON, geolocation reported by the node");
+            table.text("capabilities").defaultTo(null).comment("JSON, capabilities advertised by the node");
+            table.string("status", 32).notNullable().defaultTo("registered");
+            table.boolean("active").notNullable().defaultTo(true);
+            table.string("ip", 45).defaultTo(null);
+            table.datetime("registered_date").notNullable();
+            table.datetime("last_seen").defaultTo(null);
+        });
+};
+
+exports.down = function (knex) {
+    return knex.schema.dropTable("node");
+};
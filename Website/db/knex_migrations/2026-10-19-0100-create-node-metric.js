@@ -0,0 +1,22 @@
+// System metrics reported by uptime-client nodes over the node gateway
+exports.up = function (knex) {
+    return knex.schema
+        .createTable("node_metric", function (table) {
+            table.increments("id");
+            table.comment("This table contains the system metrics reported by uptime-client nodes");
+            table.string("node_id", 64).notNullable()
+                .references("node_id").inTable("node")
+                .onDelete("CASCADE")
+                .onUpdate("CASCADE");
+            table.datetime("time").notNullable();
+            table.float("cpu").defaultTo(null).comment("CPU usage in percent");
+            table.float("memory").defaultTo(null).comment("Memory usage in percent");
+            table.text("data").defaultTo(null).comment("JSON, full metrics report");
+
+            table.index([ "node_id", "time" ], "node_metric_node_id_time_index");
+        });
+};
+
+exports.down = function (knex) {
+    return knex.schema.dropTable("node_metric");
+};
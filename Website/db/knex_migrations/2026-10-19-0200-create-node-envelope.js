@@ -0,0 +1,33 @@
+// Signed envelopes received from uptime-client nodes, kept to audit rewards
+exports.up = function (knex) {
+    return knex.schema
+        .alterTable("node", function (table) {
+            // Sequence number of the last accepted envelope
+            table.bigInteger("last_seq").notNullable().defaultTo(0);
+        })
+        .createTable("node_envelope", function (table) {
+            table.increments("id");
+            table.comment("This table contains the signed envelopes received from uptime-client nodes");
+            table.string("node_id", 64).notNullable()
+                .references("node_id").inTable("node")
+                .onDelete("CASCADE")
+                .onUpdate("CASCADE");
+            table.bigInteger("seq").notNullable();
+            table.string("type", 64).notNullable();
+            table.text("payload", "longtext").notNullable().comment("Canonical JSON which was signed");
+            table.string("signature", 128).notNullable().comment("Base64 encoded ed25519 signature");
+            table.datetime("timestamp").notNullable().comment("Time the node created the envelope");
+            table.datetime("time").notNullable().comment("Time the envelope was received");
+
+            table.unique([ "node_id", "seq" ]);
+            table.index([ "node_id", "time" ], "node_envelope_node_id_time_index");
+        });
+};
+
+exports.down = function (knex) {
+    return knex.schema
+        .dropTable("node_envelope")
+        .alterTable("node", function (table) {
+            table.dropColumn("last_seq");
+        });
+};
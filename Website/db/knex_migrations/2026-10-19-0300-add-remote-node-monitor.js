@@ -0,0 +1,24 @@
+// Remote-node monitors, which run their check from uptime-client nodes
+exports.up = function (knex) {
+    return knex.schema
+        .alterTable("monitor", function (table) {
+            table.string("remote_check_type", 20).defaultTo(null).comment("Check the nodes run: http, keyword, port, ping or dns");
+            table.text("remote_node_filter").defaultTo(null).comment("JSON, which nodes may run the check");
+            table.integer("remote_node_count").notNullable().defaultTo(3).comment("How many nodes run each check");
+        })
+        .alterTable("node", function (table) {
+            table.text("tags").defaultTo(null).comment("JSON array of tags chosen by the node operator");
+        });
+};
+
+exports.down = function (knex) {
+    return knex.schema
+        .alterTable("monitor", function (table) {
+            table.dropColumn("remote_check_type");
+            table.dropColumn("remote_node_filter");
+            table.dropColumn("remote_node_count");
+        })
+        .alterTable("node", function (table) {
+            table.dropColumn("tags");
+        });
+};
@@ -0,0 +1,22 @@
+// Quorum of remote-node monitors, and the per-region votes of each heartbeat
+exports.up = function (knex) {
+    return knex.schema
+        .alterTable("monitor", function (table) {
+            table.string("remote_quorum", 20).notNullable().defaultTo("all").comment("any, majority, all or n-of-m");
+            table.integer("remote_quorum_count").defaultTo(null).comment("N of the n-of-m quorum");
+        })
+        .alterTable("heartbeat", function (table) {
+            table.text("region_breakdown").defaultTo(null).comment("JSON, up and down votes of the nodes by region");
+        });
+};
+
+exports.down = function (knex) {
+    return knex.schema
+        .alterTable("monitor", function (table) {
+            table.dropColumn("remote_quorum");
+            table.dropColumn("remote_quorum_count");
+        })
+        .alterTable("heartbeat", function (table) {
+            table.dropColumn("region_breakdown");
+        });
+};
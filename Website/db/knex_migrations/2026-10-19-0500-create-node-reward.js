@@ -0,0 +1,32 @@
+// Reward ledger of uptime-client nodes, one row per node and epoch
+exports.up = function (knex) {
+    return knex.schema
+        .createTable("node_reward", function (table) {
+            table.increments("id");
+            table.comment("This table contains the rewards of uptime-client nodes, computed from what the server observed");
+            table.string("node_id", 64).notNullable()
+                .references("node_id").inTable("node")
+                .onDelete("CASCADE")
+                .onUpdate("CASCADE");
+            table.datetime("epoch_start").notNullable();
+            table.datetime("epoch_end").notNullable();
+            table.integer("heartbeats").notNullable().defaultTo(0)
+                .comment("Keepalive rounds the node answered");
+            table.integer("pings").notNullable().defaultTo(0)
+                .comment("Keepalive rounds in which the node sent an authenticated ping");
+            table.integer("tasks_completed").notNullable().defaultTo(0);
+            table.integer("tasks_failed").notNullable().defaultTo(0)
+                .comment("Tasks the node failed, timed out on or dropped by disconnecting");
+            table.float("uptime").defaultTo(null).comment("Set when the epoch is settled, 0 to 1");
+            table.decimal("amount", 20, 9).defaultTo(null).comment("Set when the epoch is settled");
+            table.string("status", 20).notNullable().defaultTo("open");
+            table.datetime("settled_date").defaultTo(null);
+
+            table.unique([ "node_id", "epoch_start" ]);
+            table.index([ "status", "epoch_end" ], "node_reward_status_epoch_end_index");
+        });
+};
+
+exports.down = function (knex) {
+    return knex.schema.dropTable("node_reward");
+};
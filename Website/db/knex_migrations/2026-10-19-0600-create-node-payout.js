@@ -0,0 +1,36 @@
+// Payouts of node rewards, each one a Solana transaction paying several nodes
+exports.up = function (knex) {
+    return knex.schema
+        .createTable("node_payout", function (table) {
+            table.increments("id");
+            table.comment("This table contains the Solana transactions node rewards are paid out with");
+            table.string("status", 20).notNullable().defaultTo("pending")
+                .comment("pending, sent, finalized, failed or expired");
+            table.string("token", 64).notNullable().comment("Mint address of the reward token, or SOL");
+            table.string("signature", 128).defaultTo(null).comment("Base58 transaction signature, known before the transaction is sent");
+            table.text("transaction").defaultTo(null).comment("Base64 signed transaction, sent again until it lands or expires");
+            table.bigInteger("last_valid_block_height").defaultTo(null);
+            table.integer("attempts").notNullable().defaultTo(0);
+            table.text("error").defaultTo(null);
+            table.datetime("created_date").notNullable();
+            table.datetime("sent_date").defaultTo(null);
+            table.datetime("finalized_date").defaultTo(null);
+
+            table.index("status", "node_payout_status_index");
+        })
+        .alterTable("node_reward", function (table) {
+            table.integer("payout_id").unsigned().defaultTo(null)
+                .references("id").inTable("node_payout")
+                .onDelete("SET NULL")
+                .onUpdate("CASCADE");
+        });
+};
+
+exports.down = function (knex) {
+    return knex.schema
+        .alterTable("node_reward", function (table) {
+            table.dropForeign("payout_id");
+            table.dropColumn("payout_id");
+        })
+        .dropTable("node_payout");
+};
@@ -0,0 +1,34 @@
+// Reputation of the nodes, an exponential moving average of how honest and reliable each node is
+exports.up = function (knex) {
+    return knex.schema
+        .alterTable("node", function (table) {
+            table.float("reputation").notNullable().defaultTo(1)
+                .comment("Weighted score of the parts below, 0 to 1");
+            table.float("reputation_agreement").notNullable().defaultTo(1)
+                .comment("Agreement with the other nodes on the same check");
+            table.float("reputation_latency").notNullable().defaultTo(1)
+                .comment("Plausibility of the response times given the location of the node");
+            table.float("reputation_tasks").notNullable().defaultTo(1)
+                .comment("Share of the tasks the node answered");
+            table.datetime("quarantined_until").defaultTo(null)
+                .comment("The node is not sent checks until then");
+        })
+        .alterTable("node_reward", function (table) {
+            table.float("reputation").defaultTo(null)
+                .comment("Reputation of the node when the epoch was settled");
+        });
+};
+
+exports.down = function (knex) {
+    return knex.schema
+        .alterTable("node_reward", function (table) {
+            table.dropColumn("reputation");
+        })
+        .alterTable("node", function (table) {
+            table.dropColumn("reputation");
+            table.dropColumn("reputation_agreement");
+            table.dropColumn("reputation_latency");
+            table.dropColumn("reputation_tasks");
+            table.dropColumn("quarantined_until");
+        });
+};
@@ -0,0 +1,15 @@
+// Metrics which a node replayed from its outbox after a disconnect
+exports.up = function (knex) {
+    return knex.schema
+        .alterTable("node_metric", function (table) {
+            table.boolean("backfill").notNullable().defaultTo(false)
+                .comment("Collected while the node was disconnected and sent after it reconnected");
+        });
+};
+
+exports.down = function (knex) {
+    return knex.schema
+        .alterTable("node_metric", function (table) {
+            table.dropColumn("backfill");
+        });
+};
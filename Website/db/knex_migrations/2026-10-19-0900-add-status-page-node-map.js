@@ -0,0 +1,14 @@
+// Map of the per-region results of remote-node monitors on status pages
+exports.up = function (knex) {
+    return knex.schema
+        .alterTable("status_page", function (table) {
+            table.boolean("show_node_map").notNullable().defaultTo(false);
+        });
+};
+
+exports.down = function (knex) {
+    return knex.schema
+        .alterTable("status_page", function (table) {
+            table.dropColumn("show_node_map");
+        });
+};
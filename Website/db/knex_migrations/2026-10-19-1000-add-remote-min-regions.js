@@ -0,0 +1,14 @@
+// Regions the nodes running the checks of a remote-node monitor have to cover
+exports.up = function (knex) {
+    return knex.schema
+        .alterTable("monitor", function (table) {
+            table.integer("remote_min_regions").notNullable().defaultTo(1).comment("Regions the nodes running each check are spread over");
+        });
+};
+
+exports.down = function (knex) {
+    return knex.schema
+        .alterTable("monitor", function (table) {
+            table.dropColumn("remote_min_regions");
+        });
+};
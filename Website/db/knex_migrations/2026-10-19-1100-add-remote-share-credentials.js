@@ -0,0 +1,14 @@
+// Whether a remote-node monitor sends the credentials in its URL, headers and body to the nodes
+exports.up = function (knex) {
+    return knex.schema
+        .alterTable("monitor", function (table) {
+            table.boolean("remote_share_credentials").notNullable().defaultTo(false).comment("Send credentials in the URL, headers and body to the nodes");
+        });
+};
+
+exports.down = function (knex) {
+    return knex.schema
+        .alterTable("monitor", function (table) {
+            table.dropColumn("remote_share_credentials");
+        });
+};
@@ -0,0 +1,18 @@
+// Failed payouts of each node reward, so that payouts which keep failing back off and stop
+exports.up = function (knex) {
+    return knex.schema
+        .alterTable("node_reward", function (table) {
+            table.integer("payout_attempts").notNullable().defaultTo(0)
+                .comment("Payouts of the reward which failed on chain or were never accepted");
+            table.datetime("next_payout_date").defaultTo(null)
+                .comment("The reward is not paid again before this date");
+        });
+};
+
+exports.down = function (knex) {
+    return knex.schema
+        .alterTable("node_reward", function (table) {
+            table.dropColumn("payout_attempts");
+            table.dropColumn("next_payout_date");
+        });
+};
@@ -9,6 +9,8 @@ const io = server.io;
 const { setting } = require("./util-server");
 const checkVersion = require("./check-version");
 const Database = require("./database");
+const { NODE_LIST_ROOM } = require("./nodes/node-gateway");
+const { getNodeList } = require("./nodes/node-fleet");
 
 /**
  * Send list of notification providers to client
@@ -239,6 +241,20 @@ async function sendMonitorTypeList(socket) {
     io.to(socket.userID).emit("monitorTypeList", Object.fromEntries(result));
 }
 
+/**
+ * Send the list of uptime-client nodes to client, changes of the nodes
+ * are streamed to the socket from then on
+ * @param {Socket} socket Socket.io socket instance
+ * @returns {Promise<object>} Nodes by node ID
+ */
+async function sendNodeList(socket) {
+    socket.join(NODE_LIST_ROOM);
+
+    let list = await getNodeList();
+    io.to(socket.userID).emit("nodeList", list);
+    return list;
+}
+
 module.exports = {
     sendNotificationList,
     sendImportantHeartbeatList,
@@ -249,4 +265,5 @@ module.exports = {
     sendDockerHostList,
     sendRemoteBrowserList,
     sendMonitorTypeList,
+    sendNodeList,
 };
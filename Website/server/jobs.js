@@ -1,6 +1,8 @@
 const { UptimeKumaServer } = require("./uptime-kuma-server");
 const { clearOldData } = require("./jobs/clear-old-data");
 const { incrementalVacuum } = require("./jobs/incremental-vacuum");
+const { settleNodeRewards } = require("./jobs/settle-node-rewards");
+const { payNodeRewards } = require("./jobs/pay-node-rewards");
 const Cron = require("croner");
 
 const jobs = [
@@ -15,6 +17,18 @@ const jobs = [
         interval: "*/5 * * * *",
         jobFunc: incrementalVacuum,
         croner: null,
+    },
+    {
+        name: "settle-node-rewards",
+        interval: "*/10 * * * *",
+        jobFunc: settleNodeRewards,
+        croner: null,
+    },
+    {
+        name: "pay-node-rewards",
+        interval: "*/5 * * * *",
+        jobFunc: payNodeRewards,
+        croner: null,
     }
 ];
 
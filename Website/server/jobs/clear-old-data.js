@@ -7,7 +7,7 @@ const dayjs = require("dayjs");
 const DEFAULT_KEEP_PERIOD = 365;
 
 /**
- * Clears old data from the heartbeat table and the stat_daily of the database.
+ * Clears old data from the heartbeat, node_metric, node_envelope and stat_daily tables of the database.
  * @returns {Promise<void>} A promise that resolves when the data has been cleared.
  */
 const clearOldData = async () => {
@@ -42,6 +42,16 @@ const clearOldData = async () => {
                 parsedPeriod * -24,
             ]);
 
+            // Node metrics
+            await R.exec("DELETE FROM node_metric WHERE time < " + sqlHourOffset, [
+                parsedPeriod * -24,
+            ]);
+
+            // Node envelopes, kept as long as heartbeats to audit rewards
+            await R.exec("DELETE FROM node_envelope WHERE time < " + sqlHourOffset, [
+                parsedPeriod * -24,
+            ]);
+
             let timestamp = dayjs().subtract(parsedPeriod, "day").utc().startOf("day").unix();
 
             // stat_daily
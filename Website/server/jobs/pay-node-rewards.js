@@ -0,0 +1,26 @@
+const { log } = require("../../src/util");
+const { PayoutEngine } = require("../nodes/payout-engine");
+
+/**
+ * Pay the settled node rewards and track the payouts in flight, if a
+ * reward wallet is configured.
+ * @returns {Promise<void>} A promise that resolves when the payout run is finished.
+ */
+const payNodeRewards = async () => {
+    try {
+        const engine = PayoutEngine.getInstance();
+
+        if (!engine) {
+            log.debug("payNodeRewards", "No reward wallet configured, skipping");
+            return;
+        }
+
+        await engine.run();
+    } catch (e) {
+        log.error("payNodeRewards", `Failed: ${e.message}`);
+    }
+};
+
+module.exports = {
+    payNodeRewards,
+};
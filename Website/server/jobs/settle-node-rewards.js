@@ -0,0 +1,20 @@
+const { log } = require("../../src/util");
+const { NodeGateway } = require("../nodes/node-gateway");
+
+/**
+ * Settle the reward epochs of the nodes which ended. Runs more often than
+ * epochs end, so that an epoch missed while the server was down is
+ * settled soon after it starts again.
+ * @returns {Promise<void>} A promise that resolves when the epochs are settled.
+ */
+const settleNodeRewards = async () => {
+    try {
+        await NodeGateway.getInstance().settleRewards();
+    } catch (e) {
+        log.error("settleNodeRewards", `Failed: ${e.message}`);
+    }
+};
+
+module.exports = {
+    settleNodeRewards,
+};
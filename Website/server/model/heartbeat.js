@@ -37,9 +37,27 @@ class Heartbeat extends BeanModel {
             important: this._important,
             duration: this._duration,
             retries: this._retries,
+            regionBreakdown: this.getRegionBreakdown(),
         };
     }
 
+    /**
+     * Get the up and down votes of the nodes by region, for heartbeats
+     * of remote-node monitors
+     * @returns {{[region: string]: {up: number, down: number, latitude: ?number, longitude: ?number, ping: ?number}}|null} Counts by region, see buildRegionBreakdown()
+     */
+    getRegionBreakdown() {
+        if (!this._regionBreakdown) {
+            return null;
+        }
+
+        try {
+            return JSON.parse(this._regionBreakdown);
+        } catch (e) {
+            return null;
+        }
+    }
+
 }
 
 module.exports = Heartbeat;
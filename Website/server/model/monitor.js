@@ -20,6 +20,9 @@ const Gamedig = require("gamedig");
 const jwt = require("jsonwebtoken");
 const crypto = require("crypto");
 const { UptimeCalculator } = require("../uptime-calculator");
+const { REMOTE_CHECK_TYPES, REMOTE_NODE_COUNT_MAX } = require("../monitor-types/remote-node");
+const { QUORUM_POLICIES } = require("../nodes/node-quorum");
+const { NodeGateway } = require("../nodes/node-gateway");
 const { CookieJar } = require("tough-cookie");
 const { HttpsCookieAgent } = require("http-cookie-agent/http");
 const https = require("https");
@@ -154,6 +157,13 @@ class Monitor extends BeanModel {
             jsonPathOperator: this.jsonPathOperator,
             snmpVersion: this.snmpVersion,
             rabbitmqNodes: JSON.parse(this.rabbitmqNodes),
+            remoteCheckType: this.remoteCheckType,
+            remoteNodeFilter: JSON.parse(this.remoteNodeFilter),
+            remoteNodeCount: this.remoteNodeCount,
+            remoteQuorum: this.remoteQuorum,
+            remoteQuorumCount: this.remoteQuorumCount,
+            remoteMinRegions: this.remoteMinRegions,
+            remoteShareCredentials: this.getRemoteShareCredentials(),
             conditions: JSON.parse(this.conditions),
         };
 
@@ -319,6 +329,14 @@ class Monitor extends BeanModel {
         return Boolean(this.kafkaProducerAllowAutoTopicCreation);
     }
 
+    /**
+     * Parse to boolean
+     * @returns {boolean} Are credentials of a remote-node monitor sent to the nodes?
+     */
+    getRemoteShareCredentials() {
+        return Boolean(this.remoteShareCredentials);
+    }
+
     /**
      * Start monitor
      * @param {Server} io Socket server instance
@@ -934,7 +952,7 @@ class Monitor extends BeanModel {
 
             // Calculate uptime
             let uptimeCalculator = await UptimeCalculator.getUptimeCalculator(this.id);
-            let endTimeDayjs = await uptimeCalculator.update(bean.status, parseFloat(bean.ping));
+            let endTimeDayjs = await uptimeCalculator.update(bean.status, parseFloat(bean.ping), undefined, bean.getRegionBreakdown());
             bean.end_time = R.isoDateTimeMillis(endTimeDayjs);
 
             // Send to frontend
@@ -1062,6 +1080,10 @@ class Monitor extends BeanModel {
         clearTimeout(this.heartbeatInterval);
         this.isStop = true;
 
+        if (this.type === "remote-node") {
+            NodeGateway.getInstance().scheduler.removeMonitor(this.id);
+        }
+
         this.prometheus?.remove();
     }
 
@@ -1184,6 +1206,12 @@ class Monitor extends BeanModel {
             let data1y = await uptimeCalculator.get1Year();
             io.to(userID).emit("uptime", monitorID, "1y", data1y.uptime);
 
+            // Send 24 hour uptime by region, remote-node monitors only
+            let regions24h = uptimeCalculator.getRegionData(1440, "minute");
+            if (Object.keys(regions24h).length > 0) {
+                io.to(userID).emit("regionUptime", monitorID, 24, regions24h);
+            }
+
             // Send Cert Info
             await Monitor.sendCertInfo(io, monitorID, userID);
         } else {
@@ -1468,6 +1496,33 @@ class Monitor extends BeanModel {
         if (this.interval < MIN_INTERVAL_SECOND) {
             throw new Error(`Interval cannot be less than ${MIN_INTERVAL_SECOND} seconds`);
         }
+
+        if (this.type === "remote-node") {
+            if (!REMOTE_CHECK_TYPES.includes(this.remote_check_type)) {
+                throw new Error(`Remote check type must be one of ${REMOTE_CHECK_TYPES.join(", ")}`);
+            }
+
+            const count = Number(this.remote_node_count);
+            if (!Number.isInteger(count) || count < 1 || count > REMOTE_NODE_COUNT_MAX) {
+                throw new Error(`Number of nodes must be between 1 and ${REMOTE_NODE_COUNT_MAX}`);
+            }
+
+            if (!QUORUM_POLICIES.includes(this.remote_quorum)) {
+                throw new Error(`Quorum must be one of ${QUORUM_POLICIES.join(", ")}`);
+            }
+
+            if (this.remote_quorum === "n-of-m") {
+                const quorumCount = Number(this.remote_quorum_count);
+                if (!Number.isInteger(quorumCount) || quorumCount < 1 || quorumCount > count) {
+                    throw new Error(`Quorum must be between 1 and ${count} nodes`);
+                }
+            }
+
+            const minRegions = Number(this.remote_min_regions);
+            if (!Number.isInteger(minRegions) || minRegions < 1 || minRegions > count) {
+                throw new Error(`Minimum regions must be between 1 and ${count}`);
+            }
+        }
     }
 
     /**
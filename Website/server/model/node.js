@@ -0,0 +1,285 @@
+const { BeanModel } = require("redbean-node/dist/bean-model");
+const { R } = require("redbean-node");
+const dayjs = require("dayjs");
+const bs58 = require("bs58");
+const { genSecret } = require("../../src/util");
+const { verifySignature } = require("../nodes/node-auth");
+const { MAX_CLOCK_SKEW, buildRegisterMessage, buildStatusMessage } = require("../nodes/node-envelope");
+
+/**
+ * Statuses a node is allowed to report through a status update
+ * @type {string[]}
+ */
+const NODE_STATUS_LIST = [ "active", "idle", "maintenance", "shutdown" ];
+
+/**
+ * Limits of the tags a node operator can give a node
+ * @type {{count: number, length: number}}
+ */
+const NODE_TAG_LIMIT = {
+    count: 20,
+    length: 64,
+};
+
+class Node extends BeanModel {
+    /**
+     * Return an object that ready to parse to JSON
+     * @returns {object} Object ready to parse
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            nodeId: this.node_id,
+            publicKey: this.public_key,
+            nodeType: this.node_type,
+            system: Node.parseJSON(this.system),
+            geolocation: Node.withoutIP(Node.parseJSON(this.geolocation)),
+            capabilities: Node.parseJSON(this.capabilities),
+            tags: Node.parseJSON(this.tags) ?? [],
+            status: this.status,
+            active: !!this.active,
+            registeredDate: this.registered_date,
+            lastSeen: this.last_seen,
+            reputation: this.getReputation(),
+        };
+    }
+
+    /**
+     * Get the reputation of the node, see node-reputation.js
+     * @returns {{score: number, agreement: number, latency: number, tasks: number, quarantinedUntil: ?string}} Reputation
+     */
+    getReputation() {
+        return {
+            score: this.reputation ?? 1,
+            agreement: this.reputation_agreement ?? 1,
+            latency: this.reputation_latency ?? 1,
+            tasks: this.reputation_tasks ?? 1,
+            quarantinedUntil: this.isQuarantined() ? this.quarantined_until : null,
+        };
+    }
+
+    /**
+     * Is the node quarantined? Quarantined nodes are not sent checks.
+     * @returns {boolean} Quarantined?
+     */
+    isQuarantined() {
+        return !!this.quarantined_until && dayjs.utc(this.quarantined_until).isAfter(dayjs.utc());
+    }
+
+    /**
+     * Register a node, or refresh the registration of a node which
+     * already registered with the same public key. The registration has
+     * to be signed with the key, public keys are public.
+     * @param {object} info Registration data sent by the node
+     * @param {string} clientIP IP address the registration came from
+     * @returns {Promise<Node>} Registered node
+     * @throws {Error} Invalid registration data or signature
+     */
+    static async register(info, clientIP) {
+        Node.validatePublicKey(info.publicKey);
+        Node.verifyRegistration(info);
+
+        let bean = await R.findOne("node", " public_key = ? ", [
+            info.publicKey,
+        ]);
+
+        if (!bean) {
+            bean = R.dispense("node");
+            bean.node_id = genSecret(32);
+            bean.public_key = info.publicKey;
+            bean.registered_date = R.isoDateTime(dayjs.utc());
+        }
+
+        bean.node_type = typeof info.nodeType === "string" ? info.nodeType.substring(0, 32) : "monitor";
+        bean.system = Node.stringifyObject(info.system, "system");
+        bean.geolocation = Node.stringifyObject(Node.withoutIP(info.geolocation), "geolocation");
+        bean.capabilities = Node.stringifyObject(info.capabilities, "capabilities");
+        bean.tags = JSON.stringify(Node.normalizeTags(info.tags));
+        bean.status = "registered";
+        bean.ip = clientIP || null;
+        bean.last_seen = R.isoDateTime(dayjs.utc());
+
+        await R.store(bean);
+
+        return bean;
+    }
+
+    /**
+     * Check that a registration was signed with the key it registers.
+     * The signature covers all other fields, including a timestamp which
+     * has to be recent, so a registration cannot be altered or replayed
+     * later on.
+     * @param {object} info Registration data sent by the node
+     * @returns {void}
+     * @throws {Error} Missing, outdated or invalid signature
+     */
+    static verifyRegistration(info) {
+        Node.verifySignedRequest(info, info.publicKey, buildRegisterMessage(info), "registration");
+    }
+
+    /**
+     * Check the timestamp and the signature of a signed request of a node
+     * @param {object} data Request body sent by the node
+     * @param {string} publicKey Base58 public key the request has to be signed with
+     * @param {Buffer} message Message the node signed
+     * @param {string} name Name of the request, used in the error messages
+     * @returns {void}
+     * @throws {Error} Missing, outdated or invalid signature
+     */
+    static verifySignedRequest(data, publicKey, message, name) {
+        if (!Number.isSafeInteger(data.timestamp) || Math.abs(Date.now() - data.timestamp) > MAX_CLOCK_SKEW) {
+            throw new Error(`Invalid or outdated ${name} timestamp`);
+        }
+
+        if (!verifySignature(publicKey, message, data.signature)) {
+            throw new Error(`Invalid ${name} signature`);
+        }
+    }
+
+    /**
+     * Apply a status update sent by a node. Like a registration it has to
+     * be signed with the key of the node and recent, the node ID and the
+     * public key are no secret.
+     * @param {object} data Status update sent by the node
+     * @returns {Promise<Node>} Updated node
+     * @throws {Error} Unknown node, invalid signature or invalid status
+     */
+    static async updateStatus(data) {
+        let bean = await Node.getByNodeID(data.nodeId);
+
+        if (!bean || bean.public_key !== data.publicKey) {
+            throw new Error("unknown node");
+        }
+
+        Node.verifySignedRequest(data, bean.public_key, buildStatusMessage(data), "status");
+
+        if (!NODE_STATUS_LIST.includes(data.status)) {
+            throw new Error("Invalid status: " + data.status);
+        }
+
+        bean.status = data.status;
+        bean.last_seen = R.isoDateTime(dayjs.utc());
+
+        await R.store(bean);
+
+        return bean;
+    }
+
+    /**
+     * Find a node by the node ID issued at registration
+     * @param {string} nodeID Node ID of the node
+     * @returns {Promise<Node|null>} Node if it exists
+     */
+    static async getByNodeID(nodeID) {
+        if (typeof nodeID !== "string" || !nodeID) {
+            return null;
+        }
+
+        return await R.findOne("node", " node_id = ? ", [
+            nodeID,
+        ]);
+    }
+
+    /**
+     * Throw an error if the given string is not a base58 encoded
+     * ed25519 (Solana) public key
+     * @param {string} publicKey Public key to check
+     * @returns {void}
+     * @throws {Error} Invalid public key
+     */
+    static validatePublicKey(publicKey) {
+        let bytes;
+
+        try {
+            bytes = bs58.decode(publicKey);
+        } catch (e) {
+            throw new Error("Invalid public key");
+        }
+
+        if (bytes.length !== 32) {
+            throw new Error("Invalid public key");
+        }
+    }
+
+    /**
+     * Check the tags sent by a node. Tags are trimmed, lower cased and
+     * deduplicated.
+     * @param {any} tags Tags sent by the node
+     * @returns {string[]} Tags
+     * @throws {Error} Invalid tags
+     */
+    static normalizeTags(tags) {
+        if (tags === undefined || tags === null) {
+            return [];
+        }
+
+        if (!Array.isArray(tags) || tags.length > NODE_TAG_LIMIT.count) {
+            throw new Error(`Invalid tags, expected an array of at most ${NODE_TAG_LIMIT.count} strings`);
+        }
+
+        const result = new Set();
+
+        for (const tag of tags) {
+            if (typeof tag !== "string" || tag.trim().length === 0 || tag.length > NODE_TAG_LIMIT.length) {
+                throw new Error(`Invalid tag, expected a string of 1 to ${NODE_TAG_LIMIT.length} characters`);
+            }
+            result.add(tag.trim().toLowerCase());
+        }
+
+        return Array.from(result);
+    }
+
+    /**
+     * Serialize an object reported by a node
+     * @param {any} value Value to serialize
+     * @param {string} name Name of the field, used in the error message
+     * @returns {string|null} JSON string
+     * @throws {Error} The value is not an object
+     */
+    static stringifyObject(value, name) {
+        if (value === undefined || value === null) {
+            return null;
+        }
+
+        if (typeof value !== "object" || Array.isArray(value)) {
+            throw new Error(`Invalid ${name}`);
+        }
+
+        return JSON.stringify(value);
+    }
+
+    /**
+     * Remove the IP address from the location of a node. Older clients
+     * sent it with their location, it is not published with it.
+     * @param {?object} geolocation Location sent by the node
+     * @returns {?object} Location without the IP address
+     */
+    static withoutIP(geolocation) {
+        if (!geolocation || typeof geolocation !== "object" || !("ip" in geolocation)) {
+            return geolocation;
+        }
+
+        const location = { ...geolocation };
+        delete location.ip;
+        return location;
+    }
+
+    /**
+     * Parse a JSON column, tolerating empty or broken values
+     * @param {string|null} value JSON string
+     * @returns {object|null} Parsed value
+     */
+    static parseJSON(value) {
+        if (!value) {
+            return null;
+        }
+
+        try {
+            return JSON.parse(value);
+        } catch (e) {
+            return null;
+        }
+    }
+}
+
+module.exports = Node;
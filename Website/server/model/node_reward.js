@@ -0,0 +1,38 @@
+const { BeanModel } = require("redbean-node/dist/bean-model");
+
+/**
+ * status:
+ *      open = The epoch is still running
+ *      settled = The uptime and the reward are final
+ *      finalized = The reward was paid, the payout is finalized on chain
+ *      review = Payouts of the reward kept failing, it is not paid again
+ *               until it is checked, set back to settled and its
+ *               payout_attempts are reset
+ */
+class NodeReward extends BeanModel {
+    /**
+     * Return an object that ready to parse to JSON
+     * @returns {object} Object ready to parse
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            nodeId: this.node_id,
+            epochStart: this.epoch_start,
+            epochEnd: this.epoch_end,
+            heartbeats: this.heartbeats,
+            pings: this.pings,
+            tasksCompleted: this.tasks_completed,
+            tasksFailed: this.tasks_failed,
+            uptime: this.uptime,
+            reputation: this.reputation,
+            // Decimal columns are strings on MariaDB
+            amount: this.amount === null ? null : Number(this.amount),
+            status: this.status,
+            settledDate: this.settled_date,
+            payoutId: this.payout_id,
+        };
+    }
+}
+
+module.exports = NodeReward;
@@ -0,0 +1,260 @@
+const { MonitorType } = require("./monitor-type");
+const { UP } = require("../../src/util");
+const { ConditionVariable } = require("../monitor-conditions/variables");
+const { defaultStringOperators } = require("../monitor-conditions/operators");
+const { NodeGateway } = require("../nodes/node-gateway");
+const { parseNodeFilter } = require("../nodes/node-selector");
+const { buildRegionBreakdown, evaluateQuorum } = require("../nodes/node-quorum");
+
+/**
+ * Checks a remote-node monitor can run on the nodes
+ * @type {string[]}
+ */
+const REMOTE_CHECK_TYPES = [ "http", "keyword", "port", "ping", "dns" ];
+
+/**
+ * Maximum number of nodes which run each check of a monitor
+ * @type {number}
+ */
+const REMOTE_NODE_COUNT_MAX = 25;
+
+/**
+ * Headers which carry credentials, matched on the lower cased name. They
+ * are only sent to nodes by monitors which share their credentials.
+ * @type {RegExp}
+ */
+const CREDENTIAL_HEADER_PATTERN = /auth|token|key|secret|session|cookie|password|signature|credential/;
+
+/**
+ * Runs the check of a monitor on uptime-client nodes, so that an
+ * endpoint is checked from outside of the network the server runs in
+ */
+class RemoteNodeMonitorType extends MonitorType {
+    name = "remote-node";
+
+    supportsConditions = true;
+
+    // Only used by the DNS check
+    conditionVariables = [
+        new ConditionVariable("record", defaultStringOperators),
+    ];
+
+    /**
+     * @inheritdoc
+     */
+    async check(monitor, heartbeat, _server) {
+        const check = this.buildCheck(monitor);
+        const nodeCount = Math.max(1, monitor.remoteNodeCount || 1);
+        const gateway = NodeGateway.getInstance();
+
+        const nodes = await gateway.scheduler.assign(monitor.id, {
+            filter: parseNodeFilter(monitor.remoteNodeFilter),
+            nodeCount,
+            minRegions: Math.min(Math.max(1, monitor.remoteMinRegions || 1), nodeCount),
+            checkType: check.type,
+            interval: monitor.interval,
+        });
+
+        if (nodes.length === 0) {
+            throw new Error("No online nodes match the node filter");
+        }
+
+        const timeout = this.getTaskTimeout(monitor);
+
+        const settled = await Promise.allSettled(nodes.map((node) => gateway.sendTask(node.nodeId, {
+            type: "checkEndpoint",
+            check,
+        }, timeout)));
+
+        const results = nodes.map((node, i) => this.toNodeResult(node, settled[i]));
+
+        // DNS checks time the resolver, not the target, so their response times are not compared
+        gateway.reputation.recordCheck(results, check.type !== "dns");
+
+        // Kept for DOWN heartbeats as well, the monitor only replaces the message and status
+        heartbeat.regionBreakdown = JSON.stringify(buildRegionBreakdown(results));
+
+        const verdict = evaluateQuorum(results, monitor.remoteQuorum || "all", monitor.remoteQuorumCount, nodeCount);
+
+        if (!verdict.up) {
+            throw new Error(verdict.msg);
+        }
+
+        const up = results.filter((result) => result.up);
+        heartbeat.ping = Math.round(up.reduce((sum, result) => sum + result.responseTime, 0) / up.length);
+        heartbeat.msg = verdict.msg;
+        heartbeat.status = UP;
+    }
+
+    /**
+     * Build the check a node runs from the fields of the monitor, in the
+     * format of the monitoring tasks of uptime-client. Authentication
+     * and proxies are not passed on, nodes are run by third parties.
+     * Credentials in the URL, headers which look like they carry
+     * credentials and the body are only sent if the monitor explicitly
+     * shares them.
+     * @param {Monitor} monitor Monitor to check
+     * @returns {object} Check for the checkEndpoint task
+     * @throws {Error} Unknown check type
+     */
+    buildCheck(monitor) {
+        switch (monitor.remoteCheckType) {
+            case "http":
+            case "keyword":
+                return {
+                    type: "http",
+                    target: this.getNodeURL(monitor),
+                    method: monitor.method || "GET",
+                    headers: this.getNodeHeaders(monitor),
+                    body: (monitor.getRemoteShareCredentials() && monitor.body) || undefined,
+                    bodyEncoding: monitor.httpBodyEncoding || "json",
+                    timeout: Math.round(this.getRequestTimeout(monitor) * 1000),
+                    acceptedStatusCodes: monitor.getAcceptedStatuscodes(),
+                    maxRedirects: monitor.maxredirects,
+                    ignoreTls: monitor.getIgnoreTls(),
+                    keyword: monitor.remoteCheckType === "keyword" ? monitor.keyword : undefined,
+                    invertKeyword: monitor.remoteCheckType === "keyword" ? monitor.isInvertKeyword() : undefined,
+                };
+
+            case "port":
+                return {
+                    type: "tcp",
+                    target: monitor.hostname,
+                    port: monitor.port,
+                    timeout: Math.round(this.getRequestTimeout(monitor) * 1000),
+                };
+
+            case "ping":
+                return {
+                    type: "ping",
+                    target: monitor.hostname,
+                    packetSize: monitor.packetSize,
+                };
+
+            case "dns":
+                return {
+                    type: "dns",
+                    target: monitor.hostname,
+                    dnsResolveServer: monitor.dns_resolve_server,
+                    dnsResolvePort: monitor.port,
+                    dnsResolveType: monitor.dns_resolve_type,
+                    conditions: monitor.conditions ? JSON.parse(monitor.conditions) : [],
+                };
+
+            default:
+                throw new Error(`Unknown remote check type: ${monitor.remoteCheckType}`);
+        }
+    }
+
+    /**
+     * Get the URL nodes check, without the user name and password in it
+     * unless the monitor shares its credentials
+     * @param {Monitor} monitor Monitor to check
+     * @returns {string} URL
+     */
+    getNodeURL(monitor) {
+        if (monitor.getRemoteShareCredentials()) {
+            return monitor.url;
+        }
+
+        const url = new URL(monitor.url);
+        if (!url.username && !url.password) {
+            return monitor.url;
+        }
+
+        url.username = "";
+        url.password = "";
+        return url.toString();
+    }
+
+    /**
+     * Get the headers nodes send, without the ones which carry
+     * credentials unless the monitor shares its credentials
+     * @param {Monitor} monitor Monitor to check
+     * @returns {object} Headers by name
+     */
+    getNodeHeaders(monitor) {
+        const headers = monitor.headers ? JSON.parse(monitor.headers) : {};
+
+        if (monitor.getRemoteShareCredentials()) {
+            return headers;
+        }
+
+        return Object.fromEntries(Object.entries(headers).filter(([ name ]) => !CREDENTIAL_HEADER_PATTERN.test(name.toLowerCase())));
+    }
+
+    /**
+     * Get the timeout of the check itself in seconds
+     * @param {Monitor} monitor Monitor to check
+     * @returns {number} Timeout in seconds
+     */
+    getRequestTimeout(monitor) {
+        const maxTimeout = monitor.interval * 0.8;
+        return monitor.timeout > 0 ? Math.min(monitor.timeout, maxTimeout) : maxTimeout;
+    }
+
+    /**
+     * Get how long to wait for the result of a node, which includes the
+     * round trip to the node
+     * @param {Monitor} monitor Monitor to check
+     * @returns {number} Timeout in milliseconds
+     */
+    getTaskTimeout(monitor) {
+        // Ping has a fixed deadline of 10 seconds on the node
+        const checkTimeout = monitor.remoteCheckType === "ping" ? 10 : this.getRequestTimeout(monitor);
+        return Math.min(checkTimeout + 10, Math.max(monitor.interval, 20)) * 1000;
+    }
+
+    /**
+     * Turn the settled task of a node into a result
+     * @param {object} node Node, as returned by Node.toJSON()
+     * @param {PromiseSettledResult<object>} settled Settled task
+     * @returns {{nodeId: string, name: string, region: ?string, country: ?string, countryCode: ?string, latitude: ?number, longitude: ?number, answered: boolean, up: boolean, responseTime: ?number, message: string}} Result of the node
+     */
+    toNodeResult(node, settled) {
+        const result = {
+            nodeId: node.nodeId,
+            name: RemoteNodeMonitorType.getNodeName(node),
+            region: node.geolocation?.region ?? null,
+            country: node.geolocation?.country ?? null,
+            countryCode: node.geolocation?.countryCode ?? null,
+            latitude: node.geolocation?.latitude ?? null,
+            longitude: node.geolocation?.longitude ?? null,
+            answered: false,
+            up: false,
+            responseTime: null,
+            message: "",
+        };
+
+        if (settled.status === "rejected") {
+            result.message = settled.reason.message;
+        } else if (!settled.value.success) {
+            result.message = settled.value.error || "Task failed";
+        } else {
+            const checkResult = settled.value.result || {};
+            result.answered = true;
+            result.up = checkResult.success === true;
+            result.responseTime = checkResult.responseTime ?? null;
+            result.message = result.up ? (checkResult.message || "OK") : (checkResult.error || checkResult.message || "Check failed");
+        }
+
+        return result;
+    }
+
+    /**
+     * Short name of a node for heartbeat messages
+     * @param {object} node Node, as returned by Node.toJSON()
+     * @returns {string} Name
+     */
+    static getNodeName(node) {
+        const place = [ node.geolocation?.city, node.geolocation?.countryCode ].filter(Boolean).join(", ");
+        const shortID = node.nodeId.substring(0, 8);
+        return place ? `${shortID} (${place})` : shortID;
+    }
+}
+
+module.exports = {
+    REMOTE_CHECK_TYPES,
+    REMOTE_NODE_COUNT_MAX,
+    RemoteNodeMonitorType,
+};
@@ -0,0 +1,159 @@
+const crypto = require("crypto");
+const bs58 = require("bs58");
+
+/**
+ * Time a node has to answer an authentication challenge
+ * @type {number}
+ */
+const CHALLENGE_TTL = 30 * 1000;
+
+/**
+ * Lifetime of an authenticated session. Nodes are challenged again
+ * before it runs out.
+ * @type {number}
+ */
+const SESSION_TTL = 60 * 60 * 1000;
+
+/**
+ * Prefix of the signed challenge message, so that a signature made for
+ * the node gateway cannot be reused anywhere else
+ * @type {string}
+ */
+const AUTH_MESSAGE_PREFIX = "uptime-kuma-node-auth";
+
+/**
+ * Build the message a node has to sign to answer a challenge
+ * @param {string} nodeID Node ID
+ * @param {string} nonce Nonce of the challenge
+ * @returns {Buffer} Message to sign
+ */
+function buildAuthMessage(nodeID, nonce) {
+    return Buffer.from(`${AUTH_MESSAGE_PREFIX}:${nodeID}:${nonce}`, "utf8");
+}
+
+/**
+ * Verify an ed25519 signature made with a Solana keypair
+ * @param {string} publicKey Base58 encoded public key
+ * @param {Buffer} message Signed message
+ * @param {string} signature Base64 encoded signature
+ * @returns {boolean} Is the signature valid?
+ */
+function verifySignature(publicKey, message, signature) {
+    if (typeof publicKey !== "string" || typeof signature !== "string") {
+        return false;
+    }
+
+    try {
+        const key = crypto.createPublicKey({
+            key: {
+                kty: "OKP",
+                crv: "Ed25519",
+                x: Buffer.from(bs58.decode(publicKey)).toString("base64url"),
+            },
+            format: "jwk",
+        });
+
+        const signatureBytes = Buffer.from(signature, "base64");
+        if (signatureBytes.length !== 64) {
+            return false;
+        }
+
+        return crypto.verify(null, message, key, signatureBytes);
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Single use authentication challenges. A nonce is removed as soon as
+ * it is used or expires, so a captured proof cannot be replayed.
+ */
+class ChallengeStore {
+    /**
+     * Outstanding challenges
+     * Key: Nonce
+     * @type {Map<string, {nodeID: string, expiresAt: number}>}
+     */
+    challenges = new Map();
+
+    /**
+     * @param {number} ttl Time a challenge stays valid in milliseconds
+     */
+    constructor(ttl = CHALLENGE_TTL) {
+        this.ttl = ttl;
+    }
+
+    /**
+     * Issue a new challenge for a node
+     * @param {string} nodeID Node ID
+     * @returns {{nonce: string, expiresAt: number}} Challenge
+     */
+    issue(nodeID) {
+        this.prune();
+
+        const nonce = crypto.randomBytes(32).toString("hex");
+        const expiresAt = Date.now() + this.ttl;
+
+        this.challenges.set(nonce, {
+            nodeID,
+            expiresAt,
+        });
+
+        return {
+            nonce,
+            expiresAt,
+        };
+    }
+
+    /**
+     * Use up a challenge
+     * @param {string} nonce Nonce of the challenge
+     * @param {string} nodeID Node ID the challenge must have been issued to
+     * @returns {boolean} Was the challenge valid?
+     */
+    consume(nonce, nodeID) {
+        const challenge = this.challenges.get(nonce);
+
+        if (!challenge) {
+            return false;
+        }
+
+        this.challenges.delete(nonce);
+
+        return challenge.nodeID === nodeID && challenge.expiresAt >= Date.now();
+    }
+
+    /**
+     * Drop all challenges of a node
+     * @param {string} nodeID Node ID
+     * @returns {void}
+     */
+    revoke(nodeID) {
+        for (const [ nonce, challenge ] of this.challenges) {
+            if (challenge.nodeID === nodeID) {
+                this.challenges.delete(nonce);
+            }
+        }
+    }
+
+    /**
+     * Remove expired challenges
+     * @returns {void}
+     */
+    prune() {
+        const now = Date.now();
+        for (const [ nonce, challenge ] of this.challenges) {
+            if (challenge.expiresAt < now) {
+                this.challenges.delete(nonce);
+            }
+        }
+    }
+}
+
+module.exports = {
+    CHALLENGE_TTL,
+    SESSION_TTL,
+    buildAuthMessage,
+    verifySignature,
+    ChallengeStore,
+};
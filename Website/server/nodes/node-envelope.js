@@ -0,0 +1,156 @@
+const { verifySignature } = require("./node-auth");
+
+/**
+ * Message types which have to be sent in a signed envelope once a node
+ * is authenticated
+ * @type {string[]}
+ */
+const SIGNED_MESSAGE_TYPES = [ "metrics", "taskResult", "taskError", "disconnect" ];
+
+/**
+ * How far the timestamp of an envelope may be ahead of the server clock
+ * @type {number}
+ */
+const MAX_CLOCK_SKEW = 5 * 60 * 1000;
+
+/**
+ * Serialize a value to JSON with object keys sorted, so that the node
+ * and the server produce the same bytes for the same value
+ * @param {any} value Value to serialize
+ * @returns {string|undefined} Canonical JSON, undefined for values JSON cannot represent
+ */
+function canonicalJSON(value) {
+    if (value === null || typeof value !== "object") {
+        return JSON.stringify(value);
+    }
+
+    if (typeof value.toJSON === "function") {
+        return canonicalJSON(value.toJSON());
+    }
+
+    if (Array.isArray(value)) {
+        return "[" + value.map((item) => canonicalJSON(item) ?? "null").join(",") + "]";
+    }
+
+    const entries = [];
+    for (const key of Object.keys(value).sort()) {
+        const json = canonicalJSON(value[key]);
+        if (json !== undefined) {
+            entries.push(JSON.stringify(key) + ":" + json);
+        }
+    }
+    return "{" + entries.join(",") + "}";
+}
+
+/**
+ * Build the canonical JSON of the signed part of a message
+ * @param {object} message Message sent by a node
+ * @returns {string} Canonical JSON
+ */
+function buildEnvelopePayload(message) {
+    return canonicalJSON({
+        type: message.type,
+        nodeId: message.nodeId,
+        seq: message.seq,
+        timestamp: message.timestamp,
+        data: message.data ?? null,
+    });
+}
+
+/**
+ * Prefix of a signed registration, so that it cannot be mistaken for an
+ * authentication proof, a status update or an envelope
+ * @type {string}
+ */
+const REGISTER_MESSAGE_PREFIX = "uptime-kuma-node-register";
+
+/**
+ * Prefix of a signed status update, so that it cannot be mistaken for a
+ * registration
+ * @type {string}
+ */
+const STATUS_MESSAGE_PREFIX = "uptime-kuma-node-status";
+
+/**
+ * Build the message a node signs for a request to the node API: the
+ * prefix and the canonical JSON of the body without the signature
+ * @param {string} prefix Prefix of the request
+ * @param {object} body Request body sent by the node
+ * @returns {Buffer} Signed message
+ */
+function buildRequestMessage(prefix, body) {
+    const signed = {
+        ...body,
+    };
+    delete signed.signature;
+    return Buffer.from(`${prefix}:${canonicalJSON(signed)}`, "utf8");
+}
+
+/**
+ * Build the message a node signs to register, see Node.register()
+ * @param {object} info Registration data sent by the node
+ * @returns {Buffer} Signed message
+ */
+function buildRegisterMessage(info) {
+    return buildRequestMessage(REGISTER_MESSAGE_PREFIX, info);
+}
+
+/**
+ * Build the message a node signs to update its status, see
+ * Node.updateStatus()
+ * @param {object} data Status update sent by the node
+ * @returns {Buffer} Signed message
+ */
+function buildStatusMessage(data) {
+    return buildRequestMessage(STATUS_MESSAGE_PREFIX, data);
+}
+
+/**
+ * Check an envelope sent by a node
+ * @param {object} message Message sent by the node
+ * @param {string} nodeID Node ID of the authenticated session
+ * @param {string} publicKey Base58 public key of the node
+ * @param {number} lastSeq Sequence number of the last accepted envelope
+ * @returns {string} Canonical JSON which was signed
+ * @throws {Error} The envelope is invalid, out of order or replayed
+ */
+function verifyEnvelope(message, nodeID, publicKey, lastSeq) {
+    if (message.nodeId !== nodeID) {
+        throw new Error("Envelope belongs to another node");
+    }
+
+    if (!Number.isSafeInteger(message.seq) || message.seq <= 0) {
+        throw new Error("Invalid sequence number");
+    }
+
+    if (!Number.isSafeInteger(message.timestamp)) {
+        throw new Error("Invalid timestamp");
+    }
+
+    if (message.timestamp > Date.now() + MAX_CLOCK_SKEW) {
+        throw new Error("Timestamp is in the future");
+    }
+
+    const payload = buildEnvelopePayload(message);
+
+    if (!verifySignature(publicKey, Buffer.from(payload, "utf8"), message.signature)) {
+        throw new Error("Invalid signature");
+    }
+
+    // Checked after the signature, so a forged envelope is not reported as a replay
+    if (message.seq <= lastSeq) {
+        throw new Error(`Sequence number ${message.seq} is not after ${lastSeq}, out of order or replayed`);
+    }
+
+    return payload;
+}
+
+module.exports = {
+    SIGNED_MESSAGE_TYPES,
+    MAX_CLOCK_SKEW,
+    canonicalJSON,
+    buildEnvelopePayload,
+    buildRegisterMessage,
+    buildStatusMessage,
+    verifyEnvelope,
+};
@@ -0,0 +1,300 @@
+const { R } = require("redbean-node");
+const dayjs = require("dayjs");
+const Node = require("../model/node");
+const { QUARANTINE_PERIOD } = require("./node-reputation");
+
+/**
+ * One hour in milliseconds
+ * @type {number}
+ */
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Longest metrics history the node details are sent with, in hours
+ * @type {number}
+ */
+const METRIC_HISTORY_MAX_HOURS = 7 * 24;
+
+/**
+ * Most points of metrics history sent to the browser, longer histories
+ * are averaged down to this
+ * @type {number}
+ */
+const METRIC_HISTORY_MAX_POINTS = 500;
+
+/**
+ * Most rewards sent with the node details
+ * @type {number}
+ */
+const REWARD_HISTORY_LIMIT = 100;
+
+/**
+ * Longest quarantine an admin can impose, in hours
+ * @type {number}
+ */
+const QUARANTINE_MAX_HOURS = 30 * 24;
+
+/**
+ * Get a finite number, or null
+ * @param {any} value Value reported by a node
+ * @returns {?number} Number
+ */
+function toNumber(value) {
+    return typeof value === "number" && Number.isFinite(value) ? value : null;
+}
+
+/**
+ * Reduce a metrics report of uptime-client to the values charted in the
+ * node details. The disk usage is the one of the fullest file system,
+ * the network counters are summed over all interfaces.
+ * @param {object} report Metrics reported by the node
+ * @returns {{cpu: ?number, memory: ?number, disk: ?number, rxBytes: ?number, txBytes: ?number}} Summary
+ */
+function summarizeMetrics(report) {
+    const disks = Array.isArray(report?.disk) ? report.disk.map((disk) => toNumber(disk?.usagePercentage)).filter((usage) => usage !== null) : [];
+    const interfaces = Array.isArray(report?.network) ? report.network : [];
+
+    /**
+     * Sum a counter over the network interfaces
+     * @param {string} key Counter
+     * @returns {?number} Sum, null if no interface reported it
+     */
+    const sum = (key) => {
+        const values = interfaces.map((item) => toNumber(item?.[key])).filter((value) => value !== null);
+        return values.length > 0 ? values.reduce((total, value) => total + value, 0) : null;
+    };
+
+    return {
+        cpu: toNumber(report?.cpu?.usage),
+        memory: toNumber(report?.memory?.usagePercentage),
+        disk: disks.length > 0 ? Math.max(...disks) : null,
+        rxBytes: sum("rxBytes"),
+        txBytes: sum("txBytes"),
+    };
+}
+
+/**
+ * Turn node_metric rows into the metrics history of the node details.
+ * Histories longer than maxPoints are averaged in buckets of
+ * consecutive points; the network counters keep the last value of
+ * each bucket, so that rates computed between points stay exact.
+ * @param {{time: string, data: string}[]} rows Rows, oldest first
+ * @param {number} maxPoints Most points to return
+ * @returns {{time: string, cpu: ?number, memory: ?number, disk: ?number, rxBytes: ?number, txBytes: ?number}[]} History, oldest first
+ */
+function buildMetricHistory(rows, maxPoints = METRIC_HISTORY_MAX_POINTS) {
+    const points = rows.map((row) => ({
+        time: row.time,
+        ...summarizeMetrics(Node.parseJSON(row.data)),
+    }));
+
+    if (points.length <= maxPoints) {
+        return points;
+    }
+
+    const size = Math.ceil(points.length / maxPoints);
+    const history = [];
+
+    for (let i = 0; i < points.length; i += size) {
+        const bucket = points.slice(i, i + size);
+        const last = bucket[bucket.length - 1];
+
+        /**
+         * Average a value over the bucket
+         * @param {string} key Value
+         * @returns {?number} Average, null if no point has it
+         */
+        const average = (key) => {
+            const values = bucket.map((point) => point[key]).filter((value) => value !== null);
+            return values.length > 0 ? values.reduce((total, value) => total + value, 0) / values.length : null;
+        };
+
+        history.push({
+            time: last.time,
+            cpu: average("cpu"),
+            memory: average("memory"),
+            disk: average("disk"),
+            rxBytes: last.rxBytes,
+            txBytes: last.txBytes,
+        });
+    }
+
+    return history;
+}
+
+/**
+ * Get the nodes as shown in the node list, with their online state, the
+ * protocol they authenticated with and their last metrics
+ * @param {?string[]} nodeIDs Nodes to get, all nodes if null
+ * @returns {Promise<{[nodeID: string]: object}>} Nodes by node ID
+ */
+async function getNodeList(nodeIDs = null) {
+    const { NodeGateway } = require("./node-gateway");
+    const gateway = NodeGateway.getInstance();
+
+    if (nodeIDs !== null && nodeIDs.length === 0) {
+        return {};
+    }
+
+    const condition = nodeIDs === null ? "1 = 1" : `node_id IN (${nodeIDs.map(() => "?").join(", ")})`;
+
+    const nodes = await R.find("node", ` ${condition} ORDER BY registered_date `, nodeIDs ?? []);
+    const lastMetrics = await R.getAll(`
+        SELECT node_metric.node_id, node_metric.time, node_metric.data
+        FROM node_metric
+        JOIN (
+            SELECT node_id, MAX(time) AS time
+            FROM node_metric
+            WHERE ${condition}
+            GROUP BY node_id
+        ) latest ON latest.node_id = node_metric.node_id AND latest.time = node_metric.time
+    `, nodeIDs ?? []);
+
+    const metricsByNode = new Map(lastMetrics.map((row) => [ row.node_id, row ]));
+    const result = {};
+
+    for (const node of nodes) {
+        const metrics = metricsByNode.get(node.node_id);
+
+        result[node.node_id] = {
+            ...node.toJSON(),
+            online: gateway.isOnline(node.node_id),
+            protocol: gateway.getProtocol(node.node_id),
+            quarantined: node.isQuarantined(),
+            lastMetrics: metrics ? {
+                time: metrics.time,
+                ...summarizeMetrics(Node.parseJSON(metrics.data)),
+            } : null,
+        };
+    }
+
+    return result;
+}
+
+/**
+ * Get a node with its metrics history, the tasks it was given and its
+ * rewards
+ * @param {string} nodeID Node ID
+ * @param {number} hours Hours of metrics history
+ * @returns {Promise<{node: object, metrics: object[], tasks: object[], rewards: object[]}>} Node details
+ * @throws {Error} Unknown node
+ */
+async function getNodeDetails(nodeID, hours) {
+    const { NodeGateway } = require("./node-gateway");
+
+    const node = (await getNodeList([ nodeID ]))[nodeID];
+    if (!node) {
+        throw new Error("Node not found");
+    }
+
+    const period = Math.min(Math.max(Number(hours) || 24, 1), METRIC_HISTORY_MAX_HOURS);
+    const rows = await R.getAll(`
+        SELECT time, data
+        FROM node_metric
+        WHERE node_id = ? AND time >= ?
+        ORDER BY time
+    `, [
+        nodeID,
+        R.isoDateTimeMillis(dayjs.utc().subtract(period, "hour")),
+    ]);
+
+    const rewards = await R.find("node_reward", " node_id = ? ORDER BY epoch_start DESC LIMIT ? ", [
+        nodeID,
+        REWARD_HISTORY_LIMIT,
+    ]);
+
+    const payoutIDs = [ ...new Set(rewards.map((reward) => reward.payout_id).filter(Boolean)) ];
+    const payouts = payoutIDs.length === 0 ? [] : await R.getAll(`
+        SELECT id, status, signature
+        FROM node_payout
+        WHERE id IN (${payoutIDs.map(() => "?").join(", ")})
+    `, payoutIDs);
+    const payoutsByID = new Map(payouts.map((payout) => [ payout.id, payout ]));
+
+    return {
+        node,
+        metrics: buildMetricHistory(rows),
+        tasks: NodeGateway.getInstance().getNodeTasks(nodeID),
+        rewards: rewards.map((reward) => {
+            const payout = payoutsByID.get(reward.payout_id);
+
+            return {
+                ...reward.toJSON(),
+                payoutStatus: payout?.status ?? null,
+                payoutSignature: payout?.signature ?? null,
+            };
+        }),
+    };
+}
+
+/**
+ * Enable or disable a node. A disabled node is disconnected and cannot
+ * authenticate until it is enabled again.
+ * @param {string} nodeID Node ID
+ * @param {boolean} active Enable the node?
+ * @returns {Promise<void>}
+ * @throws {Error} Unknown node
+ */
+async function setNodeActive(nodeID, active) {
+    const { NodeGateway } = require("./node-gateway");
+    const gateway = NodeGateway.getInstance();
+
+    const bean = await Node.getByNodeID(nodeID);
+    if (!bean) {
+        throw new Error("Node not found");
+    }
+
+    bean.active = active;
+    await R.store(bean);
+
+    if (!active) {
+        gateway.disconnectNode(nodeID, "Node disabled");
+    }
+
+    await gateway.publishNode(nodeID);
+}
+
+/**
+ * Quarantine a node, so that it is not sent checks and earns no rewards,
+ * or lift its quarantine. The node is told about its new reputation.
+ * @param {string} nodeID Node ID
+ * @param {?number} hours Length of the quarantine, the default period if undefined, lift it if null
+ * @returns {Promise<object>} Reputation of the node, see Node.getReputation()
+ * @throws {Error} Unknown node or invalid length
+ */
+async function quarantineNode(nodeID, hours) {
+    const { NodeGateway } = require("./node-gateway");
+    const gateway = NodeGateway.getInstance();
+
+    let until = null;
+
+    if (hours !== null) {
+        const period = hours === undefined ? QUARANTINE_PERIOD : Number(hours) * HOUR;
+
+        if (!Number.isFinite(period) || period < HOUR || period > QUARANTINE_MAX_HOURS * HOUR) {
+            throw new Error(`The quarantine must last from 1 to ${QUARANTINE_MAX_HOURS} hours`);
+        }
+
+        until = Date.now() + period;
+    }
+
+    const updated = await gateway.reputation.setQuarantine(nodeID, until);
+    if (!updated) {
+        throw new Error("Node not found");
+    }
+
+    gateway.sendToNode(nodeID, "reputation", updated.reputation);
+    await gateway.publishNode(nodeID);
+
+    return updated.reputation;
+}
+
+module.exports = {
+    METRIC_HISTORY_MAX_HOURS,
+    summarizeMetrics,
+    buildMetricHistory,
+    getNodeList,
+    getNodeDetails,
+    setNodeActive,
+    quarantineNode,
+};
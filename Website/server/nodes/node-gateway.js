@@ -0,0 +1,1290 @@
+const { WebSocketServer } = require("ws");
+const { R } = require("redbean-node");
+const dayjs = require("dayjs");
+const { log, genSecret } = require("../../src/util");
+const Node = require("../model/node");
+const { SESSION_TTL, buildAuthMessage, verifySignature, ChallengeStore } = require("./node-auth");
+const { SIGNED_MESSAGE_TYPES, verifyEnvelope } = require("./node-envelope");
+const { PROTOCOL_VERSION, MIN_PROTOCOL_VERSION, LEGACY_PROTOCOL, validateMessage, negotiateProtocol, supportsTask } = require("./node-protocol");
+const { RewardLedger } = require("./reward-ledger");
+const { ReputationTracker } = require("./node-reputation");
+const { NodeScheduler } = require("./node-scheduler");
+const { summarizeMetrics } = require("./node-fleet");
+
+/**
+ * Path of the WebSocket endpoint uptime-client nodes connect to
+ * @type {string}
+ */
+const NODE_GATEWAY_PATH = "/ws/nodes";
+
+/**
+ * Socket.io room of the browsers the node list is streamed to
+ * @type {string}
+ */
+const NODE_LIST_ROOM = "nodeList";
+
+/**
+ * Interval of the WebSocket level keepalive, dead connections are
+ * terminated after missing one round
+ * @type {number}
+ */
+const KEEPALIVE_INTERVAL = 30 * 1000;
+
+/**
+ * Default time to wait for the result of a task sent to a node
+ * @type {number}
+ */
+const DEFAULT_TASK_TIMEOUT = 60 * 1000;
+
+/**
+ * Authenticated sessions are challenged again this long before they
+ * expire
+ * @type {number}
+ */
+const REAUTH_WINDOW = 5 * 60 * 1000;
+
+/**
+ * Failed authentication attempts allowed on one connection
+ * @type {number}
+ */
+const MAX_AUTH_ATTEMPTS = 5;
+
+/**
+ * Messages accepted from a node before it is authenticated
+ * @type {string[]}
+ */
+const UNAUTHENTICATED_MESSAGE_TYPES = [ "authenticate", "authProof", "ping" ];
+
+/**
+ * A WebSocket connection of an uptime-client node
+ */
+class NodeSession {
+    /**
+     * @param {WebSocket} ws WebSocket connection of the node
+     * @param {string} ip IP address of the node
+     */
+    constructor(ws, ip) {
+        this.id = genSecret(16);
+        this.ws = ws;
+        this.ip = ip;
+        this.nodeID = null;
+        this.publicKey = null;
+        this.authenticated = false;
+
+        /**
+         * Sequence number of the last envelope accepted from the node
+         * @type {number}
+         */
+        this.lastSeq = 0;
+
+        /**
+         * Node which claimed this connection and was sent a challenge
+         * @type {?string}
+         */
+        this.pendingNodeID = null;
+
+        /**
+         * Protocol used with the node, agreed on in authenticate
+         * @type {?{version: number, clientVersion: ?string, taskTypes: string[], features: string[]}}
+         */
+        this.protocol = null;
+        this.authAttempts = 0;
+        this.expiresAt = null;
+        this.reauthRequested = false;
+        this.connectedAt = Date.now();
+        this.lastMessageAt = Date.now();
+        this.alive = true;
+        this.closeStatus = "offline";
+
+        /**
+         * Did the node send an authenticated ping in the current
+         * keepalive round?
+         * @type {boolean}
+         */
+        this.pinged = false;
+
+        /**
+         * Messages are handled one after another, so that e.g. metrics
+         * sent right after authenticate are not handled before the
+         * authentication is done
+         * @type {Promise<void>}
+         */
+        this.messageQueue = Promise.resolve();
+    }
+}
+
+/**
+ * Server side of the uptime-client protocol.
+ *
+ * Nodes exchange JSON messages in the form of `{ type, data, timestamp }`.
+ * Once authenticated, messages which feed into monitoring and rewards
+ * (see SIGNED_MESSAGE_TYPES) are signed envelopes, which additionally
+ * carry `nodeId`, `seq` and `signature`. Every message is described in
+ * node-protocol.schema.json, and in authenticate the node sends the
+ * protocol version, task types and features it supports.
+ */
+class NodeGateway {
+    /**
+     * Current gateway instance
+     * @type {NodeGateway}
+     */
+    static instance = null;
+
+    /**
+     * @type {WebSocketServer}
+     */
+    wss = null;
+
+    /**
+     * Authenticated sessions
+     * Key: Node ID
+     * @type {Map<string, NodeSession>}
+     */
+    sessions = new Map();
+
+    /**
+     * All open connections, authenticated or not
+     * @type {Set<NodeSession>}
+     */
+    connections = new Set();
+
+    /**
+     * Tasks waiting for a result from a node
+     * Key: Task ID
+     * @type {Map<string, object>}
+     */
+    pendingTasks = new Map();
+
+    /**
+     * Recurring tasks scheduled on nodes, each of their runs is sent as a
+     * taskResult with the ID of the assignment. They are only kept in
+     * memory: nodes drop their assignments when a session starts and are
+     * sent the ones in here again, see resendAssignments().
+     * Key: Task ID
+     * @type {Map<string, {nodeID: string, check: object, type: string, target: ?string, interval: number|string, assignedAt: number, onResult: function(object): void}>}
+     */
+    assignments = new Map();
+
+    /**
+     * Outstanding authentication challenges
+     * @type {ChallengeStore}
+     */
+    challenges = new ChallengeStore();
+
+    /**
+     * Reward ledger, fed with what the gateway observes of the nodes
+     * @type {RewardLedger}
+     */
+    rewardLedger = new RewardLedger(KEEPALIVE_INTERVAL);
+
+    /**
+     * Reputation of the nodes, fed with the tasks the gateway sent and
+     * the check results compared by remote-node monitors
+     * @type {ReputationTracker}
+     */
+    reputation = new ReputationTracker();
+
+    /**
+     * Decides which nodes run the checks of remote-node monitors, fed
+     * with the load and the answers of the nodes
+     * @type {NodeScheduler}
+     */
+    scheduler = new NodeScheduler(this);
+
+    /**
+     * Socket.io server changes of the nodes are streamed to, see
+     * NODE_LIST_ROOM
+     * @type {?Server}
+     */
+    io = null;
+
+    keepaliveInterval = null;
+
+    /**
+     * Get the current instance of the gateway if it exists, otherwise
+     * create a new instance.
+     * @returns {NodeGateway} Gateway instance
+     */
+    static getInstance() {
+        if (NodeGateway.instance == null) {
+            NodeGateway.instance = new NodeGateway();
+        }
+        return NodeGateway.instance;
+    }
+
+    /**
+     * Handlers for messages sent by nodes, keyed by message type
+     * @type {{[type: string]: Function}}
+     */
+    messageHandlers = {
+        authenticate: (session, data) => this.handleAuthenticate(session, data),
+        authProof: (session, data) => this.handleAuthProof(session, data),
+        ping: (session, data) => this.handlePing(session, data),
+        metrics: (session, data, message) => this.handleMetrics(session, data, message),
+        taskResult: (session, data) => this.handleTaskResult(session, data),
+        taskError: (session, data) => this.handleTaskError(session, data),
+        disconnect: (session, data) => this.handleDisconnect(session, data),
+    };
+
+    /**
+     * Listen for node connections on the given HTTP server
+     * @param {http.Server|https.Server} httpServer HTTP server to attach to
+     * @param {?Server} io Socket.io server to stream changes of the nodes to
+     * @returns {void}
+     */
+    attach(httpServer, io = null) {
+        this.io = io;
+        this.wss = new WebSocketServer({
+            noServer: true,
+            maxPayload: 1024 * 1024,
+        });
+
+        httpServer.on("upgrade", (req, socket, head) => {
+            let pathname;
+            try {
+                pathname = new URL(req.url, "http://localhost").pathname;
+            } catch (e) {
+                return;
+            }
+
+            // Anything else (e.g. /socket.io/) is handled by other listeners
+            if (pathname !== NODE_GATEWAY_PATH) {
+                return;
+            }
+
+            this.wss.handleUpgrade(req, socket, head, (ws) => {
+                this.handleConnection(ws, req);
+            });
+        });
+
+        this.keepaliveInterval = setInterval(() => this.checkAlive(), KEEPALIVE_INTERVAL);
+
+        log.info("node", `Node gateway is listening on ${NODE_GATEWAY_PATH}`);
+    }
+
+    /**
+     * Set up a new node connection. The handlers are attached right away,
+     * so that nothing the node sends while its IP address is resolved
+     * is lost; messages wait in the queue until it is.
+     * @param {WebSocket} ws WebSocket connection
+     * @param {http.IncomingMessage} req Upgrade request
+     * @returns {void}
+     */
+    handleConnection(ws, req) {
+        const { UptimeKumaServer } = require("../uptime-kuma-server");
+        const session = new NodeSession(ws, req.socket.remoteAddress);
+
+        this.connections.add(session);
+
+        session.messageQueue = UptimeKumaServer.getInstance().getClientIPwithProxy(req.socket.remoteAddress, req.headers).then((ip) => {
+            session.ip = ip;
+            log.info("node", `New node connection, IP = ${ip}`);
+        }).catch((e) => {
+            log.warn("node", `Failed to get the client IP of a node connection: ${e.message}`);
+        });
+
+        ws.on("pong", () => {
+            session.alive = true;
+        });
+
+        ws.on("message", (raw) => {
+            session.messageQueue = session.messageQueue.then(() => this.handleMessage(session, raw)).catch((e) => {
+                log.error("node", `Failed to handle message from ${session.nodeID || session.ip}: ${e.message}`);
+            });
+        });
+
+        ws.on("close", (code) => {
+            this.handleClose(session, code);
+        });
+
+        ws.on("error", (e) => {
+            log.debug("node", `WebSocket error from ${session.nodeID || session.ip}: ${e.message}`);
+        });
+    }
+
+    /**
+     * Parse and dispatch a message sent by a node
+     * @param {NodeSession} session Session the message arrived on
+     * @param {Buffer} raw Raw message
+     * @returns {Promise<void>}
+     */
+    async handleMessage(session, raw) {
+        let message;
+        try {
+            message = JSON.parse(raw.toString());
+        } catch (e) {
+            log.debug("node", `Invalid JSON from ${session.nodeID || session.ip}`);
+            return;
+        }
+
+        if (!message || typeof message.type !== "string") {
+            return;
+        }
+
+        session.lastMessageAt = Date.now();
+
+        const handler = this.messageHandlers[message.type];
+
+        if (!handler) {
+            log.debug("node", `Unknown message type from ${session.nodeID || session.ip}: ${message.type}`);
+            return;
+        }
+
+        // Everything except authentication and keepalive requires an authenticated session
+        if (!session.authenticated && !UNAUTHENTICATED_MESSAGE_TYPES.includes(message.type)) {
+            log.debug("node", `Ignored ${message.type} from unauthenticated node ${session.ip}`);
+            return;
+        }
+
+        if (session.authenticated && SIGNED_MESSAGE_TYPES.includes(message.type) && !await this.acceptEnvelope(session, message)) {
+            return;
+        }
+
+        // Checked after the envelope was acknowledged, so that the node
+        // does not replay an invalid message from its outbox forever
+        const error = validateMessage("node", message);
+        if (error) {
+            log.warn("node", `Invalid ${message.type} from ${session.nodeID || session.ip}: ${error}`);
+            return;
+        }
+
+        await handler(session, message.data || {}, message);
+    }
+
+    /**
+     * Handle authenticate message. The node is sent a challenge which it
+     * has to sign with the key it registered with. Nodes whose protocol
+     * version the server does not speak are turned away.
+     * @param {NodeSession} session Session of the node
+     * @param {object} data Message data
+     * @returns {Promise<void>}
+     */
+    async handleAuthenticate(session, data) {
+        const node = await Node.getByNodeID(data.nodeId);
+
+        if (!node || node.public_key !== data.publicKey) {
+            log.warn("node", `Authentication failed for node ${data.nodeId}, IP = ${session.ip}`);
+            this.send(session, "authResponse", {
+                success: false,
+                error: "unknown node",
+            });
+            return;
+        }
+
+        if (!node.active) {
+            this.send(session, "authResponse", {
+                success: false,
+                error: "node disabled",
+            });
+            return;
+        }
+
+        if (session.authenticated && session.nodeID !== node.node_id) {
+            this.rejectAuthentication(session, "session belongs to another node");
+            return;
+        }
+
+        try {
+            session.protocol = negotiateProtocol(data.protocol ?? null);
+        } catch (e) {
+            log.warn("node", `Node ${node.node_id} speaks protocol versions ${data.protocol.minVersion} to ${data.protocol.version}, the server ${MIN_PROTOCOL_VERSION} to ${PROTOCOL_VERSION}, IP = ${session.ip}`);
+            this.send(session, "authResponse", {
+                success: false,
+                error: e.message,
+                protocol: {
+                    version: PROTOCOL_VERSION,
+                    minVersion: MIN_PROTOCOL_VERSION,
+                },
+            });
+            session.ws.close(4005, "Unsupported protocol version");
+            return;
+        }
+
+        if (!data.protocol) {
+            log.info("node", `Node ${node.node_id} does not send its protocol version, only tasks of uptime-client before versioning are sent to it`);
+        }
+
+        session.pendingNodeID = node.node_id;
+        this.sendChallenge(session, node.node_id);
+    }
+
+    /**
+     * Handle authProof message, the answer to a challenge
+     * @param {NodeSession} session Session of the node
+     * @param {object} data Message data
+     * @returns {Promise<void>}
+     */
+    async handleAuthProof(session, data) {
+        const nodeID = session.authenticated ? session.nodeID : session.pendingNodeID;
+
+        if (!nodeID || data.nodeId !== nodeID) {
+            this.rejectAuthentication(session, "no challenge was issued");
+            return;
+        }
+
+        if (!this.challenges.consume(data.nonce, nodeID)) {
+            this.rejectAuthentication(session, "invalid or expired challenge");
+            return;
+        }
+
+        const node = await Node.getByNodeID(nodeID);
+
+        if (!node || !node.active) {
+            this.rejectAuthentication(session, node ? "node disabled" : "unknown node");
+            return;
+        }
+
+        if (!verifySignature(node.public_key, buildAuthMessage(nodeID, data.nonce), data.signature)) {
+            log.warn("node", `Invalid signature from node ${nodeID}, IP = ${session.ip}`);
+            this.rejectAuthentication(session, "invalid signature");
+            return;
+        }
+
+        const newSession = !session.authenticated;
+        if (newSession) {
+            this.acceptSession(session, node);
+        }
+
+        session.pendingNodeID = null;
+        session.authAttempts = 0;
+        session.expiresAt = Date.now() + SESSION_TTL;
+        session.reauthRequested = false;
+
+        this.send(session, "authResponse", {
+            success: true,
+            nodeId: node.node_id,
+            sessionExpiresAt: session.expiresAt,
+            reputation: node.getReputation(),
+            protocol: {
+                version: session.protocol.version,
+                features: session.protocol.features,
+            },
+        });
+
+        if (newSession) {
+            this.resendAssignments(nodeID);
+        }
+    }
+
+    /**
+     * Send an authentication challenge to a node
+     * @param {NodeSession} session Session of the node
+     * @param {string} nodeID Node ID the challenge is issued to
+     * @returns {void}
+     */
+    sendChallenge(session, nodeID) {
+        const challenge = this.challenges.issue(nodeID);
+        this.send(session, "authChallenge", challenge);
+    }
+
+    /**
+     * Answer a failed authentication. Connections which keep failing,
+     * or whose session can no longer be trusted, are closed.
+     * @param {NodeSession} session Session of the node
+     * @param {string} error Reason sent to the node
+     * @returns {void}
+     */
+    rejectAuthentication(session, error) {
+        session.authAttempts++;
+
+        this.send(session, "authResponse", {
+            success: false,
+            error,
+        });
+
+        if (session.authenticated || session.authAttempts >= MAX_AUTH_ATTEMPTS) {
+            session.ws.close(4003, "Authentication failed");
+        }
+    }
+
+    /**
+     * Mark a session as authenticated for the given node. An older
+     * session of the same node is closed.
+     * @param {NodeSession} session Session of the node
+     * @param {Node} node Node the session belongs to
+     * @returns {void}
+     */
+    acceptSession(session, node) {
+        const previous = this.sessions.get(node.node_id);
+        if (previous && previous !== session) {
+            previous.authenticated = false;
+            previous.ws.close(4000, "Replaced by a new connection");
+        }
+
+        session.nodeID = node.node_id;
+        session.publicKey = node.public_key;
+        session.lastSeq = Number(node.last_seq) || 0;
+        session.authenticated = true;
+        this.sessions.set(node.node_id, session);
+
+        log.info("node", `Node ${node.node_id} authenticated, IP = ${session.ip}`);
+
+        this.touchNode(node.node_id, "online").catch((e) => {
+            log.debug("node", e.message);
+        });
+    }
+
+    /**
+     * Verify and store the envelope of a signed message. The node is
+     * sent an ack with the last accepted sequence number either way, so
+     * it can drop the envelope from its outbox. Envelopes it replays
+     * after a reconnect which were already accepted are acknowledged
+     * again instead of being stored twice.
+     * @param {NodeSession} session Session the message arrived on
+     * @param {object} message Message sent by the node
+     * @returns {Promise<boolean>} Was the envelope accepted?
+     */
+    async acceptEnvelope(session, message) {
+        let payload;
+
+        try {
+            payload = verifyEnvelope(message, session.nodeID, session.publicKey, session.lastSeq);
+            await this.storeEnvelope(session.nodeID, message, payload);
+        } catch (e) {
+            log.warn("node", `Rejected ${message.type} envelope ${message.seq} from node ${session.nodeID}: ${e.message}`);
+            this.acknowledge(session);
+            return false;
+        }
+
+        session.lastSeq = message.seq;
+        this.acknowledge(session);
+        return true;
+    }
+
+    /**
+     * Tell a node the last sequence number which was accepted from it
+     * @param {NodeSession} session Session of the node
+     * @returns {void}
+     */
+    acknowledge(session) {
+        if (session.lastSeq > 0) {
+            this.send(session, "ack", {
+                seq: session.lastSeq,
+            });
+        }
+    }
+
+    /**
+     * Store a verified envelope for auditing and advance the sequence
+     * number of the node
+     * @param {string} nodeID Node ID
+     * @param {object} message Message sent by the node
+     * @param {string} payload Canonical JSON which was signed
+     * @returns {Promise<void>}
+     * @throws {Error} The envelope was already stored
+     */
+    async storeEnvelope(nodeID, message, payload) {
+        let bean = R.dispense("node_envelope");
+        bean.node_id = nodeID;
+        bean.seq = message.seq;
+        bean.type = message.type;
+        bean.payload = payload;
+        bean.signature = message.signature;
+        bean.timestamp = R.isoDateTimeMillis(dayjs.utc(message.timestamp));
+        bean.time = R.isoDateTimeMillis(dayjs.utc());
+
+        // Unique on (node_id, seq), also catches a replay racing on another connection
+        await R.store(bean);
+
+        await R.exec("UPDATE node SET last_seq = ? WHERE node_id = ? AND last_seq < ? ", [
+            message.seq,
+            nodeID,
+            message.seq,
+        ]);
+    }
+
+    /**
+     * Handle ping message
+     * @param {NodeSession} session Session of the node
+     * @param {object} data Message data
+     * @returns {Promise<void>}
+     */
+    async handlePing(session, data) {
+        if (session.authenticated) {
+            session.pinged = true;
+        }
+
+        this.send(session, "pong", {
+            timestamp: data.timestamp,
+            serverTime: Date.now(),
+        });
+    }
+
+    /**
+     * Handle metrics message. Metrics which were collected before the
+     * current connection was opened come from the outbox of the node and
+     * are stored as backfill, at the time they were collected.
+     * @param {NodeSession} session Session of the node
+     * @param {object} data Message data
+     * @param {object} message Message sent by the node
+     * @returns {Promise<void>}
+     */
+    async handleMetrics(session, data, message = {}) {
+        if (!data.metrics || typeof data.metrics !== "object") {
+            return;
+        }
+
+        const time = data.metrics.timestamp ?? message.timestamp;
+
+        let bean = R.dispense("node_metric");
+        bean.node_id = session.nodeID;
+        bean.time = R.isoDateTimeMillis(time ? dayjs.utc(time) : dayjs.utc());
+        bean.backfill = Number.isSafeInteger(message.timestamp) && message.timestamp < session.connectedAt;
+        bean.cpu = data.metrics.cpu?.usage ?? null;
+        bean.memory = data.metrics.memory?.usagePercentage ?? null;
+        bean.data = JSON.stringify(data.metrics);
+        await R.store(bean);
+
+        await this.touchNode(session.nodeID);
+
+        const summary = summarizeMetrics(data.metrics);
+
+        // Backfill tells nothing about the load now
+        if (!bean.backfill) {
+            this.scheduler.recordLoad(session.nodeID, summary);
+        }
+
+        this.publish("nodeMetrics", session.nodeID, {
+            time: bean.time,
+            backfill: bean.backfill,
+            ...summary,
+        });
+    }
+
+    /**
+     * Handle taskResult message
+     * @param {NodeSession} session Session of the node
+     * @param {object} data Message data
+     * @returns {Promise<void>}
+     */
+    async handleTaskResult(session, data) {
+        const pending = this.pendingTasks.get(data.taskId);
+
+        // A run of a recurring task, the first result only confirms that it
+        // was scheduled
+        const assignment = this.assignments.get(data.taskId);
+        if (!pending && assignment && assignment.nodeID === session.nodeID) {
+            assignment.onResult(data);
+            return;
+        }
+
+        // Results replayed from the outbox of the node after the task timed
+        // out end up here, their envelope is kept for auditing
+        if (!pending || pending.nodeID !== session.nodeID) {
+            log.debug("node", `Task result from ${session.nodeID} for untracked task ${data.taskId}`);
+            return;
+        }
+
+        this.pendingTasks.delete(data.taskId);
+        clearTimeout(pending.timeout);
+        this.rewardLedger.recordTask(session.nodeID, data.success === true);
+        this.reputation.recordTask(session.nodeID, true);
+        this.scheduler.recordTask(session.nodeID, true);
+        pending.resolve(data);
+    }
+
+    /**
+     * Handle taskError message
+     * @param {NodeSession} session Session of the node
+     * @param {object} data Message data
+     * @returns {Promise<void>}
+     */
+    async handleTaskError(session, data) {
+        const pending = this.pendingTasks.get(data.taskId);
+
+        if (!pending || pending.nodeID !== session.nodeID) {
+            log.debug("node", `Task error from ${session.nodeID} for untracked task ${data.taskId}: ${data.error}`);
+            return;
+        }
+
+        this.pendingTasks.delete(data.taskId);
+        clearTimeout(pending.timeout);
+        this.rewardLedger.recordTask(session.nodeID, false);
+        this.reputation.recordTask(session.nodeID, true);
+        this.scheduler.recordTask(session.nodeID, true);
+        pending.reject(new Error(data.error || "Task failed"));
+    }
+
+    /**
+     * Handle disconnect message, sent by a node before it shuts down
+     * @param {NodeSession} session Session of the node
+     * @param {object} data Message data
+     * @returns {Promise<void>}
+     */
+    async handleDisconnect(session, data) {
+        log.info("node", `Node ${session.nodeID} is disconnecting: ${data.reason}`);
+        session.closeStatus = data.reason === "shutdown" ? "shutdown" : "offline";
+        await this.touchNode(session.nodeID, session.closeStatus);
+    }
+
+    /**
+     * Clean up after a connection is closed
+     * @param {NodeSession} session Session of the node
+     * @param {number} code WebSocket close code
+     * @returns {void}
+     */
+    handleClose(session, code) {
+        log.info("node", `Node connection closed: ${session.nodeID || session.ip} (${code})`);
+
+        this.connections.delete(session);
+
+        if (session.pendingNodeID) {
+            this.challenges.revoke(session.pendingNodeID);
+        }
+
+        if (!session.nodeID || this.sessions.get(session.nodeID) !== session) {
+            return;
+        }
+
+        this.sessions.delete(session.nodeID);
+
+        for (const [ taskID, pending ] of this.pendingTasks) {
+            if (pending.nodeID === session.nodeID) {
+                this.pendingTasks.delete(taskID);
+                clearTimeout(pending.timeout);
+                this.rewardLedger.recordTask(session.nodeID, false);
+                this.reputation.recordTask(session.nodeID, false);
+                pending.reject(new Error("Node disconnected"));
+            }
+        }
+
+        this.scheduler.releaseNode(session.nodeID, "disconnected");
+
+        this.touchNode(session.nodeID, session.closeStatus).catch((e) => {
+            log.debug("node", e.message);
+        });
+    }
+
+    /**
+     * Terminate connections which did not answer the last keepalive or
+     * did not authenticate in time, and challenge sessions which are
+     * about to expire. Rounds answered by authenticated nodes are
+     * recorded in the reward ledger, and the reputation observed since
+     * the last round is written.
+     * @returns {void}
+     */
+    checkAlive() {
+        const now = Date.now();
+
+        for (const session of this.connections) {
+            if (!session.alive) {
+                log.info("node", `Node ${session.nodeID || session.ip} stopped responding, terminating`);
+                session.ws.terminate();
+                continue;
+            }
+
+            if (!session.authenticated && now - session.connectedAt > KEEPALIVE_INTERVAL) {
+                session.ws.close(4001, "Authentication timeout");
+                continue;
+            }
+
+            if (session.authenticated && now >= session.expiresAt) {
+                log.info("node", `Session of node ${session.nodeID} expired`);
+                session.ws.close(4002, "Session expired");
+                continue;
+            }
+
+            if (session.authenticated && !session.reauthRequested && now >= session.expiresAt - REAUTH_WINDOW) {
+                session.reauthRequested = true;
+                this.sendChallenge(session, session.nodeID);
+            }
+
+            if (session.authenticated) {
+                this.rewardLedger.recordRound(session.nodeID, session.pinged, now);
+                session.pinged = false;
+            }
+
+            session.alive = false;
+            session.ws.ping();
+        }
+
+        this.rewardLedger.flush().catch((e) => {
+            log.error("node", `Failed to write the reward ledger: ${e.message}`);
+        });
+
+        this.reputation.flush().then((updated) => {
+            for (const { nodeID, reputation } of updated) {
+                this.sendToNode(nodeID, "reputation", reputation);
+                this.publishNode(nodeID);
+            }
+        }).catch((e) => {
+            log.error("node", `Failed to write the node reputation: ${e.message}`);
+        });
+    }
+
+    /**
+     * Update the last seen time and optionally the status of a node
+     * @param {string} nodeID Node ID
+     * @param {?string} status New status
+     * @returns {Promise<void>}
+     */
+    async touchNode(nodeID, status = null) {
+        if (status) {
+            await R.exec("UPDATE node SET last_seen = ?, status = ? WHERE node_id = ? ", [
+                R.isoDateTime(dayjs.utc()),
+                status,
+                nodeID,
+            ]);
+            await this.publishNode(nodeID);
+        } else {
+            await R.exec("UPDATE node SET last_seen = ? WHERE node_id = ? ", [
+                R.isoDateTime(dayjs.utc()),
+                nodeID,
+            ]);
+        }
+    }
+
+    /**
+     * Stream an event to the browsers showing the node list
+     * @param {string} event Socket.io event
+     * @param {...any} args Event arguments
+     * @returns {void}
+     */
+    publish(event, ...args) {
+        if (this.io) {
+            this.io.to(NODE_LIST_ROOM).emit(event, ...args);
+        }
+    }
+
+    /**
+     * Stream the current state of a node to the browsers showing the
+     * node list
+     * @param {string} nodeID Node ID
+     * @returns {Promise<void>}
+     */
+    async publishNode(nodeID) {
+        if (!this.io) {
+            return;
+        }
+
+        try {
+            const { getNodeList } = require("./node-fleet");
+            this.publish("updateNodeIntoList", await getNodeList([ nodeID ]));
+        } catch (e) {
+            log.debug("node", `Failed to publish node ${nodeID}: ${e.message}`);
+        }
+    }
+
+    /**
+     * Send a message on a session
+     * @param {NodeSession} session Session to send to
+     * @param {string} type Message type
+     * @param {object} data Message data
+     * @returns {boolean} Was the message sent?
+     */
+    send(session, type, data = {}) {
+        if (session.ws.readyState !== session.ws.OPEN) {
+            return false;
+        }
+
+        session.ws.send(JSON.stringify({
+            type,
+            data,
+            timestamp: Date.now(),
+        }));
+        return true;
+    }
+
+    /**
+     * Send a message to an authenticated node
+     * @param {string} nodeID Node ID
+     * @param {string} type Message type
+     * @param {object} data Message data
+     * @returns {boolean} Was the message sent?
+     */
+    sendToNode(nodeID, type, data = {}) {
+        const session = this.sessions.get(nodeID);
+        if (!session) {
+            return false;
+        }
+        return this.send(session, type, data);
+    }
+
+    /**
+     * Ask a node to report its metrics
+     * @param {string} nodeID Node ID
+     * @returns {boolean} Was the request sent?
+     */
+    requestMetrics(nodeID) {
+        return this.sendToNode(nodeID, "requestMetrics");
+    }
+
+    /**
+     * Notify a node about a reward
+     * @param {string} nodeID Node ID
+     * @param {object} reward Reward details, e.g. amount and txId
+     * @returns {boolean} Was the notification sent?
+     */
+    sendReward(nodeID, reward) {
+        return this.sendToNode(nodeID, "reward", reward);
+    }
+
+    /**
+     * Settle the reward epochs which ended and notify the nodes which
+     * are online
+     * @returns {Promise<void>}
+     */
+    async settleRewards() {
+        const rewards = await this.rewardLedger.settle();
+
+        for (const reward of rewards) {
+            this.sendReward(reward.node_id, {
+                ...reward.toJSON(),
+                txId: null,
+            });
+        }
+    }
+
+    /**
+     * Send a task to a node and wait for its result
+     * @param {string} nodeID Node ID
+     * @param {object} task Task, must contain the task type
+     * @param {number} timeout Time to wait for the result in milliseconds
+     * @returns {Promise<object>} Data of the taskResult message
+     * @throws {Error} The node is offline, does not support the task, failed it or timed out
+     */
+    sendTask(nodeID, task, timeout = DEFAULT_TASK_TIMEOUT) {
+        return new Promise((resolve, reject) => {
+            // Nodes reject unknown task types, older ones crash on them
+            if (this.isOnline(nodeID) && !this.canRunTask(nodeID, task)) {
+                reject(new Error(`Node does not support ${task.check?.type ?? task.type} tasks`));
+                return;
+            }
+
+            const taskID = task.taskId || genSecret(24);
+
+            const pending = {
+                nodeID,
+                type: task.type,
+                target: task.check?.target ?? task.target ?? null,
+                sentAt: Date.now(),
+                resolve,
+                reject,
+                timeout: setTimeout(() => {
+                    this.pendingTasks.delete(taskID);
+                    this.rewardLedger.recordTask(nodeID, false);
+                    this.reputation.recordTask(nodeID, false);
+                    this.scheduler.recordTask(nodeID, false);
+                    reject(new Error("Task timed out"));
+                }, timeout),
+            };
+
+            this.pendingTasks.set(taskID, pending);
+
+            const message = {
+                ...task,
+                taskId: taskID,
+            };
+
+            if (!this.sendToNode(nodeID, "task", message)) {
+                this.pendingTasks.delete(taskID);
+                clearTimeout(pending.timeout);
+                reject(new Error("Node is offline"));
+            }
+        });
+    }
+
+    /**
+     * Schedule a recurring check on a node. The node runs it on its own
+     * scheduler, also while it is disconnected, until the assignment is
+     * cancelled or the node starts a new session, when it is sent again.
+     * Runs reported while the server is down are kept for auditing but
+     * not passed to onResult.
+     * @param {string} nodeID Node ID
+     * @param {object} check Check in the format of the monitoring tasks of uptime-client
+     * @param {number|string} interval Milliseconds between runs or a cron expression
+     * @param {function(object): void} onResult Called with the data of the taskResult of each run
+     * @returns {Promise<string>} Task ID of the assignment
+     * @throws {Error} The node is offline, rejected the check or timed out
+     */
+    async assignTask(nodeID, check, interval, onResult) {
+        const taskID = genSecret(24);
+
+        this.assignments.set(taskID, {
+            nodeID,
+            check,
+            type: check.type,
+            target: check.target ?? null,
+            interval,
+            assignedAt: Date.now(),
+            onResult,
+        });
+
+        try {
+            const result = await this.sendTask(nodeID, {
+                ...check,
+                taskId: taskID,
+                interval,
+            });
+
+            if (!result.success) {
+                throw new Error(result.error || "Task rejected");
+            }
+        } catch (e) {
+            this.assignments.delete(taskID);
+            throw e;
+        }
+
+        return taskID;
+    }
+
+    /**
+     * Send the recurring checks assigned to a node again. A node drops
+     * its assignments when a new session starts, so that it does not keep
+     * running checks the server no longer knows about after a restart.
+     * Assignments the node rejects now are removed.
+     * @param {string} nodeID Node ID
+     * @returns {void}
+     */
+    resendAssignments(nodeID) {
+        for (const [ taskID, assignment ] of this.assignments) {
+            if (assignment.nodeID !== nodeID) {
+                continue;
+            }
+
+            this.sendTask(nodeID, {
+                ...assignment.check,
+                taskId: taskID,
+                interval: assignment.interval,
+            }).then((result) => {
+                if (!result.success) {
+                    this.dropAssignment(taskID, assignment, result.error || "Task rejected");
+                }
+            }).catch((e) => {
+                // Sent again with the next session if the node went away
+                if (e.message.startsWith("Node does not support")) {
+                    this.dropAssignment(taskID, assignment, e.message);
+                } else {
+                    log.debug("node", `Assignment ${taskID} not confirmed by node ${nodeID}: ${e.message}`);
+                }
+            });
+        }
+    }
+
+    /**
+     * Remove an assignment a node no longer takes, unless it was
+     * cancelled or replaced in the meantime
+     * @param {string} taskID Task ID of the assignment
+     * @param {object} assignment Assignment which was sent
+     * @param {string} reason Why the node did not take it
+     * @returns {void}
+     */
+    dropAssignment(taskID, assignment, reason) {
+        if (this.assignments.get(taskID) !== assignment) {
+            return;
+        }
+
+        this.assignments.delete(taskID);
+        log.warn("node", `Node ${assignment.nodeID} did not take assignment ${taskID} again: ${reason}`);
+    }
+
+    /**
+     * Stop a recurring check scheduled with assignTask()
+     * @param {string} nodeID Node ID
+     * @param {string} taskID Task ID of the assignment
+     * @returns {Promise<void>}
+     * @throws {Error} The node is offline, did not know the assignment or timed out
+     */
+    async cancelAssignment(nodeID, taskID) {
+        this.assignments.delete(taskID);
+
+        const result = await this.sendTask(nodeID, {
+            type: "cancelTask",
+            assignedTaskId: taskID,
+        });
+
+        if (!result.success) {
+            throw new Error(result.error || "Task not cancelled");
+        }
+    }
+
+    /**
+     * Change settings of nodes, such as their metrics interval. A node only
+     * accepts the settings it lets the main application change and
+     * rejects the whole update otherwise. The wallet and the URLs of a
+     * node can only be changed by its operator.
+     * @param {?string[]} nodeIDs Nodes to update, all online nodes if null
+     * @param {object} settings Settings by path, e.g. {"monitoring.interval": 30000}, or nested
+     * @returns {Promise<{nodeID: string, ok: boolean, changed?: object, msg?: string}[]>} Outcome per node
+     * @throws {Error} The settings are not an object
+     */
+    async updateConfig(nodeIDs, settings) {
+        if (!settings || typeof settings !== "object" || Array.isArray(settings)) {
+            throw new Error("Invalid settings");
+        }
+
+        const targets = nodeIDs ?? this.getOnlineNodeIDs();
+
+        return Promise.all(targets.map(async (nodeID) => {
+            try {
+                const result = await this.sendTask(nodeID, {
+                    type: "updateConfig",
+                    config: settings,
+                });
+
+                if (!result.success) {
+                    return {
+                        nodeID,
+                        ok: false,
+                        msg: result.error || "Update rejected",
+                    };
+                }
+
+                return {
+                    nodeID,
+                    ok: true,
+                    changed: result.result?.changed ?? {},
+                };
+            } catch (e) {
+                return {
+                    nodeID,
+                    ok: false,
+                    msg: e.message,
+                };
+            }
+        }));
+    }
+
+    /**
+     * Get the tasks a node was given: its recurring assignments and the
+     * tasks it has not answered yet
+     * @param {string} nodeID Node ID
+     * @returns {{taskId: string, type: string, target: ?string, interval: number|string|null, recurring: boolean, since: number}[]} Tasks, oldest first
+     */
+    getNodeTasks(nodeID) {
+        const tasks = [];
+
+        for (const [ taskID, assignment ] of this.assignments) {
+            if (assignment.nodeID === nodeID) {
+                tasks.push({
+                    taskId: taskID,
+                    type: assignment.type,
+                    target: assignment.target,
+                    interval: assignment.interval,
+                    recurring: true,
+                    since: assignment.assignedAt,
+                });
+            }
+        }
+
+        for (const [ taskID, pending ] of this.pendingTasks) {
+            // The first run of an assignment, which is listed above
+            if (pending.nodeID === nodeID && !this.assignments.has(taskID)) {
+                tasks.push({
+                    taskId: taskID,
+                    type: pending.type,
+                    target: pending.target,
+                    interval: null,
+                    recurring: false,
+                    since: pending.sentAt,
+                });
+            }
+        }
+
+        return tasks.sort((a, b) => a.since - b.since);
+    }
+
+    /**
+     * Close the session of a node, e.g. after it was disabled
+     * @param {string} nodeID Node ID
+     * @param {string} reason Reason sent with the close frame
+     * @returns {boolean} Was the node online?
+     */
+    disconnectNode(nodeID, reason) {
+        const session = this.sessions.get(nodeID);
+        if (!session) {
+            return false;
+        }
+
+        log.info("node", `Disconnecting node ${nodeID}: ${reason}`);
+        session.ws.close(4004, reason);
+        return true;
+    }
+
+    /**
+     * Is the node connected and authenticated?
+     * @param {string} nodeID Node ID
+     * @returns {boolean} Online?
+     */
+    isOnline(nodeID) {
+        return this.sessions.has(nodeID);
+    }
+
+    /**
+     * Can the node run the task, according to the protocol it
+     * authenticated with?
+     * @param {string} nodeID Node ID
+     * @param {object} task Task, see sendTask()
+     * @returns {boolean} Supported? False if the node is offline.
+     */
+    canRunTask(nodeID, task) {
+        const session = this.sessions.get(nodeID);
+        return !!session && supportsTask(session.protocol ?? LEGACY_PROTOCOL, task);
+    }
+
+    /**
+     * Get the protocol used with a node
+     * @param {string} nodeID Node ID
+     * @returns {?{version: number, clientVersion: ?string, taskTypes: string[], features: string[]}} Protocol, see negotiateProtocol(), null if the node is offline
+     */
+    getProtocol(nodeID) {
+        return this.sessions.get(nodeID)?.protocol ?? null;
+    }
+
+    /**
+     * Get the IDs of all connected and authenticated nodes
+     * @returns {string[]} Node IDs
+     */
+    getOnlineNodeIDs() {
+        return Array.from(this.sessions.keys());
+    }
+
+    /**
+     * Tell all nodes that the server is shutting down, close the gateway
+     * and write what the reward ledger and the reputation have pending.
+     * Has to be awaited before the database is closed.
+     * @param {string} reason Reason of the shutdown
+     * @param {?number} estimatedDowntime Estimated downtime in milliseconds
+     * @returns {Promise<void>}
+     */
+    async shutdown(reason, estimatedDowntime = null) {
+        if (!this.wss) {
+            return;
+        }
+
+        clearInterval(this.keepaliveInterval);
+
+        for (const session of this.sessions.values()) {
+            this.send(session, "serverShutdown", {
+                reason,
+                estimatedDowntime,
+            });
+        }
+
+        for (const session of this.connections) {
+            session.ws.close(1001, "Server shutdown");
+        }
+
+        this.wss.close();
+        this.wss = null;
+
+        const [ ledger, reputation ] = await Promise.allSettled([
+            this.rewardLedger.flush(),
+            this.reputation.flush(),
+        ]);
+
+        if (ledger.status === "rejected") {
+            log.error("node", `Failed to write the reward ledger: ${ledger.reason.message}`);
+        }
+        if (reputation.status === "rejected") {
+            log.error("node", `Failed to write the node reputation: ${reputation.reason.message}`);
+        }
+    }
+}
+
+module.exports = {
+    NodeGateway,
+    NodeSession,
+    NODE_GATEWAY_PATH,
+    NODE_LIST_ROOM,
+};
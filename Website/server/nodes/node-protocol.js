@@ -0,0 +1,132 @@
+const Ajv = require("ajv");
+const schema = require("./node-protocol.schema.json");
+
+/**
+ * Version of the node protocol the server speaks. It is raised when
+ * messages change in a way older nodes do not understand.
+ * @type {number}
+ */
+const PROTOCOL_VERSION = 1;
+
+/**
+ * Oldest protocol version of a node which is accepted. Nodes which do
+ * not send their protocol in authenticate are version 0.
+ * @type {number}
+ */
+const MIN_PROTOCOL_VERSION = 0;
+
+/**
+ * Features of the protocol the server uses if a node supports them:
+ * - signedEnvelopes: results and metrics are signed, see node-envelope.js
+ * - outbox: signed messages are replayed until they are acknowledged
+ * - recurringTasks: tasks with an interval, see NodeGateway.assignTask()
+ * @type {string[]}
+ */
+const FEATURES = [ "signedEnvelopes", "outbox", "recurringTasks" ];
+
+/**
+ * What nodes which do not send their protocol support, i.e.
+ * uptime-client before the protocol was versioned. It only handled these
+ * three task types, and none of the features. Task types and features
+ * added since are not sent to them.
+ * @type {{version: number, clientVersion: null, taskTypes: string[], features: string[]}}
+ */
+const LEGACY_PROTOCOL = Object.freeze({
+    version: 0,
+    clientVersion: null,
+    taskTypes: Object.freeze([ "collectMetrics", "checkEndpoint", "updateConfig" ]),
+    features: Object.freeze([]),
+});
+
+const ajv = new Ajv({
+    allowUnionTypes: true,
+});
+ajv.addSchema(schema);
+
+/**
+ * Validators of the messages, by sender
+ * @type {{node: Function, server: Function}}
+ */
+const validators = {
+    node: ajv.getSchema(`${schema.$id}#/definitions/nodeMessage`),
+    server: ajv.getSchema(`${schema.$id}#/definitions/serverMessage`),
+};
+
+/**
+ * Validate a message against node-protocol.schema.json, which
+ * uptime-client validates with as well
+ * @param {"node"|"server"} sender Who sent the message
+ * @param {object} message Message, with type and data
+ * @returns {?string} What is wrong with the message, null if it is valid
+ */
+function validateMessage(sender, message) {
+    const validate = validators[sender];
+
+    if (validate(message)) {
+        return null;
+    }
+
+    return ajv.errorsText(validate.errors, {
+        dataVar: "message",
+    });
+}
+
+/**
+ * Agree on the protocol used with a node, from the protocol it sent in
+ * authenticate. The version is the highest both sides speak and only
+ * the features both sides know are used.
+ * @param {?{version: number, minVersion: number, clientVersion: ?string, taskTypes: string[], features: string[]}} protocol Protocol of the node, null for nodes which do not send it
+ * @returns {{version: number, clientVersion: ?string, taskTypes: string[], features: string[]}} Protocol used with the node
+ * @throws {Error} The node and the server have no version in common
+ */
+function negotiateProtocol(protocol) {
+    if (!protocol) {
+        return {
+            ...LEGACY_PROTOCOL,
+        };
+    }
+
+    if (protocol.version < MIN_PROTOCOL_VERSION || protocol.minVersion > PROTOCOL_VERSION) {
+        throw new Error("unsupported protocol version");
+    }
+
+    return {
+        version: Math.min(protocol.version, PROTOCOL_VERSION),
+        clientVersion: protocol.clientVersion ?? null,
+        taskTypes: protocol.taskTypes,
+        features: protocol.features.filter((feature) => FEATURES.includes(feature)),
+    };
+}
+
+/**
+ * Can a node run the task? The check of a checkEndpoint task and the
+ * interval of a recurring task have to be supported as well.
+ * @param {{taskTypes: string[], features: string[]}} protocol Protocol used with the node, see negotiateProtocol()
+ * @param {object} task Task as sent to the node
+ * @returns {boolean} Supported?
+ */
+function supportsTask(protocol, task) {
+    if (!protocol.taskTypes.includes(task.type)) {
+        return false;
+    }
+
+    if (task.type === "checkEndpoint" && task.check?.type && !protocol.taskTypes.includes(task.check.type)) {
+        return false;
+    }
+
+    if (task.interval !== undefined && task.interval !== null && !protocol.features.includes("recurringTasks")) {
+        return false;
+    }
+
+    return true;
+}
+
+module.exports = {
+    PROTOCOL_VERSION,
+    MIN_PROTOCOL_VERSION,
+    FEATURES,
+    LEGACY_PROTOCOL,
+    validateMessage,
+    negotiateProtocol,
+    supportsTask,
+};
@@ -0,0 +1,191 @@
+/**
+ * How many nodes have to see a remote-node monitor as up for it to be up
+ * - any: at least one node
+ * - majority: more than half of the nodes
+ * - all: every node
+ * - n-of-m: at least N of the nodes
+ * @type {string[]}
+ */
+const QUORUM_POLICIES = [ "any", "majority", "all", "n-of-m" ];
+
+/**
+ * Region name used for nodes which did not report their location
+ * @type {string}
+ */
+const UNKNOWN_REGION = "Unknown";
+
+/**
+ * Get the number of up votes a quorum policy requires. It is computed
+ * from the number of nodes the monitor asks, not from the nodes which
+ * answered, so that a few nodes cannot decide alone when the others are
+ * silent.
+ * @param {string} policy Quorum policy
+ * @param {number} quorumCount N of the n-of-m policy
+ * @param {number} nodeCount Number of nodes the monitor asked for
+ * @returns {number} Required number of up votes
+ * @throws {Error} Unknown quorum policy
+ */
+function getRequiredVotes(policy, quorumCount, nodeCount) {
+    switch (policy) {
+        case "any":
+            return 1;
+        case "majority":
+            return Math.floor(nodeCount / 2) + 1;
+        case "all":
+            return nodeCount;
+        case "n-of-m":
+            return quorumCount;
+        default:
+            throw new Error(`Unknown quorum policy: ${policy}`);
+    }
+}
+
+/**
+ * Describe a quorum policy for heartbeat messages
+ * @param {string} policy Quorum policy
+ * @param {number} quorumCount N of the n-of-m policy
+ * @param {number} nodeCount M of the n-of-m policy
+ * @returns {string} Description
+ */
+function describeQuorum(policy, quorumCount, nodeCount) {
+    return policy === "n-of-m" ? `${quorumCount} of ${nodeCount}` : policy;
+}
+
+/**
+ * Get the region a node result is counted in. Region names are only
+ * unique within a country, so the country code is added.
+ * @param {{region: ?string, countryCode: ?string, country: ?string}} result Result of a node
+ * @returns {string} Region
+ */
+function getRegionName(result) {
+    const country = result.countryCode || result.country;
+
+    if (result.region) {
+        return country ? `${result.region}, ${country}` : result.region;
+    }
+
+    return country || UNKNOWN_REGION;
+}
+
+/**
+ * Count the up and down votes of each region. Nodes which did not
+ * answer did not vote and are left out. Each region is placed at the
+ * average location of its nodes, so that it can be drawn on a map,
+ * with the average response time of the nodes which voted up.
+ * @param {object[]} results Results of the nodes, see RemoteNodeMonitorType.toNodeResult()
+ * @returns {{[region: string]: {up: number, down: number, latitude: ?number, longitude: ?number, ping: ?number}}} Counts by region
+ */
+function buildRegionBreakdown(results) {
+    const regions = {};
+
+    for (const result of results) {
+        if (!result.answered) {
+            continue;
+        }
+
+        const region = getRegionName(result);
+        regions[region] ??= [];
+        regions[region].push(result);
+    }
+
+    const breakdown = {};
+
+    for (const [ region, regionResults ] of Object.entries(regions)) {
+        const located = regionResults.filter((result) => Number.isFinite(result.latitude) && Number.isFinite(result.longitude));
+        const pings = regionResults.filter((result) => result.up && Number.isFinite(result.responseTime)).map((result) => result.responseTime);
+
+        /**
+         * Average some values
+         * @param {number[]} values Values
+         * @param {number} precision Decimal places to round to
+         * @returns {?number} Average, null if there are no values
+         */
+        const average = (values, precision) => {
+            if (values.length === 0) {
+                return null;
+            }
+            const factor = 10 ** precision;
+            return Math.round(values.reduce((total, value) => total + value, 0) / values.length * factor) / factor;
+        };
+
+        breakdown[region] = {
+            up: regionResults.filter((result) => result.up).length,
+            down: regionResults.filter((result) => !result.up).length,
+            latitude: average(located.map((result) => result.latitude), 2),
+            longitude: average(located.map((result) => result.longitude), 2),
+            ping: average(pings, 0),
+        };
+    }
+
+    return breakdown;
+}
+
+/**
+ * List nodes with their regions and messages for a heartbeat message
+ * @param {object[]} results Results of the nodes
+ * @returns {string} List of the nodes
+ */
+function listNodes(results) {
+    return results.map((result) => `${result.name} [${getRegionName(result)}]: ${result.message}`).join(" | ");
+}
+
+/**
+ * Reach a verdict on the results of the nodes. Only nodes which
+ * answered vote, but the required votes are counted from all nodes the
+ * monitor asked for. If too few nodes answered to reach the quorum, the
+ * monitor is down with "Not enough answers".
+ * @param {object[]} results Results of the nodes, see RemoteNodeMonitorType.toNodeResult()
+ * @param {string} policy Quorum policy
+ * @param {number} quorumCount N of the n-of-m policy
+ * @param {number} nodeCount Number of nodes the monitor asked for
+ * @returns {{up: boolean, msg: string}} Verdict and heartbeat message
+ */
+function evaluateQuorum(results, policy, quorumCount, nodeCount) {
+    const voters = results.filter((result) => result.answered);
+    const upVotes = voters.filter((result) => result.up);
+    const downVotes = voters.filter((result) => !result.up);
+    const silent = results.filter((result) => !result.answered);
+
+    const required = getRequiredVotes(policy, quorumCount, nodeCount);
+    const up = voters.length > 0 && upVotes.length >= required;
+    const quorum = describeQuorum(policy, quorumCount, nodeCount);
+
+    let msg;
+
+    if (voters.length === 0) {
+        msg = "No node answered";
+    } else if (voters.length < required) {
+        msg = `Not enough answers: ${voters.length}/${nodeCount} nodes answered, ${quorum} quorum needs ${required} nodes up`;
+        if (downVotes.length > 0) {
+            msg += `. Down: ${listNodes(downVotes)}`;
+        }
+    } else if (up) {
+        msg = `${upVotes.length}/${voters.length} nodes up`;
+        if (downVotes.length > 0) {
+            msg += `, ${quorum} quorum met. Disagreed: ${listNodes(downVotes)}`;
+        }
+    } else {
+        msg = `${upVotes.length}/${voters.length} nodes up, ${quorum} quorum not met. Down: ${listNodes(downVotes)}`;
+        if (upVotes.length > 0) {
+            msg += `. Disagreed: ${listNodes(upVotes)}`;
+        }
+    }
+
+    if (silent.length > 0) {
+        msg += `. No answer: ${listNodes(silent)}`;
+    }
+
+    return {
+        up,
+        msg,
+    };
+}
+
+module.exports = {
+    QUORUM_POLICIES,
+    UNKNOWN_REGION,
+    getRequiredVotes,
+    getRegionName,
+    buildRegionBreakdown,
+    evaluateQuorum,
+};
@@ -0,0 +1,380 @@
+const { R } = require("redbean-node");
+const dayjs = require("dayjs");
+const { log } = require("../../src/util");
+
+/**
+ * Weight of a new observation in the moving average of each part of the
+ * reputation, roughly the last 20 observations count
+ * @type {number}
+ */
+const REPUTATION_ALPHA = 0.05;
+
+/**
+ * Weights of the parts of the reputation
+ * - agreement: Voted with the other nodes on the same check
+ * - latency: Reported response times which are possible from the location of the node
+ * - tasks: Answered the tasks it was sent
+ * @type {{agreement: number, latency: number, tasks: number}}
+ */
+const REPUTATION_WEIGHTS = {
+    agreement: 0.5,
+    latency: 0.25,
+    tasks: 0.25,
+};
+
+/**
+ * Below this reputation rewards are scaled down by the reputation
+ * @type {number}
+ */
+const REWARD_THRESHOLD = 0.8;
+
+/**
+ * Below this reputation rewards are withheld and the node is quarantined
+ * @type {number}
+ */
+const QUARANTINE_THRESHOLD = 0.5;
+
+/**
+ * Quarantined nodes are not sent checks for this long. A node which is
+ * still below the threshold is quarantined again by its next bad
+ * observation.
+ * @type {number}
+ */
+const QUARANTINE_PERIOD = 24 * 60 * 60 * 1000;
+
+/**
+ * Votes needed on a check before nodes are judged by agreement, with
+ * fewer votes a disagreeing node may as well be the one which is right
+ * @type {number}
+ */
+const MIN_AGREEMENT_VOTES = 3;
+
+/**
+ * Distance light travels in fiber per millisecond, in km
+ * @type {number}
+ */
+const FIBER_KM_PER_MS = 200;
+
+/**
+ * Allowed error of reported response times, in milliseconds
+ * @type {number}
+ */
+const LATENCY_TOLERANCE = 2;
+
+/**
+ * Great circle distance between two locations
+ * @param {{latitude: number, longitude: number}} a Location
+ * @param {{latitude: number, longitude: number}} b Location
+ * @returns {number} Distance in km
+ */
+function getDistance(a, b) {
+    const toRadians = (degrees) => degrees * Math.PI / 180;
+    const dLatitude = toRadians(b.latitude - a.latitude);
+    const dLongitude = toRadians(b.longitude - a.longitude);
+    const h = Math.sin(dLatitude / 2) ** 2 + Math.cos(toRadians(a.latitude)) * Math.cos(toRadians(b.latitude)) * Math.sin(dLongitude / 2) ** 2;
+    return 2 * 6371 * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+/**
+ * Judge whether each node voted with the majority of the nodes which
+ * checked the same target. This is independent of the quorum policy of
+ * the monitor, which only decides when to alert.
+ * @param {object[]} results Results of the nodes, see RemoteNodeMonitorType.toNodeResult()
+ * @returns {Map<string, number>} 1 for agreeing and 0 for disagreeing, by node ID
+ */
+function judgeAgreement(results) {
+    const samples = new Map();
+    const voters = results.filter((result) => result.answered);
+    const upVotes = voters.filter((result) => result.up).length;
+
+    // A tie has no majority
+    if (voters.length < MIN_AGREEMENT_VOTES || upVotes * 2 === voters.length) {
+        return samples;
+    }
+
+    const majorityUp = upVotes * 2 > voters.length;
+
+    for (const result of voters) {
+        samples.set(result.nodeId, result.up === majorityUp ? 1 : 0);
+    }
+
+    return samples;
+}
+
+/**
+ * Judge whether the response times of the nodes are possible from where
+ * they claim to be. The response times of two nodes add up to at least
+ * the round trip between the two nodes, which is bounded by the speed of
+ * light in fiber. A node which breaks the bound with most other nodes
+ * lies about its location or its results. If most nodes break it, the
+ * target is probably anycast and nobody is judged.
+ * @param {object[]} results Results of the nodes, see RemoteNodeMonitorType.toNodeResult()
+ * @returns {Map<string, number>} 1 for plausible and 0 for implausible, by node ID
+ */
+function judgeLatency(results) {
+    const samples = new Map();
+    const located = results.filter((result) => result.up && Number.isFinite(result.responseTime) && Number.isFinite(result.latitude) && Number.isFinite(result.longitude));
+
+    if (located.length < 3) {
+        return samples;
+    }
+
+    const implausible = new Set();
+
+    for (const a of located) {
+        let conflicts = 0;
+
+        for (const b of located) {
+            const minRoundTrips = 2 * getDistance(a, b) / FIBER_KM_PER_MS;
+            if (a !== b && a.responseTime + b.responseTime + LATENCY_TOLERANCE < minRoundTrips) {
+                conflicts++;
+            }
+        }
+
+        if (conflicts * 2 > located.length - 1) {
+            implausible.add(a.nodeId);
+        }
+    }
+
+    if (implausible.size * 2 > located.length) {
+        return samples;
+    }
+
+    for (const result of located) {
+        samples.set(result.nodeId, implausible.has(result.nodeId) ? 0 : 1);
+    }
+
+    return samples;
+}
+
+/**
+ * Combine the parts of a reputation
+ * @param {{agreement: number, latency: number, tasks: number}} parts Parts of the reputation, 0 to 1
+ * @returns {number} Reputation, 0 to 1
+ */
+function computeScore(parts) {
+    let score = 0;
+    for (const [ part, weight ] of Object.entries(REPUTATION_WEIGHTS)) {
+        score += parts[part] * weight;
+    }
+    return score;
+}
+
+/**
+ * Get the share of its reward a node with the given reputation receives
+ * @param {number} score Reputation
+ * @returns {number} Share, 0 to 1
+ */
+function getRewardFactor(score) {
+    if (score >= REWARD_THRESHOLD) {
+        return 1;
+    }
+    return score < QUARANTINE_THRESHOLD ? 0 : score;
+}
+
+/**
+ * Apply observations to a reputation and quarantine the node if it
+ * dropped below the threshold
+ * @param {{agreement: number, latency: number, tasks: number, quarantinedUntil: ?number}} reputation Current reputation
+ * @param {{agreement: number[], latency: number[], tasks: number[]}} samples Observations in the order they were made
+ * @param {number} now Current time
+ * @returns {{agreement: number, latency: number, tasks: number, score: number, quarantinedUntil: ?number}} New reputation
+ */
+function updateReputation(reputation, samples, now) {
+    const result = {
+        ...reputation,
+    };
+
+    for (const part of Object.keys(REPUTATION_WEIGHTS)) {
+        for (const sample of samples[part]) {
+            result[part] = result[part] * (1 - REPUTATION_ALPHA) + sample * REPUTATION_ALPHA;
+        }
+    }
+
+    result.score = computeScore(result);
+
+    const quarantined = reputation.quarantinedUntil !== null && reputation.quarantinedUntil > now;
+    if (result.score < QUARANTINE_THRESHOLD && !quarantined) {
+        result.quarantinedUntil = now + QUARANTINE_PERIOD;
+    }
+
+    return result;
+}
+
+/**
+ * Keeps the reputation of the nodes. Observations are collected in
+ * memory and applied to the node table once per keepalive round of the
+ * node gateway.
+ */
+class ReputationTracker {
+    /**
+     * Observations not applied yet
+     * Key: Node ID
+     * @type {Map<string, {agreement: number[], latency: number[], tasks: number[]}>}
+     */
+    pending = new Map();
+
+    /**
+     * Writes are done one after another
+     * @type {Promise<void>}
+     */
+    writeQueue = Promise.resolve();
+
+    /**
+     * Record the results of the nodes which ran the same check
+     * @param {object[]} results Results of the nodes, see RemoteNodeMonitorType.toNodeResult()
+     * @param {boolean} compareLatency Are the response times round trips to the target? Not the case for DNS checks, which ask a resolver.
+     * @returns {void}
+     */
+    recordCheck(results, compareLatency) {
+        for (const [ nodeID, sample ] of judgeAgreement(results)) {
+            this.getPendingSamples(nodeID).agreement.push(sample);
+        }
+
+        if (compareLatency) {
+            for (const [ nodeID, sample ] of judgeLatency(results)) {
+                this.getPendingSamples(nodeID).latency.push(sample);
+            }
+        }
+    }
+
+    /**
+     * Record a task sent to the node
+     * @param {string} nodeID Node ID
+     * @param {boolean} answered Did the node answer, with a result or an error?
+     * @returns {void}
+     */
+    recordTask(nodeID, answered) {
+        this.getPendingSamples(nodeID).tasks.push(answered ? 1 : 0);
+    }
+
+    /**
+     * Get the observations of a node which are not applied yet
+     * @param {string} nodeID Node ID
+     * @returns {{agreement: number[], latency: number[], tasks: number[]}} Observations
+     */
+    getPendingSamples(nodeID) {
+        let samples = this.pending.get(nodeID);
+
+        if (!samples) {
+            samples = {
+                agreement: [],
+                latency: [],
+                tasks: [],
+            };
+            this.pending.set(nodeID, samples);
+        }
+
+        return samples;
+    }
+
+    /**
+     * Apply the pending observations to the node table
+     * @returns {Promise<{nodeID: string, reputation: object}[]>} Updated reputations, see Node.getReputation()
+     */
+    flush() {
+        const pending = Array.from(this.pending.entries());
+        this.pending.clear();
+
+        const write = this.writeQueue.then(async () => {
+            const updated = [];
+
+            for (const [ nodeID, samples ] of pending) {
+                try {
+                    updated.push(await this.applySamples(nodeID, samples));
+                } catch (e) {
+                    log.error("node", `Failed to update the reputation of node ${nodeID}: ${e.message}`);
+                }
+            }
+
+            return updated.filter(Boolean);
+        });
+
+        this.writeQueue = write.then(() => {}, () => {});
+        return write;
+    }
+
+    /**
+     * Quarantine a node by hand, or lift its quarantine. The write is
+     * queued with the observations, so a flush in progress does not
+     * overwrite it.
+     * @param {string} nodeID Node ID
+     * @param {?number} until End of the quarantine in milliseconds since the epoch, null to lift it
+     * @returns {Promise<?{nodeID: string, reputation: object}>} Updated reputation, null if the node does not exist
+     */
+    setQuarantine(nodeID, until) {
+        const write = this.writeQueue.then(async () => {
+            const Node = require("../model/node");
+            const bean = await Node.getByNodeID(nodeID);
+
+            if (!bean) {
+                return null;
+            }
+
+            bean.quarantined_until = until === null ? null : R.isoDateTime(dayjs.utc(until));
+            await R.store(bean);
+
+            log.info("node", until === null ? `Quarantine of node ${nodeID} lifted` : `Node ${nodeID} is quarantined until ${bean.quarantined_until}`);
+
+            return {
+                nodeID,
+                reputation: bean.getReputation(),
+            };
+        });
+
+        this.writeQueue = write.then(() => {}, () => {});
+        return write;
+    }
+
+    /**
+     * Apply observations to the reputation of a node
+     * @param {string} nodeID Node ID
+     * @param {{agreement: number[], latency: number[], tasks: number[]}} samples Observations
+     * @returns {Promise<?{nodeID: string, reputation: object}>} Updated reputation, null if the node no longer exists
+     */
+    async applySamples(nodeID, samples) {
+        const Node = require("../model/node");
+        const bean = await Node.getByNodeID(nodeID);
+
+        if (!bean) {
+            return null;
+        }
+
+        const now = Date.now();
+        const reputation = updateReputation({
+            agreement: bean.reputation_agreement,
+            latency: bean.reputation_latency,
+            tasks: bean.reputation_tasks,
+            quarantinedUntil: bean.quarantined_until ? dayjs.utc(bean.quarantined_until).valueOf() : null,
+        }, samples, now);
+
+        if (reputation.quarantinedUntil !== null && reputation.quarantinedUntil > now && !bean.isQuarantined()) {
+            log.warn("node", `Node ${nodeID} is quarantined, reputation ${reputation.score.toFixed(3)}`);
+        }
+
+        bean.reputation_agreement = reputation.agreement;
+        bean.reputation_latency = reputation.latency;
+        bean.reputation_tasks = reputation.tasks;
+        bean.reputation = reputation.score;
+        bean.quarantined_until = reputation.quarantinedUntil === null ? null : R.isoDateTime(dayjs.utc(reputation.quarantinedUntil));
+        await R.store(bean);
+
+        return {
+            nodeID,
+            reputation: bean.getReputation(),
+        };
+    }
+}
+
+module.exports = {
+    REWARD_THRESHOLD,
+    QUARANTINE_THRESHOLD,
+    QUARANTINE_PERIOD,
+    getDistance,
+    judgeAgreement,
+    judgeLatency,
+    computeScore,
+    getRewardFactor,
+    updateReputation,
+    ReputationTracker,
+};
@@ -0,0 +1,354 @@
+const { log } = require("../../src/util");
+const { getRegionName } = require("./node-quorum");
+const { getEligibleNodes, supportsCheck } = require("./node-selector");
+
+/**
+ * Nodes using this much CPU or memory, in percent, are not kept on the
+ * monitors they run and only get new ones if no other node can take them
+ * @type {number}
+ */
+const OVERLOAD_THRESHOLD = 90;
+
+/**
+ * Usage in percent assumed for nodes which did not send metrics since
+ * the server started
+ * @type {number}
+ */
+const UNKNOWN_USAGE = 50;
+
+/**
+ * Smallest share of free CPU and memory counted, so that the reputation
+ * still ranks nodes which are all busy
+ * @type {number}
+ */
+const MIN_HEADROOM = 0.05;
+
+/**
+ * Tasks a node runs at the same time if it does not say, the default of
+ * uptime-client
+ * @type {number}
+ */
+const DEFAULT_MAX_CONCURRENT = 10;
+
+/**
+ * Tasks in a row a node may leave unanswered before its monitors are
+ * given to other nodes
+ * @type {number}
+ */
+const MISSED_TASK_LIMIT = 3;
+
+/**
+ * A node which stopped answering tasks is not assigned monitors for this
+ * long, unless it answers a task again
+ * @type {number}
+ */
+const UNRESPONSIVE_PERIOD = 10 * 60 * 1000;
+
+/**
+ * Get the region a node is counted in, see getRegionName()
+ * @param {object} node Node, as returned by Node.toJSON()
+ * @returns {string} Region
+ */
+function getNodeRegion(node) {
+    return getRegionName(node.geolocation ?? {});
+}
+
+/**
+ * Get the usage of the busier of CPU and memory
+ * @param {?{cpu: ?number, memory: ?number}} load Load reported by the node
+ * @returns {?number} Usage in percent, null if unknown
+ */
+function getUsage(load) {
+    const values = [ load?.cpu, load?.memory ].filter(Number.isFinite);
+    return values.length > 0 ? Math.max(...values) : null;
+}
+
+/**
+ * Rate a node for running one more monitor, from its reputation, the
+ * CPU and memory it has left and the checks it was given already
+ * compared to the tasks it runs at the same time
+ * @param {object} node Node, as returned by Node.toJSON()
+ * @param {?{cpu: ?number, memory: ?number}} load Load reported by the node
+ * @param {number} assignedRate Checks per minute the node runs already
+ * @returns {number} Score from 0 to 1, higher is better
+ */
+function scoreNode(node, load, assignedRate) {
+    const reputation = node.reputation?.score ?? 1;
+    const headroom = Math.max(1 - (getUsage(load) ?? UNKNOWN_USAGE) / 100, MIN_HEADROOM);
+    const capacity = node.capabilities?.maxConcurrent > 0 ? node.capabilities.maxConcurrent : DEFAULT_MAX_CONCURRENT;
+
+    return reputation * headroom / (1 + assignedRate / capacity);
+}
+
+/**
+ * Choose the nodes of a monitor. Nodes it had before are kept while they
+ * can run the check, so that its checks do not jump between nodes, and
+ * the free places are filled with the best rated nodes. Until the nodes
+ * cover minRegions regions, only nodes of new regions are chosen, and
+ * kept nodes give way to them if needed.
+ * @param {object[]} candidates Nodes which can run the check, as returned by Node.toJSON()
+ * @param {string[]} keepIDs IDs of the nodes to keep if they are candidates
+ * @param {number} count Number of nodes
+ * @param {number} minRegions Regions the nodes should cover
+ * @param {function(object): number} score Rating of a node, see scoreNode()
+ * @returns {object[]} Chosen nodes, the best rated first
+ */
+function pickNodes(candidates, keepIDs, count, minRegions, score) {
+    const scores = new Map(candidates.map((node) => [ node.nodeId, score(node) ]));
+    const byScore = (a, b) => scores.get(b.nodeId) - scores.get(a.nodeId);
+    const targetRegions = Math.min(minRegions, count, new Set(candidates.map(getNodeRegion)).size);
+    const chosen = candidates.filter((node) => keepIDs.includes(node.nodeId)).sort(byScore).slice(0, count);
+
+    /**
+     * Count the chosen nodes by region
+     * @returns {Map<string, number>} Count by region
+     */
+    const countRegions = () => {
+        const regions = new Map();
+        for (const node of chosen) {
+            const region = getNodeRegion(node);
+            regions.set(region, (regions.get(region) ?? 0) + 1);
+        }
+        return regions;
+    };
+
+    // The weakest kept node of a region with several nodes goes first
+    let regions = countRegions();
+    while (regions.size + count - chosen.length < targetRegions) {
+        chosen.splice(chosen.findLastIndex((node) => regions.get(getNodeRegion(node)) > 1), 1);
+        regions = countRegions();
+    }
+
+    const rest = candidates.filter((node) => !chosen.includes(node)).sort(byScore);
+
+    while (chosen.length < count && rest.length > 0) {
+        regions = countRegions();
+        const index = regions.size < targetRegions ? rest.findIndex((node) => !regions.has(getNodeRegion(node))) : 0;
+        chosen.push(...rest.splice(index, 1));
+    }
+
+    return chosen.sort(byScore);
+}
+
+/**
+ * Decides which nodes run the checks of the remote-node monitors. Each
+ * monitor keeps its nodes from check to check. When a node disconnects
+ * or stops answering tasks, its monitors are given to other nodes right
+ * away, so that every monitor is checked by the same number of nodes.
+ */
+class NodeScheduler {
+    /**
+     * Nodes each monitor is assigned to, with what the monitor requires
+     * of them
+     * Key: Monitor ID
+     * @type {Map<number, {requirements: object, nodeIDs: string[]}>}
+     */
+    plans = new Map();
+
+    /**
+     * Last CPU and memory usage reported by the nodes
+     * Key: Node ID
+     * @type {Map<string, {cpu: ?number, memory: ?number}>}
+     */
+    loads = new Map();
+
+    /**
+     * Tasks in a row each node left unanswered
+     * Key: Node ID
+     * @type {Map<string, number>}
+     */
+    missedTasks = new Map();
+
+    /**
+     * Nodes which stopped answering tasks, until when they are left out
+     * Key: Node ID
+     * @type {Map<string, number>}
+     */
+    unresponsiveUntil = new Map();
+
+    /**
+     * @param {{getOnlineNodeIDs: function(): string[], canRunTask: function(string, object): boolean}} gateway Node gateway the nodes are connected to
+     */
+    constructor(gateway) {
+        this.gateway = gateway;
+    }
+
+    /**
+     * Get the nodes which run the next check of a monitor, assigning
+     * nodes to it as needed
+     * @param {number} monitorID Monitor ID
+     * @param {{filter: object, nodeCount: number, minRegions: number, checkType: string, interval: number}} requirements Nodes the monitor needs
+     * @returns {Promise<object[]>} Nodes, as returned by Node.toJSON(), none if no node can run the check
+     * @throws {Error} The nodes which can run the check cover too few regions
+     */
+    async assign(monitorID, requirements) {
+        const eligible = await getEligibleNodes(requirements.filter, this.gateway.getOnlineNodeIDs());
+        const task = {
+            type: "checkEndpoint",
+            check: {
+                type: requirements.checkType,
+            },
+        };
+        const candidates = eligible.filter((node) => {
+            return supportsCheck(node, requirements.checkType) && this.gateway.canRunTask(node.nodeId, task) && !this.isUnresponsive(node.nodeId);
+        });
+
+        const previousIDs = this.plans.get(monitorID)?.nodeIDs ?? [];
+        const keepIDs = previousIDs.filter((nodeID) => !this.isOverloaded(nodeID));
+
+        const nodes = pickNodes(candidates, keepIDs, requirements.nodeCount, requirements.minRegions, (node) => {
+            return scoreNode(node, this.loads.get(node.nodeId), this.getAssignedRate(node.nodeId, monitorID));
+        });
+
+        const nodeIDs = nodes.map((node) => node.nodeId);
+        if (nodeIDs.length !== previousIDs.length || nodeIDs.some((nodeID) => !previousIDs.includes(nodeID))) {
+            log.debug("node", `Monitor ${monitorID} is assigned to nodes: ${nodeIDs.join(", ") || "none"}`);
+        }
+
+        this.plans.set(monitorID, {
+            requirements,
+            nodeIDs,
+        });
+
+        const regionCount = new Set(nodes.map(getNodeRegion)).size;
+        if (nodes.length > 0 && regionCount < requirements.minRegions) {
+            throw new Error(`The nodes which can run the check are in ${regionCount} region(s), ${requirements.minRegions} are required`);
+        }
+
+        return nodes;
+    }
+
+    /**
+     * Forget the nodes of a monitor, e.g. after it was paused or deleted
+     * @param {number} monitorID Monitor ID
+     * @returns {void}
+     */
+    removeMonitor(monitorID) {
+        this.plans.delete(monitorID);
+    }
+
+    /**
+     * Take a node off its monitors and give them to other nodes
+     * @param {string} nodeID Node ID
+     * @param {string} reason Why, for the log
+     * @returns {Promise<number[]>} IDs of the monitors which were reassigned
+     */
+    async releaseNode(nodeID, reason) {
+        const monitorIDs = [];
+
+        for (const [ monitorID, plan ] of this.plans) {
+            if (plan.nodeIDs.includes(nodeID)) {
+                plan.nodeIDs = plan.nodeIDs.filter((id) => id !== nodeID);
+                monitorIDs.push(monitorID);
+            }
+        }
+
+        if (monitorIDs.length === 0) {
+            return monitorIDs;
+        }
+
+        log.info("node", `Node ${nodeID} ${reason}, reassigning ${monitorIDs.length} monitor(s)`);
+
+        await Promise.all(monitorIDs.map(async (monitorID) => {
+            try {
+                await this.assign(monitorID, this.plans.get(monitorID).requirements);
+            } catch (e) {
+                log.warn("node", `Failed to reassign monitor ${monitorID}: ${e.message}`);
+            }
+        }));
+
+        return monitorIDs;
+    }
+
+    /**
+     * Record a metrics report of a node
+     * @param {string} nodeID Node ID
+     * @param {{cpu: ?number, memory: ?number}} summary Metrics, see summarizeMetrics()
+     * @returns {void}
+     */
+    recordLoad(nodeID, summary) {
+        this.loads.set(nodeID, {
+            cpu: summary.cpu,
+            memory: summary.memory,
+        });
+    }
+
+    /**
+     * Record a task sent to a node. A node which leaves MISSED_TASK_LIMIT
+     * tasks in a row unanswered is taken off its monitors.
+     * @param {string} nodeID Node ID
+     * @param {boolean} answered Did the node answer, with a result or an error?
+     * @returns {void}
+     */
+    recordTask(nodeID, answered) {
+        if (answered) {
+            this.missedTasks.delete(nodeID);
+            this.unresponsiveUntil.delete(nodeID);
+            return;
+        }
+
+        const missed = (this.missedTasks.get(nodeID) ?? 0) + 1;
+        if (missed < MISSED_TASK_LIMIT) {
+            this.missedTasks.set(nodeID, missed);
+            return;
+        }
+
+        this.missedTasks.delete(nodeID);
+        this.unresponsiveUntil.set(nodeID, Date.now() + UNRESPONSIVE_PERIOD);
+        this.releaseNode(nodeID, `left ${missed} tasks unanswered`);
+    }
+
+    /**
+     * Is the node left out because it stopped answering tasks?
+     * @param {string} nodeID Node ID
+     * @returns {boolean} Left out?
+     */
+    isUnresponsive(nodeID) {
+        const until = this.unresponsiveUntil.get(nodeID);
+
+        if (until === undefined) {
+            return false;
+        } else if (until <= Date.now()) {
+            this.unresponsiveUntil.delete(nodeID);
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Is the node too busy to keep its monitors?
+     * @param {string} nodeID Node ID
+     * @returns {boolean} Overloaded?
+     */
+    isOverloaded(nodeID) {
+        return (getUsage(this.loads.get(nodeID)) ?? 0) >= OVERLOAD_THRESHOLD;
+    }
+
+    /**
+     * Get the checks per minute a node runs for the monitors it is
+     * assigned to
+     * @param {string} nodeID Node ID
+     * @param {?number} exceptMonitorID Monitor which is not counted
+     * @returns {number} Checks per minute
+     */
+    getAssignedRate(nodeID, exceptMonitorID = null) {
+        let rate = 0;
+
+        for (const [ monitorID, plan ] of this.plans) {
+            if (monitorID !== exceptMonitorID && plan.nodeIDs.includes(nodeID)) {
+                rate += 60 / plan.requirements.interval;
+            }
+        }
+
+        return rate;
+    }
+}
+
+module.exports = {
+    OVERLOAD_THRESHOLD,
+    MISSED_TASK_LIMIT,
+    scoreNode,
+    pickNodes,
+    NodeScheduler,
+};
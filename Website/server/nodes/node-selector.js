@@ -0,0 +1,143 @@
+const { R } = require("redbean-node");
+const dayjs = require("dayjs");
+
+/**
+ * Ways of choosing the nodes which run the check of a remote-node
+ * monitor
+ * @type {string[]}
+ */
+const NODE_FILTER_TYPES = [ "any", "region", "country", "tag" ];
+
+/**
+ * Parse the node filter of a monitor
+ * @param {string|object|null} value Node filter, as stored or as sent by the frontend
+ * @returns {{by: string, values: string[]}} Node filter
+ */
+function parseNodeFilter(value) {
+    let filter = value;
+
+    if (typeof value === "string") {
+        try {
+            filter = JSON.parse(value);
+        } catch (e) {
+            filter = null;
+        }
+    }
+
+    if (!filter || typeof filter !== "object" || !NODE_FILTER_TYPES.includes(filter.by)) {
+        return {
+            by: "any",
+            values: [],
+        };
+    }
+
+    return {
+        by: filter.by,
+        values: Array.isArray(filter.values) ? filter.values.filter((v) => typeof v === "string") : [],
+    };
+}
+
+/**
+ * Does a node match a node filter?
+ * @param {object} node Node, as returned by Node.toJSON()
+ * @param {{by: string, values: string[]}} filter Node filter
+ * @returns {boolean} Does the node match?
+ */
+function matchesNodeFilter(node, filter) {
+    if (filter.by === "any" || filter.values.length === 0) {
+        return true;
+    }
+
+    const values = filter.values.map((v) => v.toLowerCase());
+    const has = (v) => typeof v === "string" && values.includes(v.toLowerCase());
+    const geolocation = node.geolocation || {};
+
+    switch (filter.by) {
+        case "region":
+            return has(geolocation.region);
+        case "country":
+            return has(geolocation.country) || has(geolocation.countryCode);
+        case "tag":
+            return (node.tags || []).some(has);
+        default:
+            return false;
+    }
+}
+
+/**
+ * Can a node run a check? Nodes list the checks they run in their
+ * capabilities, older clients which do not are assumed to run all.
+ * @param {object} node Node, as returned by Node.toJSON()
+ * @param {string} checkType Check of the checkEndpoint task, e.g. "http"
+ * @returns {boolean} Does the node run the check?
+ */
+function supportsCheck(node, checkType) {
+    const checks = node.capabilities?.checks;
+    return !Array.isArray(checks) || checks.includes(checkType);
+}
+
+/**
+ * Get the online nodes which match a node filter. Disabled and
+ * quarantined nodes are left out.
+ * @param {{by: string, values: string[]}} filter Node filter
+ * @param {string[]} onlineNodeIDs IDs of the connected nodes
+ * @returns {Promise<object[]>} Nodes, as returned by Node.toJSON()
+ */
+async function getEligibleNodes(filter, onlineNodeIDs) {
+    if (onlineNodeIDs.length === 0) {
+        return [];
+    }
+
+    const beans = await R.find("node", ` active = 1 AND (quarantined_until IS NULL OR quarantined_until <= ?) AND node_id IN (${onlineNodeIDs.map(() => "?").join(",")}) `, [
+        R.isoDateTime(dayjs.utc()),
+        ...onlineNodeIDs,
+    ]);
+
+    return beans.map((bean) => bean.toJSON()).filter((node) => matchesNodeFilter(node, filter));
+}
+
+/**
+ * Get the regions, countries and tags of the active nodes, for the
+ * node filter of the monitor form
+ * @returns {Promise<{regions: string[], countries: string[], tags: string[], onlineCount: number}>} Filter options
+ */
+async function getNodeFilterOptions() {
+    const { NodeGateway } = require("./node-gateway");
+
+    const beans = await R.find("node", " active = 1 ");
+    const regions = new Set();
+    const countries = new Set();
+    const tags = new Set();
+
+    for (const bean of beans) {
+        const node = bean.toJSON();
+
+        if (node.geolocation?.region) {
+            regions.add(node.geolocation.region);
+        }
+
+        if (node.geolocation?.country) {
+            countries.add(node.geolocation.country);
+        }
+
+        for (const tag of node.tags) {
+            tags.add(tag);
+        }
+    }
+
+    return {
+        regions: Array.from(regions).sort(),
+        countries: Array.from(countries).sort(),
+        tags: Array.from(tags).sort(),
+        onlineCount: NodeGateway.getInstance().getOnlineNodeIDs().length,
+    };
+}
+
+module.exports = {
+    NODE_FILTER_TYPES,
+    parseNodeFilter,
+    matchesNodeFilter,
+    supportsCheck,
+    getEligibleNodes,
+    getNodeFilterOptions,
+};
@@ -0,0 +1,557 @@
+const { R } = require("redbean-node");
+const dayjs = require("dayjs");
+const bs58 = require("bs58");
+const { Connection, Keypair, PublicKey, SystemProgram, Transaction, clusterApiUrl } = require("@solana/web3.js");
+const {
+    TOKEN_PROGRAM_ID,
+    TOKEN_2022_PROGRAM_ID,
+    AccountState,
+    unpackMint,
+    getTransferFeeConfig,
+    getEpochFee,
+    calculateFee,
+    getTransferHook,
+    getNonTransferable,
+    getDefaultAccountState,
+    getAssociatedTokenAddressSync,
+    createAssociatedTokenAccountIdempotentInstruction,
+    createTransferCheckedInstruction,
+    createTransferCheckedWithFeeInstruction,
+} = require("@solana/spl-token");
+const { log } = require("../../src/util");
+
+/**
+ * Transfers packed into one transaction. Token transfers also create the
+ * token account of the recipient, which keeps a full transaction well
+ * below the size limit.
+ * @type {number}
+ */
+const MAX_TRANSFERS_PER_TRANSACTION = 8;
+
+/**
+ * Decimals of SOL, amounts are sent in lamports
+ * @type {number}
+ */
+const SOL_DECIMALS = 9;
+
+/**
+ * Payouts of a reward which may fail or expire before the reward is put
+ * aside for manual review instead of being paid again
+ * @type {number}
+ */
+const MAX_PAYOUT_ATTEMPTS = 5;
+
+/**
+ * Time before a reward is paid again after its first payout failed or
+ * expired, in milliseconds. It doubles with every further attempt.
+ * @type {number}
+ */
+const PAYOUT_RETRY_DELAY = 10 * 60 * 1000;
+
+/**
+ * Convert a ledger amount to base units of the token without going
+ * through floating point multiplication
+ * @param {number|string} amount Amount
+ * @param {number} decimals Decimals of the token
+ * @returns {bigint} Amount in base units
+ */
+function toBaseUnits(amount, decimals) {
+    const [ whole, fraction = "" ] = Number(amount).toFixed(decimals).split(".");
+    return BigInt(whole + fraction);
+}
+
+/**
+ * Get the amount to send so that the recipient gets the given amount
+ * after the transfer fee of a Token-2022 mint is withheld
+ * @param {{transferFeeBasisPoints: number, maximumFee: bigint}} transferFee Transfer fee of the current epoch
+ * @param {bigint} amount Amount the recipient gets
+ * @returns {{amount: bigint, fee: bigint}} Amount to send and the fee withheld from it
+ */
+function addTransferFee(transferFee, amount) {
+    if (transferFee.transferFeeBasisPoints >= 10000) {
+        // Everything is withheld up to the maximum fee
+        return {
+            amount: amount + transferFee.maximumFee,
+            fee: transferFee.maximumFee,
+        };
+    }
+
+    // The fee grows with the amount sent, until the fee of the amount
+    // sent no longer changes
+    let fee = 0n;
+    let nextFee = calculateFee(transferFee, amount);
+    while (nextFee !== fee) {
+        fee = nextFee;
+        nextFee = calculateFee(transferFee, amount + fee);
+    }
+
+    return {
+        amount: amount + fee,
+        fee,
+    };
+}
+
+/**
+ * Pays the settled rewards of the reward ledger out on Solana.
+ *
+ * Payouts are idempotent. Each payout is recorded with the ledger rows it
+ * pays before anything is signed, and the signed transaction is recorded
+ * before it is sent. After a crash or an RPC error the signature status
+ * is checked before doing anything else: a transaction which may still
+ * land is sent again as is, and the rows are only paid with a new
+ * transaction once the blockhash of the old one expired without it
+ * landing. Ledger rows are marked finalized at finalized commitment.
+ *
+ * The transfer code of uptime-client's solana.js moved here: nodes only
+ * receive rewards, so this is the only place transfers are built. The
+ * client only derives its token account, from the mint the same way as
+ * getMintInfo().
+ *
+ * A reward whose payouts keep failing is paid again later and later, and
+ * put in the review status after MAX_PAYOUT_ATTEMPTS, so that a
+ * transaction which cannot succeed is not sent on every run.
+ */
+class PayoutEngine {
+    /**
+     * Current engine instance
+     * @type {?PayoutEngine}
+     */
+    static instance = null;
+
+    /**
+     * Payout run in progress
+     * @type {?Promise<void>}
+     */
+    running = null;
+
+    /**
+     * Token program, decimals and transfer fee of the reward token,
+     * fetched once
+     * @type {?{programId: PublicKey, decimals: number, transferFeeConfig: ?object}}
+     */
+    mintInfo = null;
+
+    /**
+     * @param {Connection} connection Solana RPC connection
+     * @param {Keypair} payer Wallet the rewards are paid from
+     * @param {?PublicKey} mint Mint of the reward token, null to pay in SOL
+     */
+    constructor(connection, payer, mint = null) {
+        this.connection = connection;
+        this.payer = payer;
+        this.mint = mint;
+    }
+
+    /**
+     * Get the current instance of the engine if it exists, otherwise
+     * create it from the environment. Payouts are disabled unless
+     * UPTIME_KUMA_REWARD_WALLET is set to the secret key of the reward
+     * wallet, as a JSON array of bytes.
+     * @returns {?PayoutEngine} Engine instance, null if payouts are disabled
+     * @throws {Error} Invalid wallet or mint
+     */
+    static getInstance() {
+        if (PayoutEngine.instance == null && process.env.UPTIME_KUMA_REWARD_WALLET) {
+            const rpcURL = process.env.UPTIME_KUMA_SOLANA_RPC_URL || clusterApiUrl("devnet");
+            const payer = Keypair.fromSecretKey(Uint8Array.from(JSON.parse(process.env.UPTIME_KUMA_REWARD_WALLET)));
+            const mint = process.env.UPTIME_KUMA_REWARD_TOKEN_MINT ? new PublicKey(process.env.UPTIME_KUMA_REWARD_TOKEN_MINT) : null;
+
+            PayoutEngine.instance = new PayoutEngine(new Connection(rpcURL, "confirmed"), payer, mint);
+            log.info("payout", `Paying node rewards in ${mint ? mint.toBase58() : "SOL"} from ${payer.publicKey.toBase58()}`);
+        }
+        return PayoutEngine.instance;
+    }
+
+    /**
+     * Check the payouts in flight and pay the rewards which are not paid
+     * yet. Runs are never done in parallel.
+     * @returns {Promise<void>}
+     */
+    run() {
+        if (!this.running) {
+            this.running = this.process().finally(() => {
+                this.running = null;
+            });
+        }
+        return this.running;
+    }
+
+    /**
+     * One payout run
+     * @returns {Promise<void>}
+     */
+    async process() {
+        await this.checkSentPayouts();
+
+        // Recorded but never signed, e.g. the server stopped in between
+        for (const payout of await R.find("node_payout", " status = ? ", [ "pending" ])) {
+            await this.signAndSend(payout);
+        }
+
+        await this.createPayouts();
+    }
+
+    /**
+     * Check the status of the payouts which were sent, and finalize,
+     * send again or give up on each of them
+     * @returns {Promise<void>}
+     */
+    async checkSentPayouts() {
+        const payouts = await R.find("node_payout", " status = ? ", [ "sent" ]);
+
+        if (payouts.length === 0) {
+            return;
+        }
+
+        // Fetched before the statuses: a transaction which is not found
+        // although its blockhash expired at this height can never land
+        const blockHeight = await this.connection.getBlockHeight("finalized");
+
+        const { value: statuses } = await this.connection.getSignatureStatuses(payouts.map((payout) => payout.signature), {
+            searchTransactionHistory: true,
+        });
+
+        for (let i = 0; i < payouts.length; i++) {
+            const payout = payouts[i];
+            const status = statuses[i];
+
+            if (status?.err) {
+                await this.releasePayout(payout, "failed", `Transaction failed: ${JSON.stringify(status.err)}`);
+            } else if (status?.confirmationStatus === "finalized") {
+                await this.finalizePayout(payout);
+            } else if (status) {
+                log.debug("payout", `Payout ${payout.id} is ${status.confirmationStatus}, waiting for finalization`);
+            } else if (blockHeight > payout.last_valid_block_height) {
+                await this.releasePayout(payout, "expired", "Blockhash expired before the transaction landed");
+            } else {
+                await this.broadcast(payout);
+            }
+        }
+    }
+
+    /**
+     * Pay the settled rewards which are not part of a payout yet, and
+     * whose retry delay is over
+     * @returns {Promise<void>}
+     */
+    async createPayouts() {
+        const rewards = await R.find("node_reward", " status = ? AND payout_id IS NULL AND amount > 0 AND (next_payout_date IS NULL OR next_payout_date <= ?) ORDER BY id ", [
+            "settled",
+            R.isoDateTime(dayjs.utc()),
+        ]);
+
+        // All unpaid epochs of a node are paid with one transfer
+        const byNode = new Map();
+        for (const reward of rewards) {
+            if (!byNode.has(reward.node_id)) {
+                byNode.set(reward.node_id, []);
+            }
+            byNode.get(reward.node_id).push(reward);
+        }
+
+        const nodeRewards = Array.from(byNode.values());
+
+        for (let i = 0; i < nodeRewards.length; i += MAX_TRANSFERS_PER_TRANSACTION) {
+            let payout = R.dispense("node_payout");
+            payout.status = "pending";
+            payout.token = this.mint ? this.mint.toBase58() : "SOL";
+            payout.attempts = 0;
+            payout.created_date = R.isoDateTime(dayjs.utc());
+            await R.store(payout);
+
+            for (const reward of nodeRewards.slice(i, i + MAX_TRANSFERS_PER_TRANSACTION).flat()) {
+                reward.payout_id = payout.id;
+                await R.store(reward);
+            }
+
+            await this.signAndSend(payout);
+        }
+    }
+
+    /**
+     * Build and sign the transaction of a recorded payout, record it and
+     * send it
+     * @param {Bean} payout Payout in the pending status
+     * @returns {Promise<void>}
+     */
+    async signAndSend(payout) {
+        const rewards = await R.find("node_reward", " payout_id = ? ", [ payout.id ]);
+
+        if (rewards.length === 0) {
+            payout.status = "failed";
+            payout.error = "No rewards to pay";
+            await R.store(payout);
+            return;
+        }
+
+        try {
+            const transfers = await this.getTransfers(rewards);
+            const { blockhash, lastValidBlockHeight } = await this.connection.getLatestBlockhash("finalized");
+
+            const transaction = new Transaction({
+                feePayer: this.payer.publicKey,
+                blockhash,
+                lastValidBlockHeight,
+            });
+            transaction.add(...await this.buildInstructions(transfers));
+            transaction.sign(this.payer);
+
+            payout.signature = bs58.encode(transaction.signature);
+            payout.transaction = transaction.serialize().toString("base64");
+            payout.last_valid_block_height = lastValidBlockHeight;
+        } catch (e) {
+            // Nothing was signed. Failures such as an unknown recipient or
+            // an unusable mint do not go away, so the rewards back off like
+            // after a failed transaction.
+            await this.releasePayout(payout, "failed", `Failed to build the transaction: ${e.message}`);
+            return;
+        }
+
+        payout.status = "sent";
+        await R.store(payout);
+
+        await this.broadcast(payout);
+    }
+
+    /**
+     * Send the signed transaction of a payout. Sending the same
+     * transaction again is safe, it can only land once.
+     * @param {Bean} payout Payout in the sent status
+     * @returns {Promise<void>}
+     */
+    async broadcast(payout) {
+        payout.attempts++;
+
+        try {
+            await this.connection.sendRawTransaction(Buffer.from(payout.transaction, "base64"), {
+                // A transaction which was accepted before may already be
+                // processed. One which was not is checked again, so that
+                // a transaction which cannot succeed never lands.
+                skipPreflight: !!payout.sent_date,
+            });
+            payout.sent_date ??= R.isoDateTime(dayjs.utc());
+            payout.error = null;
+            log.info("payout", `Sent payout ${payout.id}: ${payout.signature}`);
+        } catch (e) {
+            // Checked again by the next run, until the blockhash expires
+            log.warn("payout", `Failed to send payout ${payout.id}: ${e.message}`);
+            payout.error = e.message;
+        }
+
+        await R.store(payout);
+    }
+
+    /**
+     * Mark a payout and its rewards as finalized and notify the nodes
+     * @param {Bean} payout Payout which was finalized on chain
+     * @returns {Promise<void>}
+     */
+    async finalizePayout(payout) {
+        payout.status = "finalized";
+        payout.finalized_date = R.isoDateTime(dayjs.utc());
+        payout.error = null;
+        await R.store(payout);
+
+        const { NodeGateway } = require("./node-gateway");
+        const gateway = NodeGateway.getInstance();
+
+        for (const reward of await R.find("node_reward", " payout_id = ? ", [ payout.id ])) {
+            reward.status = "finalized";
+            await R.store(reward);
+
+            gateway.sendReward(reward.node_id, {
+                ...reward.toJSON(),
+                txId: payout.signature,
+            });
+        }
+
+        log.info("payout", `Payout ${payout.id} is finalized: ${payout.signature}`);
+    }
+
+    /**
+     * Give up on a payout which did not and cannot pay anything, so that
+     * its rewards are paid by a new payout. A transaction which was
+     * accepted and then dropped, e.g. under congestion, is paid again
+     * right away. If it could not be built, failed on chain or was never
+     * accepted, the rewards
+     * are paid again once their retry delay is over, or put in the review
+     * status if they failed too often.
+     * @param {Bean} payout Payout
+     * @param {string} status failed or expired
+     * @param {string} error Reason
+     * @returns {Promise<void>}
+     */
+    async releasePayout(payout, status, error) {
+        payout.status = status;
+        payout.error = error;
+        await R.store(payout);
+
+        const retryLater = status === "failed" || !payout.sent_date;
+
+        for (const reward of await R.find("node_reward", " payout_id = ? ", [ payout.id ])) {
+            reward.payout_id = null;
+
+            if (retryLater) {
+                reward.payout_attempts = (reward.payout_attempts ?? 0) + 1;
+
+                if (reward.payout_attempts >= MAX_PAYOUT_ATTEMPTS) {
+                    reward.status = "review";
+                    reward.next_payout_date = null;
+                    log.error("payout", `Reward ${reward.id} of node ${reward.node_id} was not paid after ${reward.payout_attempts} attempts, it needs a manual review`);
+                } else {
+                    const delay = PAYOUT_RETRY_DELAY * 2 ** (reward.payout_attempts - 1);
+                    reward.next_payout_date = R.isoDateTime(dayjs.utc().add(delay, "ms"));
+                }
+            }
+
+            await R.store(reward);
+        }
+
+        log.warn("payout", `Payout ${payout.id} ${status}: ${error}`);
+    }
+
+    /**
+     * Sum up the rewards of each node and look up the wallets of the nodes
+     * @param {Bean[]} rewards Ledger rows of the payout
+     * @returns {Promise<{nodeID: string, recipient: PublicKey, amount: bigint}[]>} Transfers
+     * @throws {Error} A node no longer exists
+     */
+    async getTransfers(rewards) {
+        const decimals = await this.getDecimals();
+        const amounts = new Map();
+
+        for (const reward of rewards) {
+            amounts.set(reward.node_id, (amounts.get(reward.node_id) ?? 0n) + toBaseUnits(reward.amount, decimals));
+        }
+
+        const nodeIDs = Array.from(amounts.keys());
+        const nodes = await R.find("node", ` node_id IN (${nodeIDs.map(() => "?").join(",")}) `, nodeIDs);
+
+        return nodeIDs.map((nodeID) => {
+            const node = nodes.find((n) => n.node_id === nodeID);
+
+            if (!node) {
+                throw new Error(`Unknown node ${nodeID}`);
+            }
+
+            return {
+                nodeID,
+                recipient: new PublicKey(node.public_key),
+                amount: amounts.get(nodeID),
+            };
+        });
+    }
+
+    /**
+     * Build the instructions of the transfers. Tokens are sent with
+     * transferChecked through the program which owns the mint, either the
+     * token program or Token-2022. If the mint has a transfer fee, the fee
+     * is added to the amount sent, so the nodes get their full reward.
+     * @param {{recipient: PublicKey, amount: bigint}[]} transfers Transfers
+     * @returns {Promise<TransactionInstruction[]>} Instructions
+     */
+    async buildInstructions(transfers) {
+        const instructions = [];
+
+        if (!this.mint) {
+            for (const transfer of transfers) {
+                instructions.push(SystemProgram.transfer({
+                    fromPubkey: this.payer.publicKey,
+                    toPubkey: transfer.recipient,
+                    lamports: transfer.amount,
+                }));
+            }
+            return instructions;
+        }
+
+        const { programId, decimals, transferFeeConfig } = await this.getMintInfo();
+
+        // The fee of the current epoch. If the transaction lands in the
+        // next epoch with a different fee it fails, and the rewards are
+        // paid with a new transaction.
+        let transferFee = null;
+        if (transferFeeConfig) {
+            const { epoch } = await this.connection.getEpochInfo();
+            transferFee = getEpochFee(transferFeeConfig, BigInt(epoch));
+        }
+
+        const source = getAssociatedTokenAddressSync(this.mint, this.payer.publicKey, false, programId);
+
+        for (const transfer of transfers) {
+            const destination = getAssociatedTokenAddressSync(this.mint, transfer.recipient, false, programId);
+
+            // Does nothing if the account exists, so retries cannot fail on it
+            instructions.push(createAssociatedTokenAccountIdempotentInstruction(this.payer.publicKey, destination, transfer.recipient, this.mint, programId));
+
+            if (transferFee) {
+                const { amount, fee } = addTransferFee(transferFee, transfer.amount);
+                instructions.push(createTransferCheckedWithFeeInstruction(source, this.mint, destination, this.payer.publicKey, amount, decimals, fee, [], programId));
+            } else {
+                instructions.push(createTransferCheckedInstruction(source, this.mint, destination, this.payer.publicKey, transfer.amount, decimals, [], programId));
+            }
+        }
+
+        return instructions;
+    }
+
+    /**
+     * Get the token program, decimals and transfer fee of the reward
+     * token. Extensions of Token-2022 which keep the payouts from working
+     * are refused.
+     * @returns {Promise<{programId: PublicKey, decimals: number, transferFeeConfig: ?object}>} Mint
+     * @throws {Error} The mint does not exist or cannot be used for payouts
+     */
+    async getMintInfo() {
+        if (this.mintInfo === null) {
+            const account = await this.connection.getAccountInfo(this.mint);
+
+            if (!account) {
+                throw new Error(`The reward token mint ${this.mint.toBase58()} does not exist`);
+            }
+
+            const programId = account.owner;
+
+            if (!programId.equals(TOKEN_PROGRAM_ID) && !programId.equals(TOKEN_2022_PROGRAM_ID)) {
+                throw new Error(`${this.mint.toBase58()} is not a mint of the token program or Token-2022`);
+            }
+
+            const mint = unpackMint(this.mint, account, programId);
+            const transferHook = getTransferHook(mint);
+
+            if (getNonTransferable(mint)) {
+                throw new Error("The reward token is non-transferable");
+            }
+            if (transferHook && !transferHook.programId.equals(PublicKey.default)) {
+                throw new Error("The reward token has a transfer hook, which payouts do not support");
+            }
+            if (getDefaultAccountState(mint)?.state === AccountState.Frozen) {
+                throw new Error("New accounts of the reward token are frozen, nodes could not receive it");
+            }
+
+            this.mintInfo = {
+                programId,
+                decimals: mint.decimals,
+                transferFeeConfig: getTransferFeeConfig(mint),
+            };
+
+            log.info("payout", `Reward token ${this.mint.toBase58()} is a ${programId.equals(TOKEN_2022_PROGRAM_ID) ? "Token-2022" : "token program"} mint${this.mintInfo.transferFeeConfig ? " with a transfer fee" : ""}`);
+        }
+        return this.mintInfo;
+    }
+
+    /**
+     * Get the decimals of the reward token
+     * @returns {Promise<number>} Decimals
+     */
+    async getDecimals() {
+        return this.mint ? (await this.getMintInfo()).decimals : SOL_DECIMALS;
+    }
+}
+
+module.exports = {
+    MAX_TRANSFERS_PER_TRANSACTION,
+    MAX_PAYOUT_ATTEMPTS,
+    toBaseUnits,
+    addTransferFee,
+    PayoutEngine,
+};
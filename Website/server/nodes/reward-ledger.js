@@ -0,0 +1,298 @@
+const { R } = require("redbean-node");
+const dayjs = require("dayjs");
+const { log } = require("../../src/util");
+const { getRewardFactor } = require("./node-reputation");
+
+/**
+ * Length of a reward epoch, epochs start at midnight UTC
+ * @type {number}
+ */
+const EPOCH_LENGTH = 24 * 60 * 60 * 1000;
+
+/**
+ * Nodes below this uptime in an epoch are not rewarded for it
+ * @type {number}
+ */
+const MIN_REWARD_UPTIME = 0.9;
+
+/**
+ * Reward of a node which was up for a whole epoch, used unless
+ * UPTIME_KUMA_NODE_REWARD_AMOUNT is set
+ * @type {number}
+ */
+const DEFAULT_EPOCH_REWARD = 0.1;
+
+/**
+ * Get the start of the epoch a point in time belongs to
+ * @param {number} time Unix timestamp in milliseconds
+ * @returns {number} Start of the epoch, unix timestamp in milliseconds
+ */
+function getEpochStart(time) {
+    return Math.floor(time / EPOCH_LENGTH) * EPOCH_LENGTH;
+}
+
+/**
+ * Get the reward of a node which was up for a whole epoch
+ * @returns {number} Reward
+ */
+function getEpochReward() {
+    const amount = parseFloat(process.env.UPTIME_KUMA_NODE_REWARD_AMOUNT);
+    return Number.isFinite(amount) && amount >= 0 ? amount : DEFAULT_EPOCH_REWARD;
+}
+
+/**
+ * Compute the reward of a node for an epoch. A keepalive round only
+ * counts as up if the node answered it and also sent an authenticated
+ * ping, so a node has to keep both its connection and its application
+ * alive. The reward is scaled by the share of tasks the node completed
+ * and reduced or withheld if the reputation of the node is low.
+ * @param {{heartbeats: number, pings: number, tasksCompleted: number, tasksFailed: number}} counts Counts of the epoch
+ * @param {number} roundLength Length of a keepalive round in milliseconds
+ * @param {number} epochReward Reward for a whole epoch
+ * @param {number} reputation Reputation of the node, see node-reputation.js
+ * @returns {{uptime: number, taskRate: number, amount: number}} Reward
+ */
+function computeReward(counts, roundLength, epochReward, reputation = 1) {
+    const expectedRounds = EPOCH_LENGTH / roundLength;
+    const uptime = Math.min(1, Math.min(counts.heartbeats, counts.pings) / expectedRounds);
+
+    const tasks = counts.tasksCompleted + counts.tasksFailed;
+    const taskRate = tasks > 0 ? counts.tasksCompleted / tasks : 1;
+
+    let amount = 0;
+    if (uptime >= MIN_REWARD_UPTIME) {
+        // The ledger stores 9 decimals, the precision of SOL
+        amount = Math.round(epochReward * uptime * taskRate * getRewardFactor(reputation) * 1e9) / 1e9;
+    }
+
+    return {
+        uptime,
+        taskRate,
+        amount,
+    };
+}
+
+/**
+ * Keeps the reward ledger of the nodes. The node gateway reports what
+ * it observed, which is counted in memory and written to the node_reward
+ * table once per keepalive round. Nothing a node reports about itself
+ * is taken into account.
+ */
+class RewardLedger {
+    /**
+     * Counts not written to the database yet
+     * Key: Epoch start and node ID
+     * @type {Map<string, object>}
+     */
+    pending = new Map();
+
+    /**
+     * Writes are done one after another, so that two writes never
+     * create the same row
+     * @type {Promise<void>}
+     */
+    writeQueue = Promise.resolve();
+
+    /**
+     * @param {number} roundLength Length of a keepalive round in milliseconds
+     */
+    constructor(roundLength) {
+        this.roundLength = roundLength;
+    }
+
+    /**
+     * Record a keepalive round the node answered
+     * @param {string} nodeID Node ID
+     * @param {boolean} pinged Did the node send an authenticated ping in the round?
+     * @param {number} time Time of the round
+     * @returns {void}
+     */
+    recordRound(nodeID, pinged, time = Date.now()) {
+        const counts = this.getPendingCounts(nodeID, time);
+        counts.heartbeats++;
+
+        if (pinged) {
+            counts.pings++;
+        }
+    }
+
+    /**
+     * Record a task sent to the node
+     * @param {string} nodeID Node ID
+     * @param {boolean} completed Did the node complete the task?
+     * @param {number} time Time the task ended
+     * @returns {void}
+     */
+    recordTask(nodeID, completed, time = Date.now()) {
+        const counts = this.getPendingCounts(nodeID, time);
+
+        if (completed) {
+            counts.tasksCompleted++;
+        } else {
+            counts.tasksFailed++;
+        }
+    }
+
+    /**
+     * Get the counts of a node which are not written yet
+     * @param {string} nodeID Node ID
+     * @param {number} time Time of the event
+     * @returns {object} Counts of the node in the epoch of the event
+     */
+    getPendingCounts(nodeID, time) {
+        const epochStart = getEpochStart(time);
+        const key = `${epochStart}:${nodeID}`;
+        let counts = this.pending.get(key);
+
+        if (!counts) {
+            counts = {
+                nodeID,
+                epochStart,
+                heartbeats: 0,
+                pings: 0,
+                tasksCompleted: 0,
+                tasksFailed: 0,
+            };
+            this.pending.set(key, counts);
+        }
+
+        return counts;
+    }
+
+    /**
+     * Write the pending counts to the database. Counts which cannot be
+     * written are put back, so they are written with the next flush.
+     * @returns {Promise<void>}
+     */
+    flush() {
+        const pending = Array.from(this.pending.values());
+        this.pending.clear();
+
+        this.writeQueue = this.writeQueue.then(async () => {
+            for (const counts of pending) {
+                try {
+                    await this.addCounts(counts);
+                } catch (e) {
+                    log.error("node", `Failed to record the rewards of node ${counts.nodeID}, trying again with the next flush: ${e.message}`);
+                    this.restoreCounts(counts);
+                }
+            }
+        });
+
+        return this.writeQueue;
+    }
+
+    /**
+     * Put counts which could not be written back, added to the counts
+     * recorded since
+     * @param {object} counts Counts, see getPendingCounts()
+     * @returns {void}
+     */
+    restoreCounts(counts) {
+        const pending = this.getPendingCounts(counts.nodeID, counts.epochStart);
+        pending.heartbeats += counts.heartbeats;
+        pending.pings += counts.pings;
+        pending.tasksCompleted += counts.tasksCompleted;
+        pending.tasksFailed += counts.tasksFailed;
+    }
+
+    /**
+     * Add counts to the ledger row of the node and epoch
+     * @param {object} counts Counts, see getPendingCounts()
+     * @returns {Promise<void>}
+     */
+    async addCounts(counts) {
+        const epochStart = R.isoDateTime(dayjs.utc(counts.epochStart));
+
+        let bean = await R.findOne("node_reward", " node_id = ? AND epoch_start = ? ", [
+            counts.nodeID,
+            epochStart,
+        ]);
+
+        if (!bean) {
+            bean = R.dispense("node_reward");
+            bean.node_id = counts.nodeID;
+            bean.epoch_start = epochStart;
+            bean.epoch_end = R.isoDateTime(dayjs.utc(counts.epochStart + EPOCH_LENGTH));
+            bean.heartbeats = 0;
+            bean.pings = 0;
+            bean.tasks_completed = 0;
+            bean.tasks_failed = 0;
+            bean.status = "open";
+        }
+
+        if (bean.status !== "open") {
+            log.warn("node", `Dropped counts of node ${counts.nodeID} for the settled epoch ${epochStart}`);
+            return;
+        }
+
+        bean.heartbeats += counts.heartbeats;
+        bean.pings += counts.pings;
+        bean.tasks_completed += counts.tasksCompleted;
+        bean.tasks_failed += counts.tasksFailed;
+
+        await R.store(bean);
+    }
+
+    /**
+     * Settle the epochs which ended: compute the uptime and the reward
+     * of each node. The reputation the node has at settlement applies.
+     * @param {number} now Current time
+     * @returns {Promise<Bean[]>} Settled ledger rows
+     */
+    async settle(now = Date.now()) {
+        await this.flush();
+
+        const beans = await R.find("node_reward", " status = 'open' AND epoch_end <= ? ", [
+            R.isoDateTime(dayjs.utc(now)),
+        ]);
+
+        const epochReward = getEpochReward();
+        const reputations = await this.getReputations(beans.map((bean) => bean.node_id));
+
+        for (const bean of beans) {
+            const reputation = reputations.get(bean.node_id) ?? 1;
+            const reward = computeReward({
+                heartbeats: bean.heartbeats,
+                pings: bean.pings,
+                tasksCompleted: bean.tasks_completed,
+                tasksFailed: bean.tasks_failed,
+            }, this.roundLength, epochReward, reputation);
+
+            bean.uptime = reward.uptime;
+            bean.reputation = reputation;
+            bean.amount = reward.amount;
+            bean.status = "settled";
+            bean.settled_date = R.isoDateTime(dayjs.utc(now));
+            await R.store(bean);
+
+            log.info("node", `Settled epoch ${bean.epoch_start} of node ${bean.node_id}: uptime ${(reward.uptime * 100).toFixed(2)}%, reputation ${reputation.toFixed(3)}, reward ${reward.amount}`);
+        }
+
+        return beans;
+    }
+
+    /**
+     * Get the reputation of nodes
+     * @param {string[]} nodeIDs Node IDs
+     * @returns {Promise<Map<string, number>>} Reputation by node ID
+     */
+    async getReputations(nodeIDs) {
+        const uniqueNodeIDs = Array.from(new Set(nodeIDs));
+
+        if (uniqueNodeIDs.length === 0) {
+            return new Map();
+        }
+
+        const nodes = await R.find("node", ` node_id IN (${uniqueNodeIDs.map(() => "?").join(",")}) `, uniqueNodeIDs);
+        return new Map(nodes.map((node) => [ node.node_id, node.reputation ]));
+    }
+}
+
+module.exports = {
+    EPOCH_LENGTH,
+    MIN_REWARD_UPTIME,
+    getEpochStart,
+    computeReward,
+    RewardLedger,
+};
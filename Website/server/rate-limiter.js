@@ -47,6 +47,68 @@ class KumaRateLimiter {
     }
 }
 
+/**
+ * Rate limiter with a bucket of its own for each key, e.g. each client
+ * IP, so that one client cannot use up the requests of all others
+ */
+class KeyedRateLimiter {
+    /**
+     * Buckets by key, with the time they were last used
+     * @type {Map<string, {limiter: KumaRateLimiter, lastUsed: number}>}
+     */
+    buckets = new Map();
+
+    /**
+     * @param {object} config Rate limiter configuration object, the same for every key
+     */
+    constructor(config) {
+        this.config = config;
+        this.errorMessage = config.errorMessage;
+        this.idleTimeout = 60 * 60 * 1000;
+        this.lastPrune = Date.now();
+    }
+
+    /**
+     * Should the request of the key be passed through
+     * @param {string} key Key of the client, e.g. its IP address
+     * @param {number} num Number of tokens to remove
+     * @returns {Promise<boolean>} Should the request be allowed?
+     */
+    async pass(key, num = 1) {
+        this.prune();
+
+        let bucket = this.buckets.get(key);
+        if (!bucket) {
+            bucket = {
+                limiter: new KumaRateLimiter(this.config),
+            };
+            this.buckets.set(key, bucket);
+        }
+        bucket.lastUsed = Date.now();
+
+        return await bucket.limiter.pass(null, num);
+    }
+
+    /**
+     * Drop the buckets which were not used for a while, at most once
+     * every idle timeout. They are full again by then anyway.
+     * @returns {void}
+     */
+    prune() {
+        const now = Date.now();
+        if (now - this.lastPrune < this.idleTimeout) {
+            return;
+        }
+
+        this.lastPrune = now;
+        for (const [ key, bucket ] of this.buckets) {
+            if (now - bucket.lastUsed >= this.idleTimeout) {
+                this.buckets.delete(key);
+            }
+        }
+    }
+}
+
 const loginRateLimiter = new KumaRateLimiter({
     tokensPerInterval: 20,
     interval: "minute",
@@ -68,8 +130,17 @@ const twoFaRateLimiter = new KumaRateLimiter({
     errorMessage: "Too frequently, try again later."
 });
 
+const nodeRateLimiter = new KeyedRateLimiter({
+    tokensPerInterval: 60,
+    interval: "minute",
+    fireImmediately: true,
+    errorMessage: "Too frequently, try again later."
+});
+
 module.exports = {
+    KeyedRateLimiter,
     loginRateLimiter,
     apiRateLimiter,
     twoFaRateLimiter,
+    nodeRateLimiter,
 };
@@ -18,6 +18,8 @@ const { makeBadge } = require("badge-maker");
 const { Prometheus } = require("../prometheus");
 const Database = require("../database");
 const { UptimeCalculator } = require("../uptime-calculator");
+const Node = require("../model/node");
+const { nodeRateLimiter } = require("../rate-limiter");
 
 let router = express.Router();
 
@@ -132,6 +134,65 @@ router.all("/api/push/:pushToken", async (request, response) => {
     }
 });
 
+// Node registry for uptime-client nodes
+router.post("/api/nodes/register", async (request, response) => {
+    try {
+        // Limited by client IP, so that one client cannot block the others
+        const clientIP = await server.getClientIPwithProxy(request.socket.remoteAddress, request.headers);
+
+        if (!await nodeRateLimiter.pass(clientIP)) {
+            response.status(429).json({
+                success: false,
+                message: nodeRateLimiter.errorMessage,
+            });
+            return;
+        }
+
+        const node = await Node.register(request.body || {}, clientIP);
+
+        log.info("node", `Registered node ${node.node_id} (${node.public_key}) IP: ${clientIP}`);
+
+        response.json({
+            success: true,
+            nodeId: node.node_id,
+            reputation: node.getReputation(),
+        });
+    } catch (e) {
+        response.status(400).json({
+            success: false,
+            message: e.message,
+        });
+    }
+});
+
+router.post("/api/nodes/status", async (request, response) => {
+    try {
+        const clientIP = await server.getClientIPwithProxy(request.socket.remoteAddress, request.headers);
+
+        if (!await nodeRateLimiter.pass(clientIP)) {
+            response.status(429).json({
+                success: false,
+                message: nodeRateLimiter.errorMessage,
+            });
+            return;
+        }
+
+        const node = await Node.updateStatus(request.body || {});
+
+        log.debug("node", `Node ${node.node_id} status: ${node.status}`);
+
+        response.json({
+            success: true,
+            reputation: node.getReputation(),
+        });
+    } catch (e) {
+        response.status(e.message === "unknown node" ? 404 : 400).json({
+            success: false,
+            message: e.message,
+        });
+    }
+});
+
 router.get("/api/badge/:id/status", cache("5 minutes"), async (request, response) => {
     allowAllOrigin(response);
 
@@ -70,10 +70,14 @@ router.get("/api/status-page/heartbeat/:slug", cache("1 minutes"), async (reques
     try {
         let heartbeatList = {};
         let uptimeList = {};
+        let regionList = {};
 
         let slug = request.params.slug;
         slug = slug.toLowerCase();
         let statusPageID = await StatusPage.slugToID(slug);
+        let showNodeMap = !!await R.getCell("SELECT show_node_map FROM status_page WHERE id = ? ", [
+            statusPageID
+        ]);
 
         let monitorIDList = await R.getCol(`
             SELECT monitor_group.monitor_id FROM monitor_group, \`group\`
@@ -95,6 +99,13 @@ router.get("/api/status-page/heartbeat/:slug", cache("1 minutes"), async (reques
             ]);
 
             list = R.convertToBeans("heartbeat", list);
+
+            // Only the votes by region of the latest check are public, not the nodes
+            let regionBreakdown = showNodeMap && list.length > 0 ? list[0].getRegionBreakdown() : null;
+            if (regionBreakdown) {
+                regionList[monitorID] = regionBreakdown;
+            }
+
             heartbeatList[monitorID] = list.reverse().map(row => row.toPublicJSON());
 
             const uptimeCalculator = await UptimeCalculator.getUptimeCalculator(monitorID);
@@ -103,7 +114,8 @@ router.get("/api/status-page/heartbeat/:slug", cache("1 minutes"), async (reques
 
         response.json({
             heartbeatList,
-            uptimeList
+            uptimeList,
+            regionList
         });
 
     } catch (error) {
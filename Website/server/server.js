@@ -132,7 +132,7 @@ const twoFAVerifyOptions = {
 const testMode = !!args["test"] || false;
 
 // Must be after io instantiation
-const { sendNotificationList, sendHeartbeatList, sendInfo, sendProxyList, sendDockerHostList, sendAPIKeyList, sendRemoteBrowserList, sendMonitorTypeList } = require("./client");
+const { sendNotificationList, sendHeartbeatList, sendInfo, sendProxyList, sendDockerHostList, sendAPIKeyList, sendRemoteBrowserList, sendMonitorTypeList, sendNodeList } = require("./client");
 const { statusPageSocketHandler } = require("./socket-handlers/status-page-socket-handler");
 const { databaseSocketHandler } = require("./socket-handlers/database-socket-handler");
 const { remoteBrowserSocketHandler } = require("./socket-handlers/remote-browser-socket-handler");
@@ -150,6 +150,8 @@ const { resetChrome } = require("./monitor-types/real-browser-monitor-type");
 const { EmbeddedMariaDB } = require("./embedded-mariadb");
 const { SetupDatabase } = require("./setup-database");
 const { chartSocketHandler } = require("./socket-handlers/chart-socket-handler");
+const { nodeSocketHandler } = require("./socket-handlers/node-socket-handler");
+const { NodeGateway, NODE_LIST_ROOM } = require("./nodes/node-gateway");
 
 app.use(express.json());
 
@@ -480,6 +482,7 @@ let needSetup = false;
             }
 
             socket.leave(socket.userID);
+            socket.leave(NODE_LIST_ROOM);
             socket.userID = null;
 
             if (typeof callback === "function") {
@@ -720,6 +723,8 @@ let needSetup = false;
 
                 monitor.rabbitmqNodes = JSON.stringify(monitor.rabbitmqNodes);
 
+                monitor.remoteNodeFilter = JSON.stringify(monitor.remoteNodeFilter);
+
                 bean.import(monitor);
                 bean.user_id = socket.userID;
 
@@ -873,6 +878,13 @@ let needSetup = false;
                 bean.rabbitmqNodes = JSON.stringify(monitor.rabbitmqNodes);
                 bean.rabbitmqUsername = monitor.rabbitmqUsername;
                 bean.rabbitmqPassword = monitor.rabbitmqPassword;
+                bean.remoteCheckType = monitor.remoteCheckType;
+                bean.remoteNodeFilter = JSON.stringify(monitor.remoteNodeFilter);
+                bean.remoteNodeCount = monitor.remoteNodeCount;
+                bean.remoteQuorum = monitor.remoteQuorum;
+                bean.remoteQuorumCount = monitor.remoteQuorumCount;
+                bean.remoteMinRegions = monitor.remoteMinRegions;
+                bean.remoteShareCredentials = monitor.remoteShareCredentials;
                 bean.conditions = JSON.stringify(monitor.conditions);
 
                 bean.validate();
@@ -1575,6 +1587,7 @@ let needSetup = false;
         remoteBrowserSocketHandler(socket);
         generalSocketHandler(socket, server);
         chartSocketHandler(socket);
+        nodeSocketHandler(socket);
 
         log.debug("server", "added all socket handlers");
 
@@ -1604,6 +1617,9 @@ let needSetup = false;
 
     await server.start();
 
+    // WebSocket endpoint for uptime-client nodes
+    NodeGateway.getInstance().attach(server.httpServer, io);
+
     server.httpServer.listen(port, hostname, async () => {
         if (hostname) {
             log.info("server", `Listening on ${hostname}:${port}`);
@@ -1684,6 +1700,7 @@ async function afterLogin(socket, user) {
         sendAPIKeyList(socket),
         sendRemoteBrowserList(socket),
         sendMonitorTypeList(socket),
+        sendNodeList(socket),
     ]);
 
     await StatusPage.sendStatusPageList(io, socket);
@@ -1831,6 +1848,8 @@ async function shutdownFunction(signal) {
     log.info("server", "Shutdown requested");
     log.info("server", "Called signal: " + signal);
 
+    await NodeGateway.getInstance().shutdown("Server shutdown");
+
     await server.stop();
 
     log.info("server", "Stopping all monitors");
@@ -0,0 +1,116 @@
+const { checkLogin } = require("../util-server");
+const { getNodeFilterOptions } = require("../nodes/node-selector");
+const { NodeGateway } = require("../nodes/node-gateway");
+const { getNodeDetails, setNodeActive, quarantineNode } = require("../nodes/node-fleet");
+
+module.exports.nodeSocketHandler = (socket) => {
+    socket.on("getNodeFilterOptions", async (callback) => {
+        try {
+            checkLogin(socket);
+
+            callback({
+                ok: true,
+                ...await getNodeFilterOptions(),
+            });
+        } catch (e) {
+            callback({
+                ok: false,
+                msg: e.message,
+            });
+        }
+    });
+
+    socket.on("getNodeDetails", async (nodeID, hours, callback) => {
+        try {
+            checkLogin(socket);
+
+            callback({
+                ok: true,
+                ...await getNodeDetails(nodeID, hours),
+            });
+        } catch (e) {
+            callback({
+                ok: false,
+                msg: e.message,
+            });
+        }
+    });
+
+    // A disabled node is disconnected and cannot authenticate until it is enabled again
+    socket.on("setNodeActive", async (nodeID, active, callback) => {
+        try {
+            checkLogin(socket);
+
+            await setNodeActive(nodeID, !!active);
+
+            callback({
+                ok: true,
+                msg: active ? "successEnabled" : "successDisabled",
+                msgi18n: true,
+            });
+        } catch (e) {
+            callback({
+                ok: false,
+                msg: e.message,
+            });
+        }
+    });
+
+    // Quarantine a node for the given hours, the default period if undefined, or lift its quarantine if null
+    socket.on("quarantineNode", async (nodeID, hours, callback) => {
+        try {
+            checkLogin(socket);
+
+            callback({
+                ok: true,
+                reputation: await quarantineNode(nodeID, hours),
+            });
+        } catch (e) {
+            callback({
+                ok: false,
+                msg: e.message,
+            });
+        }
+    });
+
+    socket.on("requestNodeMetrics", async (nodeID, callback) => {
+        try {
+            checkLogin(socket);
+
+            if (!NodeGateway.getInstance().requestMetrics(nodeID)) {
+                throw new Error("Node is offline");
+            }
+
+            callback({
+                ok: true,
+            });
+        } catch (e) {
+            callback({
+                ok: false,
+                msg: e.message,
+            });
+        }
+    });
+
+    // Tune settings of nodes, e.g. {"monitoring.interval": 30000}, of all
+    // online nodes when nodeIDs is null
+    socket.on("updateNodeConfig", async (nodeIDs, settings, callback) => {
+        try {
+            checkLogin(socket);
+
+            if (nodeIDs !== null && !Array.isArray(nodeIDs)) {
+                throw new Error("Invalid node IDs");
+            }
+
+            callback({
+                ok: true,
+                results: await NodeGateway.getInstance().updateConfig(nodeIDs, settings),
+            });
+        } catch (e) {
+            callback({
+                ok: false,
+                msg: e.message,
+            });
+        }
+    });
+};
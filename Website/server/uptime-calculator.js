@@ -198,10 +198,11 @@ class UptimeCalculator {
      * @param {number} status status
      * @param {number} ping Ping
      * @param {dayjs.Dayjs} date Date (Only for migration)
+     * @param {?{[region: string]: {up: number, down: number}}} regionBreakdown Up and down votes by region (Only for remote-node monitors)
      * @returns {dayjs.Dayjs} date
      * @throws {Error} Invalid status
      */
-    async update(status, ping = 0, date) {
+    async update(status, ping = 0, date, regionBreakdown = null) {
         if (!date) {
             date = this.getCurrentDate();
         }
@@ -275,6 +276,13 @@ class UptimeCalculator {
             dailyData.down += 1;
         }
 
+        // Stored in extras
+        if (regionBreakdown) {
+            this.addRegionBreakdown(minutelyData, regionBreakdown);
+            this.addRegionBreakdown(hourlyData, regionBreakdown);
+            this.addRegionBreakdown(dailyData, regionBreakdown);
+        }
+
         if (minutelyData !== this.lastUptimeData) {
             this.lastUptimeData = minutelyData;
         }
@@ -367,6 +375,49 @@ class UptimeCalculator {
         return date;
     }
 
+    /**
+     * Add the votes of a heartbeat to the region counts of a data point
+     * @param {object} data Data point
+     * @param {{[region: string]: {up: number, down: number}}} regionBreakdown Up and down votes by region
+     * @returns {void}
+     */
+    addRegionBreakdown(data, regionBreakdown) {
+        data.regions ??= {};
+
+        for (const [ region, votes ] of Object.entries(regionBreakdown)) {
+            data.regions[region] ??= {
+                up: 0,
+                down: 0,
+            };
+            data.regions[region].up += votes.up;
+            data.regions[region].down += votes.down;
+        }
+    }
+
+    /**
+     * Get the data by region of remote-node monitors
+     * @param {number} num the number of data points
+     * @param {"day" | "hour" | "minute"} type the type of data points
+     * @returns {{[region: string]: {up: number, down: number, uptime: number}}} Up and down votes and uptime by region
+     */
+    getRegionData(num, type = "day") {
+        let total = {
+            regions: {},
+        };
+
+        for (let data of this.getDataArray(num, type)) {
+            if (data.regions) {
+                this.addRegionBreakdown(total, data.regions);
+            }
+        }
+
+        for (let region of Object.values(total.regions)) {
+            region.uptime = region.up / (region.up + region.down);
+        }
+
+        return total.regions;
+    }
+
     /**
      * Get the daily stat bean
      * @param {number} timestamp milliseconds
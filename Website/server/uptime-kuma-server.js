@@ -117,6 +117,7 @@ class UptimeKumaServer {
         UptimeKumaServer.monitorTypeList["snmp"] = new SNMPMonitorType();
         UptimeKumaServer.monitorTypeList["mongodb"] = new MongodbMonitorType();
         UptimeKumaServer.monitorTypeList["rabbitmq"] = new RabbitMqMonitorType();
+        UptimeKumaServer.monitorTypeList["remote-node"] = new RemoteNodeMonitorType();
 
         // Allow all CORS origins (polling) in development
         let cors = undefined;
@@ -556,4 +557,5 @@ const { GroupMonitorType } = require("./monitor-types/group");
 const { SNMPMonitorType } = require("./monitor-types/snmp");
 const { MongodbMonitorType } = require("./monitor-types/mongodb");
 const { RabbitMqMonitorType } = require("./monitor-types/rabbitmq");
+const { RemoteNodeMonitorType } = require("./monitor-types/remote-node");
 const Monitor = require("./model/monitor");
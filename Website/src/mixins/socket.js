@@ -44,6 +44,7 @@ export default {
             heartbeatList: { },
             avgPingList: { },
             uptimeList: { },
+            regionUptimeList: { },
             tlsInfoList: {},
             notificationList: [],
             dockerHostList: [],
@@ -51,6 +52,7 @@ export default {
             statusPageListLoaded: false,
             statusPageList: [],
             proxyList: [],
+            nodeList: {},
             connectionErrorMsg: `${this.$t("Cannot connect to the socket server.")} ${this.$t("Reconnecting...")}`,
             showReverseProxyGuide: true,
             cloudflared: {
@@ -197,6 +199,30 @@ export default {
                 this.remoteBrowserList = data;
             });
 
+            socket.on("nodeList", (data) => {
+                this.nodeList = data;
+            });
+
+            socket.on("updateNodeIntoList", (data) => {
+                Object.entries(data).forEach(([ nodeID, updatedNode ]) => {
+                    this.nodeList[nodeID] = updatedNode;
+                });
+            });
+
+            socket.on("nodeMetrics", (nodeID, data) => {
+                const node = this.nodeList[nodeID];
+
+                // Metrics sent from the outbox of a node after it reconnected are older than the last ones
+                if (node && ! data.backfill) {
+                    node.lastMetrics = data;
+                }
+
+                this.emitter.emit("nodeMetrics", {
+                    nodeID,
+                    ...data,
+                });
+            });
+
             socket.on("heartbeat", (data) => {
                 if (! (data.monitorID in this.heartbeatList)) {
                     this.heartbeatList[data.monitorID] = [];
@@ -246,6 +272,10 @@ export default {
                 this.uptimeList[`${monitorID}_${type}`] = data;
             });
 
+            socket.on("regionUptime", (monitorID, type, data) => {
+                this.regionUptimeList[`${monitorID}_${type}`] = data;
+            });
+
             socket.on("certInfo", (monitorID, data) => {
                 this.tlsInfoList[monitorID] = JSON.parse(data);
             });
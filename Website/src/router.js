@@ -18,6 +18,8 @@ import NotFound from "./pages/NotFound.vue";
 import DockerHosts from "./components/settings/Docker.vue";
 import MaintenanceDetails from "./pages/MaintenanceDetails.vue";
 import ManageMaintenance from "./pages/ManageMaintenance.vue";
+import NodeList from "./pages/NodeList.vue";
+import NodeDetails from "./pages/NodeDetails.vue";
 import APIKeys from "./components/settings/APIKeys.vue";
 import SetupDatabase from "./pages/SetupDatabase.vue";
 
@@ -162,6 +164,14 @@ const routes = [
                         path: "/maintenance/edit/:id",
                         component: EditMaintenance,
                     },
+                    {
+                        path: "/nodes",
+                        component: NodeList,
+                    },
+                    {
+                        path: "/nodes/:id",
+                        component: NodeDetails,
+                    },
                 ],
             },
         ],
@@ -213,3 +213,58 @@ export function getToastErrorTimeout() {
 
     return errorTimeout;
 }
+
+/**
+ * Get the state of an uptime-client node shown in the node pages
+ * @param {object} node Node, as sent in the node list
+ * @returns {string} disabled, quarantined, online or offline
+ */
+export function getNodeState(node) {
+    if (!node.active) {
+        return "disabled";
+    }
+
+    if (node.quarantined) {
+        return "quarantined";
+    }
+
+    return node.online ? "online" : "offline";
+}
+
+/**
+ * Get the Bootstrap theme color a node state is shown in
+ * @param {string} state State of the node, see getNodeState()
+ * @returns {string} primary, warning, danger or secondary
+ */
+export function getNodeStateColor(state) {
+    switch (state) {
+        case "online":
+            return "primary";
+        case "quarantined":
+            return "warning";
+        case "offline":
+            return "danger";
+        default:
+            return "secondary";
+    }
+}
+
+/**
+ * Get the name of an uptime-client node, the host name it reported or
+ * the start of its node ID
+ * @param {object} node Node, as sent in the node list
+ * @returns {string} Name
+ */
+export function getNodeName(node) {
+    return node.system?.hostname || node.nodeId.substring(0, 8);
+}
+
+/**
+ * Get the place of an uptime-client node, e.g. "Frankfurt, Hesse, DE"
+ * @param {object} node Node, as sent in the node list
+ * @returns {string} Place, empty if the node did not report its location
+ */
+export function getNodeRegion(node) {
+    const geolocation = node.geolocation ?? {};
+    return [ geolocation.city, geolocation.region, geolocation.countryCode ].filter(Boolean).join(", ");
+}
@@ -0,0 +1,73 @@
+const crypto = require("crypto");
+const bs58 = require("bs58");
+const { buildEnvelopePayload } = require("../../../server/nodes/node-envelope");
+
+/**
+ * Generate an ed25519 keypair the way a Solana wallet encodes it
+ * @returns {{publicKey: string, sign: function(Buffer): string}} Base58 public key and a signing function
+ */
+function generateKeypair() {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync("ed25519");
+    const x = publicKey.export({ format: "jwk" }).x;
+
+    return {
+        publicKey: bs58.encode(Buffer.from(x, "base64url")),
+        sign: (message) => crypto.sign(null, message, privateKey).toString("base64"),
+    };
+}
+
+/**
+ * Minimal stand-in for a ws WebSocket, records everything sent on it
+ * @returns {object} Fake WebSocket
+ */
+function fakeWebSocket() {
+    return {
+        OPEN: 1,
+        readyState: 1,
+        sent: [],
+        closed: null,
+        terminated: false,
+        ping() {},
+        terminate() {
+            this.terminated = true;
+        },
+        send(raw) {
+            this.sent.push(JSON.parse(raw));
+        },
+        close(code, reason) {
+            this.closed = {
+                code,
+                reason,
+            };
+            this.readyState = 3;
+        },
+    };
+}
+
+/**
+ * Wrap a message in a signed envelope like uptime-client does
+ * @param {object} keypair Keypair from generateKeypair()
+ * @param {string} nodeID Node ID
+ * @param {number} seq Sequence number
+ * @param {string} type Message type
+ * @param {object} data Message data
+ * @param {number} timestamp Time the message was created
+ * @returns {object} Signed message
+ */
+function sealEnvelope(keypair, nodeID, seq, type, data, timestamp = Date.now()) {
+    const message = {
+        type,
+        data,
+        timestamp,
+        nodeId: nodeID,
+        seq,
+    };
+    message.signature = keypair.sign(Buffer.from(buildEnvelopePayload(message), "utf8"));
+    return message;
+}
+
+module.exports = {
+    generateKeypair,
+    fakeWebSocket,
+    sealEnvelope,
+};
@@ -0,0 +1,256 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const EventEmitter = require("events");
+const Node = require("../../../server/model/node");
+const { UptimeKumaServer } = require("../../../server/uptime-kuma-server");
+const { NodeGateway, NodeSession } = require("../../../server/nodes/node-gateway");
+const { buildAuthMessage, verifySignature, ChallengeStore } = require("../../../server/nodes/node-auth");
+const { PROTOCOL_VERSION } = require("../../../server/nodes/node-protocol");
+const { generateKeypair, fakeWebSocket } = require("./helpers");
+
+/**
+ * Send a message to the gateway as if it arrived on the session
+ * @param {NodeGateway} gateway Gateway
+ * @param {NodeSession} session Session
+ * @param {string} type Message type
+ * @param {object} data Message data
+ * @returns {Promise<object>} Last message the gateway sent back
+ */
+async function sendMessage(gateway, session, type, data) {
+    await gateway.handleMessage(session, Buffer.from(JSON.stringify({
+        type,
+        data,
+    })));
+    return session.ws.sent[session.ws.sent.length - 1];
+}
+
+test("Test verifySignature", async (t) => {
+    const keypair = generateKeypair();
+    const message = buildAuthMessage("node-a", "nonce");
+
+    assert.strictEqual(verifySignature(keypair.publicKey, message, keypair.sign(message)), true);
+    assert.strictEqual(verifySignature(keypair.publicKey, buildAuthMessage("node-b", "nonce"), keypair.sign(message)), false);
+    assert.strictEqual(verifySignature(generateKeypair().publicKey, message, keypair.sign(message)), false);
+    assert.strictEqual(verifySignature(keypair.publicKey, message, "not a signature"), false);
+    assert.strictEqual(verifySignature("invalid key", message, keypair.sign(message)), false);
+});
+
+test("Test ChallengeStore", async (t) => {
+    const store = new ChallengeStore();
+
+    const challenge = store.issue("node-a");
+    assert.strictEqual(store.consume(challenge.nonce, "node-a"), true);
+
+    // Single use
+    assert.strictEqual(store.consume(challenge.nonce, "node-a"), false);
+
+    // Issued to another node, the challenge is burnt anyway
+    const other = store.issue("node-a");
+    assert.strictEqual(store.consume(other.nonce, "node-b"), false);
+    assert.strictEqual(store.consume(other.nonce, "node-a"), false);
+
+    // Expired
+    const expiring = new ChallengeStore(-1);
+    const expired = expiring.issue("node-a");
+    assert.strictEqual(expiring.consume(expired.nonce, "node-a"), false);
+
+    // Revoked
+    const revoked = store.issue("node-a");
+    store.revoke("node-a");
+    assert.strictEqual(store.consume(revoked.nonce, "node-a"), false);
+});
+
+test("Test NodeGateway - challenge-response authentication", async (t) => {
+    const keypair = generateKeypair();
+    const node = {
+        node_id: "node-a",
+        public_key: keypair.publicKey,
+        active: true,
+        reputation: 0.9,
+        getReputation: Node.prototype.getReputation,
+        isQuarantined: Node.prototype.isQuarantined,
+    };
+
+    const getByNodeID = Node.getByNodeID;
+    Node.getByNodeID = async (nodeID) => (nodeID === node.node_id ? node : null);
+    t.after(() => {
+        Node.getByNodeID = getByNodeID;
+    });
+
+    const gateway = new NodeGateway();
+    gateway.touchNode = async () => {};
+
+    await t.test("unknown node", async () => {
+        const session = new NodeSession(fakeWebSocket(), "127.0.0.1");
+        const reply = await sendMessage(gateway, session, "authenticate", {
+            nodeId: "node-a",
+            publicKey: generateKeypair().publicKey,
+        });
+        assert.strictEqual(reply.type, "authResponse");
+        assert.strictEqual(reply.data.success, false);
+        assert.strictEqual(reply.data.error, "unknown node");
+    });
+
+    await t.test("knowing the public key is not enough", async () => {
+        const session = new NodeSession(fakeWebSocket(), "127.0.0.1");
+        const challenge = await sendMessage(gateway, session, "authenticate", {
+            nodeId: "node-a",
+            publicKey: keypair.publicKey,
+        });
+        assert.strictEqual(challenge.type, "authChallenge");
+
+        const attacker = generateKeypair();
+        const reply = await sendMessage(gateway, session, "authProof", {
+            nodeId: "node-a",
+            nonce: challenge.data.nonce,
+            signature: attacker.sign(buildAuthMessage("node-a", challenge.data.nonce)),
+        });
+        assert.strictEqual(reply.data.success, false);
+        assert.strictEqual(reply.data.error, "invalid signature");
+        assert.strictEqual(session.authenticated, false);
+        assert.strictEqual(gateway.isOnline("node-a"), false);
+    });
+
+    await t.test("valid proof, replayed proof", async () => {
+        const session = new NodeSession(fakeWebSocket(), "127.0.0.1");
+        const challenge = await sendMessage(gateway, session, "authenticate", {
+            nodeId: "node-a",
+            publicKey: keypair.publicKey,
+        });
+
+        const proof = {
+            nodeId: "node-a",
+            nonce: challenge.data.nonce,
+            signature: keypair.sign(buildAuthMessage("node-a", challenge.data.nonce)),
+        };
+
+        const reply = await sendMessage(gateway, session, "authProof", proof);
+        assert.strictEqual(reply.data.success, true);
+        assert.ok(reply.data.sessionExpiresAt > Date.now());
+        assert.strictEqual(reply.data.reputation.score, 0.9);
+        assert.strictEqual(gateway.isOnline("node-a"), true);
+
+        // The same proof on another connection is rejected
+        const replay = new NodeSession(fakeWebSocket(), "10.0.0.1");
+        await sendMessage(gateway, replay, "authenticate", {
+            nodeId: "node-a",
+            publicKey: keypair.publicKey,
+        });
+        const replayReply = await sendMessage(gateway, replay, "authProof", proof);
+        assert.strictEqual(replayReply.data.success, false);
+        assert.strictEqual(replay.authenticated, false);
+        assert.strictEqual(gateway.sessions.get("node-a"), session);
+    });
+
+    await t.test("expiring sessions are challenged again, expired sessions are closed", async () => {
+        const session = gateway.sessions.get("node-a");
+        gateway.connections.add(session);
+
+        session.expiresAt = Date.now() + 1000;
+        gateway.checkAlive();
+
+        const challenge = session.ws.sent[session.ws.sent.length - 1];
+        assert.strictEqual(challenge.type, "authChallenge");
+
+        const reply = await sendMessage(gateway, session, "authProof", {
+            nodeId: "node-a",
+            nonce: challenge.data.nonce,
+            signature: keypair.sign(buildAuthMessage("node-a", challenge.data.nonce)),
+        });
+        assert.strictEqual(reply.data.success, true);
+        assert.ok(session.expiresAt > Date.now() + 1000);
+
+        session.expiresAt = Date.now() - 1;
+        session.alive = true;
+        gateway.checkAlive();
+        assert.strictEqual(session.ws.closed.code, 4002);
+    });
+
+    await t.test("protocol negotiation", async () => {
+        const session = new NodeSession(fakeWebSocket(), "127.0.0.1");
+        const challenge = await sendMessage(gateway, session, "authenticate", {
+            nodeId: "node-a",
+            publicKey: keypair.publicKey,
+            protocol: {
+                version: PROTOCOL_VERSION,
+                minVersion: 1,
+                clientVersion: "1.0.0",
+                taskTypes: [ "checkEndpoint", "http" ],
+                features: [ "recurringTasks" ],
+            },
+        });
+
+        const reply = await sendMessage(gateway, session, "authProof", {
+            nodeId: "node-a",
+            nonce: challenge.data.nonce,
+            signature: keypair.sign(buildAuthMessage("node-a", challenge.data.nonce)),
+        });
+        assert.strictEqual(reply.data.success, true);
+        assert.deepStrictEqual(reply.data.protocol, {
+            version: PROTOCOL_VERSION,
+            features: [ "recurringTasks" ],
+        });
+        assert.strictEqual(gateway.getProtocol("node-a").clientVersion, "1.0.0");
+
+        // A node which needs a newer server is turned away
+        const newer = new NodeSession(fakeWebSocket(), "127.0.0.1");
+        const rejected = await sendMessage(gateway, newer, "authenticate", {
+            nodeId: "node-a",
+            publicKey: keypair.publicKey,
+            protocol: {
+                version: PROTOCOL_VERSION + 1,
+                minVersion: PROTOCOL_VERSION + 1,
+                taskTypes: [],
+                features: [],
+            },
+        });
+        assert.strictEqual(rejected.data.success, false);
+        assert.strictEqual(rejected.data.error, "unsupported protocol version");
+        assert.strictEqual(rejected.data.protocol.version, PROTOCOL_VERSION);
+        assert.strictEqual(newer.ws.closed.code, 4005);
+        assert.strictEqual(gateway.sessions.get("node-a"), session);
+    });
+});
+
+test("Test NodeGateway - messages sent while the client IP is resolved", async (t) => {
+    const keypair = generateKeypair();
+    t.mock.method(Node, "getByNodeID", async () => ({
+        node_id: "node-a",
+        public_key: keypair.publicKey,
+        active: true,
+    }));
+
+    // The IP comes from the settings in the database, which takes a while
+    let resolveIP;
+    t.mock.method(UptimeKumaServer, "getInstance", () => ({
+        getClientIPwithProxy: () => new Promise((resolve) => {
+            resolveIP = resolve;
+        }),
+    }));
+
+    const gateway = new NodeGateway();
+    const ws = Object.assign(new EventEmitter(), fakeWebSocket());
+    gateway.handleConnection(ws, {
+        socket: {
+            remoteAddress: "10.0.0.1",
+        },
+        headers: {},
+    });
+
+    // Sent right after the socket opened
+    ws.emit("message", Buffer.from(JSON.stringify({
+        type: "authenticate",
+        data: {
+            nodeId: "node-a",
+            publicKey: keypair.publicKey,
+        },
+    })));
+
+    const [ session ] = gateway.connections;
+    resolveIP("203.0.113.5");
+    await session.messageQueue;
+
+    assert.strictEqual(session.ip, "203.0.113.5");
+    assert.strictEqual(ws.sent.length, 1);
+    assert.strictEqual(ws.sent[0].type, "authChallenge");
+});
@@ -0,0 +1,57 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { canonicalJSON, buildEnvelopePayload, verifyEnvelope } = require("../../../server/nodes/node-envelope");
+const { generateKeypair, sealEnvelope } = require("./helpers");
+
+test("Test canonicalJSON", async (t) => {
+    assert.strictEqual(canonicalJSON({
+        b: 1,
+        a: [
+            3,
+            {
+                d: null,
+                c: "x",
+            },
+        ],
+    }), "{\"a\":[3,{\"c\":\"x\",\"d\":null}],\"b\":1}");
+
+    assert.strictEqual(canonicalJSON({
+        a: undefined,
+        b: [ undefined ],
+    }), "{\"b\":[null]}");
+
+    assert.strictEqual(canonicalJSON("text"), "\"text\"");
+});
+
+test("Test buildEnvelopePayload ignores transport fields", async (t) => {
+    const message = {
+        type: "metrics",
+        nodeId: "node-a",
+        seq: 1,
+        timestamp: 1000,
+        data: { cpu: 1 },
+    };
+
+    assert.strictEqual(buildEnvelopePayload(message), buildEnvelopePayload({
+        ...message,
+        priority: "high",
+    }));
+});
+
+test("Test verifyEnvelope", async (t) => {
+    const keypair = generateKeypair();
+    const message = sealEnvelope(keypair, "node-a", 3, "metrics", { cpu: 1 });
+
+    assert.strictEqual(verifyEnvelope(message, "node-a", keypair.publicKey, 2), buildEnvelopePayload(message));
+
+    assert.throws(() => verifyEnvelope(message, "node-b", keypair.publicKey, 2), /another node/);
+    assert.throws(() => verifyEnvelope(message, "node-a", generateKeypair().publicKey, 2), /Invalid signature/);
+    assert.throws(() => verifyEnvelope(message, "node-a", keypair.publicKey, 3), /out of order or replayed/);
+
+    const future = sealEnvelope(keypair, "node-a", 4, "metrics", { cpu: 1 });
+    future.timestamp = Date.now() + 60 * 60 * 1000;
+    assert.throws(() => verifyEnvelope(future, "node-a", keypair.publicKey, 0), /future/);
+
+    const noSeq = sealEnvelope(keypair, "node-a", "1", "metrics", { cpu: 1 });
+    assert.throws(() => verifyEnvelope(noSeq, "node-a", keypair.publicKey, 0), /sequence number/);
+});
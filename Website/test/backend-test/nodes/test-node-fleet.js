@@ -0,0 +1,122 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { summarizeMetrics, buildMetricHistory } = require("../../../server/nodes/node-fleet");
+
+/**
+ * Create a node_metric row with a report in the format of uptime-client
+ * @param {string} time Time of the row
+ * @param {number} cpu CPU usage
+ * @param {number} rxBytes Bytes received in total
+ * @returns {{time: string, data: string}} Row
+ */
+function metricRow(time, cpu, rxBytes) {
+    return {
+        time,
+        data: JSON.stringify({
+            cpu: {
+                usage: cpu,
+            },
+            network: [
+                {
+                    iface: "eth0",
+                    rxBytes,
+                    txBytes: 10,
+                },
+            ],
+        }),
+    };
+}
+
+test("Test node fleet - metrics summary", () => {
+    assert.deepStrictEqual(summarizeMetrics({
+        cpu: {
+            usage: 12.5,
+        },
+        memory: {
+            usagePercentage: 40,
+        },
+        disk: [
+            {
+                fs: "/dev/sda1",
+                usagePercentage: 30,
+            },
+            {
+                fs: "/dev/sdb1",
+                usagePercentage: 85,
+            },
+        ],
+        network: [
+            {
+                iface: "eth0",
+                rxBytes: 1000,
+                txBytes: 500,
+            },
+            {
+                iface: "wlan0",
+                rxBytes: 24,
+                txBytes: 12,
+            },
+        ],
+    }), {
+        cpu: 12.5,
+        memory: 40,
+        disk: 85,
+        rxBytes: 1024,
+        txBytes: 512,
+    });
+
+    // Metrics which are disabled or failed on the node
+    assert.deepStrictEqual(summarizeMetrics({
+        cpu: {},
+        disk: {
+            error: "Timed out",
+        },
+        network: {
+            error: "Timed out",
+        },
+    }), {
+        cpu: null,
+        memory: null,
+        disk: null,
+        rxBytes: null,
+        txBytes: null,
+    });
+    assert.deepStrictEqual(summarizeMetrics(null), {
+        cpu: null,
+        memory: null,
+        disk: null,
+        rxBytes: null,
+        txBytes: null,
+    });
+});
+
+test("Test node fleet - metrics history", () => {
+    const rows = [
+        metricRow("2026-10-19 10:00:00.000", 10, 100),
+        metricRow("2026-10-19 10:01:00.000", 20, 200),
+        metricRow("2026-10-19 10:02:00.000", 30, 300),
+        metricRow("2026-10-19 10:03:00.000", 40, 400),
+        metricRow("2026-10-19 10:04:00.000", 50, 500),
+    ];
+
+    const history = buildMetricHistory(rows);
+    assert.strictEqual(history.length, 5);
+    assert.deepStrictEqual(history[0], {
+        time: "2026-10-19 10:00:00.000",
+        cpu: 10,
+        memory: null,
+        disk: null,
+        rxBytes: 100,
+        txBytes: 10,
+    });
+
+    // Averaged in buckets, the counters keep the last value of each bucket
+    const reduced = buildMetricHistory(rows, 2);
+    assert.deepStrictEqual(reduced.map((point) => point.time), [
+        "2026-10-19 10:02:00.000",
+        "2026-10-19 10:04:00.000",
+    ]);
+    assert.deepStrictEqual(reduced.map((point) => point.cpu), [ 20, 45 ]);
+    assert.deepStrictEqual(reduced.map((point) => point.rxBytes), [ 300, 500 ]);
+    assert.deepStrictEqual(reduced.map((point) => point.memory), [ null, null ]);
+});
@@ -0,0 +1,770 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { R } = require("redbean-node");
+const dayjs = require("dayjs");
+dayjs.extend(require("dayjs/plugin/utc"));
+const Node = require("../../../server/model/node");
+const { NodeGateway, NodeSession, NODE_LIST_ROOM } = require("../../../server/nodes/node-gateway");
+const { buildAuthMessage } = require("../../../server/nodes/node-auth");
+const { PROTOCOL_VERSION, FEATURES, validateMessage, negotiateProtocol } = require("../../../server/nodes/node-protocol");
+const { generateKeypair, fakeWebSocket, sealEnvelope } = require("./helpers");
+
+/**
+ * Create a gateway which keeps envelopes in memory instead of the database
+ * @returns {NodeGateway} Gateway
+ */
+function createGateway() {
+    const gateway = new NodeGateway();
+    gateway.stored = [];
+    gateway.touchNode = async () => {};
+    gateway.storeEnvelope = async (nodeID, message) => {
+        gateway.stored.push(message);
+    };
+    gateway.rewardLedger.flush = async () => {};
+    gateway.reputation.flush = async () => [];
+    return gateway;
+}
+
+/**
+ * Protocol of a node which supports every task type and feature
+ * @type {object}
+ */
+const CURRENT_PROTOCOL = negotiateProtocol({
+    version: PROTOCOL_VERSION,
+    minVersion: 1,
+    taskTypes: [ "checkEndpoint", "http", "ping", "tcp", "dns", "collectMetrics", "updateConfig", "cancelTask" ],
+    features: FEATURES,
+});
+
+/**
+ * Create a session which is already authenticated as the given node,
+ * speaking the current protocol
+ * @param {NodeGateway} gateway Gateway to register the session with
+ * @param {string} nodeID Node ID
+ * @returns {NodeSession} Session, with the keypair of the node in `keypair`
+ */
+function authenticatedSession(gateway, nodeID) {
+    const keypair = generateKeypair();
+    const session = new NodeSession(fakeWebSocket(), "127.0.0.1");
+    session.nodeID = nodeID;
+    session.publicKey = keypair.publicKey;
+    session.keypair = keypair;
+    session.authenticated = true;
+    session.expiresAt = Date.now() + 60 * 1000;
+    session.protocol = CURRENT_PROTOCOL;
+    gateway.sessions.set(nodeID, session);
+    gateway.connections.add(session);
+    return session;
+}
+
+/**
+ * Deliver a message to the gateway as if it arrived on the session
+ * @param {NodeGateway} gateway Gateway
+ * @param {NodeSession} session Session
+ * @param {object} message Message
+ * @returns {Promise<void>}
+ */
+async function deliver(gateway, session, message) {
+    await gateway.handleMessage(session, Buffer.from(JSON.stringify(message)));
+}
+
+test("Test NodeGateway - ping is answered with pong", async (t) => {
+    const gateway = createGateway();
+    const session = new NodeSession(fakeWebSocket(), "127.0.0.1");
+
+    await deliver(gateway, session, {
+        type: "ping",
+        data: { timestamp: 1234 },
+        timestamp: 1234,
+    });
+
+    assert.strictEqual(session.ws.sent.length, 1);
+    assert.strictEqual(session.ws.sent[0].type, "pong");
+    assert.strictEqual(session.ws.sent[0].data.timestamp, 1234);
+});
+
+test("Test NodeGateway - unauthenticated sessions cannot send results", async (t) => {
+    const gateway = createGateway();
+    const session = new NodeSession(fakeWebSocket(), "127.0.0.1");
+    let called = false;
+    gateway.messageHandlers.taskResult = () => {
+        called = true;
+    };
+
+    await deliver(gateway, session, {
+        type: "taskResult",
+        data: { taskId: "x" },
+    });
+    await gateway.handleMessage(session, Buffer.from("not json"));
+
+    assert.strictEqual(called, false);
+    assert.strictEqual(session.ws.sent.length, 0);
+});
+
+test("Test NodeGateway - sendTask resolves with the task result", async (t) => {
+    const gateway = createGateway();
+    const session = authenticatedSession(gateway, "node-a");
+
+    const promise = gateway.sendTask("node-a", {
+        type: "collectMetrics",
+    });
+
+    assert.strictEqual(session.ws.sent.length, 1);
+    const task = session.ws.sent[0];
+    assert.strictEqual(task.type, "task");
+    assert.strictEqual(task.data.type, "collectMetrics");
+    assert.ok(task.data.taskId);
+
+    // A result for the task from another node is ignored
+    const other = authenticatedSession(gateway, "node-b");
+    await deliver(gateway, other, sealEnvelope(other.keypair, "node-b", 1, "taskResult", {
+        taskId: task.data.taskId,
+        success: false,
+    }));
+    assert.strictEqual(gateway.pendingTasks.size, 1);
+
+    await deliver(gateway, session, sealEnvelope(session.keypair, "node-a", 1, "taskResult", {
+        taskId: task.data.taskId,
+        success: true,
+        result: { ok: 1 },
+    }));
+
+    const result = await promise;
+    assert.strictEqual(result.success, true);
+    assert.deepStrictEqual(result.result, { ok: 1 });
+    assert.strictEqual(gateway.pendingTasks.size, 0);
+});
+
+test("Test NodeGateway - sendTask rejects", async (t) => {
+    const gateway = createGateway();
+
+    await assert.rejects(gateway.sendTask("offline-node", {
+        type: "collectMetrics",
+    }), /Node is offline/);
+
+    authenticatedSession(gateway, "node-a");
+    await assert.rejects(gateway.sendTask("node-a", {
+        type: "collectMetrics",
+    }, 10), /Task timed out/);
+    assert.strictEqual(gateway.pendingTasks.size, 0);
+});
+
+test("Test NodeGateway - tasks a node does not support are not sent", async (t) => {
+    const gateway = createGateway();
+    const session = authenticatedSession(gateway, "node-a");
+    session.protocol = negotiateProtocol(null);
+
+    // Nodes which did not send their protocol only get the tasks they knew
+    await assert.rejects(gateway.sendTask("node-a", {
+        type: "traceroute",
+    }), /Node does not support traceroute tasks/);
+
+    session.protocol = negotiateProtocol({
+        version: PROTOCOL_VERSION,
+        minVersion: 1,
+        taskTypes: [ "checkEndpoint", "http", "traceroute" ],
+        features: [],
+    });
+    await assert.rejects(gateway.sendTask("node-a", {
+        type: "checkEndpoint",
+        check: {
+            type: "dns",
+        },
+    }), /Node does not support dns tasks/);
+    assert.strictEqual(session.ws.sent.length, 0);
+    assert.strictEqual(gateway.pendingTasks.size, 0);
+
+    await assert.rejects(gateway.sendTask("node-a", {
+        type: "traceroute",
+    }, 10), /Task timed out/);
+    assert.strictEqual(session.ws.sent[0].data.type, "traceroute");
+});
+
+test("Test NodeGateway - messages which do not match the schema are ignored", async (t) => {
+    const gateway = createGateway();
+    const session = authenticatedSession(gateway, "node-a");
+    const results = [];
+    gateway.messageHandlers.taskResult = (_, data) => {
+        results.push(data.taskId);
+    };
+
+    // Still acknowledged, so that the node drops it from its outbox
+    await deliver(gateway, session, sealEnvelope(session.keypair, "node-a", 1, "taskResult", {
+        taskId: "invalid",
+        success: "yes",
+    }));
+    assert.deepStrictEqual(results, []);
+    assert.deepStrictEqual(session.ws.sent.map((message) => message.type), [ "ack" ]);
+
+    await deliver(gateway, session, sealEnvelope(session.keypair, "node-a", 2, "taskResult", {
+        taskId: "valid",
+        success: true,
+    }));
+    assert.deepStrictEqual(results, [ "valid" ]);
+
+    // What the gateway sends matches the schema as well
+    for (const message of session.ws.sent) {
+        assert.strictEqual(validateMessage("server", message), null);
+    }
+});
+
+test("Test NodeGateway - taskError rejects the pending task", async (t) => {
+    const gateway = createGateway();
+    const session = authenticatedSession(gateway, "node-a");
+
+    const promise = gateway.sendTask("node-a", {
+        type: "checkEndpoint",
+    });
+
+    await deliver(gateway, session, sealEnvelope(session.keypair, "node-a", 1, "taskError", {
+        taskId: session.ws.sent[0].data.taskId,
+        error: "boom",
+    }));
+
+    await assert.rejects(promise, /boom/);
+});
+
+test("Test NodeGateway - keepalive rounds and tasks are recorded in the reward ledger and the reputation", async (t) => {
+    const gateway = createGateway();
+    const session = authenticatedSession(gateway, "node-a");
+    const counts = () => gateway.rewardLedger.getPendingCounts("node-a", Date.now());
+
+    // An unauthenticated connection earns nothing
+    const stranger = new NodeSession(fakeWebSocket(), "127.0.0.1");
+    gateway.connections.add(stranger);
+
+    await deliver(gateway, session, {
+        type: "ping",
+        data: { timestamp: 1 },
+    });
+    gateway.checkAlive();
+
+    // The node did not answer the keepalive, so the round is not counted
+    gateway.checkAlive();
+
+    session.alive = true;
+    gateway.checkAlive();
+
+    assert.strictEqual(counts().heartbeats, 2);
+    assert.strictEqual(counts().pings, 1);
+    assert.strictEqual(gateway.rewardLedger.pending.size, 1);
+
+    const completed = gateway.sendTask("node-a", {
+        type: "checkEndpoint",
+    });
+    await deliver(gateway, session, sealEnvelope(session.keypair, "node-a", 1, "taskResult", {
+        taskId: session.ws.sent.at(-1).data.taskId,
+        success: true,
+    }));
+    await completed;
+
+    await assert.rejects(gateway.sendTask("node-a", {
+        type: "checkEndpoint",
+    }, 10), /Task timed out/);
+
+    assert.strictEqual(counts().tasksCompleted, 1);
+    assert.strictEqual(counts().tasksFailed, 1);
+    assert.deepStrictEqual(gateway.reputation.getPendingSamples("node-a").tasks, [ 1, 0 ]);
+});
+
+test("Test NodeGateway - envelopes", async (t) => {
+    const gateway = createGateway();
+    const session = authenticatedSession(gateway, "node-a");
+    const results = [];
+    gateway.messageHandlers.taskResult = (_, data) => {
+        results.push(data.taskId);
+    };
+
+    // Unsigned
+    await deliver(gateway, session, {
+        type: "taskResult",
+        data: { taskId: "unsigned" },
+    });
+
+    // Signed by another key
+    await deliver(gateway, session, sealEnvelope(generateKeypair(), "node-a", 1, "taskResult", {
+        taskId: "forged",
+    }));
+
+    // Tampered after signing
+    const tampered = sealEnvelope(session.keypair, "node-a", 1, "taskResult", {
+        taskId: "tampered",
+        success: false,
+    });
+    tampered.data.success = true;
+    await deliver(gateway, session, tampered);
+
+    assert.deepStrictEqual(results, []);
+
+    const first = sealEnvelope(session.keypair, "node-a", 5, "taskResult", {
+        taskId: "first",
+        success: true,
+    });
+    await deliver(gateway, session, first);
+
+    // Replayed
+    await deliver(gateway, session, first);
+
+    // Out of order
+    await deliver(gateway, session, sealEnvelope(session.keypair, "node-a", 4, "taskResult", {
+        taskId: "late",
+        success: true,
+    }));
+
+    // Gaps are fine
+    await deliver(gateway, session, sealEnvelope(session.keypair, "node-a", 9, "taskResult", {
+        taskId: "second",
+        success: true,
+    }));
+
+    assert.deepStrictEqual(results, [ "first", "second" ]);
+    assert.deepStrictEqual(gateway.stored.map((message) => message.seq), [ 5, 9 ]);
+    assert.strictEqual(session.lastSeq, 9);
+});
+
+test("Test NodeGateway - envelopes are acknowledged, also when replayed", async (t) => {
+    const gateway = createGateway();
+    const session = authenticatedSession(gateway, "node-a");
+    gateway.messageHandlers.taskResult = () => {};
+    const acks = () => session.ws.sent.filter((message) => message.type === "ack").map((message) => message.data.seq);
+
+    const first = sealEnvelope(session.keypair, "node-a", 3, "taskResult", {
+        taskId: "first",
+    });
+    await deliver(gateway, session, first);
+    await deliver(gateway, session, sealEnvelope(session.keypair, "node-a", 4, "taskResult", {
+        taskId: "second",
+    }));
+
+    // The node did not receive the acks and replays its outbox after reconnecting
+    await deliver(gateway, session, first);
+
+    assert.deepStrictEqual(acks(), [ 3, 4, 4 ]);
+    assert.strictEqual(gateway.stored.length, 2);
+});
+
+test("Test NodeGateway - metrics collected while disconnected are stored as backfill", async (t) => {
+    const gateway = createGateway();
+    const session = authenticatedSession(gateway, "node-a");
+    const stored = [];
+    t.mock.method(R, "dispense", () => ({}));
+    t.mock.method(R, "store", async (bean) => {
+        stored.push(bean);
+    });
+
+    const collectedAt = session.connectedAt - 10 * 60 * 1000;
+    await deliver(gateway, session, sealEnvelope(session.keypair, "node-a", 1, "metrics", {
+        metrics: {
+            cpu: {
+                usage: 12,
+            },
+        },
+    }, collectedAt));
+    await deliver(gateway, session, sealEnvelope(session.keypair, "node-a", 2, "metrics", {
+        metrics: {
+            timestamp: Date.now(),
+            cpu: {
+                usage: 15,
+            },
+        },
+    }));
+
+    assert.strictEqual(stored.length, 2);
+    assert.strictEqual(stored[0].time, R.isoDateTimeMillis(dayjs.utc(collectedAt)));
+    assert.strictEqual(stored[0].backfill, true);
+    assert.strictEqual(stored[0].cpu, 12);
+    assert.strictEqual(stored[1].backfill, false);
+});
+
+test("Test NodeGateway - updateConfig reports the outcome per node", async (t) => {
+    const gateway = createGateway();
+    const accepting = authenticatedSession(gateway, "node-a");
+    const rejecting = authenticatedSession(gateway, "node-b");
+    const settings = {
+        "monitoring.interval": 30000,
+    };
+
+    await assert.rejects(gateway.updateConfig(null, [ "monitoring.interval" ]), /Invalid settings/);
+
+    const promise = gateway.updateConfig([ "node-a", "node-b", "offline-node" ], settings);
+
+    const task = accepting.ws.sent[0];
+    assert.strictEqual(task.data.type, "updateConfig");
+    assert.deepStrictEqual(task.data.config, settings);
+
+    await deliver(gateway, accepting, sealEnvelope(accepting.keypair, "node-a", 1, "taskResult", {
+        taskId: task.data.taskId,
+        success: true,
+        result: {
+            changed: settings,
+        },
+    }));
+    await deliver(gateway, rejecting, sealEnvelope(rejecting.keypair, "node-b", 1, "taskResult", {
+        taskId: rejecting.ws.sent[0].data.taskId,
+        success: false,
+        error: "Rejected configuration update: solana.rpcUrl cannot be changed remotely",
+    }));
+
+    assert.deepStrictEqual(await promise, [
+        {
+            nodeID: "node-a",
+            ok: true,
+            changed: settings,
+        },
+        {
+            nodeID: "node-b",
+            ok: false,
+            msg: "Rejected configuration update: solana.rpcUrl cannot be changed remotely",
+        },
+        {
+            nodeID: "offline-node",
+            ok: false,
+            msg: "Node is offline",
+        },
+    ]);
+});
+
+test("Test NodeGateway - recurring task assignments", async (t) => {
+    const gateway = createGateway();
+    const session = authenticatedSession(gateway, "node-a");
+    const runs = [];
+    const check = {
+        type: "http",
+        target: "https://example.com",
+    };
+
+    const assigned = gateway.assignTask("node-a", check, 30000, (data) => runs.push(data));
+
+    const task = session.ws.sent[0];
+    assert.strictEqual(task.data.type, "http");
+    assert.strictEqual(task.data.target, check.target);
+    assert.strictEqual(task.data.interval, 30000);
+
+    await deliver(gateway, session, sealEnvelope(session.keypair, "node-a", 1, "taskResult", {
+        taskId: task.data.taskId,
+        success: true,
+        result: { scheduled: {} },
+    }));
+    const taskID = await assigned;
+    assert.strictEqual(taskID, task.data.taskId);
+
+    // Each run is reported with the ID of the assignment, runs claimed by another node are ignored
+    const other = authenticatedSession(gateway, "node-b");
+    await deliver(gateway, other, sealEnvelope(other.keypair, "node-b", 1, "taskResult", {
+        taskId: taskID,
+        success: true,
+    }));
+    await deliver(gateway, session, sealEnvelope(session.keypair, "node-a", 2, "taskResult", {
+        taskId: taskID,
+        type: "http",
+        success: true,
+        result: { success: true },
+    }));
+    await deliver(gateway, session, sealEnvelope(session.keypair, "node-a", 3, "taskResult", {
+        taskId: taskID,
+        type: "http",
+        success: false,
+        error: "Timed out after 60000 ms",
+    }));
+
+    assert.deepStrictEqual(runs.map((run) => run.success), [ true, false ]);
+
+    const cancelled = gateway.cancelAssignment("node-a", taskID);
+    const cancel = session.ws.sent.at(-1);
+    assert.strictEqual(cancel.data.type, "cancelTask");
+    assert.strictEqual(cancel.data.assignedTaskId, taskID);
+    await deliver(gateway, session, sealEnvelope(session.keypair, "node-a", 4, "taskResult", {
+        taskId: cancel.data.taskId,
+        success: true,
+    }));
+    await cancelled;
+
+    assert.strictEqual(gateway.assignments.size, 0);
+
+    // A rejected check is not kept as an assignment
+    const rejected = gateway.assignTask("node-a", check, 10, () => {});
+    await deliver(gateway, session, sealEnvelope(session.keypair, "node-a", 5, "taskResult", {
+        taskId: session.ws.sent.at(-1).data.taskId,
+        success: false,
+        error: "Interval must be at least 1000 ms",
+    }));
+    await assert.rejects(rejected, /Interval must be at least 1000 ms/);
+    assert.strictEqual(gateway.assignments.size, 0);
+});
+
+test("Test NodeGateway - nodes without a protocol version get no assignments or cancelTask", async (t) => {
+    const gateway = createGateway();
+    const session = authenticatedSession(gateway, "node-a");
+    session.protocol = negotiateProtocol(null);
+
+    await assert.rejects(gateway.assignTask("node-a", {
+        type: "http",
+        target: "https://example.com",
+    }, 30000, () => {}), /Node does not support http tasks/);
+    await assert.rejects(gateway.assignTask("node-a", {
+        type: "checkEndpoint",
+    }, 30000, () => {}), /Node does not support checkEndpoint tasks/);
+    await assert.rejects(gateway.cancelAssignment("node-a", "task-a"), /Node does not support cancelTask tasks/);
+
+    assert.strictEqual(gateway.canRunTask("node-a", { type: "cancelTask" }), false);
+    assert.strictEqual(gateway.assignments.size, 0);
+    assert.strictEqual(session.ws.sent.length, 0);
+
+    // The tasks it knew are still sent
+    await assert.rejects(gateway.sendTask("node-a", {
+        type: "collectMetrics",
+    }, 10), /Task timed out/);
+    assert.deepStrictEqual(session.ws.sent.map((message) => message.data.type), [ "collectMetrics" ]);
+});
+
+test("Test NodeGateway - assignments are sent again in a new session", async (t) => {
+    const gateway = createGateway();
+    const session = authenticatedSession(gateway, "node-a");
+    const check = {
+        type: "http",
+        target: "https://example.com",
+    };
+
+    const assigned = [ gateway.assignTask("node-a", check, 30000, () => {}), gateway.assignTask("node-a", check, 60000, () => {}) ];
+    for (const [ i, task ] of session.ws.sent.slice().entries()) {
+        await deliver(gateway, session, sealEnvelope(session.keypair, "node-a", i + 1, "taskResult", {
+            taskId: task.data.taskId,
+            success: true,
+        }));
+    }
+    const [ kept, rejected ] = await Promise.all(assigned);
+
+    // The node reconnects, e.g. after the server restarted it has dropped its assignments
+    t.mock.method(Node, "getByNodeID", async () => ({
+        node_id: "node-a",
+        public_key: session.keypair.publicKey,
+        active: true,
+        last_seq: 2,
+        getReputation: Node.prototype.getReputation,
+        isQuarantined: Node.prototype.isQuarantined,
+    }));
+    const reconnected = new NodeSession(fakeWebSocket(), "127.0.0.1");
+    await deliver(gateway, reconnected, {
+        type: "authenticate",
+        data: {
+            nodeId: "node-a",
+            publicKey: session.keypair.publicKey,
+            protocol: {
+                version: PROTOCOL_VERSION,
+                minVersion: 1,
+                taskTypes: CURRENT_PROTOCOL.taskTypes,
+                features: FEATURES,
+            },
+        },
+    });
+    const nonce = reconnected.ws.sent[0].data.nonce;
+    await deliver(gateway, reconnected, {
+        type: "authProof",
+        data: {
+            nodeId: "node-a",
+            nonce,
+            signature: session.keypair.sign(buildAuthMessage("node-a", nonce)),
+        },
+    });
+
+    const resent = reconnected.ws.sent.filter((message) => message.type === "task");
+    assert.deepStrictEqual(resent.map((message) => [ message.data.taskId, message.data.interval, message.data.target ]), [
+        [ kept, 30000, check.target ],
+        [ rejected, 60000, check.target ],
+    ]);
+
+    // An assignment the node no longer takes is dropped
+    await deliver(gateway, reconnected, sealEnvelope(session.keypair, "node-a", 3, "taskResult", {
+        taskId: kept,
+        success: true,
+    }));
+    await deliver(gateway, reconnected, sealEnvelope(session.keypair, "node-a", 4, "taskResult", {
+        taskId: rejected,
+        success: false,
+        error: "Interval must be at least 1000 ms",
+    }));
+    await new Promise((resolve) => setImmediate(resolve));
+    assert.deepStrictEqual([ ...gateway.assignments.keys() ], [ kept ]);
+
+    // Not again when the session is only renewed
+    const renewal = gateway.challenges.issue("node-a");
+    await deliver(gateway, reconnected, {
+        type: "authProof",
+        data: {
+            nodeId: "node-a",
+            nonce: renewal.nonce,
+            signature: session.keypair.sign(buildAuthMessage("node-a", renewal.nonce)),
+        },
+    });
+    assert.strictEqual(reconnected.ws.sent.at(-1).data.success, true);
+    assert.strictEqual(reconnected.ws.sent.filter((message) => message.type === "task").length, 2);
+});
+
+test("Test NodeGateway - tasks of a node", async (t) => {
+    const gateway = createGateway();
+    const session = authenticatedSession(gateway, "node-a");
+    authenticatedSession(gateway, "node-b");
+
+    const assigned = gateway.assignTask("node-a", {
+        type: "http",
+        target: "https://example.com",
+    }, 30000, () => {});
+
+    // The first run of an assignment is only listed once
+    assert.deepStrictEqual(gateway.getNodeTasks("node-a").map((task) => task.recurring), [ true ]);
+
+    await deliver(gateway, session, sealEnvelope(session.keypair, "node-a", 1, "taskResult", {
+        taskId: session.ws.sent[0].data.taskId,
+        success: true,
+    }));
+    await assigned;
+
+    const check = gateway.sendTask("node-a", {
+        type: "checkEndpoint",
+        check: {
+            type: "tcp",
+            target: "example.com",
+        },
+    });
+    gateway.sendTask("node-b", {
+        type: "checkEndpoint",
+    }).catch(() => {});
+
+    const tasks = gateway.getNodeTasks("node-a");
+    assert.deepStrictEqual(tasks.map(({ type, target, interval, recurring }) => ({
+        type,
+        target,
+        interval,
+        recurring,
+    })), [
+        {
+            type: "http",
+            target: "https://example.com",
+            interval: 30000,
+            recurring: true,
+        },
+        {
+            type: "checkEndpoint",
+            target: "example.com",
+            interval: null,
+            recurring: false,
+        },
+    ]);
+
+    await deliver(gateway, session, sealEnvelope(session.keypair, "node-a", 2, "taskResult", {
+        taskId: session.ws.sent.at(-1).data.taskId,
+        success: true,
+    }));
+    await check;
+
+    assert.strictEqual(gateway.getNodeTasks("node-a").length, 1);
+    assert.deepStrictEqual(gateway.getNodeTasks("node-c"), []);
+
+    for (const pending of gateway.pendingTasks.values()) {
+        clearTimeout(pending.timeout);
+    }
+});
+
+test("Test NodeGateway - disabled nodes are disconnected", async (t) => {
+    const gateway = createGateway();
+    const session = authenticatedSession(gateway, "node-a");
+
+    assert.strictEqual(gateway.disconnectNode("node-a", "Node disabled"), true);
+    assert.deepStrictEqual(session.ws.closed, {
+        code: 4004,
+        reason: "Node disabled",
+    });
+    assert.strictEqual(gateway.disconnectNode("node-b", "Node disabled"), false);
+});
+
+test("Test NodeGateway - metrics are streamed to the node list", async (t) => {
+    const gateway = createGateway();
+    const session = authenticatedSession(gateway, "node-a");
+    const emitted = [];
+    gateway.io = {
+        to: (room) => ({
+            emit: (...args) => emitted.push([ room, ...args ]),
+        }),
+    };
+    t.mock.method(R, "dispense", () => ({}));
+    t.mock.method(R, "store", async () => {});
+
+    await deliver(gateway, session, sealEnvelope(session.keypair, "node-a", 1, "metrics", {
+        metrics: {
+            timestamp: Date.now(),
+            cpu: {
+                usage: 15,
+            },
+            memory: {
+                usagePercentage: 60,
+            },
+        },
+    }));
+
+    assert.strictEqual(emitted.length, 1);
+    const [ room, event, nodeID, point ] = emitted[0];
+    assert.strictEqual(room, NODE_LIST_ROOM);
+    assert.strictEqual(event, "nodeMetrics");
+    assert.strictEqual(nodeID, "node-a");
+    assert.strictEqual(point.cpu, 15);
+    assert.strictEqual(point.memory, 60);
+    assert.strictEqual(point.backfill, false);
+});
+
+test("Test NodeGateway - shutdown waits for the reward ledger to be written", async (t) => {
+    const gateway = createGateway();
+    const session = authenticatedSession(gateway, "node-a");
+    gateway.wss = {
+        close() {},
+    };
+
+    let written = false;
+    gateway.rewardLedger.flush = async () => {
+        await new Promise((resolve) => setTimeout(resolve, 10));
+        written = true;
+    };
+
+    await gateway.shutdown("Server shutdown", 60000);
+
+    assert.strictEqual(written, true);
+    assert.strictEqual(gateway.wss, null);
+    assert.strictEqual(session.ws.sent.at(-1).type, "serverShutdown");
+    assert.deepStrictEqual(session.ws.sent.at(-1).data, {
+        reason: "Server shutdown",
+        estimatedDowntime: 60000,
+    });
+    assert.deepStrictEqual(session.ws.closed, {
+        code: 1001,
+        reason: "Server shutdown",
+    });
+
+    // Nothing is written twice
+    written = false;
+    await gateway.shutdown("Server shutdown");
+    assert.strictEqual(written, false);
+});
+
+test("Test NodeGateway - reputation penalties are written at shutdown, also if the reward ledger fails", async (t) => {
+    const gateway = createGateway();
+    authenticatedSession(gateway, "node-a");
+    gateway.wss = {
+        close() {},
+    };
+
+    gateway.reputation.recordTask("node-a", false);
+
+    let written = null;
+    gateway.rewardLedger.flush = async () => {
+        throw new Error("database is locked");
+    };
+    gateway.reputation.flush = async () => {
+        const pending = Array.from(gateway.reputation.pending.keys());
+        await new Promise((resolve) => setTimeout(resolve, 10));
+        written = pending;
+        return [];
+    };
+
+    await gateway.shutdown("Server shutdown");
+
+    assert.deepStrictEqual(written, [ "node-a" ]);
+});
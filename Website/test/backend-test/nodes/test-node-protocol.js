@@ -0,0 +1,129 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const { PROTOCOL_VERSION, LEGACY_PROTOCOL, validateMessage, negotiateProtocol, supportsTask } = require("../../../server/nodes/node-protocol");
+
+const CLIENT_SCHEMA_PATH = path.join(__dirname, "../../../../uptime-client/src/services/protocol.schema.json");
+
+// uptime-client is missing when the main application is checked out on its own
+test("Test node protocol - uptime-client has the same schema", {
+    skip: !fs.existsSync(CLIENT_SCHEMA_PATH),
+}, () => {
+    assert.deepStrictEqual(
+        JSON.parse(fs.readFileSync(CLIENT_SCHEMA_PATH, "utf8")),
+        require("../../../server/nodes/node-protocol.schema.json")
+    );
+});
+
+test("Test node protocol - messages are validated", () => {
+    assert.strictEqual(validateMessage("node", {
+        type: "authenticate",
+        data: {
+            nodeId: "node-a",
+            publicKey: "key",
+        },
+        timestamp: 1234,
+        priority: "high",
+    }), null);
+    assert.strictEqual(validateMessage("server", {
+        type: "task",
+        data: {
+            taskId: "task",
+            type: "checkEndpoint",
+            check: {
+                type: "http",
+            },
+            futureField: true,
+        },
+    }), null);
+
+    assert.match(validateMessage("node", {
+        type: "authProof",
+        data: {
+            nodeId: "node-a",
+        },
+    }), /must have required property 'nonce'/);
+    assert.match(validateMessage("node", {
+        type: "taskResult",
+        data: {
+            taskId: 1,
+            success: true,
+        },
+    }), /message\/data\/taskId must be string/);
+
+    // Types of the other direction and unknown types
+    assert.ok(validateMessage("node", {
+        type: "task",
+        data: {},
+    }));
+    assert.ok(validateMessage("server", {
+        type: "unknownType",
+        data: {},
+    }));
+});
+
+test("Test node protocol - negotiation", () => {
+    // Nodes which do not send their protocol
+    assert.deepStrictEqual(negotiateProtocol(null), {
+        ...LEGACY_PROTOCOL,
+    });
+
+    // A newer node speaks the version of the server, unknown features are dropped
+    assert.deepStrictEqual(negotiateProtocol({
+        version: PROTOCOL_VERSION + 1,
+        minVersion: 1,
+        clientVersion: "2.0.0",
+        taskTypes: [ "checkEndpoint", "http", "traceroute" ],
+        features: [ "recurringTasks", "compression" ],
+    }), {
+        version: PROTOCOL_VERSION,
+        clientVersion: "2.0.0",
+        taskTypes: [ "checkEndpoint", "http", "traceroute" ],
+        features: [ "recurringTasks" ],
+    });
+
+    assert.throws(() => negotiateProtocol({
+        version: PROTOCOL_VERSION + 2,
+        minVersion: PROTOCOL_VERSION + 1,
+        taskTypes: [],
+        features: [],
+    }), /unsupported protocol version/);
+});
+
+test("Test node protocol - supported tasks", () => {
+    const protocol = {
+        taskTypes: [ "checkEndpoint", "http", "collectMetrics" ],
+        features: [],
+    };
+
+    assert.strictEqual(supportsTask(protocol, { type: "collectMetrics" }), true);
+    assert.strictEqual(supportsTask(protocol, { type: "traceroute" }), false);
+    assert.strictEqual(supportsTask(protocol, {
+        type: "checkEndpoint",
+        check: { type: "http" },
+    }), true);
+    assert.strictEqual(supportsTask(protocol, {
+        type: "checkEndpoint",
+        check: { type: "dns" },
+    }), false);
+
+    // Recurring tasks are a feature
+    assert.strictEqual(supportsTask(protocol, {
+        type: "http",
+        interval: 60000,
+    }), false);
+
+    // Nodes which did not send their protocol only get the baseline tasks
+    assert.strictEqual(supportsTask(LEGACY_PROTOCOL, { type: "collectMetrics" }), true);
+    assert.strictEqual(supportsTask(LEGACY_PROTOCOL, { type: "updateConfig" }), true);
+    assert.strictEqual(supportsTask(LEGACY_PROTOCOL, { type: "cancelTask" }), false);
+    assert.strictEqual(supportsTask(LEGACY_PROTOCOL, {
+        type: "checkEndpoint",
+        check: { type: "http" },
+    }), false);
+    assert.strictEqual(supportsTask(LEGACY_PROTOCOL, {
+        type: "http",
+        interval: 60000,
+    }), false);
+});
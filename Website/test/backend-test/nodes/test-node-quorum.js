@@ -0,0 +1,164 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { getRequiredVotes, getRegionName, buildRegionBreakdown, evaluateQuorum } = require("../../../server/nodes/node-quorum");
+
+/**
+ * Create the result of a node
+ * @param {string} name Name of the node
+ * @param {boolean|null} up Vote of the node, null if it did not answer
+ * @param {string} region Region of the node
+ * @returns {object} Result, see RemoteNodeMonitorType.toNodeResult()
+ */
+function nodeResult(name, up, region = "Hesse") {
+    return {
+        name,
+        region,
+        countryCode: "DE",
+        answered: up !== null,
+        up: up === true,
+        message: up === null ? "Task timed out" : (up ? "OK" : "Connection refused"),
+    };
+}
+
+test("Test quorum - required votes", () => {
+    assert.strictEqual(getRequiredVotes("any", null, 5), 1);
+    assert.strictEqual(getRequiredVotes("majority", null, 4), 3);
+    assert.strictEqual(getRequiredVotes("majority", null, 5), 3);
+    assert.strictEqual(getRequiredVotes("all", null, 5), 5);
+    assert.strictEqual(getRequiredVotes("n-of-m", 2, 5), 2);
+    assert.throws(() => getRequiredVotes("most", null, 5));
+});
+
+test("Test quorum - policies", () => {
+    const results = [
+        nodeResult("a", true),
+        nodeResult("b", false),
+        nodeResult("c", false),
+    ];
+
+    assert.strictEqual(evaluateQuorum(results, "any", null, 3).up, true);
+    assert.strictEqual(evaluateQuorum(results, "majority", null, 3).up, false);
+    assert.strictEqual(evaluateQuorum(results, "all", null, 3).up, false);
+    assert.strictEqual(evaluateQuorum(results, "n-of-m", 1, 3).up, true);
+    assert.strictEqual(evaluateQuorum(results, "n-of-m", 2, 3).up, false);
+});
+
+test("Test quorum - silent nodes cannot leave the verdict to the others", () => {
+    const silent = (count) => Array.from({ length: count }, (_, i) => nodeResult(`s${i}`, null));
+
+    // 4 of 5 nodes time out: the single answer does not make a majority
+    let verdict = evaluateQuorum([ nodeResult("a", true), ...silent(4) ], "majority", null, 5);
+    assert.strictEqual(verdict.up, false);
+    assert.match(verdict.msg, /^Not enough answers: 1\/5 nodes answered, majority quorum needs 3 nodes up\. No answer: s0/);
+
+    verdict = evaluateQuorum([ nodeResult("a", true), nodeResult("b", true), nodeResult("c", true), ...silent(2) ], "majority", null, 5);
+    assert.strictEqual(verdict.up, true);
+    assert.match(verdict.msg, /^3\/3 nodes up\. No answer: s0/);
+
+    // A down vote among too few answers is named
+    verdict = evaluateQuorum([ nodeResult("a", true), nodeResult("b", false), ...silent(3) ], "majority", null, 5);
+    assert.strictEqual(verdict.up, false);
+    assert.match(verdict.msg, /^Not enough answers: 2\/5 nodes answered, majority quorum needs 3 nodes up\. Down: b/);
+
+    // All nodes asked have to be up
+    verdict = evaluateQuorum([ nodeResult("a", true), nodeResult("b", true), ...silent(1) ], "all", null, 3);
+    assert.strictEqual(verdict.up, false);
+    assert.match(verdict.msg, /^Not enough answers: 2\/3 nodes answered, all quorum needs 3 nodes up/);
+    assert.strictEqual(evaluateQuorum([ nodeResult("a", true), nodeResult("b", true), nodeResult("c", true) ], "all", null, 3).up, true);
+
+    // N of M needs N answers
+    verdict = evaluateQuorum([ nodeResult("a", true), ...silent(3) ], "n-of-m", 2, 4);
+    assert.strictEqual(verdict.up, false);
+    assert.match(verdict.msg, /^Not enough answers: 1\/4 nodes answered, 2 of 4 quorum needs 2 nodes up/);
+    assert.strictEqual(evaluateQuorum([ nodeResult("a", true), nodeResult("b", true), ...silent(2) ], "n-of-m", 2, 4).up, true);
+
+    // One answer is enough for any
+    assert.strictEqual(evaluateQuorum([ nodeResult("a", true), ...silent(4) ], "any", null, 5).up, true);
+});
+
+test("Test quorum - the message names the nodes which disagreed", () => {
+    const verdict = evaluateQuorum([
+        nodeResult("a", true),
+        nodeResult("b", false, "Bavaria"),
+        nodeResult("c", null),
+    ], "any", null, 3);
+
+    assert.deepStrictEqual(verdict, {
+        up: true,
+        msg: "1/2 nodes up, any quorum met. Disagreed: b [Bavaria, DE]: Connection refused. No answer: c [Hesse, DE]: Task timed out",
+    });
+});
+
+test("Test quorum - no answer at all is down", () => {
+    const verdict = evaluateQuorum([
+        nodeResult("a", null),
+    ], "any", null, 1);
+
+    assert.strictEqual(verdict.up, false);
+    assert.match(verdict.msg, /^No node answered\. No answer: a/);
+});
+
+test("Test quorum - region breakdown", () => {
+    assert.strictEqual(getRegionName({
+        region: null,
+        country: null,
+    }), "Unknown");
+    assert.strictEqual(getRegionName({
+        region: null,
+        country: "Germany",
+    }), "Germany");
+
+    assert.deepStrictEqual(buildRegionBreakdown([
+        nodeResult("a", true),
+        nodeResult("b", false),
+        nodeResult("c", true, "Bavaria"),
+        nodeResult("d", null, "Saxony"),
+    ]), {
+        "Hesse, DE": {
+            up: 1,
+            down: 1,
+            latitude: null,
+            longitude: null,
+            ping: null,
+        },
+        "Bavaria, DE": {
+            up: 1,
+            down: 0,
+            latitude: null,
+            longitude: null,
+            ping: null,
+        },
+    });
+});
+
+test("Test quorum - region breakdown locations and latency", () => {
+    const breakdown = buildRegionBreakdown([
+        {
+            ...nodeResult("a", true),
+            latitude: 50.11,
+            longitude: 8.68,
+            responseTime: 120,
+        },
+        {
+            ...nodeResult("b", true),
+            latitude: 50.55,
+            longitude: 9.68,
+            responseTime: 181,
+        },
+        {
+            ...nodeResult("c", false),
+            latitude: null,
+            longitude: null,
+            responseTime: 3000,
+        },
+    ]);
+
+    // The location is averaged over the nodes which have one, the latency over the nodes which voted up
+    assert.deepStrictEqual(breakdown["Hesse, DE"], {
+        up: 2,
+        down: 1,
+        latitude: 50.33,
+        longitude: 9.18,
+        ping: 151,
+    });
+});
@@ -0,0 +1,296 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const express = require("express");
+const { R } = require("redbean-node");
+const dayjs = require("dayjs");
+dayjs.extend(require("dayjs/plugin/utc"));
+const Node = require("../../../server/model/node");
+const { UptimeKumaServer } = require("../../../server/uptime-kuma-server");
+const { buildRegisterMessage, buildStatusMessage } = require("../../../server/nodes/node-envelope");
+const { nodeRateLimiter } = require("../../../server/rate-limiter");
+const { generateKeypair } = require("./helpers");
+
+// api-router gets the server instance when it is loaded, the client IP is
+// taken from X-Forwarded-For so that tests can act as different clients
+test.mock.method(UptimeKumaServer, "getInstance", () => ({
+    io: {},
+    getClientIPwithProxy: async (clientIP, headers) => headers["x-forwarded-for"] ?? clientIP,
+}));
+const apiRouter = require("../../../server/routers/api-router");
+
+/**
+ * Start an HTTP server with the API router
+ * @param {object} t Test context, the server is closed after the test
+ * @returns {Promise<string>} Base URL of the server
+ */
+async function startServer(t) {
+    const app = express();
+    app.use(express.json());
+    app.use(apiRouter);
+
+    const httpServer = await new Promise((resolve) => {
+        const listening = app.listen(0, "127.0.0.1", () => resolve(listening));
+    });
+    t.after(() => httpServer.close());
+
+    return `http://127.0.0.1:${httpServer.address().port}`;
+}
+
+/**
+ * Post JSON to the server
+ * @param {string} url URL
+ * @param {object} body Request body
+ * @param {string} clientIP IP address the request comes from
+ * @returns {Promise<{status: number, body: object}>} Response
+ */
+async function post(url, body, clientIP) {
+    const response = await fetch(url, {
+        method: "POST",
+        headers: {
+            "Content-Type": "application/json",
+            "X-Forwarded-For": clientIP,
+        },
+        body: JSON.stringify(body),
+    });
+
+    return {
+        status: response.status,
+        body: await response.json(),
+    };
+}
+
+/**
+ * Build a registration signed like uptime-client does
+ * @param {object} keypair Keypair from generateKeypair()
+ * @param {object} fields Fields to add or replace
+ * @returns {object} Registration
+ */
+function signedRegistration(keypair, fields = {}) {
+    const info = {
+        publicKey: keypair.publicKey,
+        nodeType: "monitor",
+        geolocation: {
+            country: "DE",
+        },
+        tags: [ "eu" ],
+        timestamp: Date.now(),
+        ...fields,
+    };
+    info.signature = keypair.sign(buildRegisterMessage(info));
+    return info;
+}
+
+/**
+ * Build a status update signed like uptime-client does
+ * @param {object} keypair Keypair from generateKeypair()
+ * @param {string} nodeID Node ID
+ * @param {string} status Status
+ * @param {object} fields Fields to add or replace
+ * @returns {object} Status update
+ */
+function signedStatus(keypair, nodeID, status, fields = {}) {
+    const data = {
+        nodeId: nodeID,
+        publicKey: keypair.publicKey,
+        status,
+        timestamp: Date.now(),
+        ...fields,
+    };
+    data.signature = keypair.sign(buildStatusMessage(data));
+    return data;
+}
+
+/**
+ * Keep node rows in memory instead of the database
+ * @param {object} t Test context
+ * @returns {Map<string, Node>} Rows by public key
+ */
+function mockNodeTable(t) {
+    const rows = new Map();
+
+    t.mock.method(R, "findOne", async (type, where, [ value ]) => {
+        if (where.includes("public_key")) {
+            return rows.get(value) ?? null;
+        }
+        return [ ...rows.values() ].find((row) => row.node_id === value) ?? null;
+    });
+    t.mock.method(R, "dispense", () => Object.create(Node.prototype));
+    t.mock.method(R, "store", async (bean) => {
+        rows.set(bean.public_key, bean);
+    });
+
+    return rows;
+}
+
+test("Test node registry - registration", async (t) => {
+    const rows = mockNodeTable(t);
+    const url = await startServer(t) + "/api/nodes/register";
+    const keypair = generateKeypair();
+
+    const registered = await post(url, signedRegistration(keypair), "10.1.0.1");
+    assert.strictEqual(registered.status, 200);
+    assert.strictEqual(registered.body.success, true);
+
+    const row = rows.get(keypair.publicKey);
+    assert.strictEqual(registered.body.nodeId, row.node_id);
+    assert.strictEqual(row.ip, "10.1.0.1");
+
+    // The node registers again with a new location, the node ID stays
+    const again = await post(url, signedRegistration(keypair, {
+        geolocation: {
+            country: "FR",
+        },
+    }), "10.1.0.1");
+    assert.strictEqual(again.status, 200);
+    assert.strictEqual(again.body.nodeId, row.node_id);
+    assert.deepStrictEqual(JSON.parse(row.geolocation), {
+        country: "FR",
+    });
+});
+
+test("Test node registry - registration has to be signed with the key", async (t) => {
+    const rows = mockNodeTable(t);
+    const url = await startServer(t) + "/api/nodes/register";
+    const keypair = generateKeypair();
+    const attacker = generateKeypair();
+
+    await post(url, signedRegistration(keypair), "10.2.0.1");
+    const row = rows.get(keypair.publicKey);
+
+    // Only the public key is known to others
+    const unsigned = {
+        publicKey: keypair.publicKey,
+        geolocation: {
+            country: "US",
+        },
+        timestamp: Date.now(),
+    };
+    const forged = {
+        ...unsigned,
+        signature: attacker.sign(buildRegisterMessage(unsigned)),
+    };
+    const altered = {
+        ...signedRegistration(keypair),
+        geolocation: {
+            country: "US",
+        },
+    };
+    const outdated = signedRegistration(keypair, {
+        timestamp: Date.now() - 10 * 60 * 1000,
+    });
+
+    for (const body of [ unsigned, forged, altered ]) {
+        const response = await post(url, body, "10.2.0.2");
+        assert.strictEqual(response.status, 400);
+        assert.deepStrictEqual(response.body, {
+            success: false,
+            message: "Invalid registration signature",
+        });
+    }
+
+    const response = await post(url, outdated, "10.2.0.2");
+    assert.strictEqual(response.status, 400);
+    assert.strictEqual(response.body.message, "Invalid or outdated registration timestamp");
+
+    assert.deepStrictEqual(JSON.parse(row.geolocation), {
+        country: "DE",
+    });
+    assert.strictEqual(row.ip, "10.2.0.1");
+});
+
+test("Test node registry - status update", async (t) => {
+    const rows = mockNodeTable(t);
+    const baseURL = await startServer(t);
+    const keypair = generateKeypair();
+
+    const { body } = await post(baseURL + "/api/nodes/register", signedRegistration(keypair), "10.3.0.1");
+
+    const updated = await post(baseURL + "/api/nodes/status", signedStatus(keypair, body.nodeId, "maintenance"), "10.3.0.1");
+    assert.strictEqual(updated.status, 200);
+    assert.strictEqual(updated.body.success, true);
+    assert.strictEqual(rows.get(keypair.publicKey).status, "maintenance");
+
+    const wrongKey = await post(baseURL + "/api/nodes/status", {
+        nodeId: body.nodeId,
+        publicKey: generateKeypair().publicKey,
+        status: "active",
+    }, "10.3.0.1");
+    assert.strictEqual(wrongKey.status, 404);
+
+    const invalid = await post(baseURL + "/api/nodes/status", signedStatus(keypair, body.nodeId, "quarantined"), "10.3.0.1");
+    assert.strictEqual(invalid.status, 400);
+    assert.strictEqual(rows.get(keypair.publicKey).status, "maintenance");
+});
+
+test("Test node registry - status updates have to be signed with the key", async (t) => {
+    const rows = mockNodeTable(t);
+    const baseURL = await startServer(t);
+    const keypair = generateKeypair();
+    const attacker = generateKeypair();
+
+    const { body } = await post(baseURL + "/api/nodes/register", signedRegistration(keypair), "10.5.0.1");
+    const row = rows.get(keypair.publicKey);
+
+    // The node ID and the public key are known to others
+    const unsigned = {
+        nodeId: body.nodeId,
+        publicKey: keypair.publicKey,
+        status: "shutdown",
+        timestamp: Date.now(),
+    };
+    const forged = {
+        ...unsigned,
+        signature: attacker.sign(buildStatusMessage(unsigned)),
+    };
+    const altered = {
+        ...signedStatus(keypair, body.nodeId, "active"),
+        status: "shutdown",
+    };
+    // A registration signature is not a status signature
+    const registration = {
+        ...unsigned,
+        signature: keypair.sign(buildRegisterMessage(unsigned)),
+    };
+
+    for (const update of [ unsigned, forged, altered, registration ]) {
+        const response = await post(baseURL + "/api/nodes/status", update, "10.5.0.2");
+        assert.strictEqual(response.status, 400);
+        assert.deepStrictEqual(response.body, {
+            success: false,
+            message: "Invalid status signature",
+        });
+    }
+
+    const outdated = await post(baseURL + "/api/nodes/status", signedStatus(keypair, body.nodeId, "shutdown", {
+        timestamp: Date.now() - 10 * 60 * 1000,
+    }), "10.5.0.2");
+    assert.strictEqual(outdated.status, 400);
+    assert.strictEqual(outdated.body.message, "Invalid or outdated status timestamp");
+
+    assert.strictEqual(row.status, "registered");
+});
+
+test("Test node registry - requests are limited per client", async (t) => {
+    mockNodeTable(t);
+    const url = await startServer(t) + "/api/nodes/status";
+    const unknown = {
+        nodeId: "unknown",
+        publicKey: generateKeypair().publicKey,
+        status: "active",
+    };
+
+    assert.strictEqual((await post(url, unknown, "10.4.0.1")).status, 404);
+
+    // Use up the rest of the minute without waiting for HTTP round trips
+    let passed = true;
+    while (passed) {
+        passed = await nodeRateLimiter.pass("10.4.0.1");
+    }
+
+    const limited = await post(url, unknown, "10.4.0.1");
+    assert.strictEqual(limited.status, 429);
+    assert.strictEqual(limited.body.success, false);
+
+    // Other clients are not affected
+    assert.strictEqual((await post(url, unknown, "10.4.0.2")).status, 404);
+});
@@ -0,0 +1,241 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { R } = require("redbean-node");
+const dayjs = require("dayjs");
+dayjs.extend(require("dayjs/plugin/utc"));
+const Node = require("../../../server/model/node");
+const {
+    QUARANTINE_PERIOD,
+    getDistance,
+    judgeAgreement,
+    judgeLatency,
+    getRewardFactor,
+    updateReputation,
+    ReputationTracker,
+} = require("../../../server/nodes/node-reputation");
+
+const FRANKFURT = {
+    latitude: 50.11,
+    longitude: 8.68,
+};
+const PARIS = {
+    latitude: 48.86,
+    longitude: 2.35,
+};
+const AMSTERDAM = {
+    latitude: 52.37,
+    longitude: 4.9,
+};
+const TOKYO = {
+    latitude: 35.68,
+    longitude: 139.69,
+};
+
+/**
+ * Create the result of a node, see RemoteNodeMonitorType.toNodeResult()
+ * @param {string} nodeId Node ID
+ * @param {boolean} up Did the node see the target up?
+ * @param {?number} responseTime Response time in milliseconds
+ * @param {object} location Latitude and longitude of the node
+ * @returns {object} Result
+ */
+function result(nodeId, up, responseTime = 20, location = {}) {
+    return {
+        nodeId,
+        answered: true,
+        up,
+        responseTime,
+        latitude: location.latitude ?? null,
+        longitude: location.longitude ?? null,
+    };
+}
+
+test("Test node reputation - distance", () => {
+    assert.ok(Math.abs(getDistance(FRANKFURT, PARIS) - 479) < 5);
+    assert.ok(Math.abs(getDistance(FRANKFURT, TOKYO) - 9350) < 50);
+    assert.strictEqual(getDistance(PARIS, PARIS), 0);
+});
+
+test("Test node reputation - agreement with the majority", () => {
+    const samples = judgeAgreement([
+        result("a", true),
+        result("b", true),
+        result("c", false),
+        {
+            ...result("d", false),
+            answered: false,
+        },
+    ]);
+    assert.deepStrictEqual(Object.fromEntries(samples), {
+        a: 1,
+        b: 1,
+        c: 0,
+    });
+
+    // Not enough votes, or no majority
+    assert.strictEqual(judgeAgreement([ result("a", true), result("b", false) ]).size, 0);
+    assert.strictEqual(judgeAgreement([ result("a", true), result("b", true), result("c", false), result("d", false) ]).size, 0);
+});
+
+test("Test node reputation - implausible response times", () => {
+    // A node claiming to be in Tokyo cannot reach a target in 5 ms when
+    // nodes in Europe also reach it in 5 ms
+    const samples = judgeLatency([
+        result("frankfurt", true, 5, FRANKFURT),
+        result("paris", true, 5, PARIS),
+        result("amsterdam", true, 6, AMSTERDAM),
+        result("tokyo", true, 5, TOKYO),
+    ]);
+    assert.deepStrictEqual(Object.fromEntries(samples), {
+        frankfurt: 1,
+        paris: 1,
+        amsterdam: 1,
+        tokyo: 0,
+    });
+
+    // Far away but slow enough
+    const honest = judgeLatency([
+        result("frankfurt", true, 5, FRANKFURT),
+        result("paris", true, 5, PARIS),
+        result("amsterdam", true, 6, AMSTERDAM),
+        result("tokyo", true, 120, TOKYO),
+    ]);
+    assert.ok(Array.from(honest.values()).every((sample) => sample === 1));
+
+    // Fast everywhere, the target is anycast
+    const anycast = judgeLatency([
+        result("frankfurt", true, 2, FRANKFURT),
+        result("tokyo", true, 2, TOKYO),
+        result("sydney", true, 2, {
+            latitude: -33.87,
+            longitude: 151.21,
+        }),
+    ]);
+    assert.strictEqual(anycast.size, 0);
+
+    // Nodes without a location are not judged
+    assert.strictEqual(judgeLatency([
+        result("a", true, 5),
+        result("b", true, 5),
+        result("c", true, 5),
+    ]).size, 0);
+});
+
+test("Test node reputation - reward factor", () => {
+    assert.strictEqual(getRewardFactor(1), 1);
+    assert.strictEqual(getRewardFactor(0.8), 1);
+    assert.strictEqual(getRewardFactor(0.7), 0.7);
+    assert.strictEqual(getRewardFactor(0.49), 0);
+});
+
+test("Test node reputation - update and quarantine", () => {
+    const now = Date.UTC(2026, 9, 19);
+    const start = {
+        agreement: 1,
+        latency: 1,
+        tasks: 1,
+        quarantinedUntil: null,
+    };
+
+    const honest = updateReputation(start, {
+        agreement: [ 1, 1, 0 ],
+        latency: [ 1 ],
+        tasks: [ 1, 1 ],
+    }, now);
+    assert.strictEqual(honest.agreement, 0.95);
+    assert.strictEqual(honest.score, 0.975);
+    assert.strictEqual(honest.quarantinedUntil, null);
+
+    const liar = updateReputation(start, {
+        agreement: new Array(100).fill(0),
+        latency: new Array(100).fill(0),
+        tasks: [],
+    }, now);
+    assert.ok(liar.score < 0.5);
+    assert.strictEqual(liar.quarantinedUntil, now + QUARANTINE_PERIOD);
+
+    // A running quarantine is not extended
+    const still = updateReputation(liar, {
+        agreement: [ 0 ],
+        latency: [],
+        tasks: [],
+    }, now + 1000);
+    assert.strictEqual(still.quarantinedUntil, now + QUARANTINE_PERIOD);
+});
+
+test("Test ReputationTracker - observations are written to the node", async (t) => {
+    const node = {
+        node_id: "node-a",
+        reputation: 1,
+        reputation_agreement: 1,
+        reputation_latency: 1,
+        reputation_tasks: 1,
+        quarantined_until: null,
+        getReputation: Node.prototype.getReputation,
+        isQuarantined: Node.prototype.isQuarantined,
+    };
+    t.mock.method(Node, "getByNodeID", async (nodeID) => (nodeID === "node-a" ? node : null));
+    const store = t.mock.method(R, "store", async () => {});
+
+    const tracker = new ReputationTracker();
+    tracker.recordCheck([
+        result("node-a", false),
+        result("node-b", true),
+        result("node-c", true),
+    ], true);
+    tracker.recordTask("node-a", false);
+
+    const updated = await tracker.flush();
+
+    assert.strictEqual(tracker.pending.size, 0);
+    assert.strictEqual(store.mock.callCount(), 1);
+    assert.strictEqual(node.reputation_agreement, 0.95);
+    assert.strictEqual(node.reputation_tasks, 0.95);
+    assert.strictEqual(node.reputation_latency, 1);
+    assert.deepStrictEqual(updated, [
+        {
+            nodeID: "node-a",
+            reputation: {
+                score: node.reputation,
+                agreement: 0.95,
+                latency: 1,
+                tasks: 0.95,
+                quarantinedUntil: null,
+            },
+        },
+    ]);
+});
+
+test("Test ReputationTracker - quarantine set by hand", async (t) => {
+    const node = {
+        node_id: "node-a",
+        reputation: 0.9,
+        reputation_agreement: 0.9,
+        reputation_latency: 0.9,
+        reputation_tasks: 0.9,
+        quarantined_until: null,
+        getReputation: Node.prototype.getReputation,
+        isQuarantined: Node.prototype.isQuarantined,
+    };
+    t.mock.method(Node, "getByNodeID", async (nodeID) => (nodeID === "node-a" ? node : null));
+    const store = t.mock.method(R, "store", async () => {});
+
+    const tracker = new ReputationTracker();
+    const until = Date.now() + QUARANTINE_PERIOD;
+
+    const quarantined = await tracker.setQuarantine("node-a", until);
+    assert.strictEqual(node.quarantined_until, R.isoDateTime(dayjs.utc(until)));
+    assert.strictEqual(quarantined.reputation.quarantinedUntil, node.quarantined_until);
+
+    // The quarantine is kept by the observations applied after it
+    tracker.recordTask("node-a", true);
+    await tracker.flush();
+    assert.strictEqual(node.quarantined_until, R.isoDateTime(dayjs.utc(until)));
+
+    const lifted = await tracker.setQuarantine("node-a", null);
+    assert.strictEqual(node.quarantined_until, null);
+    assert.strictEqual(lifted.reputation.quarantinedUntil, null);
+    assert.strictEqual(store.mock.callCount(), 3);
+
+    assert.strictEqual(await tracker.setQuarantine("node-b", until), null);
+});
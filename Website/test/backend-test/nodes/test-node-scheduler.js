@@ -0,0 +1,253 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { R } = require("redbean-node");
+const dayjs = require("dayjs");
+dayjs.extend(require("dayjs/plugin/utc"));
+const { MISSED_TASK_LIMIT, scoreNode, pickNodes, NodeScheduler } = require("../../../server/nodes/node-scheduler");
+
+/**
+ * Create a node as returned by Node.toJSON()
+ * @param {string} nodeId Node ID
+ * @param {string} region Region of the node
+ * @param {object} fields Fields to override
+ * @returns {object} Node
+ */
+function createNode(nodeId, region, fields = {}) {
+    return {
+        nodeId,
+        geolocation: {
+            region,
+            countryCode: "DE",
+        },
+        reputation: {
+            score: 1,
+        },
+        capabilities: {},
+        tags: [],
+        ...fields,
+    };
+}
+
+/**
+ * Create a scheduler whose nodes are all online and eligible
+ * @param {object} t Test context
+ * @param {object[]} nodes Nodes in the database
+ * @returns {{scheduler: NodeScheduler, online: Set<string>}} Scheduler and the IDs of the online nodes
+ */
+function createScheduler(t, nodes) {
+    const online = new Set(nodes.map((node) => node.nodeId));
+
+    t.mock.method(R, "find", async () => nodes.filter((node) => online.has(node.nodeId)).map((node) => ({
+        toJSON: () => node,
+    })));
+
+    return {
+        scheduler: new NodeScheduler({
+            getOnlineNodeIDs: () => Array.from(online),
+            canRunTask: () => true,
+        }),
+        online,
+    };
+}
+
+/**
+ * What a monitor requires of its nodes
+ * @param {object} fields Fields to override
+ * @returns {object} Requirements
+ */
+function requirements(fields = {}) {
+    return {
+        filter: {
+            by: "any",
+            values: [],
+        },
+        nodeCount: 2,
+        minRegions: 1,
+        checkType: "http",
+        interval: 60,
+        ...fields,
+    };
+}
+
+test("Test scheduler - score", () => {
+    const node = createNode("a", "Hesse");
+
+    // Idle nodes, nodes with a better reputation and nodes with fewer checks come first
+    assert.ok(scoreNode(node, {
+        cpu: 10,
+        memory: 20,
+    }, 0) > scoreNode(node, {
+        cpu: 80,
+        memory: 20,
+    }, 0));
+    assert.ok(scoreNode(node, null, 0) > scoreNode({
+        ...node,
+        reputation: {
+            score: 0.6,
+        },
+    }, null, 0));
+    assert.ok(scoreNode(node, null, 1) > scoreNode(node, null, 10));
+
+    // A node which runs more tasks at the same time takes more checks
+    assert.ok(scoreNode({
+        ...node,
+        capabilities: {
+            maxConcurrent: 50,
+        },
+    }, null, 10) > scoreNode(node, null, 10));
+
+    // Fully loaded nodes are still ranked by reputation
+    assert.ok(scoreNode(node, {
+        cpu: 100,
+    }, 0) > 0);
+});
+
+test("Test scheduler - pick nodes", () => {
+    const nodes = [
+        createNode("a", "Hesse"),
+        createNode("b", "Hesse"),
+        createNode("c", "Hesse"),
+        createNode("d", "Bavaria"),
+    ];
+    const scores = {
+        a: 0.9,
+        b: 0.8,
+        c: 0.7,
+        d: 0.1,
+    };
+    const score = (node) => scores[node.nodeId];
+    const ids = (picked) => picked.map((node) => node.nodeId);
+
+    assert.deepStrictEqual(ids(pickNodes(nodes, [], 2, 1, score)), [ "a", "b" ]);
+
+    // Nodes assigned before are kept
+    assert.deepStrictEqual(ids(pickNodes(nodes, [ "c" ], 2, 1, score)), [ "a", "c" ]);
+
+    // A second region is covered, replacing the weakest kept node of the first
+    assert.deepStrictEqual(ids(pickNodes(nodes, [], 2, 2, score)), [ "a", "d" ]);
+    assert.deepStrictEqual(ids(pickNodes(nodes, [ "b", "c" ], 2, 2, score)), [ "b", "d" ]);
+
+    // Not more regions than there are
+    assert.deepStrictEqual(ids(pickNodes(nodes.slice(0, 3), [], 2, 2, score)), [ "a", "b" ]);
+});
+
+test("Test scheduler - assignments are kept and spread", async (t) => {
+    const { scheduler } = createScheduler(t, [
+        createNode("a", "Hesse"),
+        createNode("b", "Bavaria"),
+        createNode("c", "Saxony"),
+        createNode("d", "Berlin"),
+    ]);
+
+    const first = await scheduler.assign(1, requirements());
+    const second = await scheduler.assign(2, requirements());
+    const ids = (nodes) => nodes.map((node) => node.nodeId).sort();
+
+    // The second monitor goes to the nodes which have no checks yet
+    assert.deepStrictEqual([ ...ids(first), ...ids(second) ].sort(), [ "a", "b", "c", "d" ]);
+    assert.deepStrictEqual(ids(await scheduler.assign(1, requirements())), ids(first));
+
+    scheduler.removeMonitor(2);
+    assert.strictEqual(scheduler.getAssignedRate(second[0].nodeId), 0);
+});
+
+test("Test scheduler - busy nodes and unsupported checks", async (t) => {
+    const { scheduler } = createScheduler(t, [
+        createNode("a", "Hesse"),
+        createNode("b", "Hesse"),
+        createNode("c", "Hesse", {
+            capabilities: {
+                checks: [ "ping" ],
+            },
+        }),
+    ]);
+
+    scheduler.recordLoad("a", {
+        cpu: 20,
+        memory: 30,
+    });
+    scheduler.recordLoad("b", {
+        cpu: 70,
+        memory: 30,
+    });
+
+    const nodes = await scheduler.assign(1, requirements({
+        nodeCount: 1,
+    }));
+    assert.strictEqual(nodes[0].nodeId, "a");
+
+    // An overloaded node is not kept
+    scheduler.recordLoad("a", {
+        cpu: 95,
+        memory: 30,
+    });
+    assert.strictEqual((await scheduler.assign(1, requirements({
+        nodeCount: 1,
+    })))[0].nodeId, "b");
+
+    assert.deepStrictEqual((await scheduler.assign(2, requirements({
+        nodeCount: 3,
+        checkType: "ping",
+    }))).length, 3);
+    assert.deepStrictEqual((await scheduler.assign(3, requirements({
+        nodeCount: 3,
+    }))).map((node) => node.nodeId).sort(), [ "a", "b" ]);
+
+    // Nor to nodes whose protocol does not have the check
+    scheduler.gateway.canRunTask = (nodeID, task) => nodeID !== "b" || task.check.type !== "http";
+    assert.deepStrictEqual((await scheduler.assign(3, requirements({
+        nodeCount: 3,
+    }))).map((node) => node.nodeId), [ "a" ]);
+});
+
+test("Test scheduler - monitors of a node which disconnects are reassigned", async (t) => {
+    const { scheduler, online } = createScheduler(t, [
+        createNode("a", "Hesse"),
+        createNode("b", "Bavaria"),
+        createNode("c", "Saxony"),
+    ]);
+
+    const nodes = await scheduler.assign(1, requirements());
+    const [ gone, kept ] = nodes.map((node) => node.nodeId);
+    const spare = [ "a", "b", "c" ].find((nodeID) => !nodes.some((node) => node.nodeId === nodeID));
+
+    online.delete(gone);
+    assert.deepStrictEqual(await scheduler.releaseNode(gone, "disconnected"), [ 1 ]);
+    assert.deepStrictEqual(scheduler.plans.get(1).nodeIDs.sort(), [ kept, spare ].sort());
+
+    // Nodes without monitors are released without reassigning anything
+    assert.deepStrictEqual(await scheduler.releaseNode(gone, "disconnected"), []);
+});
+
+test("Test scheduler - a node which stops answering tasks is replaced", async (t) => {
+    const { scheduler } = createScheduler(t, [
+        createNode("a", "Hesse"),
+        createNode("b", "Bavaria"),
+    ]);
+
+    scheduler.recordLoad("b", {
+        cpu: 60,
+        memory: 60,
+    });
+
+    assert.strictEqual((await scheduler.assign(1, requirements({
+        nodeCount: 1,
+    })))[0].nodeId, "a");
+
+    // An answer resets the count
+    for (let i = 1; i < MISSED_TASK_LIMIT; i++) {
+        scheduler.recordTask("a", false);
+    }
+    scheduler.recordTask("a", true);
+    assert.strictEqual(scheduler.isUnresponsive("a"), false);
+
+    for (let i = 0; i < MISSED_TASK_LIMIT; i++) {
+        scheduler.recordTask("a", false);
+    }
+    assert.strictEqual(scheduler.isUnresponsive("a"), true);
+    assert.strictEqual(scheduler.plans.get(1).nodeIDs.includes("a"), false);
+
+    assert.strictEqual((await scheduler.assign(1, requirements({
+        nodeCount: 1,
+    })))[0].nodeId, "b");
+});
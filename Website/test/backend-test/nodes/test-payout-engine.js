@@ -0,0 +1,592 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { R } = require("redbean-node");
+const dayjs = require("dayjs");
+dayjs.extend(require("dayjs/plugin/utc"));
+const bs58 = require("bs58");
+const { Keypair, PublicKey, Transaction, SystemInstruction, SystemProgram } = require("@solana/web3.js");
+const {
+    TOKEN_PROGRAM_ID,
+    TOKEN_2022_PROGRAM_ID,
+    ASSOCIATED_TOKEN_PROGRAM_ID,
+    ACCOUNT_SIZE,
+    AccountType,
+    ExtensionType,
+    MINT_SIZE,
+    MintLayout,
+    TransferFeeConfigLayout,
+    TokenInstruction,
+    TransferFeeInstruction,
+    getMintLen,
+} = require("@solana/spl-token");
+const { NodeGateway } = require("../../../server/nodes/node-gateway");
+const { MAX_TRANSFERS_PER_TRANSACTION, MAX_PAYOUT_ATTEMPTS, toBaseUnits, addTransferFee, PayoutEngine } = require("../../../server/nodes/payout-engine");
+
+/**
+ * Replace the database with in-memory tables, supporting the queries the
+ * payout engine runs
+ * @param {object} t Test context
+ * @param {number} nodeCount Number of nodes, each with one settled reward of 0.1
+ * @returns {{node: object[], node_reward: object[], node_payout: object[]}} Tables
+ */
+function mockDatabase(t, nodeCount) {
+    const tables = {
+        node: [],
+        node_reward: [],
+        node_payout: [],
+    };
+
+    for (let i = 0; i < nodeCount; i++) {
+        tables.node.push({
+            node_id: `node-${i}`,
+            public_key: Keypair.generate().publicKey.toBase58(),
+        });
+        tables.node_reward.push(reward(tables, `node-${i}`, 0.1));
+    }
+
+    t.mock.method(R, "dispense", (type) => ({
+        _type: type,
+    }));
+
+    t.mock.method(R, "store", async (bean) => {
+        const table = tables[bean._type];
+        if (!table.includes(bean)) {
+            bean.id = table.length + 1;
+            table.push(bean);
+        }
+    });
+
+    t.mock.method(R, "find", async (type, where, params) => {
+        const query = where.trim();
+
+        if (type === "node") {
+            return tables.node.filter((node) => params.includes(node.node_id));
+        } else if (type === "node_payout" && query === "status = ?") {
+            return tables.node_payout.filter((payout) => payout.status === params[0]);
+        } else if (type === "node_reward" && query === "payout_id = ?") {
+            return tables.node_reward.filter((row) => row.payout_id === params[0]);
+        } else if (type === "node_reward" && query.startsWith("status = ? AND payout_id IS NULL AND amount > 0 AND (next_payout_date IS NULL OR next_payout_date <= ?)")) {
+            return tables.node_reward.filter((row) => row.status === params[0] && row.payout_id == null && row.amount > 0 && (row.next_payout_date == null || row.next_payout_date <= params[1]));
+        }
+
+        throw new Error(`Unexpected query on ${type}: ${query}`);
+    });
+
+    return tables;
+}
+
+/**
+ * Create a settled ledger row
+ * @param {object} tables Tables
+ * @param {string} nodeID Node ID
+ * @param {number} amount Reward
+ * @returns {object} Ledger row
+ */
+function reward(tables, nodeID, amount) {
+    return {
+        _type: "node_reward",
+        id: tables.node_reward.length + 1,
+        node_id: nodeID,
+        amount,
+        status: "settled",
+        payout_id: null,
+        payout_attempts: 0,
+        next_payout_date: null,
+        toJSON() {
+            return {
+                nodeId: this.node_id,
+                amount: this.amount,
+                status: this.status,
+            };
+        },
+    };
+}
+
+/**
+ * Stand-in for a Solana Connection. Transactions are recorded and only
+ * land when the test sets their status.
+ * @returns {object} Fake connection
+ */
+function fakeConnection() {
+    return {
+        blockHeight: 1000,
+        sent: [],
+        sendOptions: [],
+        statuses: new Map(),
+        async getLatestBlockhash() {
+            return {
+                blockhash: Keypair.generate().publicKey.toBase58(),
+                lastValidBlockHeight: this.blockHeight + 150,
+            };
+        },
+        async getBlockHeight() {
+            return this.blockHeight;
+        },
+        async sendRawTransaction(raw, options) {
+            const transaction = Transaction.from(raw);
+            this.sent.push(transaction);
+            this.sendOptions.push(options);
+            return bs58.encode(transaction.signature);
+        },
+        async getSignatureStatuses(signatures) {
+            return {
+                value: signatures.map((signature) => this.statuses.get(signature) ?? null),
+            };
+        },
+    };
+}
+
+/**
+ * Create the account of a mint with 6 decimals
+ * @param {PublicKey} programId Token program owning the mint
+ * @param {?{transferFeeBasisPoints: number, maximumFee: bigint}} transferFee Transfer fee of a Token-2022 mint
+ * @returns {object} Account info
+ */
+function mintAccount(programId, transferFee = null) {
+    const data = Buffer.alloc(transferFee ? getMintLen([ ExtensionType.TransferFeeConfig ]) : MINT_SIZE);
+
+    MintLayout.encode({
+        mintAuthorityOption: 0,
+        mintAuthority: PublicKey.default,
+        supply: 0n,
+        decimals: 6,
+        isInitialized: true,
+        freezeAuthorityOption: 0,
+        freezeAuthority: PublicKey.default,
+    }, data);
+
+    if (transferFee) {
+        const fee = {
+            epoch: 0n,
+            ...transferFee,
+        };
+
+        data.writeUInt8(AccountType.Mint, ACCOUNT_SIZE);
+        data.writeUInt16LE(ExtensionType.TransferFeeConfig, ACCOUNT_SIZE + 1);
+        data.writeUInt16LE(TransferFeeConfigLayout.span, ACCOUNT_SIZE + 3);
+        TransferFeeConfigLayout.encode({
+            transferFeeConfigAuthority: PublicKey.default,
+            withdrawWithheldAuthority: PublicKey.default,
+            withheldAmount: 0n,
+            olderTransferFee: fee,
+            newerTransferFee: fee,
+        }, data, ACCOUNT_SIZE + 5);
+    }
+
+    return {
+        owner: programId,
+        data,
+        executable: false,
+        lamports: 1000000,
+    };
+}
+
+/**
+ * Replace the node gateway, recording the reward notifications
+ * @param {object} t Test context
+ * @returns {object[]} Notifications
+ */
+function mockGateway(t) {
+    const notifications = [];
+    t.mock.method(NodeGateway, "getInstance", () => ({
+        sendReward: (nodeID, data) => notifications.push({
+            nodeID,
+            data,
+        }),
+    }));
+    return notifications;
+}
+
+test("Test payout - amounts are converted to base units exactly", () => {
+    assert.strictEqual(toBaseUnits(0.1, 9), 100000000n);
+    assert.strictEqual(toBaseUnits("0.123456789", 9), 123456789n);
+    assert.strictEqual(toBaseUnits(0.3, 6), 300000n);
+    assert.strictEqual(toBaseUnits(12, 0), 12n);
+    assert.strictEqual(toBaseUnits(0.0000001, 6), 0n);
+});
+
+test("Test PayoutEngine - rewards are paid in batches", async (t) => {
+    const tables = mockDatabase(t, MAX_TRANSFERS_PER_TRANSACTION + 2);
+    // A second unpaid epoch of node-0 is added to the same transfer
+    tables.node_reward.push(reward(tables, "node-0", 0.05));
+
+    const connection = fakeConnection();
+    const payer = Keypair.generate();
+    await new PayoutEngine(connection, payer).run();
+
+    assert.strictEqual(tables.node_payout.length, 2);
+    assert.strictEqual(connection.sent.length, 2);
+
+    const [ first, second ] = tables.node_payout;
+    assert.strictEqual(first.status, "sent");
+    assert.strictEqual(first.token, "SOL");
+    assert.strictEqual(first.attempts, 1);
+    assert.strictEqual(first.signature, bs58.encode(connection.sent[0].signature));
+    assert.ok(first.transaction);
+
+    const transfers = connection.sent[0].instructions.map((instruction) => SystemInstruction.decodeTransfer(instruction));
+    assert.strictEqual(transfers.length, MAX_TRANSFERS_PER_TRANSACTION);
+    assert.strictEqual(transfers[0].fromPubkey.toBase58(), payer.publicKey.toBase58());
+    assert.strictEqual(transfers[0].toPubkey.toBase58(), tables.node[0].public_key);
+    assert.strictEqual(transfers[0].lamports, 150000000n);
+    assert.strictEqual(transfers[1].lamports, 100000000n);
+    assert.strictEqual(connection.sent[1].instructions.length, 2);
+
+    assert.ok(tables.node_reward.every((row) => row.payout_id === (row.node_id === "node-8" || row.node_id === "node-9" ? second.id : first.id)));
+
+    // Nothing is paid twice
+    await new PayoutEngine(connection, payer).run();
+    assert.strictEqual(tables.node_payout.length, 2);
+});
+
+test("Test PayoutEngine - rewards are finalized at finalized commitment", async (t) => {
+    const tables = mockDatabase(t, 2);
+    const notifications = mockGateway(t);
+    const connection = fakeConnection();
+    const engine = new PayoutEngine(connection, Keypair.generate());
+
+    await engine.run();
+    const payout = tables.node_payout[0];
+
+    connection.statuses.set(payout.signature, {
+        err: null,
+        confirmationStatus: "confirmed",
+    });
+    await engine.run();
+    assert.strictEqual(payout.status, "sent");
+    assert.strictEqual(connection.sent.length, 1);
+    assert.ok(tables.node_reward.every((row) => row.status === "settled"));
+
+    connection.statuses.set(payout.signature, {
+        err: null,
+        confirmationStatus: "finalized",
+    });
+    await engine.run();
+    assert.strictEqual(payout.status, "finalized");
+    assert.ok(payout.finalized_date);
+    assert.ok(tables.node_reward.every((row) => row.status === "finalized"));
+    assert.deepStrictEqual(notifications.map((n) => [ n.nodeID, n.data.txId ]), [
+        [ "node-0", payout.signature ],
+        [ "node-1", payout.signature ],
+    ]);
+});
+
+test("Test PayoutEngine - a transaction which did not land is sent again until its blockhash expires", async (t) => {
+    const tables = mockDatabase(t, 1);
+    const connection = fakeConnection();
+    const engine = new PayoutEngine(connection, Keypair.generate());
+
+    await engine.run();
+    const payout = tables.node_payout[0];
+
+    // Still valid: the same transaction is sent again, no new payout
+    await engine.run();
+    assert.strictEqual(tables.node_payout.length, 1);
+    assert.strictEqual(payout.attempts, 2);
+    assert.deepStrictEqual(connection.sent[1].signature, connection.sent[0].signature);
+
+    // Expired without landing: the reward is paid with a new transaction
+    connection.blockHeight = payout.last_valid_block_height + 1;
+    await engine.run();
+
+    assert.strictEqual(payout.status, "expired");
+    assert.strictEqual(tables.node_payout.length, 2);
+    assert.strictEqual(tables.node_payout[1].status, "sent");
+    assert.notStrictEqual(tables.node_payout[1].signature, payout.signature);
+    assert.strictEqual(tables.node_reward[0].payout_id, tables.node_payout[1].id);
+    // It was accepted, so it is not counted as a failed attempt
+    assert.strictEqual(tables.node_reward[0].payout_attempts, 0);
+});
+
+test("Test PayoutEngine - a failed transaction releases its rewards", async (t) => {
+    const tables = mockDatabase(t, 1);
+    const connection = fakeConnection();
+    const engine = new PayoutEngine(connection, Keypair.generate());
+
+    await engine.run();
+    const payout = tables.node_payout[0];
+
+    connection.statuses.set(payout.signature, {
+        err: {
+            InstructionError: [ 0, "Custom" ],
+        },
+        confirmationStatus: "finalized",
+    });
+    await engine.run();
+
+    assert.strictEqual(payout.status, "failed");
+    assert.match(payout.error, /InstructionError/);
+
+    // The reward is paid again once the retry delay is over
+    const row = tables.node_reward[0];
+    assert.strictEqual(row.payout_id, null);
+    assert.strictEqual(row.payout_attempts, 1);
+    assert.ok(row.next_payout_date > R.isoDateTime(dayjs.utc()));
+    assert.strictEqual(tables.node_payout.length, 1);
+
+    row.next_payout_date = R.isoDateTime(dayjs.utc().subtract(1, "minute"));
+    await engine.run();
+    assert.strictEqual(tables.node_payout.length, 2);
+    assert.strictEqual(row.payout_id, tables.node_payout[1].id);
+});
+
+test("Test PayoutEngine - rewards whose payouts keep failing are put aside for review", async (t) => {
+    const tables = mockDatabase(t, 1);
+    const connection = fakeConnection();
+    const engine = new PayoutEngine(connection, Keypair.generate());
+    const row = tables.node_reward[0];
+    const delays = [];
+
+    for (let i = 1; i <= MAX_PAYOUT_ATTEMPTS; i++) {
+        row.next_payout_date = null;
+        await engine.run();
+        const payout = tables.node_payout[i - 1];
+
+        connection.statuses.set(payout.signature, {
+            err: {
+                InstructionError: [ 0, "Custom" ],
+            },
+            confirmationStatus: "finalized",
+        });
+        await engine.run();
+
+        assert.strictEqual(payout.status, "failed");
+        assert.strictEqual(row.payout_attempts, i);
+        delays.push(row.next_payout_date && dayjs.utc(row.next_payout_date).diff(dayjs.utc(), "minute", true));
+    }
+
+    // The delay doubles with every attempt
+    for (let i = 1; i < MAX_PAYOUT_ATTEMPTS - 1; i++) {
+        assert.ok(Math.abs(delays[i] - delays[i - 1] * 2) < 1);
+    }
+
+    assert.strictEqual(row.status, "review");
+    assert.strictEqual(row.payout_id, null);
+    assert.strictEqual(delays[MAX_PAYOUT_ATTEMPTS - 1], null);
+
+    // Not paid again
+    await engine.run();
+    assert.strictEqual(tables.node_payout.length, MAX_PAYOUT_ATTEMPTS);
+    assert.strictEqual(connection.sent.length, MAX_PAYOUT_ATTEMPTS);
+});
+
+test("Test PayoutEngine - payouts which cannot be built back off as well", async (t) => {
+    const tables = mockDatabase(t, 1);
+    const connection = fakeConnection();
+    const engine = new PayoutEngine(connection, Keypair.generate());
+    const row = tables.node_reward[0];
+    engine.getTransfers = async () => {
+        throw new Error("Unknown node node-0");
+    };
+
+    await engine.run();
+    const payout = tables.node_payout[0];
+    assert.strictEqual(payout.status, "failed");
+    assert.match(payout.error, /Unknown node node-0/);
+    assert.strictEqual(row.payout_id, null);
+    assert.strictEqual(row.payout_attempts, 1);
+    assert.ok(row.next_payout_date > R.isoDateTime(dayjs.utc()));
+    assert.strictEqual(connection.sent.length, 0);
+
+    // Not built again before the retry delay is over
+    await engine.run();
+    assert.strictEqual(tables.node_payout.length, 1);
+
+    for (let i = 2; i <= MAX_PAYOUT_ATTEMPTS; i++) {
+        row.next_payout_date = null;
+        await engine.run();
+    }
+
+    assert.strictEqual(row.payout_attempts, MAX_PAYOUT_ATTEMPTS);
+    assert.strictEqual(row.status, "review");
+    assert.ok(tables.node_payout.every((p) => p.status === "failed"));
+
+    await engine.run();
+    assert.strictEqual(tables.node_payout.length, MAX_PAYOUT_ATTEMPTS);
+});
+
+test("Test PayoutEngine - preflight is only skipped for transactions which were accepted", async (t) => {
+    const tables = mockDatabase(t, 1);
+    const connection = fakeConnection();
+    const engine = new PayoutEngine(connection, Keypair.generate());
+
+    const sendRawTransaction = connection.sendRawTransaction;
+    connection.sendRawTransaction = async (raw, options) => {
+        connection.sendOptions.push(options);
+        throw new Error("Transaction simulation failed: Error processing Instruction 0: custom program error: 0x1");
+    };
+
+    await engine.run();
+    await engine.run();
+    const payout = tables.node_payout[0];
+    assert.deepStrictEqual(connection.sendOptions.map((options) => options.skipPreflight), [ false, false ]);
+
+    // Never accepted before its blockhash expired: paid again later
+    connection.blockHeight = payout.last_valid_block_height + 1;
+    await engine.run();
+    assert.strictEqual(payout.status, "expired");
+    assert.strictEqual(tables.node_payout.length, 1);
+    assert.strictEqual(tables.node_reward[0].payout_attempts, 1);
+    assert.ok(tables.node_reward[0].next_payout_date);
+
+    // Once accepted, a transaction sent again may already be processed
+    connection.sendRawTransaction = sendRawTransaction;
+    connection.sendOptions = [];
+    tables.node_reward[0].next_payout_date = null;
+    await engine.run();
+    await engine.run();
+    assert.deepStrictEqual(connection.sendOptions.map((options) => options.skipPreflight), [ false, true ]);
+});
+
+test("Test PayoutEngine - send errors and unsigned payouts are recovered", async (t) => {
+    const tables = mockDatabase(t, 1);
+    const connection = fakeConnection();
+    const engine = new PayoutEngine(connection, Keypair.generate());
+
+    // The server stopped after recording the payout, before signing it
+    tables.node_payout.push({
+        _type: "node_payout",
+        id: 1,
+        status: "pending",
+        token: "SOL",
+        attempts: 0,
+    });
+    tables.node_reward[0].payout_id = 1;
+
+    const sendRawTransaction = connection.sendRawTransaction;
+    connection.sendRawTransaction = async () => {
+        throw new Error("fetch failed");
+    };
+    await engine.run();
+
+    const payout = tables.node_payout[0];
+    assert.strictEqual(tables.node_payout.length, 1);
+    assert.strictEqual(payout.status, "sent");
+    assert.strictEqual(payout.error, "fetch failed");
+    assert.ok(payout.signature);
+
+    connection.sendRawTransaction = sendRawTransaction;
+    await engine.run();
+    assert.strictEqual(payout.error, null);
+    assert.strictEqual(bs58.encode(connection.sent[0].signature), payout.signature);
+});
+
+test("Test PayoutEngine - token transfers create the token account of the recipient", async () => {
+    const payer = Keypair.generate();
+    const mint = Keypair.generate().publicKey;
+    const recipient = Keypair.generate().publicKey;
+    const connection = fakeConnection();
+    connection.getAccountInfo = async () => mintAccount(TOKEN_PROGRAM_ID);
+    const engine = new PayoutEngine(connection, payer, mint);
+
+    const instructions = await engine.buildInstructions([
+        {
+            recipient,
+            amount: 5000000n,
+        },
+    ]);
+
+    assert.strictEqual(instructions.length, 2);
+    assert.ok(instructions[0].programId.equals(ASSOCIATED_TOKEN_PROGRAM_ID));
+    assert.ok(instructions[1].programId.equals(TOKEN_PROGRAM_ID));
+    assert.strictEqual(instructions[1].data[0], TokenInstruction.TransferChecked);
+    assert.ok(instructions[1].keys[1].pubkey.equals(mint));
+    assert.strictEqual(instructions[1].data.readBigUInt64LE(1), 5000000n);
+    assert.strictEqual(instructions[1].data[9], 6);
+    assert.ok(!instructions.some((instruction) => instruction.programId.equals(SystemProgram.programId)));
+});
+
+test("Test PayoutEngine - Token-2022 mints are paid through Token-2022", async () => {
+    const payer = Keypair.generate();
+    const mint = Keypair.generate().publicKey;
+    const recipient = Keypair.generate().publicKey;
+    const connection = fakeConnection();
+    connection.getAccountInfo = async () => mintAccount(TOKEN_2022_PROGRAM_ID);
+    const engine = new PayoutEngine(connection, payer, mint);
+
+    const instructions = await engine.buildInstructions([
+        {
+            recipient,
+            amount: 5000000n,
+        },
+    ]);
+
+    assert.strictEqual(instructions.length, 2);
+    assert.ok(instructions[0].programId.equals(ASSOCIATED_TOKEN_PROGRAM_ID));
+    // The associated token account is created for Token-2022
+    assert.ok(instructions[0].keys[5].pubkey.equals(TOKEN_2022_PROGRAM_ID));
+    assert.ok(instructions[1].programId.equals(TOKEN_2022_PROGRAM_ID));
+    assert.strictEqual(instructions[1].data[0], TokenInstruction.TransferChecked);
+    assert.ok(instructions[1].keys[2].pubkey.equals(instructions[0].keys[1].pubkey));
+});
+
+test("Test PayoutEngine - transfer fees are added to the amount sent", async () => {
+    const payer = Keypair.generate();
+    const mint = Keypair.generate().publicKey;
+    const recipient = Keypair.generate().publicKey;
+    const connection = fakeConnection();
+    connection.getAccountInfo = async () => mintAccount(TOKEN_2022_PROGRAM_ID, {
+        transferFeeBasisPoints: 100,
+        maximumFee: 1000000n,
+    });
+    connection.getEpochInfo = async () => ({
+        epoch: 500,
+    });
+    const engine = new PayoutEngine(connection, payer, mint);
+
+    const instructions = await engine.buildInstructions([
+        {
+            recipient,
+            amount: 5000000n,
+        },
+    ]);
+
+    const data = instructions[1].data;
+    assert.ok(instructions[1].programId.equals(TOKEN_2022_PROGRAM_ID));
+    assert.strictEqual(data[0], TokenInstruction.TransferFeeExtension);
+    assert.strictEqual(data[1], TransferFeeInstruction.TransferCheckedWithFee);
+    const amount = data.readBigUInt64LE(2);
+    const fee = data.readBigUInt64LE(11);
+    assert.strictEqual(data[10], 6);
+    assert.strictEqual(amount - fee, 5000000n);
+    assert.strictEqual(fee, (amount * 100n + 9999n) / 10000n);
+});
+
+test("Test PayoutEngine - unusable mints are refused", async () => {
+    const connection = fakeConnection();
+    connection.getAccountInfo = async () => null;
+    const engine = new PayoutEngine(connection, Keypair.generate(), Keypair.generate().publicKey);
+
+    await assert.rejects(engine.getMintInfo(), /does not exist/);
+
+    connection.getAccountInfo = async () => mintAccount(SystemProgram.programId);
+    await assert.rejects(engine.getMintInfo(), /is not a mint of the token program or Token-2022/);
+});
+
+test("Test payout - transfer fees are added so the recipient gets the full amount", () => {
+    const transferFee = {
+        transferFeeBasisPoints: 250,
+        maximumFee: 10n ** 18n,
+    };
+
+    for (const amount of [ 1n, 39n, 40n, 1000n, 123456789n ]) {
+        const sent = addTransferFee(transferFee, amount);
+        assert.strictEqual(sent.fee, (sent.amount * 250n + 9999n) / 10000n);
+        assert.strictEqual(sent.amount - sent.fee, amount);
+    }
+
+    assert.deepStrictEqual(addTransferFee({
+        transferFeeBasisPoints: 250,
+        maximumFee: 5n,
+    }, 1000000n), {
+        amount: 1000005n,
+        fee: 5n,
+    });
+    assert.deepStrictEqual(addTransferFee({
+        transferFeeBasisPoints: 0,
+        maximumFee: 0n,
+    }, 1000n), {
+        amount: 1000n,
+        fee: 0n,
+    });
+});
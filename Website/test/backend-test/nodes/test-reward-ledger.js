@@ -0,0 +1,211 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { R } = require("redbean-node");
+const dayjs = require("dayjs");
+dayjs.extend(require("dayjs/plugin/utc"));
+const { EPOCH_LENGTH, getEpochStart, computeReward, RewardLedger } = require("../../../server/nodes/reward-ledger");
+
+const ROUND_LENGTH = 30 * 1000;
+const ROUNDS = EPOCH_LENGTH / ROUND_LENGTH;
+const EPOCH = Date.UTC(2026, 9, 19);
+
+/**
+ * Replace the node_reward table with an in-memory list
+ * @param {object} t Test context
+ * @param {object[]} rows Rows in the table
+ * @param {object[]} nodes Rows of the node table
+ * @returns {object[]} Rows, including the ones stored by the ledger
+ */
+function mockTable(t, rows = [], nodes = []) {
+    t.mock.method(R, "findOne", async (type, where, [ nodeID, epochStart ]) => {
+        return rows.find((row) => row.node_id === nodeID && row.epoch_start === epochStart) ?? null;
+    });
+    t.mock.method(R, "find", async (type, where, params) => {
+        if (type === "node") {
+            return nodes.filter((node) => params.includes(node.node_id));
+        }
+        return rows.filter((row) => row.status === "open" && row.epoch_end <= params[0]);
+    });
+    t.mock.method(R, "dispense", () => ({}));
+    t.mock.method(R, "store", async (bean) => {
+        if (!rows.includes(bean)) {
+            rows.push(bean);
+        }
+    });
+    return rows;
+}
+
+test("Test reward ledger - epochs start at midnight UTC", () => {
+    assert.strictEqual(getEpochStart(EPOCH), EPOCH);
+    assert.strictEqual(getEpochStart(EPOCH + EPOCH_LENGTH - 1), EPOCH);
+    assert.strictEqual(getEpochStart(EPOCH + EPOCH_LENGTH), EPOCH + EPOCH_LENGTH);
+});
+
+test("Test reward ledger - reward", () => {
+    const full = computeReward({
+        heartbeats: ROUNDS,
+        pings: ROUNDS,
+        tasksCompleted: 0,
+        tasksFailed: 0,
+    }, ROUND_LENGTH, 0.1);
+    assert.deepStrictEqual(full, {
+        uptime: 1,
+        taskRate: 1,
+        amount: 0.1,
+    });
+
+    // Rounds without an authenticated ping do not count
+    const silent = computeReward({
+        heartbeats: ROUNDS,
+        pings: ROUNDS * 0.5,
+        tasksCompleted: 0,
+        tasksFailed: 0,
+    }, ROUND_LENGTH, 0.1);
+    assert.strictEqual(silent.uptime, 0.5);
+    assert.strictEqual(silent.amount, 0);
+
+    const failingTasks = computeReward({
+        heartbeats: ROUNDS,
+        pings: ROUNDS * 0.95,
+        tasksCompleted: 3,
+        tasksFailed: 1,
+    }, ROUND_LENGTH, 1);
+    assert.strictEqual(failingTasks.taskRate, 0.75);
+    assert.strictEqual(failingTasks.amount, 0.7125);
+
+    // A low reputation reduces the reward, below the quarantine threshold it is withheld
+    const counts = {
+        heartbeats: ROUNDS,
+        pings: ROUNDS,
+        tasksCompleted: 0,
+        tasksFailed: 0,
+    };
+    assert.strictEqual(computeReward(counts, ROUND_LENGTH, 1, 0.85).amount, 1);
+    assert.strictEqual(computeReward(counts, ROUND_LENGTH, 1, 0.6).amount, 0.6);
+    assert.strictEqual(computeReward(counts, ROUND_LENGTH, 1, 0.4).amount, 0);
+});
+
+test("Test RewardLedger - counts are added to the row of the epoch", async (t) => {
+    const rows = mockTable(t);
+    const ledger = new RewardLedger(ROUND_LENGTH);
+
+    ledger.recordRound("node-a", true, EPOCH + 1000);
+    ledger.recordRound("node-a", false, EPOCH + 2000);
+    ledger.recordTask("node-a", true, EPOCH + 3000);
+    await ledger.flush();
+
+    ledger.recordTask("node-a", false, EPOCH + 4000);
+    // Belongs to the next epoch
+    ledger.recordRound("node-a", true, EPOCH + EPOCH_LENGTH);
+    await ledger.flush();
+
+    assert.strictEqual(ledger.pending.size, 0);
+    assert.strictEqual(rows.length, 2);
+    assert.deepStrictEqual(rows[0], {
+        node_id: "node-a",
+        epoch_start: "2026-10-19 00:00:00",
+        epoch_end: "2026-10-20 00:00:00",
+        heartbeats: 2,
+        pings: 1,
+        tasks_completed: 1,
+        tasks_failed: 1,
+        status: "open",
+    });
+    assert.strictEqual(rows[1].epoch_start, "2026-10-20 00:00:00");
+});
+
+test("Test RewardLedger - counts which cannot be written are kept for the next flush", async (t) => {
+    const rows = mockTable(t);
+    const ledger = new RewardLedger(ROUND_LENGTH);
+    const store = R.store;
+
+    ledger.recordRound("node-a", true, EPOCH + 1000);
+    ledger.recordTask("node-a", true, EPOCH + 2000);
+    ledger.recordRound("node-b", false, EPOCH + 1000);
+
+    t.mock.method(R, "store", async (bean) => {
+        if (bean.node_id === "node-a") {
+            throw new Error("SQLITE_BUSY: database is locked");
+        }
+        return store(bean);
+    });
+    await ledger.flush();
+
+    assert.deepStrictEqual(rows.map((row) => row.node_id), [ "node-b" ]);
+    assert.strictEqual(ledger.pending.size, 1);
+
+    // Recorded while the write failed, merged with the counts put back
+    ledger.recordRound("node-a", false, EPOCH + 3000);
+
+    R.store.mock.restore();
+    await ledger.flush();
+
+    assert.strictEqual(ledger.pending.size, 0);
+    const row = rows.find((r) => r.node_id === "node-a");
+    assert.strictEqual(row.heartbeats, 2);
+    assert.strictEqual(row.pings, 1);
+    assert.strictEqual(row.tasks_completed, 1);
+    assert.strictEqual(rows.find((r) => r.node_id === "node-b").heartbeats, 1);
+});
+
+test("Test RewardLedger - settle epochs which ended", async (t) => {
+    const toJSON = () => ({});
+    const rows = mockTable(t, [
+        {
+            node_id: "node-a",
+            epoch_start: "2026-10-18 00:00:00",
+            epoch_end: "2026-10-19 00:00:00",
+            heartbeats: ROUNDS,
+            pings: ROUNDS,
+            tasks_completed: 10,
+            tasks_failed: 0,
+            status: "open",
+            toJSON,
+        },
+        {
+            node_id: "node-b",
+            epoch_start: "2026-10-18 00:00:00",
+            epoch_end: "2026-10-19 00:00:00",
+            heartbeats: 100,
+            pings: 100,
+            tasks_completed: 0,
+            tasks_failed: 0,
+            status: "open",
+            toJSON,
+        },
+        {
+            node_id: "node-a",
+            epoch_start: "2026-10-19 00:00:00",
+            epoch_end: "2026-10-20 00:00:00",
+            heartbeats: 5,
+            pings: 5,
+            tasks_completed: 0,
+            tasks_failed: 0,
+            status: "open",
+            toJSON,
+        },
+    ], [
+        {
+            node_id: "node-a",
+            reputation: 0.6,
+        },
+    ]);
+    const ledger = new RewardLedger(ROUND_LENGTH);
+
+    const settled = await ledger.settle(EPOCH + 60 * 1000);
+
+    assert.strictEqual(settled.length, 2);
+    assert.strictEqual(rows[0].status, "settled");
+    assert.strictEqual(rows[0].uptime, 1);
+    assert.strictEqual(rows[0].settled_date, "2026-10-19 00:01:00");
+    assert.strictEqual(rows[0].reputation, 0.6);
+    assert.strictEqual(rows[0].amount, 0.06);
+    assert.strictEqual(rows[1].status, "settled");
+    assert.strictEqual(rows[1].amount, 0);
+    assert.strictEqual(rows[2].status, "open");
+
+    // Counts which arrive late are not added to a settled epoch
+    ledger.recordRound("node-b", true, EPOCH - 1000);
+    await ledger.flush();
+    assert.strictEqual(rows[1].heartbeats, 100);
+});
@@ -347,6 +347,55 @@ test("Test get1YearUptime (1 check per day)", async (t) => {
     assert.strictEqual(c2.get7Day().uptime, 4 / 7);
 });
 
+test("Test region breakdown (remote-node monitors)", async (t) => {
+    UptimeCalculator.currentDate = dayjs.utc("2023-08-12 20:46:59");
+
+    let c2 = new UptimeCalculator();
+    await c2.update(UP, 10, undefined, {
+        "Hesse, DE": {
+            up: 2,
+            down: 0,
+        },
+        "Ile-de-France, FR": {
+            up: 0,
+            down: 1,
+        },
+    });
+
+    UptimeCalculator.currentDate = UptimeCalculator.currentDate.add(1, "minute");
+    await c2.update(DOWN, 0, undefined, {
+        "Hesse, DE": {
+            up: 1,
+            down: 1,
+        },
+    });
+
+    // Stored as extras of the data points
+    assert.deepStrictEqual(c2.lastDailyUptimeData.regions["Hesse, DE"], {
+        up: 3,
+        down: 1,
+    });
+
+    let regions = c2.getRegionData(1440, "minute");
+    assert.deepStrictEqual(regions, {
+        "Hesse, DE": {
+            up: 3,
+            down: 1,
+            uptime: 0.75,
+        },
+        "Ile-de-France, FR": {
+            up: 0,
+            down: 1,
+            uptime: 0,
+        },
+    });
+
+    // Without a breakdown, there is nothing by region
+    let c3 = new UptimeCalculator();
+    await c3.update(UP);
+    assert.deepStrictEqual(c3.getRegionData(1440, "minute"), {});
+});
+
 /**
  * Code from here: https://stackoverflow.com/a/64550489/1097815
  * @returns {{rss: string, heapTotal: string, heapUsed: string, external: string}} Current memory usage
@@ -2,13 +2,21 @@ module.exports = {
   // Client configuration
   client: {
     port: process.env.PORT || 3002,
-    host: process.env.HOST || 'localhost'
+    host: process.env.HOST || 'localhost',
+    // Key of the task API, generated into data/api-key if not set
+    apiKey: process.env.CLIENT_API_KEY || ''
   },
   
   // Main application configuration
   mainApp: {
     apiUrl: process.env.MAIN_APP_API_URL || 'http://localhost:3001/api',
-    wsUrl: process.env.MAIN_APP_WS_URL || 'http://localhost:3001'
+    wsUrl: process.env.MAIN_APP_WS_URL || 'ws://localhost:3001/ws/nodes',
+    weight: process.env.MAIN_APP_WEIGHT || 1,
+    // Further endpoints of the same main application, e.g. in another
+    // region, comma separated: "<API URL> <WebSocket URL> [weight]"
+    endpoints: process.env.MAIN_APP_ENDPOINTS || '',
+    // 'ordered' (the first endpoint which is up) or 'weighted' (a random one by weight)
+    endpointStrategy: process.env.MAIN_APP_ENDPOINT_STRATEGY || 'ordered'
   },
   
   // Uptime Kuma server configuration (legacy)
@@ -20,6 +28,7 @@ module.exports = {
   // Monitoring configuration
   monitoring: {
     interval: process.env.MONITORING_INTERVAL || 60000, // 1 minute in milliseconds
+    resultHistory: parseInt(process.env.TASK_RESULT_HISTORY, 10) || 100, // Results kept per task
     metrics: {
       cpu: true,
       memory: true,
@@ -29,29 +38,68 @@ module.exports = {
     }
   },
   
+  // Scheduler of the metrics collection and the monitoring tasks
+  scheduler: {
+    maxConcurrent: parseInt(process.env.SCHEDULER_MAX_CONCURRENT, 10) || 10, // Runs at the same time, others wait
+    taskTimeout: parseInt(process.env.SCHEDULER_TASK_TIMEOUT, 10) || 60000, // 1 minute in milliseconds
+    jitterRatio: parseFloat(process.env.SCHEDULER_JITTER_RATIO) || 0.1 // Random delay of each run, share of the interval
+  },
+  
   // Solana configuration
   solana: {
     network: process.env.SOLANA_NETWORK || 'devnet', // 'devnet', 'testnet', or 'mainnet-beta'
     rpcUrl: process.env.SOLANA_RPC_URL || 'https://api.devnet.solana.com',
+    // Encrypted wallet, managed with `npm run keys`
+    keystorePath: process.env.SOLANA_KEYSTORE_PATH || 'data/wallet.json',
+    keystorePassphrase: process.env.SOLANA_KEYSTORE_PASSPHRASE || '',
+    keystorePassphraseFile: process.env.SOLANA_KEYSTORE_PASSPHRASE_FILE || '',
+    // Unencrypted wallet key (JSON array or base58), used without a keystore
     walletPrivateKey: process.env.SOLANA_WALLET_PRIVATE_KEY || '',
-    rewardTokenMint: process.env.SOLANA_REWARD_TOKEN_MINT || '',
-    rewardAmount: process.env.SOLANA_REWARD_AMOUNT || 0.1, // Amount of tokens to reward per successful monitoring period
-    rewardInterval: process.env.SOLANA_REWARD_INTERVAL || 86400000 // 24 hours in milliseconds
+    rewardTokenMint: process.env.SOLANA_REWARD_TOKEN_MINT || ''
   },
   
   // User configuration
   user: {
     publicKey: process.env.USER_PUBLIC_KEY || '',
     autoRegister: process.env.AUTO_REGISTER === 'true' || false,
+    // Tags the main application can choose this node by, comma separated
+    tags: (process.env.NODE_TAGS || '').split(',').map(tag => tag.trim()).filter(Boolean),
     statusUpdateInterval: process.env.STATUS_UPDATE_INTERVAL || 300000 // 5 minutes in milliseconds
   },
   
+  // Location sent to the main application, which chooses nodes by region
+  geolocation: {
+    // Providers tried in order: 'manual', 'geoip' and 'http' (ipapi.co)
+    providers: (process.env.GEOLOCATION_PROVIDERS || 'manual,geoip,http').split(',').map(provider => provider.trim()).filter(Boolean),
+    // 'exact', 'city' (coordinates rounded to about 11 km) or 'country'
+    precision: process.env.GEOLOCATION_PRECISION || 'city',
+    // MaxMind database of the geoip provider, e.g. GeoLite2-City.mmdb
+    geoipDatabase: process.env.GEOIP_DATABASE || '',
+    // Public IP looked up by the geoip provider, found on the network interfaces if not set
+    ip: process.env.GEOLOCATION_IP || '',
+    // Location of the manual provider, used if a country is set
+    manual: {
+      country: process.env.GEO_COUNTRY || '',
+      countryCode: process.env.GEO_COUNTRY_CODE || '',
+      region: process.env.GEO_REGION || '',
+      city: process.env.GEO_CITY || '',
+      latitude: process.env.GEO_LATITUDE || '',
+      longitude: process.env.GEO_LONGITUDE || ''
+    }
+  },
+  
   // WebSocket configuration
   websocket: {
     reconnectInterval: process.env.WS_RECONNECT_INTERVAL || 5000, // 5 seconds in milliseconds
     maxReconnectAttempts: process.env.WS_MAX_RECONNECT_ATTEMPTS || 10
   },
   
+  // Outbox of metrics and task results waiting for an ack, kept in data/outbox.jsonl
+  outbox: {
+    maxMessages: parseInt(process.env.OUTBOX_MAX_MESSAGES, 10) || 10000,
+    maxBytes: parseInt(process.env.OUTBOX_MAX_BYTES, 10) || 10 * 1024 * 1024 // 10 MB
+  },
+  
   // Logging configuration
   logging: {
     level: process.env.LOG_LEVEL || 'info',
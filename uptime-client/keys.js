@@ -0,0 +1,170 @@
+#!/usr/bin/env node
+
+require('dotenv').config();
+const fs = require('fs');
+const readline = require('readline');
+const bs58 = require('bs58');
+const { Keypair } = require('@solana/web3.js');
+const keystore = require('./src/utils/keystore');
+
+const USAGE = `Manage the wallet of the node, kept encrypted in ${keystore.getKeystorePath()}
+
+Usage: npm run keys <command> [options]
+
+Commands:
+  generate                     Create a new wallet
+  import [--file <path>]       Import a secret key, in base58 or as a JSON array
+                               like Solana CLI keypair files. Asked for if no file is given.
+  export [--format <format>]   Print the secret key, as base58 (default) or json
+  rotate                       Replace the wallet with a new one, the old keystore is kept as a backup
+  address                      Print the public key of the wallet
+
+The passphrase is asked for, or taken from SOLANA_KEYSTORE_PASSPHRASE or
+SOLANA_KEYSTORE_PASSPHRASE_FILE.`;
+
+// Ask a question on stderr, so that the output of export can be piped.
+// The answer is not echoed when hidden.
+function ask(question, hidden = false) {
+  return new Promise((resolve) => {
+    const rl = readline.createInterface({
+      input: process.stdin,
+      output: process.stderr,
+      terminal: process.stdin.isTTY === true
+    });
+    
+    rl._writeToOutput = (text) => {
+      if (!rl.hidden) {
+        rl.output.write(text);
+      }
+    };
+    
+    rl.question(question, (answer) => {
+      rl.close();
+      if (hidden) {
+        process.stderr.write('\n');
+      }
+      resolve(answer);
+    });
+    rl.hidden = hidden;
+  });
+}
+
+// Get the value of an option, e.g. --file <path>
+function getOption(args, name) {
+  const index = args.indexOf(`--${name}`);
+  return index !== -1 ? args[index + 1] : undefined;
+}
+
+// Get the passphrase of the existing keystore
+async function getPassphrase() {
+  return keystore.getConfiguredPassphrase() || await ask('Passphrase: ', true);
+}
+
+// Get a passphrase for a new keystore, asked for twice
+async function getNewPassphrase() {
+  const configured = keystore.getConfiguredPassphrase();
+  if (configured) {
+    return configured;
+  }
+  
+  while (true) {
+    const passphrase = await ask(`New passphrase (at least ${keystore.MIN_PASSPHRASE_LENGTH} characters): `, true);
+    
+    if (passphrase.length < keystore.MIN_PASSPHRASE_LENGTH) {
+      console.error('The passphrase is too short.');
+      continue;
+    }
+    
+    if (await ask('Repeat the passphrase: ', true) === passphrase) {
+      return passphrase;
+    }
+    console.error('The passphrases do not match.');
+  }
+}
+
+// Make sure there is no keystore yet
+function ensureNoKeystore() {
+  if (keystore.exists()) {
+    throw new Error(`There is a wallet already in ${keystore.getKeystorePath()}, use rotate to replace it`);
+  }
+}
+
+// Write a new keystore and tell the operator what to do next
+async function saveNewWallet(keypair) {
+  keystore.save(keypair, await getNewPassphrase());
+  console.error(`Wallet saved to ${keystore.getKeystorePath()}`);
+  console.error('Keep a backup of the secret key (npm run keys export) and the passphrase, rewards are paid to this wallet.');
+  console.error('Set SOLANA_KEYSTORE_PASSPHRASE or SOLANA_KEYSTORE_PASSPHRASE_FILE for the client to unlock it on startup.');
+  console.log(keypair.publicKey.toBase58());
+}
+
+const commands = {
+  async generate() {
+    ensureNoKeystore();
+    await saveNewWallet(Keypair.generate());
+  },
+  
+  async import(args) {
+    ensureNoKeystore();
+    
+    const file = getOption(args, 'file');
+    const input = file ? fs.readFileSync(file, 'utf8') : await ask('Secret key (base58 or JSON array): ', true);
+    
+    await saveNewWallet(keystore.parseSecretKey(input));
+  },
+  
+  async export(args) {
+    const format = getOption(args, 'format') || 'base58';
+    if (!['base58', 'json'].includes(format)) {
+      throw new Error('The format must be base58 or json');
+    }
+    
+    const keypair = keystore.load(await getPassphrase());
+    console.error('Anyone with this key controls the wallet and the identity of the node.');
+    console.log(format === 'json' ? JSON.stringify(Array.from(keypair.secretKey)) : bs58.encode(Buffer.from(keypair.secretKey)));
+  },
+  
+  async rotate() {
+    if (!keystore.exists()) {
+      throw new Error(`There is no wallet in ${keystore.getKeystorePath()}`);
+    }
+    
+    // The new wallet gets the passphrase of the old one, so the client
+    // still unlocks it with the configured passphrase
+    const passphrase = await getPassphrase();
+    const previous = keystore.load(passphrase);
+    const keypair = Keypair.generate();
+    const backupPath = keystore.save(keypair, passphrase, true);
+    
+    console.error(`Replaced the wallet ${previous.publicKey.toBase58()}, its keystore is kept in ${backupPath}`);
+    console.error('Rewards settled before the rotation may still be paid to the old wallet, keep its backup. The node registers again with the new key once it is restarted.');
+    console.log(keypair.publicKey.toBase58());
+  },
+  
+  async address() {
+    console.log(keystore.getPublicKey());
+  }
+};
+
+// Run a command
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+  
+  if (!Object.hasOwn(commands, command || '')) {
+    console.error(USAGE);
+    process.exit(command ? 1 : 0);
+  }
+  
+  await commands[command](args);
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  commands
+};
@@ -5,67 +5,364 @@ const path = require('path');
 const readline = require('readline');
 const { execSync } = require('child_process');
 const crypto = require('crypto');
-const axios = require('axios');
 
-const rl = readline.createInterface({
-  input: process.stdin,
-  output: process.stdout
-});
+// Exit codes, so that scripts running the setup can tell what went wrong.
+// An invalid configuration exits with EXIT_INVALID_CONFIG of
+// src/utils/config-schema.js (78).
+const EXIT_FAILED = 1;
+const EXIT_USAGE = 64;
+
+// Settings written to .env, in the order they are asked for. Each one can
+// also be given with a flag named after it (e.g. --main-app-api-url), as
+// an environment variable or in the file given with --config.
+const SETTINGS = [
+  { section: 'Client Configuration', env: 'PORT', question: 'Port', default: '3002' },
+  { section: 'Client Configuration', env: 'HOST', question: 'Host', default: 'localhost' },
+  { section: 'Main Application Configuration', env: 'MAIN_APP_API_URL', question: 'Main Application API URL', default: 'http://localhost:3001/api' },
+  { section: 'Main Application Configuration', env: 'MAIN_APP_WS_URL', question: 'Main Application WebSocket URL', default: 'ws://localhost:3001/ws/nodes' },
+  { section: 'Main Application Configuration', env: 'MAIN_APP_ENDPOINTS', question: 'Further endpoints of the main application, used when the one above fails', hint: 'comma separated "<API URL> <WebSocket URL> [weight]", empty for none', default: '' },
+  { section: 'Main Application Configuration', env: 'MAIN_APP_ENDPOINT_STRATEGY', question: 'How an endpoint is chosen', hint: 'ordered, weighted', default: 'ordered' },
+  // Defaults to the public key of the wallet
+  { section: 'User Configuration', env: 'USER_PUBLIC_KEY', question: 'Your Solana Public Key' },
+  { section: 'User Configuration', env: 'AUTO_REGISTER', question: 'Auto-register on startup?', hint: 'true/false', values: ['true', 'false'], default: 'true' },
+  { section: 'Solana Configuration', env: 'SOLANA_NETWORK', question: 'Solana Network', default: 'devnet' },
+  { section: 'Solana Configuration', env: 'SOLANA_RPC_URL', question: 'Solana RPC URL', default: 'https://api.devnet.solana.com' },
+  { section: 'Solana Configuration', env: 'SOLANA_REWARD_TOKEN_MINT', question: 'Token Mint Address for SPL token rewards', hint: 'empty for SOL', default: '' },
+  { section: 'Geolocation', env: 'GEOLOCATION_PRECISION', question: 'Precision of the location sent to the main application', hint: 'exact, city, country', default: 'city' },
+  { section: 'Geolocation', env: 'GEO_COUNTRY_CODE', question: 'Country code, to set the location manually', hint: 'e.g. DE, empty to look it up', default: '' },
+  { section: 'Geolocation', env: 'GEOIP_DATABASE', question: 'GeoIP database file, to look the location up offline', hint: 'empty for none', default: '' },
+  { section: 'Monitoring Configuration', env: 'MONITORING_INTERVAL', question: 'Monitoring Interval in ms', default: '60000' },
+  { section: 'Monitoring Configuration', env: 'STATUS_UPDATE_INTERVAL', question: 'Status Update Interval in ms', default: '300000' },
+  { section: 'Logging Configuration', env: 'LOG_LEVEL', question: 'Log Level', hint: 'error, warn, info, debug', default: 'info' },
+  { section: 'Logging Configuration', env: 'LOG_FILE', question: 'Log File', default: 'uptime-client.log' }
+];
+
+const USAGE = `Configure the client and write its .env file
+
+Usage: npm run setup -- [options] [--<setting> <value> ...]
+
+Options:
+  --non-interactive            Ask nothing: settings come from flags, environment
+                               variables, the --config file or their defaults
+  --config <file>              Settings as a JSON object or in the .env format, by
+                               environment variable name. Settings which are not
+                               asked for, such as NODE_TAGS, are written as well.
+  --wallet <generate|import>   Create a new wallet or import a key, if there is no
+                               keystore yet (default: generate)
+  --wallet-key-file <path>     Secret key to import, in base58 or as a JSON array
+  --skip-install               Do not run npm install
+  --force                      Replace an existing .env in non-interactive mode
+  --check                      Only validate the current configuration
+  --help                       Show this help
+
+Settings:
+${SETTINGS.map(setting => `  --${toFlag(setting.env)}`).join('\n')}
+
+Flags take precedence over environment variables, which take precedence over
+the --config file. The keystore passphrase is read from SOLANA_KEYSTORE_PASSPHRASE
+or SOLANA_KEYSTORE_PASSPHRASE_FILE.
+
+Exit codes: 0 done, 1 failed, 64 invalid command line, 78 invalid configuration`;
 
 // Generate a random string for API key
 function generateApiKey() {
   return crypto.randomBytes(16).toString('hex');
 }
 
-// Ask a question and get user input
+// Get the flag of a setting, e.g. --main-app-api-url for MAIN_APP_API_URL
+function toFlag(env) {
+  return env.toLowerCase().replace(/_/g, '-');
+}
+
+// Stop the setup with an exit code
+function fail(message, exitCode = EXIT_FAILED) {
+  const error = new Error(message);
+  error.exitCode = exitCode;
+  throw error;
+}
+
+// Parse the command line
+function parseArgs(argv) {
+  const options = {
+    interactive: true,
+    check: false,
+    install: true,
+    force: false,
+    help: false,
+    configFile: null,
+    wallet: null,
+    walletKeyFile: null,
+    settings: {}
+  };
+  const settingFlags = new Map(SETTINGS.map(setting => [toFlag(setting.env), setting.env]));
+  
+  for (let i = 0; i < argv.length; i++) {
+    const match = /^--([a-z0-9-]+)(?:=(.*))?$/s.exec(argv[i]);
+    if (!match) {
+      fail(`Unexpected argument ${argv[i]}`, EXIT_USAGE);
+    }
+    
+    const [, flag, inline] = match;
+    const getValue = () => {
+      const value = inline ?? argv[++i];
+      if (value === undefined) {
+        fail(`--${flag} needs a value`, EXIT_USAGE);
+      }
+      return value;
+    };
+    
+    switch (flag) {
+      case 'non-interactive':
+        options.interactive = false;
+        break;
+      case 'check':
+        options.check = true;
+        break;
+      case 'skip-install':
+        options.install = false;
+        break;
+      case 'force':
+        options.force = true;
+        break;
+      case 'help':
+        options.help = true;
+        break;
+      case 'config':
+        options.configFile = getValue();
+        break;
+      case 'wallet':
+        options.wallet = getValue();
+        if (!['generate', 'import'].includes(options.wallet)) {
+          fail('--wallet must be generate or import', EXIT_USAGE);
+        }
+        break;
+      case 'wallet-key-file':
+        options.walletKeyFile = getValue();
+        break;
+      default:
+        if (!settingFlags.has(flag)) {
+          fail(`Unknown option --${flag}`, EXIT_USAGE);
+        }
+        options.settings[settingFlags.get(flag)] = getValue();
+    }
+  }
+  
+  return options;
+}
+
+// Read the settings of the --config file, a JSON object or a .env file
+function readConfigFile(file) {
+  let settings;
+  
+  try {
+    const content = fs.readFileSync(file, 'utf8');
+    // Required here, after the dependencies are installed
+    settings = file.endsWith('.json') ? JSON.parse(content) : require('dotenv').parse(content);
+  } catch (error) {
+    fail(`Cannot read the configuration file ${file}: ${error.message}`, EXIT_USAGE);
+  }
+  
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    fail(`The configuration file ${file} must contain settings by environment variable name`, EXIT_USAGE);
+  }
+  
+  for (const [env, value] of Object.entries(settings)) {
+    if (!/^[A-Z][A-Z0-9_]*$/.test(env) || (value !== null && typeof value === 'object')) {
+      fail(`Invalid setting ${env} in ${file}`, EXIT_USAGE);
+    }
+    settings[env] = value === null ? '' : String(value);
+  }
+  
+  return settings;
+}
+
+// Ask a question and get user input. Each question has its own
+// interface, so that the wallet commands can read the terminal in between.
 function askQuestion(question) {
   return new Promise((resolve) => {
+    const rl = readline.createInterface({
+      input: process.stdin,
+      output: process.stdout
+    });
+    
     rl.question(question, (answer) => {
+      rl.close();
       resolve(answer);
     });
   });
 }
 
-// Get user's geolocation
-async function getGeolocation() {
-  try {
-    console.log('Fetching geolocation data...');
-    const response = await axios.get('https://ipapi.co/json/');
+// Check the value of a setting, returns the reason it is invalid or null
+function checkSetting(setting, value) {
+  if (setting.values && !setting.values.includes(value)) {
+    return `${setting.env} must be one of ${setting.values.join(', ')}, got ${JSON.stringify(value)}`;
+  }
+  
+  // Required here, after the dependencies are installed
+  return require('./src/utils/config-schema').checkEnv(setting.env, value);
+}
+
+// Get the value of a setting: from its flag, the environment, the
+// --config file or its default
+function resolveSetting(setting, options, defaults = {}) {
+  return options.settings[setting.env] ?? process.env[setting.env] ?? options.fileSettings[setting.env] ??
+    defaults[setting.env] ?? setting.default ?? '';
+}
+
+// Check the settings of the non-interactive mode before anything is
+// written, all invalid settings are reported at once
+function checkSettings(options) {
+  const errors = SETTINGS.map(setting => checkSetting(setting, resolveSetting(setting, options))).filter(Boolean);
+  
+  if (errors.length > 0) {
+    fail(`Invalid configuration:\n- ${errors.join('\n- ')}`, require('./src/utils/config-schema').EXIT_INVALID_CONFIG);
+  }
+}
+
+// Get the settings of a section. In interactive mode they are asked for,
+// with their value as the default answer, and asked again until they are
+// valid.
+async function configureSection(section, options, values, defaults = {}) {
+  console.log(`\n-- ${section} --`);
+  
+  for (const setting of SETTINGS.filter(s => s.section === section)) {
+    const value = resolveSetting(setting, options, defaults);
     
-    if (response.data) {
-      const geoData = {
-        ip: response.data.ip,
-        city: response.data.city,
-        region: response.data.region,
-        country: response.data.country_name,
-        countryCode: response.data.country_code,
-        latitude: response.data.latitude,
-        longitude: response.data.longitude
-      };
+    if (!options.interactive) {
+      values[setting.env] = value;
+      continue;
+    }
+    
+    const hints = [setting.hint, value ? `default: ${value}` : null].filter(Boolean);
+    const question = `${setting.question}${hints.length > 0 ? ` (${hints.join(', ')})` : ''}: `;
+    
+    while (true) {
+      const answer = (await askQuestion(question)).trim() || value;
+      const error = checkSetting(setting, answer);
       
-      console.log(`Location detected: ${geoData.city}, ${geoData.country} (${geoData.latitude}, ${geoData.longitude})`);
-      return geoData;
+      if (!error) {
+        values[setting.env] = answer;
+        break;
+      }
+      console.error(error);
     }
-  } catch (error) {
-    console.error('Failed to get geolocation:', error.message);
+  }
+}
+
+// Create or import the wallet of the node, unless there is one already.
+// Returns its public key.
+async function setupWallet(options) {
+  // Required here, after the dependencies are installed
+  const keystore = require('./src/utils/keystore');
+  const { commands } = require('./keys');
+  const { EXIT_INVALID_CONFIG } = require('./src/utils/config-schema');
+  
+  if (keystore.exists()) {
+    const publicKey = keystore.getPublicKey();
+    console.log(`Using the wallet in ${keystore.getKeystorePath()}: ${publicKey}`);
+    return publicKey;
+  }
+  
+  let choice = options.wallet;
+  if (!choice && options.interactive) {
+    choice = await askQuestion('Generate a new wallet or import an existing key? (generate/import, default: generate): ');
+  }
+  choice = choice || 'generate';
+  
+  if (!options.interactive) {
+    if (!keystore.getConfiguredPassphrase()) {
+      fail('Set SOLANA_KEYSTORE_PASSPHRASE or SOLANA_KEYSTORE_PASSPHRASE_FILE to create the wallet', EXIT_INVALID_CONFIG);
+    }
+    if (choice === 'import' && !options.walletKeyFile) {
+      fail('--wallet import needs --wallet-key-file', EXIT_USAGE);
+    }
+  }
+  
+  if (choice === 'import') {
+    await commands.import(options.walletKeyFile ? ['--file', options.walletKeyFile] : []);
+  } else {
+    await commands.generate();
   }
   
-  return null;
+  return keystore.getPublicKey();
+}
+
+// Load the configuration from the environment and validate it. Returns
+// the list of errors.
+function validateConfig() {
+  // Required here, after the dependencies are installed
+  delete require.cache[require.resolve('./config/default')];
+  const config = require('./config/default');
+  const configSchema = require('./src/utils/config-schema');
+  const keystore = require('./src/utils/keystore');
+  const errors = configSchema.validate(config);
+  
+  if (!keystore.exists() && !config.solana.walletPrivateKey) {
+    errors.push(`There is no wallet in ${keystore.getKeystorePath()}, create one with npm run keys generate`);
+  }
+  
+  return errors;
+}
+
+// Validate the configuration the client would start with, from .env and
+// the environment
+function checkConfig() {
+  require('dotenv').config({ path: path.join(__dirname, '.env') });
+  const errors = validateConfig();
+  
+  if (errors.length > 0) {
+    fail(`Invalid configuration:\n- ${errors.join('\n- ')}`, require('./src/utils/config-schema').EXIT_INVALID_CONFIG);
+  }
+  
+  console.log('The configuration is valid.');
+}
+
+// Show the location the client will send to the main application
+async function showGeolocation() {
+  // Required here, after the configuration is complete
+  const geolocation = await require('./src/services/geolocation').getGeolocation();
+  
+  if (!geolocation) {
+    console.log('\nThe location of the node could not be found, set GEO_COUNTRY_CODE to set it manually.');
+    return;
+  }
+  
+  const place = [geolocation.city, geolocation.region, geolocation.country].filter(Boolean).join(', ');
+  const coordinates = geolocation.latitude !== undefined && geolocation.latitude !== null ?
+    ` (${geolocation.latitude}, ${geolocation.longitude})` : '';
+  console.log(`\nLocation sent to the main application, with ${geolocation.precision} precision: ${place}${coordinates}`);
 }
 
 // Main setup function
-async function setup() {
+async function setup(options) {
+  const envPath = path.join(__dirname, '.env');
+  
+  if (options.check) {
+    checkConfig();
+    return;
+  }
+  
+  if (!options.interactive && fs.existsSync(envPath) && !options.force) {
+    fail(`There is a .env file already: ${envPath}, use --force to replace it`);
+  }
+  
   console.log('Uptime Client Setup');
   console.log('===================');
   
   // Install dependencies
-  console.log('\nInstalling dependencies...');
-  try {
-    execSync('npm install', { stdio: 'inherit' });
-    console.log('Dependencies installed successfully.');
-  } catch (error) {
-    console.error('Failed to install dependencies:', error.message);
-    process.exit(1);
+  if (options.install) {
+    console.log('\nInstalling dependencies...');
+    try {
+      execSync('npm install', { stdio: 'inherit' });
+      console.log('Dependencies installed successfully.');
+    } catch (error) {
+      fail(`Failed to install dependencies: ${error.message}`);
+    }
+  }
+  
+  options.fileSettings = options.configFile ? readConfigFile(options.configFile) : {};
+  if (!options.interactive) {
+    checkSettings(options);
   }
   
   // Create data directory
@@ -75,74 +372,43 @@ async function setup() {
     console.log('Created data directory');
   }
   
-  // Get geolocation
-  const geoData = await getGeolocation();
-  
   // Create .env file
   console.log('\nConfiguring environment variables...');
   
-  // Default values
-  const defaults = {
-    PORT: '3002',
-    HOST: 'localhost',
-    MAIN_APP_API_URL: 'http://localhost:3001/api',
-    MAIN_APP_WS_URL: 'http://localhost:3001',
-    MONITORING_INTERVAL: '60000',
-    SOLANA_NETWORK: 'devnet',
-    SOLANA_RPC_URL: 'https://api.devnet.solana.com',
-    SOLANA_REWARD_AMOUNT: '0.1',
-    SOLANA_REWARD_INTERVAL: '86400000',
-    AUTO_REGISTER: 'true',
-    STATUS_UPDATE_INTERVAL: '300000'
-  };
-  
-  // Get user input
+  // Settings of the file which are not asked for are written as they are
   const config = {};
-  
-  // Client configuration
-  console.log('\n-- Client Configuration --');
-  config.PORT = await askQuestion(`Port (default: ${defaults.PORT}): `) || defaults.PORT;
-  config.HOST = await askQuestion(`Host (default: ${defaults.HOST}): `) || defaults.HOST;
-  
-  // Main application configuration
-  console.log('\n-- Main Application Configuration --');
-  config.MAIN_APP_API_URL = await askQuestion(`Main Application API URL (default: ${defaults.MAIN_APP_API_URL}): `) || defaults.MAIN_APP_API_URL;
-  config.MAIN_APP_WS_URL = await askQuestion(`Main Application WebSocket URL (default: ${defaults.MAIN_APP_WS_URL}): `) || defaults.MAIN_APP_WS_URL;
-  
-  // User configuration
-  console.log('\n-- User Configuration --');
-  config.USER_PUBLIC_KEY = await askQuestion('Your Solana Public Key (required): ');
-  
-  while (!config.USER_PUBLIC_KEY) {
-    console.log('Public key is required for registration and receiving rewards.');
-    config.USER_PUBLIC_KEY = await askQuestion('Your Solana Public Key (required): ');
+  for (const [env, value] of Object.entries(options.fileSettings)) {
+    if (!SETTINGS.some(setting => setting.env === env)) {
+      config[env] = process.env[env] ?? value;
+    }
   }
   
-  config.AUTO_REGISTER = await askQuestion(`Auto-register on startup? (true/false, default: ${defaults.AUTO_REGISTER}): `) || defaults.AUTO_REGISTER;
+  // The keystore is written where the configuration says
+  Object.assign(process.env, config);
   
-  // Solana configuration
-  console.log('\n-- Solana Configuration --');
-  config.SOLANA_NETWORK = await askQuestion(`Solana Network (default: ${defaults.SOLANA_NETWORK}): `) || defaults.SOLANA_NETWORK;
-  config.SOLANA_RPC_URL = await askQuestion(`Solana RPC URL (default: ${defaults.SOLANA_RPC_URL}): `) || defaults.SOLANA_RPC_URL;
+  await configureSection('Client Configuration', options, config);
+  await configureSection('Main Application Configuration', options, config);
   
-  const useTokens = await askQuestion('Do you want to configure SPL token rewards? (y/n): ');
-  if (useTokens.toLowerCase() === 'y') {
-    config.SOLANA_REWARD_TOKEN_MINT = await askQuestion('Token Mint Address: ');
-    config.SOLANA_WALLET_PRIVATE_KEY = await askQuestion('Wallet Private Key (for sending rewards): ');
-  }
+  // Wallet, the identity of the node. Rewards are paid to it.
+  console.log('\n-- Wallet --');
+  const walletPublicKey = await setupWallet(options);
   
-  config.SOLANA_REWARD_AMOUNT = await askQuestion(`Reward Amount (default: ${defaults.SOLANA_REWARD_AMOUNT}): `) || defaults.SOLANA_REWARD_AMOUNT;
-  config.SOLANA_REWARD_INTERVAL = await askQuestion(`Reward Interval in ms (default: ${defaults.SOLANA_REWARD_INTERVAL}): `) || defaults.SOLANA_REWARD_INTERVAL;
+  await configureSection('User Configuration', options, config, { USER_PUBLIC_KEY: walletPublicKey });
+  await configureSection('Solana Configuration', options, config);
+  await configureSection('Geolocation', options, config);
+  await configureSection('Monitoring Configuration', options, config);
+  await configureSection('Logging Configuration', options, config);
   
-  // Monitoring configuration
-  console.log('\n-- Monitoring Configuration --');
-  config.MONITORING_INTERVAL = await askQuestion(`Monitoring Interval in ms (default: ${defaults.MONITORING_INTERVAL}): `) || defaults.MONITORING_INTERVAL;
-  config.STATUS_UPDATE_INTERVAL = await askQuestion(`Status Update Interval in ms (default: ${defaults.STATUS_UPDATE_INTERVAL}): `) || defaults.STATUS_UPDATE_INTERVAL;
+  // Validate the whole configuration the client will start with
+  Object.assign(process.env, config);
+  const errors = validateConfig();
+  if (errors.length > 0) {
+    fail(`Invalid configuration:\n- ${errors.join('\n- ')}`, require('./src/utils/config-schema').EXIT_INVALID_CONFIG);
+  }
   
-  // Logging configuration
-  console.log('\n-- Logging Configuration --');
-  config.LOG_LEVEL = await askQuestion('Log Level (error, warn, info, debug, default: info): ') || 'info';
-  config.LOG_FILE = await askQuestion('Log File (default: uptime-client.log): ') || 'uptime-client.log';
+  if (options.interactive) {
+    await showGeolocation();
+  }
   
   // Generate .env file content
   let envContent = '';
@@ -154,14 +420,14 @@ async function setup() {
   
   // Write .env file
   try {
-    fs.writeFileSync(path.join(__dirname, '.env'), envContent);
+    fs.writeFileSync(envPath, envContent);
     console.log('\n.env file created successfully.');
   } catch (error) {
-    console.error('Failed to create .env file:', error.message);
-    process.exit(1);
+    fail(`Failed to create .env file: ${error.message}`);
   }
   
   console.log('\nSetup completed successfully!');
+  console.log('\nThe client unlocks the wallet with SOLANA_KEYSTORE_PASSPHRASE, or with the passphrase in the file named by SOLANA_KEYSTORE_PASSPHRASE_FILE.');
   console.log(`\nYou can now start the client with: npm start`);
   console.log(`The client will be available at: http://${config.HOST}:${config.PORT}`);
   console.log(`\nThis client will connect to the main application at: ${config.MAIN_APP_API_URL}`);
@@ -169,12 +435,24 @@ async function setup() {
   console.log('- GET  /health   - Check if the client is running');
   console.log('- GET  /metrics  - Get current system metrics');
   console.log('- GET  /status   - Get registration status and connection info');
-  
-  rl.close();
 }
 
 // Run setup
-setup().catch(error => {
-  console.error('Setup failed:', error);
-  process.exit(1);
-}); 
\ No newline at end of file
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+  
+  await setup(options);
+}
+
+main().catch(error => {
+  console.error(`Setup failed: ${error.message}`);
+  if (error.exitCode === EXIT_USAGE) {
+    console.error('Run npm run setup -- --help for the options.');
+  }
+  process.exit(error.exitCode || EXIT_FAILED);
+});
@@ -1,12 +1,21 @@
 require('dotenv').config();
 const express = require('express');
-const cron = require('node-cron');
 const config = require('../config/default');
 const logger = require('./utils/logger');
 const monitor = require('./services/monitor');
 const solanaService = require('./services/solana');
 const userService = require('./services/user');
 const websocketService = require('./services/websocket');
+const outbox = require('./services/outbox');
+const scheduler = require('./services/scheduler');
+const remoteConfig = require('./services/remote-config');
+const rewards = require('./services/rewards');
+const prometheus = require('./services/prometheus');
+const protocol = require('./services/protocol');
+const endpoints = require('./services/endpoints');
+const taskRoutes = require('./routes/tasks');
+const { getApiKey } = require('./utils/api-key');
+const configSchema = require('./utils/config-schema');
 
 // Initialize the express app
 const app = express();
@@ -31,6 +40,18 @@ app.get('/metrics', async (req, res) => {
   }
 });
 
+// Metrics in the OpenMetrics text format, for Prometheus
+app.get('/metrics/prometheus', async (req, res) => {
+  try {
+    const metrics = await prometheus.getMetrics();
+    res.set('Content-Type', metrics.contentType);
+    res.status(200).send(metrics.body);
+  } catch (error) {
+    logger.error('Error exporting metrics', { error: error.message });
+    res.status(500).json({ error: 'Failed to export metrics' });
+  }
+});
+
 // Get client status
 app.get('/status', (req, res) => {
   try {
@@ -52,11 +73,17 @@ app.get('/status', (req, res) => {
       registrationTime: userData.registrationTime,
       lastPing: userData.lastPing,
       geolocation: userData.geolocation,
+      reputation: websocketService.getReputation(),
+      outbox: outbox.getStatus(),
+      rewards: rewards.getTotals(),
+      settings: remoteConfig.getRemoteSettings(),
+      protocol: protocol.getNegotiated(),
       connections: {
         solana: solanaConnected,
         websocket: websocketConnected
       },
-      mainAppUrl: config.mainApp.apiUrl
+      mainAppUrl: endpoints.getCurrent().apiUrl,
+      mainAppEndpoints: endpoints.getStatus()
     });
   } catch (error) {
     logger.error('Error fetching status', { error: error.message });
@@ -64,9 +91,26 @@ app.get('/status', (req, res) => {
   }
 });
 
+// Task management, requires the API key
+app.use('/tasks', taskRoutes);
+
 // Initialize services
 async function init() {
+  // Refuse to start with an invalid configuration, `npm run setup -- --check`
+  // reports the same errors
+  const configErrors = configSchema.validate(config);
+  if (configErrors.length > 0) {
+    for (const error of configErrors) {
+      logger.error(`Invalid configuration: ${error}`);
+    }
+    process.exit(configSchema.EXIT_INVALID_CONFIG);
+  }
+  
   try {
+    // Apply the settings changed by the main application before anything
+    // is scheduled
+    remoteConfig.init();
+    
     // Initialize user service
     userService.init();
     
@@ -76,23 +120,34 @@ async function init() {
     // Initialize monitoring service
     monitor.init();
     
+    // Make sure the task API has a key
+    getApiKey();
+    
     // Initialize WebSocket service
     websocketService.init();
     
-    // Schedule status updates
-    const statusUpdateInterval = Math.ceil(config.user.statusUpdateInterval / 60000);
-    cron.schedule(`*/${statusUpdateInterval} * * * *`, async () => {
-      if (userService.isRegistered()) {
-        await userService.updateStatus();
+    // Schedule status updates, again when the main application changes
+    // their interval
+    scheduleStatusUpdates();
+    remoteConfig.onChange(changes => {
+      if ('user.statusUpdateInterval' in changes) {
+        scheduleStatusUpdates();
       }
     });
     
-    // Auto-register if configured
-    if (config.user.autoRegister && config.user.publicKey) {
+    // Auto-register if configured. The node registers with its wallet key,
+    // which it has to sign authentication challenges with. A registered
+    // node registers again when the precision of its location changed, so
+    // that the main application no longer has the previous location.
+    if (config.user.autoRegister) {
       setTimeout(async () => {
-        if (!userService.isRegistered()) {
+        if (!userService.isRegistered() || !userService.hasCurrentGeolocation()) {
+          const publicKey = solanaService.getWalletPublicKey();
+          if (config.user.publicKey && config.user.publicKey !== publicKey) {
+            logger.warn('USER_PUBLIC_KEY is not the wallet public key, registering with the wallet key', { publicKey });
+          }
           logger.info('Auto-registering with main application');
-          await userService.registerUser({ publicKey: config.user.publicKey });
+          await userService.registerUser({ publicKey });
         }
       }, 5000); // Wait 5 seconds before auto-registering
     }
@@ -100,7 +155,7 @@ async function init() {
     // Start the client server
     const server = app.listen(PORT, HOST, () => {
       logger.info(`Uptime Client listening on ${HOST}:${PORT}`);
-      logger.info(`Main application at: ${config.mainApp.apiUrl}`);
+      logger.info(`Main application at: ${endpoints.getEndpoints().map(endpoint => endpoint.apiUrl).join(', ')}`);
     });
     
     // Handle graceful shutdown
@@ -112,6 +167,17 @@ async function init() {
   }
 }
 
+// Schedule the status updates with the configured interval
+function scheduleStatusUpdates() {
+  scheduler.schedule('statusUpdate', async () => {
+    if (userService.isRegistered()) {
+      await userService.updateStatus();
+    }
+  }, {
+    interval: Number(config.user.statusUpdateInterval)
+  });
+}
+
 // Setup graceful shutdown
 function setupGracefulShutdown(server) {
   // Handle termination signals
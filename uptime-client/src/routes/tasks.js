@@ -0,0 +1,136 @@
+const express = require('express');
+const logger = require('../utils/logger');
+const monitor = require('../services/monitor');
+const { requireApiKey } = require('../utils/api-key');
+
+// Task management API for the operator of the node. Tasks added here
+// run on the node's own scheduler; tasks assigned by the main
+// application can be inspected under /tasks/assigned.
+const router = express.Router();
+
+router.use(requireApiKey);
+
+// Fields which are managed by the client and cannot be set through the API
+const READ_ONLY_FIELDS = ['assigned', 'lastResult', 'lastRunTime', 'schedule'];
+
+// Remove the read-only fields from a request body
+function getTaskFields(body) {
+  const fields = { ...(body || {}) };
+  
+  for (const field of READ_ONLY_FIELDS) {
+    delete fields[field];
+  }
+  
+  return fields;
+}
+
+// List the tasks of the node
+router.get('/', (req, res) => {
+  res.status(200).json({ tasks: monitor.getMonitoringTasks() });
+});
+
+// List the recent tasks assigned by the main application
+router.get('/assigned', (req, res) => {
+  res.status(200).json({ tasks: monitor.getAssignedTasks() });
+});
+
+// Add a task. Tasks added by the operator are private unless `private`
+// is false: their results are not reported to the main application.
+router.post('/', (req, res) => {
+  try {
+    const task = {
+      private: true,
+      ...getTaskFields(req.body)
+    };
+    
+    const taskId = monitor.addMonitoringTask(task);
+    logger.info('Task added through the API', { taskId });
+    res.status(201).json({ task: monitor.getMonitoringTask(taskId) });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Get a task
+router.get('/:id', (req, res) => {
+  const task = monitor.getMonitoringTask(req.params.id);
+  
+  if (!task) {
+    return res.status(404).json({ error: 'Task not found' });
+  }
+  
+  res.status(200).json({ task });
+});
+
+// Update a task, the given fields are merged into it
+router.patch('/:id', (req, res) => {
+  try {
+    const fields = getTaskFields(req.body);
+    delete fields.id;
+    
+    const task = monitor.updateMonitoringTask(req.params.id, fields);
+    
+    if (!task) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+    
+    logger.info('Task updated through the API', { taskId: task.id });
+    res.status(200).json({ task });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Remove a task, its current run is aborted
+router.delete('/:id', (req, res) => {
+  if (!monitor.removeMonitoringTask(req.params.id)) {
+    return res.status(404).json({ error: 'Task not found' });
+  }
+  
+  logger.info('Task removed through the API', { taskId: req.params.id });
+  res.status(204).end();
+});
+
+// Run a task now and return its result
+router.post('/:id/run', async (req, res) => {
+  try {
+    if (!monitor.getMonitoringTask(req.params.id)) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+    
+    const result = await monitor.runMonitoringTaskNow(req.params.id);
+    res.status(200).json({ result });
+  } catch (error) {
+    logger.error('Error running task', { taskId: req.params.id, error: error.message });
+    res.status(500).json({ error: 'Failed to run task' });
+  }
+});
+
+// Pause a task
+router.post('/:id/pause', (req, res) => {
+  if (!monitor.pauseMonitoringTask(req.params.id)) {
+    return res.status(404).json({ error: 'Task not found' });
+  }
+  
+  res.status(200).json({ task: monitor.getMonitoringTask(req.params.id) });
+});
+
+// Resume a paused task
+router.post('/:id/resume', (req, res) => {
+  if (!monitor.resumeMonitoringTask(req.params.id)) {
+    return res.status(404).json({ error: 'Task not found' });
+  }
+  
+  res.status(200).json({ task: monitor.getMonitoringTask(req.params.id) });
+});
+
+// Get the recent results of a task, newest last
+router.get('/:id/results', (req, res) => {
+  if (!monitor.getMonitoringTask(req.params.id)) {
+    return res.status(404).json({ error: 'Task not found' });
+  }
+  
+  res.status(200).json({ results: monitor.getTaskResults(req.params.id) });
+});
+
+module.exports = router;
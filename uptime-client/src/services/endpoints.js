@@ -0,0 +1,192 @@
+const config = require('../../config/default');
+const logger = require('../utils/logger');
+const { parseEndpoints } = require('../utils/config-schema');
+
+// Longest time an endpoint which keeps failing is skipped
+const MAX_COOLDOWN = 300000; // 5 minutes
+
+// Endpoints of the main application: { apiUrl, wsUrl, weight, failures,
+// downUntil, lastError }, the configured one first
+let endpoints = null;
+
+// Endpoint in use. It is kept while it works, also across reconnects, so
+// that the node does not jump between endpoints.
+let current = null;
+
+// Load the endpoints from the configuration
+function load() {
+  const extra = config.mainApp.endpoints;
+  const configured = [
+    { apiUrl: config.mainApp.apiUrl, wsUrl: config.mainApp.wsUrl, weight: Number(config.mainApp.weight) || 1 },
+    ...(Array.isArray(extra) ? extra : parseEndpoints(extra || '')).filter(Boolean)
+  ];
+  
+  endpoints = configured.map(endpoint => ({
+    apiUrl: endpoint.apiUrl,
+    wsUrl: endpoint.wsUrl,
+    weight: Number(endpoint.weight) || 1,
+    failures: 0,
+    downUntil: 0,
+    lastError: null
+  }));
+  
+  if (endpoints.length > 1) {
+    logger.info('Main application endpoints configured', {
+      count: endpoints.length,
+      strategy: config.mainApp.endpointStrategy
+    });
+  }
+}
+
+// Get all endpoints
+function getEndpoints() {
+  if (endpoints === null) {
+    load();
+  }
+  
+  return endpoints;
+}
+
+// Is the endpoint not skipped after a failure?
+function isAvailable(endpoint) {
+  return endpoint.downUntil <= Date.now();
+}
+
+// Pick one of the endpoints by weight
+function pickWeighted(candidates) {
+  const total = candidates.reduce((sum, endpoint) => sum + endpoint.weight, 0);
+  let random = Math.random() * total;
+  
+  for (const endpoint of candidates) {
+    random -= endpoint.weight;
+    if (random < 0) {
+      return endpoint;
+    }
+  }
+  
+  return candidates[candidates.length - 1];
+}
+
+// Choose the endpoint to connect to. The current one is kept while it
+// is available, otherwise the next one is chosen among the available
+// endpoints by the configured strategy. If none is available, the one
+// which comes back first is used. Endpoints in `exclude` are not chosen,
+// null is returned if there is no other.
+function select(exclude = []) {
+  const candidates = getEndpoints().filter(endpoint => !exclude.includes(endpoint));
+  
+  if (candidates.length === 0) {
+    return null;
+  }
+  
+  if (current && candidates.includes(current) && isAvailable(current)) {
+    return current;
+  }
+  
+  const available = candidates.filter(isAvailable);
+  let next;
+  
+  if (available.length === 0) {
+    next = candidates.reduce((soonest, endpoint) => (endpoint.downUntil < soonest.downUntil ? endpoint : soonest));
+  } else if (config.mainApp.endpointStrategy === 'weighted') {
+    next = pickWeighted(available);
+  } else {
+    next = available[0];
+  }
+  
+  if (current && next !== current) {
+    logger.warn('Failing over to another main application endpoint', {
+      from: current.apiUrl,
+      to: next.apiUrl
+    });
+  }
+  
+  current = next;
+  return next;
+}
+
+// Get the endpoint in use, choosing one if there is none yet
+function getCurrent() {
+  return current || select();
+}
+
+// Record that the endpoint works
+function reportSuccess(endpoint) {
+  if (endpoint.failures > 0) {
+    logger.info('Main application endpoint is reachable again', { url: endpoint.apiUrl });
+  }
+  
+  endpoint.failures = 0;
+  endpoint.downUntil = 0;
+  endpoint.lastError = null;
+}
+
+// Record that the endpoint failed. It is skipped for a while, longer
+// after each failure in a row, unless no other endpoint is available.
+// A server which announced its downtime is skipped for that long.
+function reportFailure(endpoint, error, downtime = null) {
+  endpoint.failures++;
+  endpoint.lastError = error;
+  
+  const cooldown = downtime || Math.min(config.websocket.reconnectInterval * Math.pow(2, endpoint.failures - 1), MAX_COOLDOWN);
+  endpoint.downUntil = Date.now() + cooldown;
+  
+  logger.warn('Main application endpoint failed', {
+    url: endpoint.apiUrl,
+    error,
+    failures: endpoint.failures,
+    retryIn: cooldown
+  });
+}
+
+// Send an HTTP request to the main application. `send` is called with the
+// API URL of an endpoint; on network errors and server errors the other
+// endpoints are tried in turn. Other errors are thrown as they are, the
+// endpoint did answer.
+async function request(send) {
+  const tried = [];
+  let lastError = null;
+  
+  for (let endpoint = select(); endpoint; endpoint = select(tried)) {
+    tried.push(endpoint);
+    
+    try {
+      const response = await send(endpoint.apiUrl);
+      reportSuccess(endpoint);
+      return response;
+    } catch (error) {
+      if (error.response && error.response.status < 500) {
+        throw error;
+      }
+      
+      reportFailure(endpoint, error.message);
+      lastError = error;
+    }
+  }
+  
+  throw lastError;
+}
+
+// Get the state of the endpoints, for the status API
+function getStatus() {
+  return getEndpoints().map(endpoint => ({
+    apiUrl: endpoint.apiUrl,
+    wsUrl: endpoint.wsUrl,
+    weight: endpoint.weight,
+    current: endpoint === current,
+    available: isAvailable(endpoint),
+    failures: endpoint.failures,
+    lastError: endpoint.lastError
+  }));
+}
+
+module.exports = {
+  getEndpoints,
+  select,
+  getCurrent,
+  isAvailable,
+  reportSuccess,
+  reportFailure,
+  request,
+  getStatus
+};
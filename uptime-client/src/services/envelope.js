@@ -0,0 +1,83 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const canonicalJSON = require('../utils/canonical-json');
+const solanaService = require('./solana');
+
+// Sequence number storage path
+const SEQUENCE_PATH = path.join(process.cwd(), 'data', 'sequence.json');
+
+// Message types which are sent in a signed envelope, must match the main application
+const SIGNED_MESSAGE_TYPES = ['metrics', 'taskResult', 'taskError', 'disconnect'];
+
+let lastSeq = null;
+
+// Load the last used sequence number. Without a saved one (new install or
+// lost data directory) numbering starts at the current time in milliseconds,
+// so it stays ahead of anything this node sent before.
+function loadSequence() {
+  lastSeq = Date.now();
+  
+  if (fs.existsSync(SEQUENCE_PATH)) {
+    try {
+      const saved = JSON.parse(fs.readFileSync(SEQUENCE_PATH, 'utf8'));
+      if (Number.isSafeInteger(saved.lastSeq)) {
+        lastSeq = saved.lastSeq;
+      }
+    } catch (error) {
+      logger.error('Failed to load envelope sequence number', { error: error.message });
+    }
+  }
+  
+  logger.debug('Envelope sequence number loaded', { lastSeq });
+}
+
+// Reserve the next sequence number. It is saved before the envelope is
+// sent, so a number is never used twice even if the client crashes.
+function nextSeq() {
+  if (lastSeq === null) {
+    loadSequence();
+  }
+  
+  lastSeq++;
+  
+  try {
+    fs.mkdirSync(path.dirname(SEQUENCE_PATH), { recursive: true });
+    fs.writeFileSync(SEQUENCE_PATH, JSON.stringify({ lastSeq }));
+  } catch (error) {
+    logger.error('Failed to save envelope sequence number', { error: error.message });
+  }
+  
+  return lastSeq;
+}
+
+// Build the canonical JSON of the signed part of a message
+function buildPayload(message) {
+  return canonicalJSON({
+    type: message.type,
+    nodeId: message.nodeId,
+    seq: message.seq,
+    timestamp: message.timestamp,
+    data: message.data ?? null
+  });
+}
+
+// Turn a message into a signed envelope: adds nodeId, seq and an ed25519
+// signature of the wallet key over type, nodeId, seq, timestamp and data
+function seal(message, nodeId) {
+  message.nodeId = nodeId;
+  message.seq = nextSeq();
+  message.signature = solanaService.signMessage(buildPayload(message));
+  return message;
+}
+
+// Check whether a message type has to be signed
+function requiresSignature(type) {
+  return SIGNED_MESSAGE_TYPES.includes(type);
+}
+
+module.exports = {
+  seal,
+  requiresSignature,
+  buildPayload
+};
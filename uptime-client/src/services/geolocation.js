@@ -0,0 +1,208 @@
+const os = require('os');
+const net = require('net');
+const axios = require('axios');
+const maxmind = require('maxmind');
+const config = require('../../config/default');
+const logger = require('../utils/logger');
+
+// Precision levels of the location sent to the main application
+const PRECISIONS = ['exact', 'city', 'country'];
+
+// Decimals the coordinates are rounded to at city precision, about 11 km
+const CITY_COORDINATE_DECIMALS = 1;
+
+// Timeout of the HTTP lookup, so that an offline node does not wait long
+const HTTP_TIMEOUT = 5000;
+
+// Addresses which are not public, they cannot be looked up in a GeoIP
+// database
+const privateAddresses = new net.BlockList();
+privateAddresses.addSubnet('0.0.0.0', 8, 'ipv4');
+privateAddresses.addSubnet('10.0.0.0', 8, 'ipv4');
+privateAddresses.addSubnet('100.64.0.0', 10, 'ipv4');
+privateAddresses.addSubnet('127.0.0.0', 8, 'ipv4');
+privateAddresses.addSubnet('169.254.0.0', 16, 'ipv4');
+privateAddresses.addSubnet('172.16.0.0', 12, 'ipv4');
+privateAddresses.addSubnet('192.168.0.0', 16, 'ipv4');
+privateAddresses.addSubnet('::', 127, 'ipv6');
+privateAddresses.addSubnet('fc00::', 7, 'ipv6');
+privateAddresses.addSubnet('fe80::', 10, 'ipv6');
+
+// Reader of the GeoIP database, opened once
+let geoipReader = null;
+
+// Get a number of the configuration, null if it is not set
+function toNumber(value) {
+  return value === '' || value === null || value === undefined ? null : Number(value);
+}
+
+// Get the name of a country from its ISO code
+function getCountryName(countryCode) {
+  try {
+    return new Intl.DisplayNames(['en'], { type: 'region' }).of(countryCode.toUpperCase());
+  } catch (error) {
+    return null;
+  }
+}
+
+// Find a public address of the network interfaces, e.g. on a server
+// without NAT
+function findPublicAddress() {
+  for (const addresses of Object.values(os.networkInterfaces())) {
+    for (const address of addresses || []) {
+      const family = address.family === 'IPv6' || address.family === 6 ? 'ipv6' : 'ipv4';
+      if (!address.internal && !privateAddresses.check(address.address, family)) {
+        return address.address;
+      }
+    }
+  }
+  
+  return null;
+}
+
+// Providers of the location by name. Each returns the location, or null
+// if it is not configured, and throws if the lookup failed.
+const providers = {
+  // Location set by the operator, works offline
+  async manual() {
+    const manual = config.geolocation.manual;
+    
+    if (!manual.countryCode && !manual.country) {
+      return null;
+    }
+    
+    return {
+      country: manual.country || getCountryName(manual.countryCode),
+      countryCode: manual.countryCode ? manual.countryCode.toUpperCase() : null,
+      region: manual.region || null,
+      city: manual.city || null,
+      latitude: toNumber(manual.latitude),
+      longitude: toNumber(manual.longitude),
+      timezone: null
+    };
+  },
+  
+  // Lookup of the public IP in a local MaxMind database (GeoLite2 City or
+  // Country), works offline
+  async geoip() {
+    if (!config.geolocation.geoipDatabase) {
+      return null;
+    }
+    
+    const ip = config.geolocation.ip || findPublicAddress();
+    if (!ip) {
+      throw new Error('No public IP to look up, set GEOLOCATION_IP');
+    }
+    
+    if (!geoipReader) {
+      geoipReader = await maxmind.open(config.geolocation.geoipDatabase);
+    }
+    
+    const record = geoipReader.get(ip);
+    if (!record || !record.country) {
+      throw new Error(`${ip} is not in the GeoIP database`);
+    }
+    
+    return {
+      country: record.country.names ? record.country.names.en : getCountryName(record.country.iso_code),
+      countryCode: record.country.iso_code || null,
+      region: record.subdivisions && record.subdivisions.length > 0 ? record.subdivisions[0].names.en : null,
+      city: record.city ? record.city.names.en : null,
+      latitude: record.location ? record.location.latitude : null,
+      longitude: record.location ? record.location.longitude : null,
+      timezone: record.location ? record.location.time_zone || null : null
+    };
+  },
+  
+  // Lookup of the public IP with the ipapi.co service
+  async http() {
+    const response = await axios.get('https://ipapi.co/json/', { timeout: HTTP_TIMEOUT });
+    
+    if (!response.data || response.data.error) {
+      throw new Error(response.data && response.data.reason ? response.data.reason : 'Empty response');
+    }
+    
+    return {
+      country: response.data.country_name,
+      countryCode: response.data.country_code,
+      region: response.data.region,
+      city: response.data.city,
+      latitude: response.data.latitude,
+      longitude: response.data.longitude,
+      timezone: response.data.timezone
+    };
+  }
+};
+
+// Reduce a location to the precision the operator chose. The IP is never
+// part of it: the main application sees the address the node connects
+// from anyway, and it is not published with the location.
+function coarsen(location, precision) {
+  const coarse = {
+    country: location.country || null,
+    countryCode: location.countryCode || null
+  };
+  
+  if (precision === 'country') {
+    return coarse;
+  }
+  
+  coarse.region = location.region || null;
+  coarse.city = location.city || null;
+  coarse.timezone = location.timezone || null;
+  coarse.latitude = null;
+  coarse.longitude = null;
+  
+  if (Number.isFinite(location.latitude) && Number.isFinite(location.longitude)) {
+    const factor = precision === 'exact' ? null : 10 ** CITY_COORDINATE_DECIMALS;
+    coarse.latitude = factor ? Math.round(location.latitude * factor) / factor : location.latitude;
+    coarse.longitude = factor ? Math.round(location.longitude * factor) / factor : location.longitude;
+  }
+  
+  return coarse;
+}
+
+// Get the location of the node, as sent to the main application. The
+// configured providers are tried in order and the first location found
+// is used, reduced to the configured precision. Returns null if no
+// provider found it.
+async function getGeolocation() {
+  const precision = config.geolocation.precision;
+  
+  for (const name of config.geolocation.providers) {
+    try {
+      const location = await providers[name]();
+      
+      if (!location) {
+        continue;
+      }
+      
+      const geoData = {
+        ...coarsen(location, precision),
+        precision,
+        source: name
+      };
+      
+      logger.info('Retrieved geolocation data', {
+        source: name,
+        precision,
+        city: geoData.city,
+        country: geoData.country
+      });
+      
+      return geoData;
+    } catch (error) {
+      logger.warn('Geolocation provider failed', { provider: name, error: error.message });
+    }
+  }
+  
+  logger.warn('Geolocation unknown, set GEO_COUNTRY_CODE or GEOIP_DATABASE to locate the node offline');
+  return null;
+}
+
+module.exports = {
+  PRECISIONS,
+  PROVIDERS: Object.keys(providers),
+  coarsen,
+  getGeolocation
+};
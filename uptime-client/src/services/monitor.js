@@ -1,14 +1,19 @@
 const os = require('os');
+const { Resolver } = require('dns');
 const fs = require('fs');
 const path = require('path');
+const https = require('https');
 const axios = require('axios');
 const osUtils = require('os-utils');
 const si = require('systeminformation');
 const cron = require('node-cron');
+const tcpp = require('tcp-ping');
+const ping = require('@louislam/ping');
 const config = require('../../config/default');
 const logger = require('../utils/logger');
-const websocketService = require('./websocket');
-const solanaService = require('./solana');
+const { parseConditions, evaluateExpressionGroup } = require('../utils/conditions');
+const scheduler = require('./scheduler');
+const remoteConfig = require('./remote-config');
 
 // Path for persisting monitoring data
 const MONITORING_DATA_PATH = path.join(process.cwd(), 'data', 'monitoring.json');
@@ -16,7 +21,6 @@ const MONITORING_DATA_PATH = path.join(process.cwd(), 'data', 'monitoring.json')
 // Store monitoring data
 let monitoringData = {
   startTime: Date.now(),
-  lastRewardTime: null,
   metrics: {
     cpu: {},
     memory: {},
@@ -24,6 +28,8 @@ let monitoringData = {
     network: {},
     uptime: {}
   },
+  // Time of the last collection of the metrics, null before the first
+  metricsCollectedAt: null,
   monitoringTasks: [],
   history: [],
   errors: {
@@ -32,6 +38,18 @@ let monitoringData = {
   }
 };
 
+// Types of monitoring tasks, see executeMonitoringTask
+const TASK_TYPES = ['http', 'ping', 'tcp', 'dns'];
+
+// Fields of a monitoring task which are managed by the client
+const TASK_STATE_FIELDS = ['id', 'assigned', 'lastResult', 'lastRunTime'];
+
+// Recent results of each monitoring task, newest last
+const taskResults = new Map();
+
+// Recent tasks assigned by the main application, newest last
+let assignedTasks = [];
+
 // Initialize monitoring
 function init() {
   logger.info('Initializing monitoring service');
@@ -39,40 +57,23 @@ function init() {
   // Load persisted data if it exists
   loadPersistedData();
   
-  // Schedule metrics collection
-  const intervalInMinutes = Math.ceil(config.monitoring.interval / 60000);
-  const cronExpression = `*/${intervalInMinutes} * * * *`;
+  // Schedule metrics collection, the first run right away
+  scheduleMetricsCollection(true);
   
-  cron.schedule(cronExpression, async () => {
-    try {
-      const metrics = await collectMetrics();
-      processMetrics(metrics);
-      
-      // Reset error count on successful collection
-      if (monitoringData.errors.count > 0) {
-        logger.info('Metrics collection recovered after previous errors');
-        monitoringData.errors.count = 0;
-        monitoringData.errors.lastError = null;
-      }
-      
-      // Persist data periodically
-      persistData();
-    } catch (error) {
-      handleMetricsError(error);
+  // The main application can change the interval of the metrics collection
+  remoteConfig.onChange(changes => {
+    if ('monitoring.interval' in changes) {
+      scheduleMetricsCollection(false);
     }
   });
   
-  // Execute monitoring tasks if any are configured
-  if (monitoringData.monitoringTasks.length > 0) {
-    scheduleMonitoringTasks();
-  }
-  
-  // Collect initial metrics
-  collectMetrics().then(metrics => {
-    processMetrics(metrics);
-    logger.info('Initial metrics collected');
-  }).catch(error => {
-    handleMetricsError(error);
+  // Schedule the persisted monitoring tasks
+  monitoringData.monitoringTasks.forEach(task => {
+    try {
+      scheduleMonitoringTask(task);
+    } catch (error) {
+      logger.error(`Failed to schedule monitoring task: ${task.name}`, { error: error.message });
+    }
   });
   
   // Schedule periodic data persistence
@@ -85,71 +86,40 @@ function init() {
   process.on('SIGINT', () => persistData());
 }
 
-// Schedule monitoring tasks
-function scheduleMonitoringTasks() {
-  monitoringData.monitoringTasks.forEach(task => {
-    // Parse interval to cron expression
-    let cronExpression;
-    if (typeof task.interval === 'number') {
-      // Convert milliseconds to minutes for cron
-      const minutes = Math.max(1, Math.ceil(task.interval / 60000));
-      cronExpression = `*/${minutes} * * * *`;
-    } else {
-      // Use provided cron expression
-      cronExpression = task.interval;
-    }
-    
-    logger.info(`Scheduling monitoring task: ${task.name}`, {
-      type: task.type,
-      target: task.target,
-      cron: cronExpression
-    });
-    
-    cron.schedule(cronExpression, async () => {
-      try {
-        const result = await executeMonitoringTask(task);
-        
-        // Report task result to main application
-        websocketService.send('taskResult', {
-          taskId: task.id,
-          taskType: task.type,
-          target: task.target,
-          result: result,
-          timestamp: Date.now()
-        });
-        
-        // Store result in history
-        task.lastResult = result;
-        task.lastRunTime = Date.now();
-        
-        // Persist updated task data
-        persistData();
-      } catch (error) {
-        logger.error(`Error executing monitoring task: ${task.name}`, {
-          error: error.message,
-          task
-        });
-        
-        // Report error to main application
-        websocketService.send('taskError', {
-          taskId: task.id,
-          taskType: task.type,
-          target: task.target,
-          error: error.message,
-          timestamp: Date.now()
-        });
+// Schedule the metrics collection with the configured interval, replaces
+// the schedule of an earlier call
+function scheduleMetricsCollection(runImmediately) {
+  scheduler.schedule('metrics', async () => {
+    try {
+      const metrics = await collectMetrics();
+      processMetrics(metrics);
+      
+      // Reset error count on successful collection
+      if (monitoringData.errors.count > 0) {
+        logger.info('Metrics collection recovered after previous errors');
+        monitoringData.errors.count = 0;
+        monitoringData.errors.lastError = null;
       }
-    });
+      
+      // Persist data periodically
+      persistData();
+    } catch (error) {
+      handleMetricsError(error);
+    }
+  }, {
+    interval: Number(config.monitoring.interval),
+    runImmediately
   });
 }
 
-// Execute a monitoring task
-async function executeMonitoringTask(task) {
-  logger.info(`Executing monitoring task: ${task.name}`);
+// Execute a monitoring task. The optional AbortSignal stops HTTP
+// requests when the scheduler cancels the run.
+async function executeMonitoringTask(task, signal) {
+  logger.info(`Executing monitoring task: ${task.name || `${task.type} ${task.target}`}`);
   
   switch (task.type) {
     case 'http':
-      return await checkHttpEndpoint(task);
+      return await checkHttpEndpoint(task, signal);
     case 'ping':
       return await checkPing(task);
     case 'tcp':
@@ -161,8 +131,10 @@ async function executeMonitoringTask(task) {
   }
 }
 
-// Check HTTP endpoint
-async function checkHttpEndpoint(task) {
+// Check HTTP endpoint. Accepted status codes can be given as numbers
+// (validStatusCodes) or as the main application's ranges such as
+// "200-299" (acceptedStatusCodes)
+async function checkHttpEndpoint(task, signal) {
   const startTime = Date.now();
   
   try {
@@ -170,13 +142,23 @@ async function checkHttpEndpoint(task) {
     const options = {
       timeout: task.timeout || 10000,
       method: task.method || 'GET',
-      headers: task.headers || {},
-      validateStatus: null // Don't throw on any status code
+      headers: { ...(task.headers || {}) },
+      maxRedirects: task.maxRedirects ?? 10,
+      validateStatus: null, // Don't throw on any status code
+      signal
     };
     
+    if (task.ignoreTls) {
+      options.httpsAgent = new https.Agent({ rejectUnauthorized: false });
+    }
+    
     // Add request body if specified
-    if (task.body && (options.method === 'POST' || options.method === 'PUT')) {
-      options.data = task.body;
+    if (task.body) {
+      const body = encodeHttpBody(task.body, task.bodyEncoding);
+      options.data = body.data;
+      if (body.contentType && !options.headers['Content-Type']) {
+        options.headers['Content-Type'] = body.contentType;
+      }
     }
     
     // Execute request
@@ -186,78 +168,305 @@ async function checkHttpEndpoint(task) {
     const responseTime = Date.now() - startTime;
     
     // Check if status code is valid
-    const validStatusCodes = task.validStatusCodes || [200];
-    const isValidStatus = validStatusCodes.includes(response.status);
+    const isValidStatus = task.acceptedStatusCodes
+      ? isAcceptedStatusCode(response.status, task.acceptedStatusCodes)
+      : (task.validStatusCodes || [200]).includes(response.status);
+    
+    let message = `${response.status} - ${response.statusText}`;
+    let error;
     
     // Check response content if keyword is specified
     let contentValid = true;
-    if (task.keyword && response.data) {
-      const responseText = typeof response.data === 'string' 
+    if (task.keyword) {
+      let responseText = typeof response.data === 'string' 
         ? response.data 
-        : JSON.stringify(response.data);
-      contentValid = responseText.includes(task.keyword);
+        : JSON.stringify(response.data ?? '');
+      const keywordFound = responseText.includes(task.keyword);
+      contentValid = keywordFound === !task.invertKeyword;
+      
+      if (contentValid) {
+        message += `, keyword ${keywordFound ? 'is' : 'not'} found`;
+      } else {
+        responseText = responseText.replace(/<[^>]*>?|[\n\r]|\s+/gm, ' ').trim();
+        if (responseText.length > 50) {
+          responseText = responseText.substring(0, 47) + '...';
+        }
+        error = `${message}, but keyword is ${keywordFound ? 'present' : 'not'} in [${responseText}]`;
+      }
+    }
+    
+    if (!isValidStatus) {
+      error = `Status code ${response.status} is not accepted`;
     }
     
     // Check response time threshold
     const isResponseTimeValid = !task.maxResponseTime || responseTime <= task.maxResponseTime;
+    if (!isResponseTimeValid && !error) {
+      error = `Response time ${responseTime}ms is above ${task.maxResponseTime}ms`;
+    }
     
-    return {
+    const result = {
       success: isValidStatus && contentValid && isResponseTimeValid,
       statusCode: response.status,
       responseTime,
+      message,
       contentValid,
       responseTimeValid: isResponseTimeValid,
       timestamp: Date.now()
     };
+    
+    if (error) {
+      result.error = error;
+    }
+    
+    return result;
   } catch (error) {
     // Handle network errors
     return {
       success: false,
       error: error.message,
+      message: error.message,
       responseTime: Date.now() - startTime,
       timestamp: Date.now()
     };
   }
 }
 
-// Check ping
+// Encode an HTTP request body the same way as the main application:
+// JSON bodies are parsed, form and XML bodies are sent as they are
+function encodeHttpBody(body, encoding) {
+  if (typeof body !== 'string') {
+    return { data: body, contentType: null };
+  }
+  
+  switch (encoding) {
+    case 'form':
+      return { data: body, contentType: 'application/x-www-form-urlencoded' };
+    case 'xml':
+      return { data: body, contentType: 'text/xml; charset=utf-8' };
+    case 'json':
+      try {
+        return { data: JSON.parse(body), contentType: 'application/json' };
+      } catch (error) {
+        throw new Error('Your JSON body is invalid. ' + error.message);
+      }
+    default:
+      return { data: body, contentType: null };
+  }
+}
+
+// Check a status code against accepted codes and ranges, e.g.
+// ["200-299", "301"]
+function isAcceptedStatusCode(status, acceptedCodes) {
+  return acceptedCodes.some(codeRange => {
+    const [min, max] = String(codeRange).split('-').map(code => parseInt(code));
+    return max === undefined ? status === min : status >= min && status <= max;
+  });
+}
+
+// Check ping, same as the main application's ping monitor: one probe
+// with a 10 second deadline, retried over IPv6 if the host cannot be
+// resolved over IPv4
 async function checkPing(task) {
-  // Implementation for ping check
-  // This would typically use a ping library
-  return {
-    success: false,
-    error: 'Ping check not implemented yet',
-    timestamp: Date.now()
-  };
+  try {
+    const responseTime = await pingHost(task.target, task.packetSize || 56);
+    
+    return {
+      success: true,
+      responseTime,
+      message: '',
+      timestamp: Date.now()
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+      message: error.message,
+      timestamp: Date.now()
+    };
+  }
 }
 
-// Check TCP port
+// Ping a host, falls back to IPv6 like util-server.js ping()
+async function pingHost(hostname, size) {
+  try {
+    return await pingProbe(hostname, false, size);
+  } catch (error) {
+    // node-ping does not report a specific error when the host cannot be
+    // resolved, so try IPv6 whenever the message is empty
+    if (!error.message) {
+      return await pingProbe(hostname, true, size);
+    }
+    throw error;
+  }
+}
+
+// Send a single ping probe, resolves with the time in ms
+async function pingProbe(hostname, ipv6, size) {
+  const res = await ping.promise.probe(hostname, {
+    v6: ipv6,
+    min_reply: 1,
+    deadline: 10,
+    packetSize: size
+  });
+  
+  if (!res.alive) {
+    throw new Error(res.output);
+  }
+  
+  return res.time;
+}
+
+// Check TCP port, same as the main application's port monitor (tcping)
 async function checkTcpPort(task) {
-  // Implementation for TCP port check
-  // This would typically use a TCP connection library
-  return {
-    success: false,
-    error: 'TCP check not implemented yet',
-    timestamp: Date.now()
-  };
+  try {
+    const responseTime = await new Promise((resolve, reject) => {
+      tcpp.ping({
+        address: task.target,
+        port: task.port,
+        attempts: 1,
+        timeout: task.timeout || 5000
+      }, (err, data) => {
+        if (err) {
+          return reject(err);
+        }
+        
+        if (data.results.length >= 1 && data.results[0].err) {
+          return reject(data.results[0].err);
+        }
+        
+        resolve(Math.round(data.max));
+      });
+    });
+    
+    return {
+      success: true,
+      responseTime,
+      message: '',
+      timestamp: Date.now()
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+      message: error.message,
+      timestamp: Date.now()
+    };
+  }
 }
 
-// Check DNS
+// Check DNS, same as the main application's DNS monitor: resolves the
+// record type with the given resolver and evaluates the conditions
+// against the resolved records
 async function checkDns(task) {
-  // Implementation for DNS check
-  // This would typically use a DNS resolution library
-  return {
-    success: false,
-    error: 'DNS check not implemented yet',
-    timestamp: Date.now()
-  };
+  const recordType = task.dnsResolveType || 'A';
+  const startTime = Date.now();
+  
+  try {
+    const records = await resolveDns(
+      task.target,
+      task.dnsResolveServer || '1.1.1.1',
+      task.dnsResolvePort || 53,
+      recordType
+    );
+    const responseTime = Date.now() - startTime;
+    
+    const conditions = parseConditions(task.conditions);
+    const handleConditions = (data) => conditions ? evaluateExpressionGroup(conditions, data) : true;
+    
+    let message = '';
+    let conditionsResult = true;
+    
+    switch (recordType) {
+      case 'A':
+      case 'AAAA':
+      case 'PTR':
+        message = `Records: ${records.join(' | ')}`;
+        conditionsResult = records.some(record => handleConditions({ record }));
+        break;
+        
+      case 'TXT':
+        message = `Records: ${records.join(' | ')}`;
+        conditionsResult = records.flat().some(record => handleConditions({ record }));
+        break;
+        
+      case 'CNAME':
+        message = records[0];
+        conditionsResult = handleConditions({ record: records[0] });
+        break;
+        
+      case 'CAA':
+        message = records[0].issue;
+        conditionsResult = handleConditions({ record: records[0].issue });
+        break;
+        
+      case 'MX':
+        message = records.map(record => `Hostname: ${record.exchange} - Priority: ${record.priority}`).join(' | ');
+        conditionsResult = records.some(record => handleConditions({ record: record.exchange }));
+        break;
+        
+      case 'NS':
+        message = `Servers: ${records.join(' | ')}`;
+        conditionsResult = records.some(record => handleConditions({ record }));
+        break;
+        
+      case 'SOA':
+        message = `NS-Name: ${records.nsname} | Hostmaster: ${records.hostmaster} | Serial: ${records.serial} | Refresh: ${records.refresh} | Retry: ${records.retry} | Expire: ${records.expire} | MinTTL: ${records.minttl}`;
+        conditionsResult = handleConditions({ record: records.nsname });
+        break;
+        
+      case 'SRV':
+        message = records.map(record => `Name: ${record.name} | Port: ${record.port} | Priority: ${record.priority} | Weight: ${record.weight}`).join(' | ');
+        conditionsResult = records.some(record => handleConditions({ record: record.name }));
+        break;
+    }
+    
+    return {
+      success: conditionsResult,
+      responseTime,
+      message,
+      records,
+      timestamp: Date.now()
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+      message: error.message,
+      responseTime: Date.now() - startTime,
+      timestamp: Date.now()
+    };
+  }
+}
+
+// Resolve a record with the given DNS server, same as util-server.js dnsResolve()
+function resolveDns(hostname, resolverServer, resolverPort, recordType) {
+  const resolver = new Resolver();
+  // Remove brackets from IPv6 addresses so we can re-add them to
+  // prevent issues with ::1:5300 (::1 port 5300)
+  resolverServer = resolverServer.replace('[', '').replace(']', '');
+  resolver.setServers([`[${resolverServer}]:${resolverPort}`]);
+  
+  return new Promise((resolve, reject) => {
+    const callback = (err, records) => err ? reject(err) : resolve(records);
+    
+    if (recordType === 'PTR') {
+      resolver.reverse(hostname, callback);
+    } else {
+      resolver.resolve(hostname, recordType, callback);
+    }
+  });
 }
 
 // Add a new monitoring task
 function addMonitoringTask(task) {
+  validateMonitoringTask(task);
+  
   // Generate ID if not provided
   if (!task.id) {
     task.id = `task_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  } else if (monitoringData.monitoringTasks.some(existing => existing.id === task.id)) {
+    throw new Error(`Task ${task.id} already exists`);
   }
   
   // Set default name if not provided
@@ -265,70 +474,251 @@ function addMonitoringTask(task) {
     task.name = `${task.type}_${task.target}`;
   }
   
+  // Schedule the new task first, an invalid interval is rejected
+  scheduleMonitoringTask(task);
+  
   // Add task to monitoring tasks
   monitoringData.monitoringTasks.push(task);
   
-  // Schedule the new task
-  scheduleMonitoringTask(task);
-  
   // Persist updated tasks
   persistData();
   
   return task.id;
 }
 
-// Schedule a single monitoring task
-function scheduleMonitoringTask(task) {
-  // Parse interval to cron expression
-  let cronExpression;
-  if (typeof task.interval === 'number') {
-    // Convert milliseconds to minutes for cron
-    const minutes = Math.max(1, Math.ceil(task.interval / 60000));
-    cronExpression = `*/${minutes} * * * *`;
+// Add or replace a recurring task assigned by the main application. It
+// runs on the node's scheduler like the operator's tasks and each result
+// is sent to the main application with the ID of the assignment.
+function assignMonitoringTask(task) {
+  validateMonitoringTask(task);
+  
+  const existing = monitoringData.monitoringTasks.find(other => other.id === task.id);
+  
+  if (existing && !existing.assigned) {
+    throw new Error(`Task ${task.id} already exists`);
+  }
+  
+  const assigned = {
+    ...task,
+    name: task.name || `${task.type}_${task.target}`,
+    assigned: true,
+    private: false
+  };
+  
+  scheduleMonitoringTask(assigned);
+  
+  if (existing) {
+    monitoringData.monitoringTasks[monitoringData.monitoringTasks.indexOf(existing)] = assigned;
   } else {
-    // Use provided cron expression
-    cronExpression = task.interval;
+    monitoringData.monitoringTasks.push(assigned);
   }
   
+  persistData();
+  return assigned.id;
+}
+
+// Stop a recurring task assigned by the main application. Tasks of the
+// operator cannot be removed this way.
+function cancelAssignedTask(taskId) {
+  const task = monitoringData.monitoringTasks.find(other => other.id === taskId);
+  
+  if (!task || !task.assigned) {
+    return false;
+  }
+  
+  return removeMonitoringTask(taskId);
+}
+
+// Stop all recurring tasks assigned by the main application. It sends the
+// assignments it still has at the start of each session, the others
+// could never be cancelled, e.g. after the main application restarted.
+function dropAssignedTasks() {
+  const assigned = monitoringData.monitoringTasks.filter(task => task.assigned);
+  
+  if (assigned.length === 0) {
+    return 0;
+  }
+  
+  assigned.forEach(task => {
+    scheduler.cancel(task.id);
+    taskResults.delete(task.id);
+  });
+  
+  monitoringData.monitoringTasks = monitoringData.monitoringTasks.filter(task => !task.assigned);
+  persistData();
+  
+  logger.info('Dropped tasks assigned in an earlier session', { count: assigned.length });
+  return assigned.length;
+}
+
+// Schedule a single monitoring task. The interval is in milliseconds or
+// a cron expression. Optional: jitter and runTimeout in milliseconds,
+// paused to keep the task without running it.
+function scheduleMonitoringTask(task) {
   logger.info(`Scheduling monitoring task: ${task.name}`, {
     type: task.type,
     target: task.target,
-    cron: cronExpression
+    interval: task.interval
   });
   
-  cron.schedule(cronExpression, async () => {
-    try {
-      const result = await executeMonitoringTask(task);
-      
-      // Report task result to main application
-      websocketService.send('taskResult', {
-        taskId: task.id,
-        taskType: task.type,
-        target: task.target,
-        result: result,
-        timestamp: Date.now()
-      });
-      
-      // Store result in history
-      task.lastResult = result;
-      task.lastRunTime = Date.now();
-      
-      // Persist updated task data
-      persistData();
-    } catch (error) {
-      logger.error(`Error executing monitoring task: ${task.name}`, {
-        error: error.message,
-        task
-      });
-    }
+  scheduler.schedule(task.id, signal => runMonitoringTask(task, signal), {
+    interval: task.interval,
+    jitter: task.jitter,
+    timeout: task.runTimeout,
+    paused: task.paused === true
   });
 }
 
-// Remove a monitoring task
+// Run a monitoring task and report the result to the main application
+async function runMonitoringTask(task, signal) {
+  // Required here, the WebSocket service requires this module
+  const websocketService = require('./websocket');
+  
+  try {
+    const result = await executeMonitoringTask(task, signal);
+    
+    // Cancelled or timed out, the scheduler reports it
+    if (signal.aborted) {
+      return;
+    }
+    
+    // Report task result to main application, unless the operator keeps
+    // the task private
+    if (!task.private) {
+      websocketService.sendTaskResult(task.id, task.type, { success: true, result });
+    }
+    
+    // Store result in history
+    task.lastResult = result;
+    task.lastRunTime = Date.now();
+    recordTaskResult(task.id, { timestamp: task.lastRunTime, result });
+    
+    // Persist updated task data
+    persistData();
+  } catch (error) {
+    if (signal.aborted) {
+      return;
+    }
+    
+    logger.error(`Error executing monitoring task: ${task.name}`, {
+      error: error.message,
+      task
+    });
+    
+    recordTaskResult(task.id, { timestamp: Date.now(), error: error.message });
+    
+    // Report error to main application
+    if (!task.private) {
+      websocketService.sendTaskResult(task.id, task.type, { success: false, error: error.message });
+    }
+  }
+}
+
+// Keep a result in the history of a monitoring task
+function recordTaskResult(taskId, entry) {
+  const results = taskResults.get(taskId) || [];
+  results.push(entry);
+  
+  if (results.length > config.monitoring.resultHistory) {
+    results.shift();
+  }
+  
+  taskResults.set(taskId, results);
+}
+
+// Get the recent results of a monitoring task, newest last
+function getTaskResults(taskId) {
+  return taskResults.get(taskId) || [];
+}
+
+// Keep a task the main application assigned, with its outcome
+function recordAssignedTask(entry) {
+  assignedTasks.push(entry);
+  
+  if (assignedTasks.length > config.monitoring.resultHistory) {
+    assignedTasks.shift();
+  }
+}
+
+// Get the recent tasks assigned by the main application, newest last
+function getAssignedTasks() {
+  return assignedTasks;
+}
+
+// Check a monitoring task before it is added or updated
+function validateMonitoringTask(task) {
+  if (!task || typeof task !== 'object' || Array.isArray(task)) {
+    throw new Error('Task must be an object');
+  }
+  
+  if (!TASK_TYPES.includes(task.type)) {
+    throw new Error(`Task type must be one of ${TASK_TYPES.join(', ')}`);
+  }
+  
+  if (typeof task.target !== 'string' || !task.target.trim()) {
+    throw new Error('Task target is required');
+  }
+  
+  if (task.type === 'tcp' && !(Number.isInteger(Number(task.port)) && task.port > 0 && task.port < 65536)) {
+    throw new Error('TCP tasks need a port between 1 and 65535');
+  }
+  
+  if (task.interval === undefined || task.interval === null) {
+    throw new Error('Task interval is required');
+  }
+}
+
+// Get a monitoring task with its schedule
+function getMonitoringTask(taskId) {
+  return getMonitoringTasks().find(task => task.id === taskId) || null;
+}
+
+// Update a monitoring task. The fields are merged into the task, which
+// is scheduled again.
+function updateMonitoringTask(taskId, changes) {
+  const index = monitoringData.monitoringTasks.findIndex(task => task.id === taskId);
+  
+  if (index === -1) {
+    return null;
+  }
+  
+  const current = monitoringData.monitoringTasks[index];
+  const updated = { ...current, ...changes };
+  
+  for (const field of TASK_STATE_FIELDS) {
+    updated[field] = current[field];
+  }
+  
+  validateMonitoringTask(updated);
+  
+  // Rejects an invalid interval, the old schedule is kept then
+  scheduleMonitoringTask(updated);
+  
+  monitoringData.monitoringTasks[index] = updated;
+  persistData();
+  
+  return getMonitoringTask(taskId);
+}
+
+// Run a monitoring task now. Resolves with its latest result.
+async function runMonitoringTaskNow(taskId) {
+  if (!monitoringData.monitoringTasks.some(task => task.id === taskId)) {
+    return null;
+  }
+  
+  await scheduler.runNow(taskId);
+  
+  const results = getTaskResults(taskId);
+  return results.length > 0 ? results[results.length - 1] : null;
+}
+
+// Remove a monitoring task, a run in progress is aborted
 function removeMonitoringTask(taskId) {
   const index = monitoringData.monitoringTasks.findIndex(task => task.id === taskId);
   
   if (index !== -1) {
+    scheduler.cancel(taskId);
+    taskResults.delete(taskId);
     monitoringData.monitoringTasks.splice(index, 1);
     persistData();
     return true;
@@ -337,6 +727,45 @@ function removeMonitoringTask(taskId) {
   return false;
 }
 
+// Pause a monitoring task, it stays paused after a restart
+function pauseMonitoringTask(taskId) {
+  return setMonitoringTaskPaused(taskId, true);
+}
+
+// Resume a paused monitoring task
+function resumeMonitoringTask(taskId) {
+  return setMonitoringTaskPaused(taskId, false);
+}
+
+// Pause or resume a monitoring task
+function setMonitoringTaskPaused(taskId, paused) {
+  const task = monitoringData.monitoringTasks.find(task => task.id === taskId);
+  
+  if (!task) {
+    return false;
+  }
+  
+  if (paused) {
+    scheduler.pause(taskId);
+  } else {
+    scheduler.resume(taskId);
+  }
+  
+  task.paused = paused;
+  persistData();
+  return true;
+}
+
+// Get the monitoring tasks with their schedule
+function getMonitoringTasks() {
+  const jobs = new Map(scheduler.getStatus().jobs.map(job => [job.id, job]));
+  
+  return monitoringData.monitoringTasks.map(task => ({
+    ...task,
+    schedule: jobs.get(task.id) || null
+  }));
+}
+
 // Load persisted monitoring data
 function loadPersistedData() {
   try {
@@ -364,9 +793,7 @@ function loadPersistedData() {
         
         logger.info('Loaded persisted monitoring data', {
           historyEntries: monitoringData.history.length,
-          taskCount: monitoringData.monitoringTasks ? monitoringData.monitoringTasks.length : 0,
-          lastRewardTime: monitoringData.lastRewardTime ? 
-            new Date(monitoringData.lastRewardTime).toISOString() : 'none'
+          taskCount: monitoringData.monitoringTasks ? monitoringData.monitoringTasks.length : 0
         });
       }
     } else {
@@ -383,7 +810,6 @@ function persistData() {
     // Create a copy of the data to persist
     const dataToPersist = {
       startTime: monitoringData.startTime,
-      lastRewardTime: monitoringData.lastRewardTime,
       history: monitoringData.history,
       monitoringTasks: monitoringData.monitoringTasks,
       // Don't persist current metrics as they'll be refreshed
@@ -416,6 +842,7 @@ function handleMetricsError(error) {
     logger.warn('Persistent metrics collection errors detected, attempting recovery');
     
     // Try to reconnect WebSocket if that might be the issue
+    const websocketService = require('./websocket');
     if (!websocketService.isSocketConnected()) {
       logger.info('WebSocket disconnected, attempting to reconnect');
       websocketService.connect();
@@ -558,94 +985,61 @@ function processMetrics(metrics) {
     network: metrics.network,
     uptime: metrics.uptime
   };
+  monitoringData.metricsCollectedAt = metrics.timestamp || Date.now();
   
-  // Keep history (last 100 entries)
+  // Keep history (last 100 entries). Metrics which are disabled in
+  // config.monitoring.metrics are missing.
   monitoringData.history.push({
     timestamp: metrics.timestamp,
     cpu: metrics.cpu.usage,
     memory: metrics.memory.usagePercentage,
-    uptime: metrics.uptime.client
+    uptime: metrics.uptime?.client
   });
   
   if (monitoringData.history.length > 100) {
     monitoringData.history.shift();
   }
   
-  // Send metrics to main application via WebSocket
-  if (websocketService.isSocketConnected()) {
-    websocketService.sendMetrics(metrics);
-  } else {
-    logger.warn('WebSocket disconnected, metrics not sent to main application');
+  // Send metrics to main application via WebSocket. While disconnected
+  // they wait in the outbox and are sent after reconnecting.
+  const websocketService = require('./websocket');
+  if (!websocketService.sendMetrics(metrics)) {
+    logger.debug('WebSocket disconnected, metrics kept in the outbox');
   }
   
   logger.info('Metrics collected and processed', {
-    cpu: `${metrics.cpu.usage.toFixed(2)}%`,
-    memory: `${metrics.memory.usagePercentage.toFixed(2)}%`,
-    uptime: `${metrics.uptime.client.toFixed(2)}s`
+    cpu: metrics.cpu.usage !== undefined ? `${metrics.cpu.usage.toFixed(2)}%` : 'disabled',
+    memory: metrics.memory.usagePercentage !== undefined ? `${metrics.memory.usagePercentage.toFixed(2)}%` : 'disabled',
+    uptime: metrics.uptime ? `${metrics.uptime.client.toFixed(2)}s` : 'disabled'
   });
 }
 
-// Distribute rewards based on uptime
-async function distributeRewards() {
-  // Check if it's time to distribute rewards
-  const now = Date.now();
-  if (monitoringData.lastRewardTime && 
-      (now - monitoringData.lastRewardTime) < config.solana.rewardInterval) {
-    logger.info('Not yet time for reward distribution');
-    return;
-  }
-  
-  // Calculate uptime percentage since last reward
-  const totalTime = monitoringData.lastRewardTime ? 
-    now - monitoringData.lastRewardTime : 
-    now - monitoringData.startTime;
-  
-  const uptimePercentage = (monitoringData.metrics.uptime.client * 1000 / totalTime) * 100;
-  
-  // Only reward if uptime is above 90%
-  if (uptimePercentage >= 90) {
-    try {
-      // Calculate reward amount based on uptime percentage
-      const rewardMultiplier = uptimePercentage / 100;
-      const rewardAmount = config.solana.rewardAmount * rewardMultiplier;
-      
-      // Send reward transaction
-      const txId = await solanaService.sendReward(rewardAmount);
-      
-      logger.info('Reward distributed successfully', {
-        uptime: `${uptimePercentage.toFixed(2)}%`,
-        reward: rewardAmount,
-        txId
-      });
-      
-      // Update last reward time
-      monitoringData.lastRewardTime = now;
-    } catch (error) {
-      logger.error('Failed to distribute rewards', { error: error.message });
-    }
-  } else {
-    logger.info('Uptime too low for rewards', { uptime: `${uptimePercentage.toFixed(2)}%` });
-  }
-}
-
-// Get current metrics
+// Get current metrics. Only reads them: before the first scheduled
+// collection they are collected for the response, but neither kept nor
+// sent to the main application.
 async function getMetrics() {
-  // If we don't have metrics yet, collect them
-  if (!monitoringData.metrics.cpu.usage) {
+  let current = monitoringData.metrics;
+  
+  if (monitoringData.metricsCollectedAt === null) {
     try {
       const metrics = await collectMetrics();
-      processMetrics(metrics);
+      current = {
+        cpu: metrics.cpu,
+        memory: metrics.memory,
+        disk: metrics.disk,
+        network: metrics.network,
+        uptime: metrics.uptime
+      };
     } catch (error) {
       logger.error('Error collecting metrics for API request', { error: error.message });
     }
   }
   
   return {
-    current: monitoringData.metrics,
+    current,
     history: monitoringData.history,
     uptime: {
-      since: monitoringData.startTime,
-      lastReward: monitoringData.lastRewardTime
+      since: monitoringData.startTime
     },
     tasks: monitoringData.monitoringTasks.map(task => ({
       id: task.id,
@@ -664,9 +1058,24 @@ async function getMetrics() {
 }
 
 module.exports = {
+  TASK_TYPES,
   init,
   collectMetrics,
   getMetrics,
+  executeMonitoringTask,
   addMonitoringTask,
-  removeMonitoringTask
+  assignMonitoringTask,
+  cancelAssignedTask,
+  dropAssignedTasks,
+  removeMonitoringTask,
+  updateMonitoringTask,
+  validateMonitoringTask,
+  runMonitoringTaskNow,
+  pauseMonitoringTask,
+  resumeMonitoringTask,
+  getMonitoringTasks,
+  getMonitoringTask,
+  getTaskResults,
+  recordAssignedTask,
+  getAssignedTasks
 }; 
\ No newline at end of file
@@ -0,0 +1,156 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../../config/default');
+const logger = require('../utils/logger');
+
+// Write-ahead log of the messages waiting for an ack, one JSON message per line
+const OUTBOX_PATH = path.join(process.cwd(), 'data', 'outbox.jsonl');
+
+// Message types which are kept until the main application acknowledged
+// them. They prove the node's uptime, so they survive disconnects and
+// restarts and are replayed with their original timestamps.
+const DURABLE_MESSAGE_TYPES = ['metrics', 'taskResult', 'taskError'];
+
+// Entries in sequence number order: { message, bytes }
+let entries = null;
+let totalBytes = 0;
+
+// Load the outbox from disk. A line cut off by a crash is skipped and the
+// file is written again without it, new messages are appended to it.
+function load() {
+  entries = [];
+  totalBytes = 0;
+  let damaged = false;
+  
+  if (!fs.existsSync(OUTBOX_PATH)) {
+    return;
+  }
+  
+  try {
+    const lines = fs.readFileSync(OUTBOX_PATH, 'utf8').split('\n');
+    
+    for (const line of lines) {
+      if (!line.trim()) {
+        continue;
+      }
+      
+      try {
+        const message = JSON.parse(line);
+        if (Number.isSafeInteger(message.seq)) {
+          const bytes = Buffer.byteLength(line) + 1;
+          entries.push({ message, bytes });
+          totalBytes += bytes;
+        }
+      } catch (error) {
+        logger.warn('Skipped a damaged outbox entry');
+        damaged = true;
+      }
+    }
+    
+    entries.sort((a, b) => a.message.seq - b.message.seq);
+    
+    if (damaged) {
+      rewrite();
+    }
+  } catch (error) {
+    logger.error('Failed to load outbox', { error: error.message });
+  }
+  
+  if (entries.length > 0) {
+    logger.info(`Loaded ${entries.length} unacknowledged messages from the outbox`);
+  }
+}
+
+// Make sure the outbox is loaded
+function ensureLoaded() {
+  if (entries === null) {
+    load();
+  }
+}
+
+// Check whether a message type is kept in the outbox
+function isDurable(type) {
+  return DURABLE_MESSAGE_TYPES.includes(type);
+}
+
+// Add a signed message. It is written to disk before it is sent. When
+// the outbox is full the oldest messages are dropped.
+function add(message) {
+  ensureLoaded();
+  
+  const line = JSON.stringify(message);
+  const bytes = Buffer.byteLength(line) + 1;
+  entries.push({ message, bytes });
+  totalBytes += bytes;
+  
+  if (entries.length > config.outbox.maxMessages || totalBytes > config.outbox.maxBytes) {
+    let dropped = 0;
+    while (entries.length > 1 && (entries.length > config.outbox.maxMessages || totalBytes > config.outbox.maxBytes)) {
+      totalBytes -= entries.shift().bytes;
+      dropped++;
+    }
+    logger.warn(`Outbox is full, dropped the ${dropped} oldest messages`);
+    rewrite();
+    return;
+  }
+  
+  try {
+    fs.mkdirSync(path.dirname(OUTBOX_PATH), { recursive: true });
+    fs.appendFileSync(OUTBOX_PATH, line + '\n');
+  } catch (error) {
+    logger.error('Failed to write outbox', { error: error.message });
+  }
+}
+
+// Drop the messages up to the sequence number the main application
+// acknowledged. Acks are cumulative.
+function acknowledge(seq) {
+  ensureLoaded();
+  
+  if (!Number.isSafeInteger(seq) || entries.length === 0 || entries[0].message.seq > seq) {
+    return;
+  }
+  
+  while (entries.length > 0 && entries[0].message.seq <= seq) {
+    totalBytes -= entries.shift().bytes;
+  }
+  
+  rewrite();
+}
+
+// Write the outbox to disk. The file is replaced in one step, so a crash
+// leaves either the old or the new outbox.
+function rewrite() {
+  try {
+    fs.mkdirSync(path.dirname(OUTBOX_PATH), { recursive: true });
+    const tempPath = `${OUTBOX_PATH}.tmp`;
+    fs.writeFileSync(tempPath, entries.map(entry => JSON.stringify(entry.message) + '\n').join(''));
+    fs.renameSync(tempPath, OUTBOX_PATH);
+  } catch (error) {
+    logger.error('Failed to write outbox', { error: error.message });
+  }
+}
+
+// Get the messages waiting for an ack, oldest first
+function getMessages() {
+  ensureLoaded();
+  return entries.map(entry => entry.message);
+}
+
+// Get the size of the outbox
+function getStatus() {
+  ensureLoaded();
+  return {
+    messages: entries.length,
+    bytes: totalBytes,
+    oldestTimestamp: entries.length > 0 ? entries[0].message.timestamp : null
+  };
+}
+
+module.exports = {
+  isDurable,
+  add,
+  acknowledge,
+  getMessages,
+  getStatus
+};
@@ -0,0 +1,163 @@
+const PrometheusClient = require('prom-client');
+const monitor = require('./monitor');
+const scheduler = require('./scheduler');
+const outbox = require('./outbox');
+const rewards = require('./rewards');
+const websocketService = require('./websocket');
+const endpoints = require('./endpoints');
+
+// Registry of the exporter, in the OpenMetrics text format
+const registry = new PrometheusClient.Registry();
+registry.setContentType(PrometheusClient.Registry.OPENMETRICS_CONTENT_TYPE);
+
+// Memory, event loop and garbage collection of the client process
+PrometheusClient.collectDefaultMetrics({ register: registry, prefix: 'uptime_client_' });
+
+const taskLabels = ['task_id', 'task_name', 'task_type', 'task_target'];
+
+// Create a gauge of the exporter
+function gauge(name, help, labelNames = []) {
+  return new PrometheusClient.Gauge({
+    name: `uptime_client_${name}`,
+    help,
+    labelNames,
+    registers: [registry]
+  });
+}
+
+const cpuUsage = gauge('cpu_usage_percent', 'CPU usage (%)');
+const cpuCores = gauge('cpu_cores', 'Number of CPU cores');
+const memoryTotal = gauge('memory_total_bytes', 'Total memory (bytes)');
+const memoryUsed = gauge('memory_used_bytes', 'Used memory (bytes)');
+const diskSize = gauge('disk_size_bytes', 'Size of the file system (bytes)', ['fs']);
+const diskUsed = gauge('disk_used_bytes', 'Used space of the file system (bytes)', ['fs']);
+const networkReceived = gauge('network_received_bytes', 'Bytes received by the interface since boot', ['interface']);
+const networkTransmitted = gauge('network_transmitted_bytes', 'Bytes sent by the interface since boot', ['interface']);
+const networkErrors = gauge('network_errors', 'Receive and transmit errors of the interface since boot', ['interface', 'direction']);
+const systemUptime = gauge('system_uptime_seconds', 'Uptime of the system (seconds)');
+const clientUptime = gauge('client_uptime_seconds', 'Uptime of the client (seconds)');
+const taskStatus = gauge('task_status', 'Result of the last run of the task (1 = success, 0 = failure)', taskLabels);
+const taskResponseTime = gauge('task_response_time_ms', 'Response time of the last run of the task (ms)', taskLabels);
+const taskLastRun = gauge('task_last_run_timestamp_seconds', 'Time of the last run of the task', taskLabels);
+const taskRuns = gauge('task_runs', 'Runs of the task since the client started', taskLabels);
+const taskSkipped = gauge('task_skipped_runs', 'Runs of the task skipped because the previous one was not finished', taskLabels);
+const websocketConnected = gauge('websocket_connected', 'Is the client connected to the main application? (1 = Yes, 0 = No)');
+const endpointCurrent = gauge('main_app_endpoint_current', 'Is the endpoint of the main application the one in use? (1 = Yes, 0 = No)', ['url']);
+const endpointAvailable = gauge('main_app_endpoint_available', 'Is the endpoint of the main application tried, or skipped after failing? (1 = Tried, 0 = Skipped)', ['url']);
+const schedulerRunning = gauge('scheduler_running', 'Runs of tasks in progress');
+const schedulerQueued = gauge('scheduler_queued', 'Runs of tasks waiting for a free slot');
+const outboxMessages = gauge('outbox_messages', 'Metrics and task results waiting for an ack of the main application');
+const outboxBytes = gauge('outbox_bytes', 'Size of the outbox (bytes)');
+const reputationScore = gauge('reputation_score', 'Reputation of the node reported by the main application, between 0 and 1');
+const rewardEpochs = gauge('reward_epochs', 'Settled reward epochs');
+const rewardEarned = gauge('reward_earned', 'Rewards of all settled epochs, in reward tokens');
+const rewardPaid = gauge('reward_paid', 'Rewards paid out on chain, in reward tokens');
+const rewardUnpaid = gauge('reward_unpaid', 'Settled rewards not paid out yet, in reward tokens');
+
+// Set the gauges from the current state of the client. Series of tasks,
+// disks and interfaces which are gone are removed.
+async function update() {
+  const metrics = await monitor.getMetrics();
+  const current = metrics.current;
+  
+  for (const metric of [diskSize, diskUsed, networkReceived, networkTransmitted, networkErrors,
+    taskStatus, taskResponseTime, taskLastRun, taskRuns, taskSkipped]) {
+    metric.reset();
+  }
+  
+  if (current.cpu && current.cpu.usage !== undefined) {
+    cpuUsage.set(current.cpu.usage);
+    cpuCores.set(current.cpu.cores);
+  }
+  
+  if (current.memory && current.memory.total !== undefined) {
+    memoryTotal.set(current.memory.total);
+    memoryUsed.set(current.memory.used);
+  }
+  
+  if (Array.isArray(current.disk)) {
+    for (const disk of current.disk) {
+      diskSize.set({ fs: disk.fs }, disk.size);
+      diskUsed.set({ fs: disk.fs }, disk.used);
+    }
+  }
+  
+  if (Array.isArray(current.network)) {
+    for (const net of current.network) {
+      networkReceived.set({ interface: net.interface }, net.rxBytes);
+      networkTransmitted.set({ interface: net.interface }, net.txBytes);
+      networkErrors.set({ interface: net.interface, direction: 'receive' }, net.rxErrors);
+      networkErrors.set({ interface: net.interface, direction: 'transmit' }, net.txErrors);
+    }
+  }
+  
+  if (current.uptime) {
+    systemUptime.set(current.uptime.system);
+    clientUptime.set(current.uptime.client);
+  }
+  
+  for (const task of monitor.getMonitoringTasks()) {
+    const labels = {
+      task_id: task.id,
+      task_name: task.name || '',
+      task_type: task.type,
+      task_target: task.target || ''
+    };
+    
+    if (task.lastResult) {
+      taskStatus.set(labels, task.lastResult.success ? 1 : 0);
+      if (typeof task.lastResult.responseTime === 'number') {
+        taskResponseTime.set(labels, task.lastResult.responseTime);
+      }
+    }
+    
+    if (task.lastRunTime) {
+      taskLastRun.set(labels, task.lastRunTime / 1000);
+    }
+    
+    if (task.schedule) {
+      taskRuns.set(labels, task.schedule.runs);
+      taskSkipped.set(labels, task.schedule.skipped);
+    }
+  }
+  
+  websocketConnected.set(websocketService.isSocketConnected() ? 1 : 0);
+  
+  for (const endpoint of endpoints.getStatus()) {
+    endpointCurrent.set({ url: endpoint.apiUrl }, endpoint.current ? 1 : 0);
+    endpointAvailable.set({ url: endpoint.apiUrl }, endpoint.available ? 1 : 0);
+  }
+  
+  const schedulerStatus = scheduler.getStatus();
+  schedulerRunning.set(schedulerStatus.running);
+  schedulerQueued.set(schedulerStatus.queued);
+  
+  const outboxStatus = outbox.getStatus();
+  outboxMessages.set(outboxStatus.messages);
+  outboxBytes.set(outboxStatus.bytes);
+  
+  // Not a number until the main application reported it
+  const reputation = websocketService.getReputation();
+  reputationScore.set(reputation ? reputation.score : NaN);
+  
+  const rewardTotals = rewards.getTotals();
+  rewardEpochs.set(rewardTotals.epochs);
+  rewardEarned.set(rewardTotals.earned);
+  rewardPaid.set(rewardTotals.paid);
+  rewardUnpaid.set(rewardTotals.unpaid);
+}
+
+// Get the metrics in the OpenMetrics text format, with the content type
+// to send them with
+async function getMetrics() {
+  await update();
+  
+  return {
+    contentType: registry.contentType,
+    body: await registry.metrics()
+  };
+}
+
+module.exports = {
+  getMetrics
+};
@@ -0,0 +1,77 @@
+const Ajv = require('ajv');
+const logger = require('../utils/logger');
+const { TASK_TYPES } = require('./monitor');
+const schema = require('./protocol.schema.json');
+
+// Version of the node protocol this client speaks, raised together with
+// the main application when messages change
+const PROTOCOL_VERSION = 1;
+
+// Oldest protocol version of the main application this client works
+// with. Servers before the protocol was versioned are version 0.
+const MIN_PROTOCOL_VERSION = 0;
+
+// Task types this client runs, see runTask() in websocket.js
+const SUPPORTED_TASK_TYPES = ['checkEndpoint', ...TASK_TYPES, 'collectMetrics', 'updateConfig', 'cancelTask'];
+
+// Features of the protocol this client supports: signed envelopes, the
+// outbox of unacknowledged messages and tasks with an interval
+const FEATURES = ['signedEnvelopes', 'outbox', 'recurringTasks'];
+
+// Validator of the messages of the main application, the schema is the
+// same as server/nodes/node-protocol.schema.json of the main application
+const ajv = new Ajv({ allowUnionTypes: true });
+ajv.addSchema(schema);
+const validateServerMessage = ajv.getSchema(`${schema.$id}#/definitions/serverMessage`);
+
+// Protocol agreed on with the main application in the last authResponse
+let negotiated = null;
+
+// Get the protocol sent in authenticate
+function getHandshake() {
+  return {
+    version: PROTOCOL_VERSION,
+    minVersion: MIN_PROTOCOL_VERSION,
+    clientVersion: require('../../package.json').version,
+    taskTypes: SUPPORTED_TASK_TYPES,
+    features: FEATURES
+  };
+}
+
+// Validate a message of the main application, returns what is wrong with
+// it or null if it is valid
+function validateMessage(message) {
+  if (validateServerMessage(message)) {
+    return null;
+  }
+  
+  return ajv.errorsText(validateServerMessage.errors, { dataVar: 'message' });
+}
+
+// Keep the protocol from a successful authResponse. Servers before the
+// protocol was versioned do not send one.
+function setNegotiated(protocol) {
+  negotiated = protocol || { version: 0, features: [] };
+  
+  logger.info('Protocol agreed with main application', {
+    version: negotiated.version,
+    features: negotiated.features
+  });
+}
+
+// Get the protocol agreed on with the main application, null before the
+// first authentication
+function getNegotiated() {
+  return negotiated;
+}
+
+module.exports = {
+  PROTOCOL_VERSION,
+  MIN_PROTOCOL_VERSION,
+  SUPPORTED_TASK_TYPES,
+  FEATURES,
+  getHandshake,
+  validateMessage,
+  setNegotiated,
+  getNegotiated
+};
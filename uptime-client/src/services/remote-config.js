@@ -0,0 +1,196 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../../config/default');
+const logger = require('../utils/logger');
+
+// Settings changed by the main application, applied over config/default.js
+const OVERRIDES_PATH = path.join(process.cwd(), 'data', 'config.json');
+
+// Settings the main application can change, by their path in the
+// configuration, with their valid values. Everything else, such as the
+// wallet, the URLs and the API keys, can only be changed by the operator.
+const REMOTE_SETTINGS = {
+  'monitoring.interval': { type: 'integer', min: 5000, max: 24 * 60 * 60 * 1000 },
+  'monitoring.metrics.cpu': { type: 'boolean' },
+  'monitoring.metrics.memory': { type: 'boolean' },
+  'monitoring.metrics.disk': { type: 'boolean' },
+  'monitoring.metrics.network': { type: 'boolean' },
+  'monitoring.metrics.uptime': { type: 'boolean' },
+  'user.statusUpdateInterval': { type: 'integer', min: 60000, max: 24 * 60 * 60 * 1000 },
+  'websocket.reconnectInterval': { type: 'integer', min: 1000, max: 300000 },
+  'websocket.maxReconnectAttempts': { type: 'integer', min: 1, max: 1000 }
+};
+
+// Current overrides by path
+let overrides = {};
+
+// Called with the changed settings after an update
+const listeners = [];
+
+// Flatten nested settings into paths, so both { monitoring: { interval: 1 } }
+// and { 'monitoring.interval': 1 } are accepted
+function flatten(settings, prefix = '') {
+  const flat = {};
+  
+  for (const [key, value] of Object.entries(settings)) {
+    const settingPath = prefix ? `${prefix}.${key}` : key;
+    
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      Object.assign(flat, flatten(value, settingPath));
+    } else {
+      flat[settingPath] = value;
+    }
+  }
+  
+  return flat;
+}
+
+// Check a setting, returns the reason it is rejected or null
+function validateSetting(settingPath, value) {
+  const rule = REMOTE_SETTINGS[settingPath];
+  
+  if (!rule) {
+    return `${settingPath} cannot be changed remotely`;
+  }
+  
+  if (rule.type === 'boolean' && typeof value !== 'boolean') {
+    return `${settingPath} must be true or false`;
+  }
+  
+  if (rule.type === 'integer' && (!Number.isInteger(value) || value < rule.min || value > rule.max)) {
+    return `${settingPath} must be an integer from ${rule.min} to ${rule.max}`;
+  }
+  
+  return null;
+}
+
+// Get a value of the configuration by path
+function getValue(settingPath) {
+  return settingPath.split('.').reduce((object, key) => (object ? object[key] : undefined), config);
+}
+
+// Set a value of the configuration by path
+function setValue(settingPath, value) {
+  const keys = settingPath.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((object, key) => object[key], config);
+  parent[last] = value;
+}
+
+// Load the overrides of earlier updates and apply them. Overrides which
+// are no longer valid, e.g. because a setting can no longer be changed
+// remotely, are dropped.
+function init() {
+  if (!fs.existsSync(OVERRIDES_PATH)) {
+    return;
+  }
+  
+  try {
+    const saved = JSON.parse(fs.readFileSync(OVERRIDES_PATH, 'utf8'));
+    
+    for (const [settingPath, value] of Object.entries(flatten(saved))) {
+      const error = validateSetting(settingPath, value);
+      
+      if (error) {
+        logger.warn('Dropped a saved remote setting', { error });
+        continue;
+      }
+      
+      setValue(settingPath, value);
+      overrides[settingPath] = value;
+    }
+    
+    if (Object.keys(overrides).length > 0) {
+      logger.info('Applied the settings of the main application', { settings: overrides });
+    }
+  } catch (error) {
+    logger.error('Failed to load remote settings', { error: error.message });
+  }
+}
+
+// Save the overrides, replacing the file in one step
+function save() {
+  try {
+    fs.mkdirSync(path.dirname(OVERRIDES_PATH), { recursive: true });
+    const tempPath = `${OVERRIDES_PATH}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(overrides, null, 2));
+    fs.renameSync(tempPath, OVERRIDES_PATH);
+  } catch (error) {
+    logger.error('Failed to save remote settings', { error: error.message });
+  }
+}
+
+// Apply an update of the main application. An update is applied
+// completely or not at all: if one of its settings is invalid or cannot
+// be changed remotely, an error listing all of them is thrown. Returns
+// the changed settings by path.
+function applyUpdate(update) {
+  if (!update || typeof update !== 'object' || Array.isArray(update)) {
+    throw new Error('Invalid configuration update');
+  }
+  
+  const settings = flatten(update);
+  
+  if (Object.keys(settings).length === 0) {
+    throw new Error('Empty configuration update');
+  }
+  
+  const errors = Object.entries(settings)
+    .map(([settingPath, value]) => validateSetting(settingPath, value))
+    .filter(Boolean);
+  
+  if (errors.length > 0) {
+    logger.warn('Rejected configuration update from main application', { errors });
+    throw new Error(`Rejected configuration update: ${errors.join('; ')}`);
+  }
+  
+  const changes = {};
+  
+  for (const [settingPath, value] of Object.entries(settings)) {
+    if (getValue(settingPath) !== value) {
+      setValue(settingPath, value);
+      changes[settingPath] = value;
+    }
+    overrides[settingPath] = value;
+  }
+  
+  save();
+  
+  if (Object.keys(changes).length > 0) {
+    logger.info('Applied configuration update from main application', { changes });
+    
+    for (const listener of listeners) {
+      try {
+        listener(changes);
+      } catch (error) {
+        logger.error('Failed to apply configuration change', { error: error.message });
+      }
+    }
+  }
+  
+  return changes;
+}
+
+// Call `listener(changes)` after settings were changed, with the changed
+// settings by path
+function onChange(listener) {
+  listeners.push(listener);
+}
+
+// Get the current value of each setting the main application can change
+function getRemoteSettings() {
+  const settings = {};
+  
+  for (const settingPath of Object.keys(REMOTE_SETTINGS)) {
+    settings[settingPath] = getValue(settingPath);
+  }
+  
+  return settings;
+}
+
+module.exports = {
+  init,
+  applyUpdate,
+  onChange,
+  getRemoteSettings
+};
@@ -0,0 +1,102 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+// Rewards the main application notified us of, by epoch
+const REWARDS_PATH = path.join(process.cwd(), 'data', 'rewards.json');
+
+// Rewards by epoch start: { epochStart, amount, uptime, status, txId }
+let rewards = null;
+
+// Load the rewards from disk
+function load() {
+  rewards = {};
+  
+  if (!fs.existsSync(REWARDS_PATH)) {
+    return;
+  }
+  
+  try {
+    rewards = JSON.parse(fs.readFileSync(REWARDS_PATH, 'utf8'));
+  } catch (error) {
+    logger.error('Failed to load rewards', { error: error.message });
+  }
+}
+
+// Make sure the rewards are loaded
+function ensureLoaded() {
+  if (rewards === null) {
+    load();
+  }
+}
+
+// Save the rewards, replacing the file in one step
+function save() {
+  try {
+    fs.mkdirSync(path.dirname(REWARDS_PATH), { recursive: true });
+    const tempPath = `${REWARDS_PATH}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(rewards, null, 2));
+    fs.renameSync(tempPath, REWARDS_PATH);
+  } catch (error) {
+    logger.error('Failed to save rewards', { error: error.message });
+  }
+}
+
+// Keep a reward notification. Each epoch is notified once it is settled
+// and again once it is paid out, the later notification replaces the
+// earlier one.
+function record(reward) {
+  ensureLoaded();
+  
+  if (!reward || !reward.epochStart) {
+    return;
+  }
+  
+  const previous = rewards[reward.epochStart] || {};
+  
+  rewards[reward.epochStart] = {
+    epochStart: reward.epochStart,
+    amount: Number(reward.amount) || 0,
+    uptime: reward.uptime ?? previous.uptime ?? null,
+    status: reward.status || previous.status || null,
+    txId: reward.txId || previous.txId || null
+  };
+  
+  save();
+}
+
+// Get the totals of the rewards: earned in all settled epochs, of which
+// paid out on chain and not yet paid
+function getTotals() {
+  ensureLoaded();
+  
+  const totals = {
+    epochs: 0,
+    earned: 0,
+    paid: 0,
+    unpaid: 0,
+    lastEpochStart: null
+  };
+  
+  for (const reward of Object.values(rewards)) {
+    totals.epochs++;
+    totals.earned += reward.amount;
+    
+    if (reward.txId) {
+      totals.paid += reward.amount;
+    } else {
+      totals.unpaid += reward.amount;
+    }
+    
+    if (!totals.lastEpochStart || reward.epochStart > totals.lastEpochStart) {
+      totals.lastEpochStart = reward.epochStart;
+    }
+  }
+  
+  return totals;
+}
+
+module.exports = {
+  record,
+  getTotals
+};
@@ -0,0 +1,309 @@
+const cron = require('node-cron');
+const config = require('../../config/default');
+const logger = require('../utils/logger');
+
+// Shortest interval a job can run at
+const MIN_INTERVAL = 1000;
+
+// Scheduled jobs by ID
+const jobs = new Map();
+
+// Runs waiting for a free slot, oldest first
+const queue = [];
+
+// Number of runs in progress
+let running = 0;
+
+// Schedule a job. `run` is called with an AbortSignal, which is aborted
+// when the run times out or the job is cancelled.
+//
+// Options:
+// - interval: milliseconds between runs (at least 1 second), or a cron
+//   expression, with an optional seconds field
+// - jitter: random delay of each run in milliseconds, defaults to a share
+//   of the interval so that jobs of many nodes do not run in lockstep
+// - timeout: maximum duration of a run in milliseconds
+// - runImmediately: run once right away
+// - paused: schedule the job without starting it
+//
+// A job never runs twice at the same time: a run which is due while the
+// previous one is still running or waiting for a slot is skipped.
+function schedule(id, run, options = {}) {
+  const job = {
+    id,
+    run,
+    interval: options.interval,
+    timeout: options.timeout || config.scheduler.taskTimeout,
+    jitter: 0,
+    paused: false,
+    timer: null,
+    cronTask: null,
+    nextBase: null,
+    state: 'idle', // 'idle', 'queued' or 'running'
+    controller: null,
+    lastRunTime: null,
+    lastDuration: null,
+    lastError: null,
+    runs: 0,
+    skipped: 0,
+    waiters: []
+  };
+  
+  if (typeof job.interval === 'number' || /^\d+$/.test(String(job.interval))) {
+    job.interval = Number(job.interval);
+    if (!Number.isFinite(job.interval) || job.interval < MIN_INTERVAL) {
+      throw new Error(`Interval must be at least ${MIN_INTERVAL} ms`);
+    }
+    job.jitter = options.jitter ?? Math.round(job.interval * config.scheduler.jitterRatio);
+  } else if (typeof job.interval === 'string' && cron.validate(job.interval)) {
+    job.jitter = options.jitter ?? 0;
+  } else {
+    throw new Error(`Invalid interval: ${job.interval}`);
+  }
+  
+  // Replaces the job with the same ID, once the new one is known to be valid
+  if (jobs.has(id)) {
+    cancel(id);
+  }
+  
+  jobs.set(id, job);
+  
+  if (options.paused) {
+    job.paused = true;
+  } else {
+    start(job);
+  }
+  
+  if (options.runImmediately && !job.paused) {
+    trigger(job);
+  }
+  
+  return getJobStatus(job);
+}
+
+// Start the timer of a job
+function start(job) {
+  if (typeof job.interval === 'number') {
+    job.nextBase = Date.now() + job.interval;
+    armTimer(job);
+  } else {
+    job.cronTask = cron.schedule(job.interval, () => {
+      if (job.jitter > 0) {
+        job.timer = setTimeout(() => trigger(job), Math.random() * job.jitter);
+      } else {
+        trigger(job);
+      }
+    });
+  }
+}
+
+// Stop the timer of a job, a run in progress is not affected
+function stop(job) {
+  clearTimeout(job.timer);
+  job.timer = null;
+  job.nextBase = null;
+  
+  if (job.cronTask) {
+    job.cronTask.stop();
+    job.cronTask = null;
+  }
+}
+
+// Set the timer for the next run of an interval job. Runs are planned on
+// a fixed grid, so the jitter and the duration of runs do not add up.
+function armTimer(job) {
+  const delay = Math.max(0, job.nextBase - Date.now()) + Math.random() * job.jitter;
+  
+  job.timer = setTimeout(() => {
+    job.nextBase += job.interval;
+    
+    // Catch up after the process was suspended instead of running many times
+    if (job.nextBase < Date.now()) {
+      job.nextBase = Date.now() + job.interval;
+    }
+    
+    armTimer(job);
+    trigger(job);
+  }, delay);
+}
+
+// A run of a job is due
+function trigger(job) {
+  if (job.state !== 'idle') {
+    job.skipped++;
+    logger.debug(`Skipped a run of job ${job.id}, the previous run is still ${job.state}`);
+    return;
+  }
+  
+  job.state = 'queued';
+  queue.push(job);
+  drain();
+}
+
+// Start queued runs while there are free slots
+function drain() {
+  while (running < config.scheduler.maxConcurrent && queue.length > 0) {
+    execute(queue.shift());
+  }
+}
+
+// Run a job with a timeout
+async function execute(job) {
+  const controller = new AbortController();
+  const startTime = Date.now();
+  let timeout = null;
+  
+  running++;
+  job.state = 'running';
+  job.controller = controller;
+  
+  try {
+    await Promise.race([
+      job.run(controller.signal),
+      new Promise((resolve, reject) => {
+        timeout = setTimeout(() => {
+          const error = new Error(`Timed out after ${job.timeout} ms`);
+          controller.abort(error);
+          reject(error);
+        }, job.timeout);
+        
+        controller.signal.addEventListener('abort', () => reject(controller.signal.reason));
+      })
+    ]);
+    job.lastError = null;
+  } catch (error) {
+    job.lastError = error.message;
+    if (jobs.get(job.id) === job) {
+      logger.error(`Job ${job.id} failed`, { error: error.message });
+    }
+  } finally {
+    clearTimeout(timeout);
+    running--;
+    job.state = 'idle';
+    job.controller = null;
+    job.runs++;
+    job.lastRunTime = startTime;
+    job.lastDuration = Date.now() - startTime;
+    job.waiters.splice(0).forEach(resolve => resolve(true));
+    drain();
+  }
+}
+
+// Cancel a job: stop its timer, drop a queued run and abort a run in progress
+function cancel(id) {
+  const job = jobs.get(id);
+  if (!job) {
+    return false;
+  }
+  
+  jobs.delete(id);
+  stop(job);
+  
+  const index = queue.indexOf(job);
+  if (index !== -1) {
+    queue.splice(index, 1);
+    job.state = 'idle';
+  }
+  
+  if (job.controller) {
+    job.controller.abort(new Error('Cancelled'));
+  }
+  
+  job.waiters.splice(0).forEach(resolve => resolve(false));
+  logger.debug(`Cancelled job ${id}`);
+  return true;
+}
+
+// Run a job now, outside of its schedule, also when it is paused.
+// Resolves with true once the run, or the run which was already in
+// progress, finished, and with false if the job does not exist or was
+// cancelled, or the job was paused before the run started.
+function runNow(id) {
+  const job = jobs.get(id);
+  if (!job) {
+    return Promise.resolve(false);
+  }
+  
+  const finished = new Promise(resolve => job.waiters.push(resolve));
+  
+  if (job.state === 'idle') {
+    trigger(job);
+  }
+  
+  return finished;
+}
+
+// Pause a job, a run in progress is finished. A queued run is dropped,
+// whoever waits for it (see runNow) gets false.
+function pause(id) {
+  const job = jobs.get(id);
+  if (!job) {
+    return false;
+  }
+  
+  if (!job.paused) {
+    job.paused = true;
+    stop(job);
+    
+    const index = queue.indexOf(job);
+    if (index !== -1) {
+      queue.splice(index, 1);
+      job.state = 'idle';
+      job.waiters.splice(0).forEach(resolve => resolve(false));
+    }
+  }
+  
+  return true;
+}
+
+// Resume a paused job
+function resume(id) {
+  const job = jobs.get(id);
+  if (!job) {
+    return false;
+  }
+  
+  if (job.paused) {
+    job.paused = false;
+    start(job);
+  }
+  
+  return true;
+}
+
+// Get the state of a job for status reports
+function getJobStatus(job) {
+  return {
+    id: job.id,
+    interval: job.interval,
+    jitter: job.jitter,
+    timeout: job.timeout,
+    paused: job.paused,
+    state: job.state,
+    nextRunTime: job.nextBase,
+    lastRunTime: job.lastRunTime,
+    lastDuration: job.lastDuration,
+    lastError: job.lastError,
+    runs: job.runs,
+    skipped: job.skipped
+  };
+}
+
+// Get the state of all jobs
+function getStatus() {
+  return {
+    running,
+    queued: queue.length,
+    maxConcurrent: config.scheduler.maxConcurrent,
+    jobs: Array.from(jobs.values()).map(getJobStatus)
+  };
+}
+
+module.exports = {
+  schedule,
+  cancel,
+  runNow,
+  pause,
+  resume,
+  getStatus
+};
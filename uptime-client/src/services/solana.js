@@ -1,31 +1,67 @@
+const crypto = require('crypto');
 const { 
   Connection, 
   PublicKey, 
-  Keypair, 
-  Transaction, 
-  SystemProgram,
-  sendAndConfirmTransaction,
   LAMPORTS_PER_SOL,
   clusterApiUrl
 } = require('@solana/web3.js');
 const { 
-  Token, 
-  TOKEN_PROGRAM_ID, 
-  ASSOCIATED_TOKEN_PROGRAM_ID 
+  TOKEN_PROGRAM_ID,
+  TOKEN_2022_PROGRAM_ID,
+  TokenAccountNotFoundError,
+  unpackMint,
+  getAccount,
+  getAssociatedTokenAddressSync
 } = require('@solana/spl-token');
 const config = require('../../config/default');
 const logger = require('../utils/logger');
+const keystore = require('../utils/keystore');
 
 let connection = null;
 let wallet = null;
 let tokenMintAddress = null;
 let tokenAccount = null;
 
+// Load the wallet of the node: from the encrypted keystore, or from
+// SOLANA_WALLET_PRIVATE_KEY without one. The node proves its identity and
+// receives its rewards with this key, so the client refuses to start
+// without a usable one rather than using a key nobody controls.
+function loadWallet() {
+  if (keystore.exists()) {
+    const passphrase = keystore.getConfiguredPassphrase();
+    if (!passphrase) {
+      throw new Error(`The keystore ${keystore.getKeystorePath()} needs its passphrase in SOLANA_KEYSTORE_PASSPHRASE or SOLANA_KEYSTORE_PASSPHRASE_FILE`);
+    }
+    
+    const keypair = keystore.load(passphrase);
+    logger.info('Wallet loaded from the keystore', { publicKey: keypair.publicKey.toBase58() });
+    return keypair;
+  }
+  
+  if (config.solana.walletPrivateKey) {
+    let keypair;
+    try {
+      keypair = keystore.parseSecretKey(config.solana.walletPrivateKey);
+    } catch (error) {
+      throw new Error(`SOLANA_WALLET_PRIVATE_KEY is not usable: ${error.message}`);
+    }
+    
+    logger.warn('Wallet key is not encrypted, import it into a keystore with `npm run keys import`', {
+      publicKey: keypair.publicKey.toBase58()
+    });
+    return keypair;
+  }
+  
+  throw new Error('No wallet: create one with `npm run keys generate`, import one with `npm run keys import` or set SOLANA_WALLET_PRIVATE_KEY');
+}
+
 // Initialize Solana connection and wallet
 async function init() {
   try {
     logger.info('Initializing Solana service', { network: config.solana.network });
     
+    wallet = loadWallet();
+    
     // Initialize connection
     const rpcUrl = config.solana.rpcUrl || clusterApiUrl(config.solana.network);
     connection = new Connection(rpcUrl, 'confirmed');
@@ -34,32 +70,12 @@ async function init() {
     await connection.getVersion();
     logger.info('Connected to Solana network', { endpoint: rpcUrl });
     
-    // Initialize wallet from private key if provided
-    if (config.solana.walletPrivateKey) {
-      try {
-        const secretKey = Uint8Array.from(JSON.parse(config.solana.walletPrivateKey));
-        wallet = Keypair.fromSecretKey(secretKey);
-        logger.info('Wallet initialized', { publicKey: wallet.publicKey.toString() });
-        
-        // Check wallet balance
-        const balance = await connection.getBalance(wallet.publicKey);
-        logger.info('Wallet balance', { 
-          balance: `${balance / LAMPORTS_PER_SOL} SOL`,
-          publicKey: wallet.publicKey.toString()
-        });
-      } catch (error) {
-        logger.error('Failed to initialize wallet from private key', { error: error.message });
-        // Create a new wallet as fallback
-        wallet = Keypair.generate();
-        logger.warn('Generated new wallet', { publicKey: wallet.publicKey.toString() });
-      }
-    } else {
-      // Create a new wallet if no private key is provided
-      wallet = Keypair.generate();
-      logger.warn('No wallet private key provided, generated new wallet', { 
-        publicKey: wallet.publicKey.toString() 
-      });
-    }
+    // Check wallet balance
+    const balance = await connection.getBalance(wallet.publicKey);
+    logger.info('Wallet balance', { 
+      balance: `${balance / LAMPORTS_PER_SOL} SOL`,
+      publicKey: wallet.publicKey.toString()
+    });
     
     // Initialize token mint address if provided
     if (config.solana.rewardTokenMint) {
@@ -83,7 +99,12 @@ async function init() {
   }
 }
 
-// Initialize token account
+// Initialize token account. The reward mint can belong to the token
+// program or to Token-2022, the associated token account of the wallet
+// is derived for the program which owns the mint. The account is created
+// by the main application with the first payout, so the node needs no SOL.
+// The mint is checked like getMintInfo() of the main application's
+// payout engine, which pays to this account.
 async function initializeTokenAccount() {
   if (!connection || !wallet || !tokenMintAddress) {
     logger.warn('Cannot initialize token account: Missing connection, wallet, or token mint');
@@ -91,189 +112,51 @@ async function initializeTokenAccount() {
   }
   
   try {
-    // Create token instance
-    const token = new Token(
-      connection,
-      tokenMintAddress,
-      TOKEN_PROGRAM_ID,
-      wallet
-    );
+    const mintAccount = await connection.getAccountInfo(tokenMintAddress);
+    if (!mintAccount) {
+      throw new Error('The token mint does not exist');
+    }
     
-    // Get or create associated token account
-    const associatedTokenAccount = await token.getOrCreateAssociatedAccountInfo(
-      wallet.publicKey
-    );
+    const programId = mintAccount.owner;
+    if (!programId.equals(TOKEN_PROGRAM_ID) && !programId.equals(TOKEN_2022_PROGRAM_ID)) {
+      throw new Error('The account is not a mint of the token program or Token-2022');
+    }
     
-    tokenAccount = associatedTokenAccount.address;
+    const mint = unpackMint(tokenMintAddress, mintAccount, programId);
+    tokenAccount = getAssociatedTokenAddressSync(tokenMintAddress, wallet.publicKey, false, programId);
     
     logger.info('Token account initialized', { 
-      tokenAccount: tokenAccount.toString() 
+      tokenAccount: tokenAccount.toString(),
+      tokenProgram: programId.equals(TOKEN_2022_PROGRAM_ID) ? 'token-2022' : 'token'
     });
     
     // Get token balance
-    const tokenBalance = await token.getAccountInfo(tokenAccount);
-    logger.info('Token balance', { 
-      balance: tokenBalance.amount.toNumber(),
-      decimals: tokenBalance.decimals
-    });
-  } catch (error) {
-    logger.error('Failed to initialize token account', { error: error.message });
-  }
-}
-
-// Find associated token address
-async function findAssociatedTokenAddress(walletAddress, tokenMint) {
-  return (
-    await PublicKey.findProgramAddress(
-      [
-        walletAddress.toBuffer(),
-        TOKEN_PROGRAM_ID.toBuffer(),
-        tokenMint.toBuffer(),
-      ],
-      ASSOCIATED_TOKEN_PROGRAM_ID
-    )
-  )[0];
-}
-
-// Send reward to the user
-async function sendReward(amount) {
-  if (!connection || !wallet) {
-    throw new Error('Solana service not initialized');
-  }
-  
-  try {
-    // Get recipient wallet from config or use a default
-    const recipientPublicKey = new PublicKey(
-      process.env.RECIPIENT_WALLET || wallet.publicKey.toString()
-    );
-    
-    // Check if token mint is available
-    if (tokenMintAddress && tokenAccount) {
-      // Send SPL token reward
-      return await sendTokenReward(recipientPublicKey, amount);
-    } else {
-      // Send SOL reward as fallback
-      return await sendSolReward(recipientPublicKey, amount);
+    try {
+      const account = await getAccount(connection, tokenAccount, 'confirmed', programId);
+      logger.info('Token balance', { 
+        balance: account.amount.toString(),
+        decimals: mint.decimals
+      });
+    } catch (error) {
+      if (!(error instanceof TokenAccountNotFoundError)) {
+        throw error;
+      }
+      logger.info('The token account does not exist yet, it is created with the first payout');
     }
   } catch (error) {
-    logger.error('Failed to send reward', { error: error.message });
-    throw new Error(`Reward transaction failed: ${error.message}`);
-  }
-}
-
-// Send SOL reward
-async function sendSolReward(recipientPublicKey, amount) {
-  // Convert amount to lamports
-  const lamports = amount * LAMPORTS_PER_SOL;
-  
-  // Create a simple SOL transfer transaction
-  const transaction = new Transaction().add(
-    SystemProgram.transfer({
-      fromPubkey: wallet.publicKey,
-      toPubkey: recipientPublicKey,
-      lamports
-    })
-  );
-  
-  // Send and confirm transaction
-  const signature = await sendAndConfirmTransaction(
-    connection,
-    transaction,
-    [wallet]
-  );
-  
-  logger.info('SOL reward transaction sent', { 
-    signature,
-    amount: `${amount} SOL`,
-    recipient: recipientPublicKey.toString()
-  });
-  
-  return {
-    txId: signature,
-    amount,
-    token: 'SOL'
-  };
-}
-
-// Send SPL token reward
-async function sendTokenReward(recipientPublicKey, amount) {
-  // Create token instance
-  const token = new Token(
-    connection,
-    tokenMintAddress,
-    TOKEN_PROGRAM_ID,
-    wallet
-  );
-  
-  // Get token info to determine decimals
-  const tokenInfo = await token.getMintInfo();
-  const adjustedAmount = amount * Math.pow(10, tokenInfo.decimals);
-  
-  // Find or create recipient's associated token account
-  const recipientTokenAccount = await findAssociatedTokenAddress(
-    recipientPublicKey,
-    tokenMintAddress
-  );
-  
-  // Check if the recipient token account exists
-  const recipientAccountInfo = await connection.getAccountInfo(recipientTokenAccount);
-  
-  let transaction = new Transaction();
-  
-  // If recipient token account doesn't exist, create it
-  if (!recipientAccountInfo) {
-    logger.info('Creating associated token account for recipient');
-    transaction.add(
-      Token.createAssociatedTokenAccountInstruction(
-        ASSOCIATED_TOKEN_PROGRAM_ID,
-        TOKEN_PROGRAM_ID,
-        tokenMintAddress,
-        recipientTokenAccount,
-        recipientPublicKey,
-        wallet.publicKey
-      )
-    );
+    logger.error('Failed to initialize token account', { error: error.message });
   }
-  
-  // Add token transfer instruction
-  transaction.add(
-    Token.createTransferInstruction(
-      TOKEN_PROGRAM_ID,
-      tokenAccount,
-      recipientTokenAccount,
-      wallet.publicKey,
-      [],
-      adjustedAmount
-    )
-  );
-  
-  // Send and confirm transaction
-  const signature = await sendAndConfirmTransaction(
-    connection,
-    transaction,
-    [wallet]
-  );
-  
-  logger.info('Token reward transaction sent', { 
-    signature,
-    amount: adjustedAmount,
-    token: tokenMintAddress.toString(),
-    recipient: recipientPublicKey.toString()
-  });
-  
-  return {
-    txId: signature,
-    amount: adjustedAmount / Math.pow(10, tokenInfo.decimals),
-    token: tokenMintAddress.toString()
-  };
 }
 
 // Verify a transaction
 async function verifyTransaction(signature) {
   try {
-    const status = await connection.getSignatureStatus(signature);
+    // Rewards are only announced once finalized, which can be older than
+    // the recent status cache of the RPC node
+    const status = await connection.getSignatureStatus(signature, { searchTransactionHistory: true });
     return {
-      confirmed: status.value !== null && status.value.confirmationStatus === 'confirmed',
+      confirmed: status.value !== null && status.value.err === null &&
+        ['confirmed', 'finalized'].includes(status.value.confirmationStatus),
       status: status.value
     };
   } catch (error) {
@@ -282,6 +165,26 @@ async function verifyTransaction(signature) {
   }
 }
 
+// Sign a message with the wallet key (ed25519), returns a base64 signature.
+// This is how the node proves its identity to the main application.
+function signMessage(message) {
+  if (!wallet) {
+    throw new Error('Wallet not initialized');
+  }
+  
+  const privateKey = crypto.createPrivateKey({
+    key: {
+      kty: 'OKP',
+      crv: 'Ed25519',
+      d: Buffer.from(wallet.secretKey.slice(0, 32)).toString('base64url'),
+      x: Buffer.from(wallet.publicKey.toBytes()).toString('base64url')
+    },
+    format: 'jwk'
+  });
+  
+  return crypto.sign(null, Buffer.from(message), privateKey).toString('base64');
+}
+
 // Get wallet public key
 function getWalletPublicKey() {
   return wallet ? wallet.publicKey.toString() : null;
@@ -294,8 +197,8 @@ function isConnected() {
 
 module.exports = {
   init,
-  sendReward,
   verifyTransaction,
+  signMessage,
   getWalletPublicKey,
   isConnected
 }; 
\ No newline at end of file
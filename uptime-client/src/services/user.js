@@ -3,6 +3,16 @@ const fs = require('fs');
 const path = require('path');
 const config = require('../../config/default');
 const logger = require('../utils/logger');
+const geolocation = require('./geolocation');
+const endpoints = require('./endpoints');
+const solanaService = require('./solana');
+const canonicalJSON = require('../utils/canonical-json');
+const { TASK_TYPES } = require('./monitor');
+
+// Prefixes of the signed registration and status update, must match the
+// main application
+const REGISTER_MESSAGE_PREFIX = 'uptime-kuma-node-register';
+const STATUS_MESSAGE_PREFIX = 'uptime-kuma-node-status';
 
 // User data storage path
 const USER_DATA_PATH = path.join(process.cwd(), 'data', 'user.json');
@@ -54,13 +64,23 @@ function saveUserData() {
   }
 }
 
+// Build the registration message to sign, must match the main application
+function buildRegisterMessage(registrationData) {
+  return `${REGISTER_MESSAGE_PREFIX}:${canonicalJSON(registrationData)}`;
+}
+
+// Build the status update message to sign, must match the main application
+function buildStatusMessage(statusData) {
+  return `${STATUS_MESSAGE_PREFIX}:${canonicalJSON(statusData)}`;
+}
+
 // Register user with main application server
 async function registerUser(userInfo) {
   try {
     logger.info('Registering with main application server');
     
-    // Get geolocation data
-    const geoData = await getGeolocation();
+    // Get geolocation data, reduced to the configured precision
+    const geoData = await geolocation.getGeolocation();
     
     // Prepare registration data
     const registrationData = {
@@ -70,25 +90,36 @@ async function registerUser(userInfo) {
         os: process.platform,
         arch: process.arch,
         nodeVersion: process.version,
+        clientVersion: require('../../package.json').version,
         hostname: require('os').hostname()
       },
       geolocation: geoData,
+      tags: config.user.tags,
+      // The server assigns checks by these and by the load in the metrics
       capabilities: {
         metrics: config.monitoring.metrics,
-        interval: config.monitoring.interval
-      }
+        interval: config.monitoring.interval,
+        checks: TASK_TYPES,
+        maxConcurrent: config.scheduler.maxConcurrent
+      },
+      timestamp: Date.now()
     };
     
-    // Send registration request to main application server
-    const response = await axios.post(
-      `${config.mainApp.apiUrl}/nodes/register`, 
+    // Signed with the wallet key, the main application only accepts a
+    // registration from the holder of the key
+    registrationData.signature = solanaService.signMessage(buildRegisterMessage(registrationData));
+    
+    // Send registration request to main application server. The endpoints
+    // share the registration, the node ID and key work with all of them.
+    const response = await endpoints.request(apiUrl => axios.post(
+      `${apiUrl}/nodes/register`, 
       registrationData,
       {
         headers: {
           'Content-Type': 'application/json'
         }
       }
-    );
+    ));
     
     if (response.data && response.data.success) {
       // Update user data
@@ -141,16 +172,20 @@ async function updateStatus() {
       timestamp: Date.now()
     };
     
+    // Signed like the registration, the node ID and the public key are
+    // no secret
+    statusData.signature = solanaService.signMessage(buildStatusMessage(statusData));
+    
     // Send status update to main application server
-    const response = await axios.post(
-      `${config.mainApp.apiUrl}/nodes/status`, 
+    const response = await endpoints.request(apiUrl => axios.post(
+      `${apiUrl}/nodes/status`, 
       statusData,
       {
         headers: {
           'Content-Type': 'application/json'
         }
       }
-    );
+    ));
     
     if (response.data && response.data.success) {
       // Update last ping time
@@ -168,49 +203,17 @@ async function updateStatus() {
   }
 }
 
-// Get user's geolocation
-async function getGeolocation() {
-  try {
-    // Use IP-based geolocation service
-    const response = await axios.get('https://ipapi.co/json/');
-    
-    if (response.data) {
-      const geoData = {
-        ip: response.data.ip,
-        city: response.data.city,
-        region: response.data.region,
-        country: response.data.country_name,
-        countryCode: response.data.country_code,
-        latitude: response.data.latitude,
-        longitude: response.data.longitude,
-        timezone: response.data.timezone
-      };
-      
-      logger.info('Retrieved geolocation data', { 
-        city: geoData.city, 
-        country: geoData.country 
-      });
-      
-      return geoData;
-    }
-  } catch (error) {
-    logger.error('Failed to get geolocation', { error: error.message });
-    // Return minimal geolocation data if API fails
-    return {
-      ip: null,
-      city: null,
-      country: null,
-      latitude: null,
-      longitude: null
-    };
-  }
-}
-
 // Check if user is registered
 function isRegistered() {
   return userData.registered;
 }
 
+// Check whether the main application has the location of the node with
+// the configured precision. Registrations of older clients have none.
+function hasCurrentGeolocation() {
+  return !!userData.geolocation && userData.geolocation.precision === config.geolocation.precision;
+}
+
 // Get user data
 function getUserData() {
   return { ...userData };
@@ -220,7 +223,8 @@ module.exports = {
   init,
   registerUser,
   updateStatus,
-  getGeolocation,
+  getGeolocation: geolocation.getGeolocation,
   isRegistered,
+  hasCurrentGeolocation,
   getUserData
 }; 
\ No newline at end of file
@@ -4,15 +4,35 @@ const logger = require('../utils/logger');
 const monitor = require('./monitor');
 const solanaService = require('./solana');
 const userService = require('./user');
+const envelope = require('./envelope');
+const outbox = require('./outbox');
+const remoteConfig = require('./remote-config');
+const rewards = require('./rewards');
+const protocol = require('./protocol');
+const endpoints = require('./endpoints');
+
+// Prefix of the signed challenge, must match the main application
+const AUTH_MESSAGE_PREFIX = 'uptime-kuma-node-auth';
+
+// Messages the server accepts before the node is authenticated
+const UNAUTHENTICATED_MESSAGE_TYPES = ['authenticate', 'authProof', 'ping'];
+
+// Close code of the main application for nodes whose protocol version it
+// does not speak
+const UNSUPPORTED_PROTOCOL_CLOSE_CODE = 4005;
 
 let ws = null;
+let endpoint = null; // Endpoint of the main application ws connects to
 let isConnected = false;
+let isAuthenticated = false;
 let reconnectAttempts = 0;
 let reconnectTimeout = null;
 let pingInterval = null;
 let messageHandlers = {};
 let pendingMessages = [];
 let connectionStartTime = null;
+let lastSentSeq = 0;
+let reputation = null;
 
 // Initialize WebSocket connection
 function init() {
@@ -28,10 +48,12 @@ function init() {
   }, 60000); // Check every minute
 }
 
-// Connect to WebSocket server
+// Connect to WebSocket server, at the endpoint in use as long as it
+// works, see endpoints.js
 function connect() {
   try {
-    const wsUrl = config.mainApp.wsUrl;
+    endpoint = endpoints.select();
+    const wsUrl = endpoint.wsUrl;
     logger.info('Connecting to main application WebSocket server', { url: wsUrl });
     
     // Close existing connection if any
@@ -49,23 +71,31 @@ function connect() {
     // Create new WebSocket connection
     ws = new WebSocket(wsUrl);
     
-    // Setup event handlers
-    ws.on('open', handleOpen);
+    // Setup event handlers, the endpoint is passed along as a connection
+    // which is replaced still closes after the next one was started
+    const target = endpoint;
+    ws.on('open', () => handleOpen(target));
     ws.on('message', handleMessage);
     ws.on('error', handleError);
-    ws.on('close', handleClose);
+    ws.on('close', (code, reason) => handleClose(code, reason, target));
     
   } catch (error) {
     logger.error('Failed to connect to main application WebSocket server', { error: error.message });
+    if (endpoint) {
+      endpoints.reportFailure(endpoint, error.message);
+    }
     scheduleReconnect();
   }
 }
 
 // Handle WebSocket open event
-function handleOpen() {
-  logger.info('Connected to main application WebSocket server');
+function handleOpen(target) {
+  logger.info('Connected to main application WebSocket server', { url: target.wsUrl });
+  endpoints.reportSuccess(target);
   isConnected = true;
+  isAuthenticated = false;
   reconnectAttempts = 0;
+  lastSentSeq = 0;
   
   // Clear any pending reconnect
   if (reconnectTimeout) {
@@ -80,13 +110,16 @@ function handleOpen() {
     }
   }, 30000); // 30 seconds
   
-  // Authenticate if user is registered
+  // Authenticate if user is registered, pending messages are sent
+  // once the server accepted the authentication
   if (userService.isRegistered()) {
     const userData = userService.getUserData();
     authenticate(userData.nodeId, userData.publicKey);
   }
-  
-  // Send any pending messages
+}
+
+// Send messages which were queued while disconnected or unauthenticated
+function flushPendingMessages() {
   if (pendingMessages.length > 0) {
     logger.info(`Sending ${pendingMessages.length} pending messages`);
     
@@ -110,6 +143,34 @@ function handleOpen() {
   }
 }
 
+// Send the outbox messages which were not sent on this connection yet, in
+// sequence number order. They stay in the outbox until the main
+// application acknowledges them.
+function flushOutbox() {
+  if (!isConnected || !isAuthenticated) {
+    return false;
+  }
+  
+  const messages = outbox.getMessages().filter(message => message.seq > lastSentSeq);
+  
+  if (messages.length > 1) {
+    logger.info(`Replaying ${messages.length} messages from the outbox`);
+  }
+  
+  for (const message of messages) {
+    try {
+      ws.send(JSON.stringify(message));
+      lastSentSeq = message.seq;
+    } catch (error) {
+      logger.error('Failed to send outbox message', { type: message.type, error: error.message });
+      checkConnection();
+      return false;
+    }
+  }
+  
+  return true;
+}
+
 // Handle WebSocket message event
 function handleMessage(data) {
   try {
@@ -117,11 +178,20 @@ function handleMessage(data) {
     logger.debug('Received WebSocket message', { type: message.type });
     
     // Handle message based on type
-    if (message.type && messageHandlers[message.type]) {
-      messageHandlers[message.type](message);
-    } else {
+    if (!message.type || !messageHandlers[message.type]) {
       logger.warn('Unknown message type', { type: message.type });
+      return;
     }
+    
+    // Messages are described in protocol.schema.json, shared with the
+    // main application
+    const error = protocol.validateMessage(message);
+    if (error) {
+      logger.warn('Ignoring invalid message from main application', { type: message.type, error });
+      return;
+    }
+    
+    messageHandlers[message.type](message);
   } catch (error) {
     logger.error('Failed to process WebSocket message', { error: error.message });
   }
@@ -138,10 +208,18 @@ function handleError(error) {
 }
 
 // Handle WebSocket close event
-function handleClose(code, reason) {
+function handleClose(code, reason, target) {
   const reasonStr = reason ? reason.toString() : 'Unknown';
   logger.warn('WebSocket connection closed', { code, reason: reasonStr });
+  
+  // A connection which could not be opened counts against its endpoint.
+  // After one which was open, the same endpoint is tried again first.
+  if (!isConnected || code === UNSUPPORTED_PROTOCOL_CLOSE_CODE) {
+    endpoints.reportFailure(target, code === UNSUPPORTED_PROTOCOL_CLOSE_CODE ? 'unsupported protocol version' : `connection closed (${code})`);
+  }
+  
   isConnected = false;
+  isAuthenticated = false;
   
   // Clear ping interval
   if (pingInterval) {
@@ -149,6 +227,12 @@ function handleClose(code, reason) {
     pingInterval = null;
   }
   
+  // Retrying right away will not help, wait for the cooldown unless
+  // another endpoint speaks the protocol
+  if (code === UNSUPPORTED_PROTOCOL_CLOSE_CODE) {
+    reconnectAttempts = config.websocket.maxReconnectAttempts;
+  }
+  
   // Schedule reconnect
   scheduleReconnect();
 }
@@ -161,6 +245,17 @@ function scheduleReconnect() {
   
   reconnectAttempts++;
   
+  // Another endpoint which did not fail lately is tried right away, the
+  // backoff below is for when all of them fail
+  const next = endpoints.select();
+  if (next !== endpoint && endpoints.isAvailable(next)) {
+    logger.info('Scheduling reconnection to another endpoint', { url: next.wsUrl });
+    reconnectTimeout = setTimeout(() => {
+      connect();
+    }, config.websocket.reconnectInterval);
+    return;
+  }
+  
   if (reconnectAttempts <= config.websocket.maxReconnectAttempts) {
     // Exponential backoff with jitter
     const baseDelay = config.websocket.reconnectInterval;
@@ -232,8 +327,25 @@ function send(type, data = {}, priority = 'normal') {
     priority // 'high', 'normal', or 'low'
   };
   
-  if (!isConnected) {
-    logger.warn('Cannot send message: WebSocket not connected');
+  // Results and metrics are signed, so the main application can trust
+  // and audit them
+  if (envelope.requiresSignature(type) && userService.isRegistered()) {
+    try {
+      envelope.seal(message, userService.getUserData().nodeId);
+    } catch (error) {
+      logger.error('Failed to sign message', { type, error: error.message });
+      return false;
+    }
+    
+    // Kept on disk until acknowledged, sent now if the connection is up
+    if (outbox.isDurable(type)) {
+      outbox.add(message);
+      return flushOutbox();
+    }
+  }
+  
+  if (!isConnected || (!isAuthenticated && !UNAUTHENTICATED_MESSAGE_TYPES.includes(type))) {
+    logger.warn('Cannot send message: WebSocket not connected or not authenticated', { type });
     
     // Queue high priority messages for later sending
     if (priority === 'high') {
@@ -271,10 +383,31 @@ function sendPing() {
   }, 'low'); // Low priority as pings are frequent and not critical
 }
 
-// Authenticate with the server
+// Authenticate with the server. The server answers with a challenge
+// which has to be signed with the wallet key (see authChallenge below).
+// The protocol tells it which task types and features this client
+// supports, it does not send others.
 function authenticate(nodeId, publicKey) {
   logger.info('Authenticating WebSocket connection with main application');
-  send('authenticate', { nodeId, publicKey }, 'high');
+  send('authenticate', { nodeId, publicKey, protocol: protocol.getHandshake() }, 'high');
+}
+
+// Build the challenge message to sign, must match the main application
+function buildAuthMessage(nodeId, nonce) {
+  return `${AUTH_MESSAGE_PREFIX}:${nodeId}:${nonce}`;
+}
+
+// Register again with the wallet key and authenticate the connection
+async function reRegister() {
+  const publicKey = solanaService.getWalletPublicKey();
+  if (!publicKey) {
+    return;
+  }
+  
+  const result = await userService.registerUser({ publicKey });
+  if (result.success && isConnected) {
+    authenticate(result.nodeId, publicKey);
+  }
 }
 
 // Send metrics to server
@@ -297,25 +430,75 @@ function registerMessageHandlers() {
   // Authentication response
   messageHandlers.authResponse = (message) => {
     if (message.data.success) {
-      logger.info('Authentication successful with main application');
+      logger.info('Authentication successful with main application', {
+        sessionExpiresAt: message.data.sessionExpiresAt
+      });
+      // A new session, the main application sends the recurring tasks
+      // it still assigns to this node right after
+      if (!isAuthenticated) {
+        monitor.dropAssignedTasks();
+      }
+      
+      isAuthenticated = true;
+      protocol.setNegotiated(message.data.protocol);
+      updateReputation(message.data.reputation);
+      flushOutbox();
+      flushPendingMessages();
     } else {
       logger.error('Authentication failed with main application', { error: message.data.error });
       
+      if (message.data.error === 'unsupported protocol version') {
+        logger.error('The main application does not support the protocol of this client, update uptime-client', {
+          clientVersion: protocol.PROTOCOL_VERSION,
+          clientMinVersion: protocol.MIN_PROTOCOL_VERSION,
+          serverVersion: message.data.protocol && message.data.protocol.version,
+          serverMinVersion: message.data.protocol && message.data.protocol.minVersion
+        });
+      }
+      
       // If authentication failed due to unknown node, try to re-register
       if (message.data.error && message.data.error.includes('unknown node')) {
         logger.info('Node unknown to main application, attempting to re-register');
-        
-        // Reset registration status
-        const publicKey = userService.getUserData().publicKey;
-        if (publicKey) {
-          setTimeout(() => {
-            userService.registerUser({ publicKey });
-          }, 5000);
-        }
+        setTimeout(() => {
+          reRegister().catch(error => {
+            logger.error('Failed to re-register', { error: error.message });
+          });
+        }, 5000);
       }
     }
   };
   
+  // Authentication challenge, sent after authenticate and again before
+  // the session expires. Proves that we hold the registered key.
+  messageHandlers.authChallenge = (message) => {
+    const userData = userService.getUserData();
+    
+    if (userData.publicKey !== solanaService.getWalletPublicKey()) {
+      logger.warn('Registered public key is not the wallet key, re-registering with the wallet key');
+      reRegister().catch(error => {
+        logger.error('Failed to re-register', { error: error.message });
+      });
+      return;
+    }
+    
+    try {
+      const signature = solanaService.signMessage(buildAuthMessage(userData.nodeId, message.data.nonce));
+      send('authProof', {
+        nodeId: userData.nodeId,
+        nonce: message.data.nonce,
+        signature
+      }, 'high');
+    } catch (error) {
+      logger.error('Failed to answer authentication challenge', { error: error.message });
+    }
+  };
+  
+  // Acknowledgement of the signed messages up to a sequence number,
+  // including ones the main application already had
+  messageHandlers.ack = (message) => {
+    outbox.acknowledge(message.data.seq);
+  };
+  
   // Ping response
   messageHandlers.pong = (message) => {
     logger.debug('Received pong from main application');
@@ -328,13 +511,27 @@ function registerMessageHandlers() {
     sendMetrics(metrics);
   };
   
-  // Reward notification
+  // Reputation update, sent by the main application when it judged our
+  // check results or tasks. A low reputation reduces rewards and below
+  // the quarantine threshold no checks are sent to this node.
+  messageHandlers.reputation = (message) => {
+    updateReputation(message.data);
+  };
+  
+  // Reward notification. Rewards are computed by the main application
+  // from what it observed of this node, one notification per epoch once
+  // it is settled and again once it is paid out.
   messageHandlers.reward = (message) => {
     logger.info('Received reward notification from main application', { 
+      epochStart: message.data.epochStart,
+      uptime: message.data.uptime,
       amount: message.data.amount,
+      status: message.data.status,
       txId: message.data.txId
     });
     
+    rewards.record(message.data);
+    
     // Verify transaction if we have a txId
     if (message.data.txId) {
       solanaService.verifyTransaction(message.data.txId)
@@ -354,48 +551,32 @@ function registerMessageHandlers() {
     }
   };
   
-  // Task assignment
+  // Task assignment, answered with a taskResult
   messageHandlers.task = async (message) => {
-    logger.info('Received task assignment from main application', { taskId: message.data.taskId });
-    
-    // Process task based on type
-    const taskResult = {
-      taskId: message.data.taskId,
-      nodeId: userService.getUserData().nodeId,
-      success: false,
-      result: null,
-      error: null
-    };
+    const task = message.data;
+    logger.info('Received task assignment from main application', { taskId: task.taskId, type: task.type });
     
+    let outcome;
     try {
-      switch (message.data.type) {
-        case 'collectMetrics':
-          taskResult.result = await monitor.collectMetrics();
-          taskResult.success = true;
-          break;
-          
-        case 'checkEndpoint':
-          // Implement endpoint checking logic
-          break;
-          
-        case 'updateConfig':
-          // Handle remote configuration updates
-          if (message.data.config) {
-            logger.info('Received configuration update from main application');
-            // Apply relevant configuration changes
-            taskResult.success = true;
-          }
-          break;
-          
-        default:
-          throw new Error(`Unknown task type: ${message.data.type}`);
-      }
+      outcome = { success: true, result: await runTask(task) };
     } catch (error) {
-      taskResult.error = error.message;
+      outcome = { success: false, error: error.message };
     }
     
-    // Send task result back to server
-    send('taskResult', taskResult, 'high');
+    // Kept for the task API of the operator
+    monitor.recordAssignedTask({
+      taskId: task.taskId,
+      type: task.type,
+      check: getTaskCheck(task),
+      interval: task.interval || null,
+      receivedAt: message.timestamp || null,
+      completedAt: Date.now(),
+      success: outcome.success,
+      result: outcome.result ?? null,
+      error: outcome.error ?? null
+    });
+    
+    sendTaskResult(task.taskId, task.type, outcome);
   };
   
   // Server disconnect notification
@@ -405,21 +586,122 @@ function registerMessageHandlers() {
       estimatedDowntime: message.data.estimatedDowntime
     });
     
+    // Other endpoints are used while it is down
+    endpoints.reportFailure(endpoint, 'server shutdown', message.data.estimatedDowntime);
+    
     // Increase reconnection delay to avoid unnecessary reconnection attempts
     reconnectAttempts = Math.max(reconnectAttempts, 5);
   };
 }
 
+// Get the check of a task: `checkEndpoint` tasks carry it in `check`, the
+// other monitoring task types are the check themselves
+function getTaskCheck(task) {
+  if (task.type === 'checkEndpoint') {
+    return task.check || null;
+  }
+  
+  if (monitor.TASK_TYPES.includes(task.type)) {
+    const { taskId, interval, ...check } = task;
+    return check;
+  }
+  
+  return null;
+}
+
+// Run a task of the main application and return its result. Any
+// monitoring task type of the monitor service can be assigned; with an
+// `interval` the check is scheduled on the node and each of its results
+// is sent as a taskResult with the ID of the assignment, until it is
+// stopped with a `cancelTask` task.
+async function runTask(task) {
+  switch (task.type) {
+    case 'collectMetrics':
+      return await monitor.collectMetrics();
+      
+    case 'updateConfig':
+      // Change settings such as the metrics interval, only the ones in
+      // remote-config.js can be changed and they take effect right away
+      if (!task.config) {
+        throw new Error('Missing config');
+      }
+      return {
+        changed: remoteConfig.applyUpdate(task.config),
+        settings: remoteConfig.getRemoteSettings()
+      };
+      
+    case 'cancelTask':
+      if (!monitor.cancelAssignedTask(task.assignedTaskId)) {
+        throw new Error(`No assigned task ${task.assignedTaskId}`);
+      }
+      return { cancelled: task.assignedTaskId };
+  }
+  
+  const check = getTaskCheck(task);
+  
+  if (!check) {
+    throw new Error(task.type === 'checkEndpoint' ? 'Missing check' : `Unknown task type: ${task.type}`);
+  }
+  
+  if (task.interval !== undefined && task.interval !== null) {
+    const taskId = monitor.assignMonitoringTask({
+      ...check,
+      id: task.taskId,
+      interval: task.interval
+    });
+    return { scheduled: monitor.getMonitoringTask(taskId).schedule };
+  }
+  
+  return await monitor.executeMonitoringTask(check);
+}
+
+// Send the result of a task, the same for tasks run once and for each run
+// of a recurring task. `outcome` is { success, result } or
+// { success: false, error }.
+function sendTaskResult(taskId, type, outcome) {
+  return send('taskResult', {
+    taskId,
+    nodeId: userService.isRegistered() ? userService.getUserData().nodeId : null,
+    type,
+    success: outcome.success,
+    result: outcome.result ?? null,
+    error: outcome.error ?? null
+  }, 'high');
+}
+
 // Check if WebSocket is connected
 function isSocketConnected() {
   return isConnected;
 }
 
+// Keep the reputation reported by the main application
+function updateReputation(data) {
+  if (!data || typeof data.score !== 'number') {
+    return;
+  }
+  
+  if (data.quarantinedUntil && !(reputation && reputation.quarantinedUntil)) {
+    logger.warn('Node is quarantined by the main application, no checks are sent until it ends', {
+      score: data.score,
+      quarantinedUntil: data.quarantinedUntil
+    });
+  }
+  
+  reputation = data;
+}
+
+// Get the last reputation reported by the main application
+function getReputation() {
+  return reputation;
+}
+
 module.exports = {
   init,
   connect,
   send,
   sendMetrics,
+  sendTaskResult,
   isSocketConnected,
+  getReputation,
   checkConnection
 }; 
\ No newline at end of file
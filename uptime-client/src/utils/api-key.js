@@ -0,0 +1,59 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../../config/default');
+const logger = require('./logger');
+
+// Generated key of the local API, used when CLIENT_API_KEY is not set
+const API_KEY_PATH = path.join(process.cwd(), 'data', 'api-key');
+
+let apiKey = null;
+
+// Get the key of the local API. Without a configured key one is
+// generated on first use and kept in data/api-key, readable only by the
+// user running the client.
+function getApiKey() {
+  if (apiKey) {
+    return apiKey;
+  }
+  
+  if (config.client.apiKey) {
+    apiKey = config.client.apiKey;
+    return apiKey;
+  }
+  
+  if (fs.existsSync(API_KEY_PATH)) {
+    apiKey = fs.readFileSync(API_KEY_PATH, 'utf8').trim();
+  }
+  
+  if (!apiKey) {
+    apiKey = crypto.randomBytes(32).toString('hex');
+    fs.mkdirSync(path.dirname(API_KEY_PATH), { recursive: true });
+    fs.writeFileSync(API_KEY_PATH, apiKey + '\n', { mode: 0o600 });
+    logger.info(`Generated a key for the task API in ${API_KEY_PATH}`);
+  }
+  
+  return apiKey;
+}
+
+// Express middleware accepting requests with the API key, given as
+// "Authorization: Bearer <key>" or in the X-API-Key header
+function requireApiKey(req, res, next) {
+  const header = req.get('authorization') || '';
+  const given = header.startsWith('Bearer ') ? header.slice(7).trim() : (req.get('x-api-key') || '');
+  
+  // Compare hashes, so the comparison takes the same time for any input
+  const expected = crypto.createHash('sha256').update(getApiKey()).digest();
+  const actual = crypto.createHash('sha256').update(given).digest();
+  
+  if (!given || !crypto.timingSafeEqual(expected, actual)) {
+    return res.status(401).json({ error: 'Invalid or missing API key' });
+  }
+  
+  next();
+}
+
+module.exports = {
+  getApiKey,
+  requireApiKey
+};
@@ -0,0 +1,27 @@
+// Serialize a value to JSON with object keys sorted, so that the client
+// and the main application produce the same bytes for the same value.
+// Must match canonicalJSON() in the main application.
+function canonicalJSON(value) {
+  if (value === null || typeof value !== 'object') {
+    return JSON.stringify(value);
+  }
+  
+  if (typeof value.toJSON === 'function') {
+    return canonicalJSON(value.toJSON());
+  }
+  
+  if (Array.isArray(value)) {
+    return '[' + value.map(item => canonicalJSON(item) ?? 'null').join(',') + ']';
+  }
+  
+  const entries = [];
+  for (const key of Object.keys(value).sort()) {
+    const json = canonicalJSON(value[key]);
+    if (json !== undefined) {
+      entries.push(JSON.stringify(key) + ':' + json);
+    }
+  }
+  return '{' + entries.join(',') + '}';
+}
+
+module.exports = canonicalJSON;
@@ -0,0 +1,118 @@
+// Monitor conditions, evaluated the same way as the main application's
+// server/monitor-conditions, so a check gives the same result no matter
+// whether the server or a node runs it.
+//
+// Conditions use the monitor's JSON format: an array of
+// { type: 'expression', variable, operator, value, andOr } and
+// { type: 'group', children, andOr } objects.
+
+const LOGICAL = {
+  AND: 'and',
+  OR: 'or'
+};
+
+// Operators by ID, values are always compared as the server does
+const operators = {
+  equals: (variable, value) => variable === value,
+  not_equals: (variable, value) => variable !== value,
+  contains: (variable, value) => Array.isArray(variable) ? variable.includes(value) : variable.indexOf(value) !== -1,
+  not_contains: (variable, value) => Array.isArray(variable) ? !variable.includes(value) : variable.indexOf(value) === -1,
+  starts_with: (variable, value) => variable.startsWith(value),
+  not_starts_with: (variable, value) => !variable.startsWith(value),
+  ends_with: (variable, value) => variable.endsWith(value),
+  not_ends_with: (variable, value) => !variable.endsWith(value),
+  num_equals: (variable, value) => variable === Number(value),
+  num_not_equals: (variable, value) => variable !== Number(value),
+  lt: (variable, value) => variable < Number(value),
+  gt: (variable, value) => variable > Number(value),
+  lte: (variable, value) => variable <= Number(value),
+  gte: (variable, value) => variable >= Number(value)
+};
+
+// Build a condition group from the monitor's JSON format (array or JSON
+// string). Returns null when there are no conditions.
+function parseConditions(conditions) {
+  if (!conditions) {
+    return null;
+  }
+  
+  if (typeof conditions === 'string') {
+    conditions = JSON.parse(conditions);
+  }
+  
+  if (!Array.isArray(conditions) || conditions.length === 0) {
+    return null;
+  }
+  
+  const root = { type: 'group', children: [], andOr: LOGICAL.AND };
+  processConditions(conditions, root);
+  return root;
+}
+
+// Normalize raw conditions into the given group
+function processConditions(conditions, parentGroup) {
+  conditions.forEach(condition => {
+    const andOr = condition.andOr === LOGICAL.OR ? LOGICAL.OR : LOGICAL.AND;
+    
+    if (condition.type === 'group') {
+      const group = { type: 'group', children: [], andOr };
+      processConditions(condition.children, group);
+      parentGroup.children.push(group);
+    } else if (condition.type === 'expression') {
+      parentGroup.children.push({
+        type: 'expression',
+        variable: condition.variable,
+        operator: condition.operator,
+        value: condition.value,
+        andOr
+      });
+    }
+  });
+}
+
+// Evaluate a single expression against the given variables
+function evaluateExpression(expression, context) {
+  const operator = Object.prototype.hasOwnProperty.call(operators, expression.operator) ? operators[expression.operator] : null;
+  if (operator === null) {
+    throw new Error(`Unexpected expression operator ID '${expression.operator}'. Expected one of [${Object.keys(operators).join(',')}]`);
+  }
+  
+  if (!Object.prototype.hasOwnProperty.call(context, expression.variable)) {
+    throw new Error('Variable missing in context: ' + expression.variable);
+  }
+  
+  return operator(context[expression.variable], expression.value);
+}
+
+// Evaluate a group of expressions and groups against the given variables.
+// Children are combined from left to right, without precedence.
+function evaluateExpressionGroup(group, context) {
+  if (!group.children.length) {
+    throw new Error('ConditionExpressionGroup must contain at least one child.');
+  }
+  
+  let result = null;
+  
+  for (const child of group.children) {
+    const childResult = child.type === 'group'
+      ? evaluateExpressionGroup(child, context)
+      : evaluateExpression(child, context);
+    
+    if (result === null) {
+      result = childResult;
+    } else if (child.andOr === LOGICAL.OR) {
+      result = result || childResult;
+    } else {
+      result = result && childResult;
+    }
+  }
+  
+  return result;
+}
+
+module.exports = {
+  LOGICAL,
+  parseConditions,
+  evaluateExpression,
+  evaluateExpressionGroup
+};
@@ -0,0 +1,263 @@
+const fs = require('fs');
+const net = require('net');
+const { PublicKey } = require('@solana/web3.js');
+
+// Exit code of the client and the setup when the configuration is
+// invalid (EX_CONFIG of sysexits.h, which systemd does not restart on)
+const EXIT_INVALID_CONFIG = 78;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Longest delay of a timer. The scheduler runs intervals with timers,
+// which fire right away when given a longer delay.
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+// Levels of the logger
+const LOG_LEVELS = ['error', 'warn', 'info', 'http', 'verbose', 'debug', 'silly'];
+
+// Valid values of the configuration by their path in config/default.js,
+// with the environment variable they are set with
+const SCHEMA = {
+  'client.port': { env: 'PORT', type: 'integer', min: 1, max: 65535 },
+  'client.host': { env: 'HOST', type: 'host' },
+  'client.apiKey': { env: 'CLIENT_API_KEY', type: 'string', minLength: 16, optional: true, secret: true },
+  'mainApp.apiUrl': { env: 'MAIN_APP_API_URL', type: 'url', protocols: ['http:', 'https:'] },
+  'mainApp.wsUrl': { env: 'MAIN_APP_WS_URL', type: 'url', protocols: ['ws:', 'wss:'] },
+  'mainApp.weight': { env: 'MAIN_APP_WEIGHT', type: 'integer', min: 1, max: 1000 },
+  'mainApp.endpoints': { env: 'MAIN_APP_ENDPOINTS', type: 'endpoints', optional: true },
+  'mainApp.endpointStrategy': { env: 'MAIN_APP_ENDPOINT_STRATEGY', type: 'enum', values: ['ordered', 'weighted'] },
+  'uptimeKuma.url': { env: 'UPTIME_KUMA_URL', type: 'url', protocols: ['http:', 'https:'], optional: true },
+  'monitoring.interval': { env: 'MONITORING_INTERVAL', type: 'interval', min: 5000, max: DAY },
+  'monitoring.resultHistory': { env: 'TASK_RESULT_HISTORY', type: 'integer', min: 1, max: 10000 },
+  'monitoring.metrics.cpu': { type: 'boolean' },
+  'monitoring.metrics.memory': { type: 'boolean' },
+  'monitoring.metrics.disk': { type: 'boolean' },
+  'monitoring.metrics.network': { type: 'boolean' },
+  'monitoring.metrics.uptime': { type: 'boolean' },
+  'scheduler.maxConcurrent': { env: 'SCHEDULER_MAX_CONCURRENT', type: 'integer', min: 1, max: 1000 },
+  'scheduler.taskTimeout': { env: 'SCHEDULER_TASK_TIMEOUT', type: 'interval', min: 1000, max: DAY },
+  'scheduler.jitterRatio': { env: 'SCHEDULER_JITTER_RATIO', type: 'number', min: 0, max: 1 },
+  'solana.network': { env: 'SOLANA_NETWORK', type: 'enum', values: ['devnet', 'testnet', 'mainnet-beta'] },
+  'solana.rpcUrl': { env: 'SOLANA_RPC_URL', type: 'url', protocols: ['http:', 'https:'] },
+  'solana.keystorePath': { env: 'SOLANA_KEYSTORE_PATH', type: 'string' },
+  'solana.rewardTokenMint': { env: 'SOLANA_REWARD_TOKEN_MINT', type: 'publicKey', optional: true },
+  'user.publicKey': { env: 'USER_PUBLIC_KEY', type: 'publicKey', optional: true },
+  'user.statusUpdateInterval': { env: 'STATUS_UPDATE_INTERVAL', type: 'interval', min: 60000, max: DAY },
+  'geolocation.providers': { env: 'GEOLOCATION_PROVIDERS', type: 'list', values: ['manual', 'geoip', 'http'] },
+  'geolocation.precision': { env: 'GEOLOCATION_PRECISION', type: 'enum', values: ['exact', 'city', 'country'] },
+  'geolocation.geoipDatabase': { env: 'GEOIP_DATABASE', type: 'file', optional: true },
+  'geolocation.ip': { env: 'GEOLOCATION_IP', type: 'ip', optional: true },
+  'geolocation.manual.countryCode': { env: 'GEO_COUNTRY_CODE', type: 'countryCode', optional: true },
+  'geolocation.manual.latitude': { env: 'GEO_LATITUDE', type: 'number', min: -90, max: 90, optional: true },
+  'geolocation.manual.longitude': { env: 'GEO_LONGITUDE', type: 'number', min: -180, max: 180, optional: true },
+  'websocket.reconnectInterval': { env: 'WS_RECONNECT_INTERVAL', type: 'interval', min: 1000, max: 300000 },
+  'websocket.maxReconnectAttempts': { env: 'WS_MAX_RECONNECT_ATTEMPTS', type: 'integer', min: 1, max: 1000 },
+  'outbox.maxMessages': { env: 'OUTBOX_MAX_MESSAGES', type: 'integer', min: 1, max: Number.MAX_SAFE_INTEGER },
+  'outbox.maxBytes': { env: 'OUTBOX_MAX_BYTES', type: 'integer', min: 1024, max: Number.MAX_SAFE_INTEGER },
+  'logging.level': { env: 'LOG_LEVEL', type: 'enum', values: LOG_LEVELS },
+  'logging.file': { env: 'LOG_FILE', type: 'string' }
+};
+
+// Split a list of main application endpoints, comma separated
+// "<API URL> <WebSocket URL> [weight]", into { apiUrl, wsUrl, weight }.
+// Entries with too many parts are kept as null.
+function parseEndpoints(value) {
+  return value.split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+    const [apiUrl, wsUrl, weight, ...rest] = entry.split(/\s+/);
+    return rest.length > 0 ? null : { apiUrl, wsUrl, weight: weight === undefined ? 1 : weight };
+  });
+}
+
+// Check an endpoint of the main application. Returns the endpoint with
+// its weight converted to a number, or the reason it is invalid.
+function checkEndpoint(endpoint) {
+  if (!endpoint || typeof endpoint !== 'object') {
+    return { error: 'must be "<API URL> <WebSocket URL> [weight]"' };
+  }
+  
+  const apiUrl = checkRule(SCHEMA['mainApp.apiUrl'], endpoint.apiUrl);
+  const wsUrl = checkRule(SCHEMA['mainApp.wsUrl'], endpoint.wsUrl);
+  const weight = checkRule(SCHEMA['mainApp.weight'], endpoint.weight === undefined ? 1 : endpoint.weight);
+  
+  if (apiUrl.error) {
+    return { error: `API URL ${apiUrl.error}` };
+  } else if (wsUrl.error) {
+    return { error: `WebSocket URL ${wsUrl.error}` };
+  } else if (weight.error) {
+    return { error: `weight ${weight.error}` };
+  }
+  return { value: { apiUrl: apiUrl.value, wsUrl: wsUrl.value, weight: weight.value } };
+}
+
+// Check a value against its rule. Numbers may be given as strings, as
+// they come from the environment. Returns the value to use, converted to
+// its type, or the reason it is invalid.
+function checkRule(rule, value) {
+  const empty = value === undefined || value === null || value === '';
+  
+  if (empty) {
+    return rule.optional ? { value } : { error: 'is required' };
+  }
+  
+  switch (rule.type) {
+    case 'integer':
+    case 'interval':
+    case 'number': {
+      const number = typeof value === 'string' ? (/^\s*-?\d+(\.\d+)?\s*$/.test(value) ? Number(value) : NaN) : value;
+      const max = rule.type === 'interval' ? Math.min(rule.max, MAX_TIMER_DELAY) : rule.max;
+      const unit = rule.type === 'interval' ? ' ms' : '';
+      
+      if (typeof number !== 'number' || !Number.isFinite(number) ||
+        (rule.type !== 'number' && !Number.isInteger(number)) || number < rule.min || number > max) {
+        return { error: `must be ${rule.type === 'number' ? 'a number' : 'an integer'} from ${rule.min} to ${max}${unit}` };
+      }
+      return { value: number };
+    }
+    
+    case 'boolean':
+      if (typeof value !== 'boolean') {
+        return { error: 'must be true or false' };
+      }
+      return { value };
+    
+    case 'enum':
+      if (!rule.values.includes(value)) {
+        return { error: `must be one of ${rule.values.join(', ')}` };
+      }
+      return { value };
+    
+    case 'url': {
+      let url;
+      try {
+        url = new URL(value);
+      } catch (error) {
+        return { error: 'must be a URL' };
+      }
+      
+      if (!rule.protocols.includes(url.protocol)) {
+        return { error: `must be a URL starting with ${rule.protocols.map(protocol => `${protocol}//`).join(' or ')}` };
+      }
+      return { value };
+    }
+    
+    case 'list': {
+      const list = typeof value === 'string' ? value.split(',').map(item => item.trim()).filter(Boolean) : value;
+      
+      if (!Array.isArray(list) || list.length === 0 || !list.every(item => rule.values.includes(item))) {
+        return { error: `must be a comma separated list of ${rule.values.join(', ')}` };
+      }
+      return { value: list };
+    }
+    
+    case 'endpoints': {
+      const endpoints = typeof value === 'string' ? parseEndpoints(value) : value;
+      
+      if (!Array.isArray(endpoints)) {
+        return { error: 'must be a comma separated list of "<API URL> <WebSocket URL> [weight]"' };
+      }
+      
+      const checked = [];
+      for (const [index, endpoint] of endpoints.entries()) {
+        const result = checkEndpoint(endpoint);
+        if (result.error) {
+          return { error: `has an invalid endpoint ${index + 1}: ${result.error}` };
+        }
+        checked.push(result.value);
+      }
+      return { value: checked };
+    }
+    
+    case 'file':
+      if (typeof value !== 'string' || !fs.existsSync(value)) {
+        return { error: 'must be the path of an existing file' };
+      }
+      return { value };
+    
+    case 'ip':
+      if (!net.isIP(value)) {
+        return { error: 'must be an IP address' };
+      }
+      return { value };
+    
+    case 'countryCode':
+      if (typeof value !== 'string' || !/^[A-Za-z]{2}$/.test(value)) {
+        return { error: 'must be a two letter ISO country code' };
+      }
+      return { value };
+    
+    case 'host':
+      if (typeof value !== 'string' || !/^[A-Za-z0-9.:[\]-]+$/.test(value)) {
+        return { error: 'must be a host name or an IP address' };
+      }
+      return { value };
+    
+    case 'publicKey':
+      try {
+        new PublicKey(value);
+      } catch (error) {
+        return { error: 'must be a Solana public key in base58' };
+      }
+      return { value };
+    
+    case 'string':
+      if (typeof value !== 'string' || value.length < (rule.minLength || 1)) {
+        return { error: rule.minLength ? `must have at least ${rule.minLength} characters` : 'must be a string' };
+      }
+      return { value };
+    
+    default:
+      return { error: `has the unknown type ${rule.type}` };
+  }
+}
+
+// Describe a setting in an error, by its environment variable if it has
+// one. Secrets are not repeated.
+function describeError(settingPath, rule, value, error) {
+  const name = rule.env ? `${rule.env} (${settingPath})` : settingPath;
+  const shown = rule.secret || value === undefined || value === '' ? '' : `, got ${JSON.stringify(value)}`;
+  return `${name} ${error}${shown}`;
+}
+
+// Check the value of an environment variable, e.g. an answer of the
+// setup. Returns the reason it is invalid or null.
+function checkEnv(env, value) {
+  const entry = Object.entries(SCHEMA).find(([, rule]) => rule.env === env);
+  
+  if (!entry) {
+    return null;
+  }
+  
+  const [settingPath, rule] = entry;
+  const result = checkRule(rule, value);
+  return result.error ? describeError(settingPath, rule, value, result.error) : null;
+}
+
+// Validate the configuration. Valid numbers given as strings are
+// converted in place. Returns the list of errors, empty if the
+// configuration is valid.
+function validate(config) {
+  const errors = [];
+  
+  for (const [settingPath, rule] of Object.entries(SCHEMA)) {
+    const keys = settingPath.split('.');
+    const last = keys.pop();
+    const parent = keys.reduce((object, key) => (object ? object[key] : undefined), config);
+    const value = parent ? parent[last] : undefined;
+    const result = checkRule(rule, value);
+    
+    if (result.error) {
+      errors.push(describeError(settingPath, rule, value, result.error));
+    } else if (parent && result.value !== value) {
+      parent[last] = result.value;
+    }
+  }
+  
+  return errors;
+}
+
+module.exports = {
+  EXIT_INVALID_CONFIG,
+  parseEndpoints,
+  checkEnv,
+  validate
+};
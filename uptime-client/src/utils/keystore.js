@@ -0,0 +1,214 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const bs58 = require('bs58');
+const { Keypair } = require('@solana/web3.js');
+const config = require('../../config/default');
+
+// Version of the keystore file format
+const KEYSTORE_VERSION = 1;
+
+// Key derivation of the passphrase. 32 MB of memory per derivation, so
+// guessing passphrases of a stolen keystore is slow.
+const SCRYPT_PARAMS = { N: 32768, r: 8, p: 1 };
+const SCRYPT_MAXMEM = 64 * 1024 * 1024;
+
+// Passphrases shorter than this are refused when a keystore is written
+const MIN_PASSPHRASE_LENGTH = 8;
+
+// Get the path of the keystore
+function getKeystorePath() {
+  return path.resolve(process.cwd(), config.solana.keystorePath);
+}
+
+// Check whether there is a keystore
+function exists() {
+  return fs.existsSync(getKeystorePath());
+}
+
+// Get the passphrase of the keystore from SOLANA_KEYSTORE_PASSPHRASE, or
+// from the file in SOLANA_KEYSTORE_PASSPHRASE_FILE (e.g. a Docker secret)
+function getConfiguredPassphrase() {
+  if (config.solana.keystorePassphrase) {
+    return config.solana.keystorePassphrase;
+  }
+  
+  if (config.solana.keystorePassphraseFile) {
+    return fs.readFileSync(config.solana.keystorePassphraseFile, 'utf8').replace(/\r?\n$/, '');
+  }
+  
+  return null;
+}
+
+// Parse a secret key given as a JSON array of bytes, like the keypair
+// files of the Solana CLI, or in base58, like wallets export it. 64 byte
+// keys contain the public key, which has to match; 32 byte keys are the
+// seed only.
+function parseSecretKey(input) {
+  const text = String(input || '').trim();
+  let bytes;
+  
+  if (!text) {
+    throw new Error('The key is empty');
+  }
+  
+  if (text.startsWith('[')) {
+    let array;
+    try {
+      array = JSON.parse(text);
+    } catch (error) {
+      throw new Error('The key is not a valid JSON array');
+    }
+    
+    if (!Array.isArray(array) || !array.every(byte => Number.isInteger(byte) && byte >= 0 && byte <= 255)) {
+      throw new Error('The key must be an array of bytes');
+    }
+    bytes = Uint8Array.from(array);
+  } else {
+    try {
+      bytes = bs58.decode(text);
+    } catch (error) {
+      throw new Error('The key is neither a JSON array nor base58');
+    }
+  }
+  
+  if (bytes.length === 32) {
+    return Keypair.fromSeed(bytes);
+  }
+  
+  if (bytes.length !== 64) {
+    throw new Error(`The key has ${bytes.length} bytes, expected 64 (or a 32 byte seed)`);
+  }
+  
+  try {
+    return Keypair.fromSecretKey(bytes);
+  } catch (error) {
+    throw new Error('The public key part of the key does not match its secret key');
+  }
+}
+
+// Derive the encryption key from a passphrase
+function deriveKey(passphrase, salt, params) {
+  return crypto.scryptSync(passphrase, salt, 32, { ...params, maxmem: SCRYPT_MAXMEM });
+}
+
+// Encrypt a keypair with a passphrase into the keystore format. The
+// public key is kept in the clear, so it can be shown without the
+// passphrase.
+function encrypt(keypair, passphrase) {
+  if (typeof passphrase !== 'string' || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    throw new Error(`The passphrase must have at least ${MIN_PASSPHRASE_LENGTH} characters`);
+  }
+  
+  const salt = crypto.randomBytes(32);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', deriveKey(passphrase, salt, SCRYPT_PARAMS), iv);
+  const publicKey = keypair.publicKey.toBase58();
+  
+  // The public key is authenticated with the secret key
+  cipher.setAAD(Buffer.from(publicKey));
+  const ciphertext = Buffer.concat([cipher.update(Buffer.from(keypair.secretKey)), cipher.final()]);
+  
+  return {
+    version: KEYSTORE_VERSION,
+    publicKey,
+    crypto: {
+      kdf: 'scrypt',
+      kdfparams: { ...SCRYPT_PARAMS, salt: salt.toString('base64') },
+      cipher: 'aes-256-gcm',
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      ciphertext: ciphertext.toString('base64')
+    },
+    createdAt: new Date().toISOString()
+  };
+}
+
+// Decrypt a keystore, throws if the passphrase is wrong or the keystore
+// was modified
+function decrypt(keystore, passphrase) {
+  if (!keystore || keystore.version !== KEYSTORE_VERSION || !keystore.crypto ||
+    keystore.crypto.kdf !== 'scrypt' || keystore.crypto.cipher !== 'aes-256-gcm') {
+    throw new Error('Unsupported keystore format');
+  }
+  
+  const { kdfparams, iv, tag, ciphertext } = keystore.crypto;
+  const params = { N: kdfparams.N, r: kdfparams.r, p: kdfparams.p };
+  let secretKey;
+  
+  try {
+    const decipher = crypto.createDecipheriv('aes-256-gcm',
+      deriveKey(passphrase || '', Buffer.from(kdfparams.salt, 'base64'), params),
+      Buffer.from(iv, 'base64'));
+    decipher.setAAD(Buffer.from(keystore.publicKey));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    secretKey = Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]);
+  } catch (error) {
+    throw new Error('Wrong passphrase or damaged keystore');
+  }
+  
+  const keypair = Keypair.fromSecretKey(secretKey);
+  if (keypair.publicKey.toBase58() !== keystore.publicKey) {
+    throw new Error('The keystore does not contain the key of its public key');
+  }
+  
+  return keypair;
+}
+
+// Read the keystore file
+function read() {
+  try {
+    return JSON.parse(fs.readFileSync(getKeystorePath(), 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read the keystore ${getKeystorePath()}: ${error.message}`);
+  }
+}
+
+// Load the keypair from the keystore
+function load(passphrase) {
+  return decrypt(read(), passphrase);
+}
+
+// Get the public key of the keystore, no passphrase needed
+function getPublicKey() {
+  return read().publicKey;
+}
+
+// Write a keypair into the keystore, readable only by the user running
+// the client. An existing keystore is only replaced with `overwrite`,
+// and is kept as a backup next to it. Returns the path of the backup.
+function save(keypair, passphrase, overwrite = false) {
+  const keystorePath = getKeystorePath();
+  const keystore = encrypt(keypair, passphrase);
+  let backupPath = null;
+  
+  if (exists()) {
+    if (!overwrite) {
+      throw new Error(`There is a keystore already: ${keystorePath}`);
+    }
+    
+    backupPath = `${keystorePath}.${Date.now()}.bak`;
+    fs.copyFileSync(keystorePath, backupPath);
+    fs.chmodSync(backupPath, 0o600);
+  }
+  
+  fs.mkdirSync(path.dirname(keystorePath), { recursive: true });
+  const tempPath = `${keystorePath}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(keystore, null, 2) + '\n', { mode: 0o600 });
+  fs.renameSync(tempPath, keystorePath);
+  
+  return backupPath;
+}
+
+module.exports = {
+  MIN_PASSPHRASE_LENGTH,
+  getKeystorePath,
+  exists,
+  getConfiguredPassphrase,
+  parseSecretKey,
+  encrypt,
+  decrypt,
+  load,
+  getPublicKey,
+  save
+};
@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { useTempDir, reload } = require('./helpers');
+
+useTempDir();
+const config = require('../config/default');
+
+const EU = 'https://eu.example.com/api';
+const US = 'https://us.example.com/api';
+const AP = 'https://ap.example.com/api';
+
+// Load the endpoints service with the configured one and the further endpoints
+function loadEndpoints(strategy = 'ordered') {
+  config.mainApp.apiUrl = EU;
+  config.mainApp.wsUrl = 'wss://eu.example.com/ws/nodes';
+  config.mainApp.weight = 1;
+  config.mainApp.endpoints = `${US} wss://us.example.com/ws/nodes 3, ${AP} wss://ap.example.com/ws/nodes`;
+  config.mainApp.endpointStrategy = strategy;
+  config.websocket.reconnectInterval = 5000;
+  
+  return reload('../src/services/endpoints');
+}
+
+// Error of axios for an HTTP status
+function httpError(status) {
+  return Object.assign(new Error(`Request failed with status code ${status}`), { response: { status } });
+}
+
+test('the node fails over in order and stays with the endpoint which works', t => {
+  let now = 1000000;
+  t.mock.method(Date, 'now', () => now);
+  const endpoints = loadEndpoints();
+  const [eu, us, ap] = endpoints.getEndpoints();
+  
+  assert.strictEqual(endpoints.getCurrent(), eu);
+  
+  // Skipped for the reconnect interval, twice as long after each failure in a row
+  endpoints.reportFailure(eu, 'connection closed (1006)');
+  assert.strictEqual(eu.downUntil, now + 5000);
+  assert.strictEqual(endpoints.select(), us);
+  
+  endpoints.reportFailure(us, 'connection closed (1006)');
+  endpoints.reportFailure(us, 'connection closed (1006)');
+  assert.strictEqual(us.downUntil, now + 10000);
+  assert.strictEqual(endpoints.select(), ap);
+  
+  // Sticky: the first endpoint is back, but the one in use still works
+  now += 6000;
+  assert.strictEqual(endpoints.select(), ap);
+  
+  // A server which announced its downtime is skipped for that long
+  endpoints.reportFailure(ap, 'server shutdown', 60000);
+  assert.strictEqual(endpoints.select(), eu);
+  
+  // If all are down, the one which comes back first is used
+  endpoints.reportFailure(eu, 'connection closed (1006)');
+  assert.strictEqual(endpoints.select(), us);
+  
+  endpoints.reportSuccess(us);
+  assert.deepStrictEqual(endpoints.getStatus().map(endpoint => [endpoint.apiUrl, endpoint.current, endpoint.failures]), [
+    [EU, false, 2],
+    [US, true, 0],
+    [AP, false, 1]
+  ]);
+});
+
+test('weighted endpoints are chosen by their weight', t => {
+  const random = t.mock.method(Math, 'random', () => 0.3);
+  assert.strictEqual(loadEndpoints('weighted').getCurrent().apiUrl, US);
+  
+  random.mock.mockImplementation(() => 0.1);
+  assert.strictEqual(loadEndpoints('weighted').getCurrent().apiUrl, EU);
+  
+  random.mock.mockImplementation(() => 0.9);
+  assert.strictEqual(loadEndpoints('weighted').getCurrent().apiUrl, AP);
+});
+
+test('requests are sent to the next endpoint when one is unreachable or fails', async () => {
+  const endpoints = loadEndpoints();
+  const sent = [];
+  
+  const response = await endpoints.request(async apiUrl => {
+    sent.push(apiUrl);
+    if (apiUrl === EU) {
+      throw new Error('connect ECONNREFUSED');
+    }
+    if (apiUrl === US) {
+      throw httpError(503);
+    }
+    return { data: { success: true } };
+  });
+  assert.deepStrictEqual(response.data, { success: true });
+  assert.deepStrictEqual(sent, [EU, US, AP]);
+  assert.strictEqual(endpoints.getCurrent().apiUrl, AP);
+  
+  // The endpoint answered, the request is not sent again
+  sent.length = 0;
+  await assert.rejects(endpoints.request(async apiUrl => {
+    sent.push(apiUrl);
+    throw httpError(401);
+  }), /status code 401/);
+  assert.deepStrictEqual(sent, [AP]);
+  
+  // All endpoints failed, with the error of the last one
+  await assert.rejects(endpoints.request(async apiUrl => {
+    throw new Error(`${apiUrl} is down`);
+  }), { message: `${US} is down` });
+});
@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const axios = require('axios');
+const maxmind = require('maxmind');
+const { useTempDir } = require('./helpers');
+
+useTempDir();
+const config = require('../config/default');
+const geolocation = require('../src/services/geolocation');
+
+// Answer of ipapi.co
+const IPAPI_RESPONSE = {
+  ip: '203.0.113.7',
+  city: 'Hamburg',
+  region: 'Hamburg',
+  country_name: 'Germany',
+  country_code: 'DE',
+  latitude: 53.5511,
+  longitude: 9.9937,
+  timezone: 'Europe/Berlin'
+};
+
+test.beforeEach(() => {
+  config.geolocation.providers = ['manual', 'geoip', 'http'];
+  config.geolocation.precision = 'city';
+  config.geolocation.geoipDatabase = '';
+  config.geolocation.ip = '';
+  config.geolocation.manual = { country: '', countryCode: '', region: '', city: '', latitude: '', longitude: '' };
+});
+
+test('a manual location is used without a lookup', async t => {
+  const lookup = t.mock.method(axios, 'get', async () => ({ data: IPAPI_RESPONSE }));
+  config.geolocation.manual = { country: '', countryCode: 'nl', region: '', city: 'Amsterdam', latitude: '52.3731', longitude: '4.8922' };
+  
+  assert.deepStrictEqual(await geolocation.getGeolocation(), {
+    country: 'Netherlands',
+    countryCode: 'NL',
+    region: null,
+    city: 'Amsterdam',
+    timezone: null,
+    latitude: 52.4,
+    longitude: 4.9,
+    precision: 'city',
+    source: 'manual'
+  });
+  assert.strictEqual(lookup.mock.callCount(), 0);
+});
+
+test('the location is reduced to the precision before it leaves the node', async t => {
+  t.mock.method(axios, 'get', async () => ({ data: IPAPI_RESPONSE }));
+  
+  const city = await geolocation.getGeolocation();
+  assert.strictEqual(city.source, 'http');
+  assert.strictEqual(city.city, 'Hamburg');
+  assert.strictEqual(city.latitude, 53.6);
+  assert.strictEqual(city.longitude, 10);
+  assert.strictEqual(city.ip, undefined);
+  
+  config.geolocation.precision = 'country';
+  assert.deepStrictEqual(await geolocation.getGeolocation(), {
+    country: 'Germany',
+    countryCode: 'DE',
+    precision: 'country',
+    source: 'http'
+  });
+  
+  config.geolocation.precision = 'exact';
+  const exact = await geolocation.getGeolocation();
+  assert.strictEqual(exact.latitude, 53.5511);
+  assert.strictEqual(exact.ip, undefined);
+});
+
+test('offline nodes are located with the GeoIP database, or not at all', async t => {
+  t.mock.method(axios, 'get', async () => {
+    throw new Error('getaddrinfo EAI_AGAIN ipapi.co');
+  });
+  assert.strictEqual(await geolocation.getGeolocation(), null);
+  
+  const lookups = [];
+  t.mock.method(maxmind, 'open', async database => ({
+    get(ip) {
+      lookups.push({ database, ip });
+      return {
+        country: { iso_code: 'FR', names: { en: 'France' } },
+        subdivisions: [{ names: { en: 'Île-de-France' } }],
+        city: { names: { en: 'Paris' } },
+        location: { latitude: 48.8534, longitude: 2.3488, time_zone: 'Europe/Paris' }
+      };
+    }
+  }));
+  config.geolocation.geoipDatabase = '/var/lib/GeoIP/GeoLite2-City.mmdb';
+  config.geolocation.ip = '198.51.100.1';
+  
+  assert.deepStrictEqual(await geolocation.getGeolocation(), {
+    country: 'France',
+    countryCode: 'FR',
+    region: 'Île-de-France',
+    city: 'Paris',
+    timezone: 'Europe/Paris',
+    latitude: 48.9,
+    longitude: 2.3,
+    precision: 'city',
+    source: 'geoip'
+  });
+  assert.deepStrictEqual(lookups, [{ database: '/var/lib/GeoIP/GeoLite2-City.mmdb', ip: '198.51.100.1' }]);
+});
@@ -0,0 +1,26 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Run the test file in a temporary directory, so that the state the client
+// keeps in data/ and its log are not written into the checkout. Has to be
+// called before the client's modules are loaded, they resolve their paths
+// when they are loaded.
+function useTempDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'uptime-client-test-'));
+  process.chdir(dir);
+  process.on('exit', () => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+// Load a module of the client again, e.g. to see what it loads from disk
+// after a restart
+function reload(modulePath) {
+  delete require.cache[require.resolve(modulePath)];
+  return require(modulePath);
+}
+
+module.exports = {
+  useTempDir,
+  reload
+};
@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const bs58 = require('bs58');
+const { Keypair } = require('@solana/web3.js');
+const { useTempDir } = require('./helpers');
+
+const dir = useTempDir();
+const config = require('../config/default');
+const keystore = require('../src/utils/keystore');
+const solana = require('../src/services/solana');
+
+const KEYS_PATH = path.join(__dirname, '..', 'keys.js');
+const PASSPHRASE = 'correct horse battery';
+
+// Run a command of keys.js in the test directory, returns its output
+function keys(...args) {
+  return execFileSync(process.execPath, [KEYS_PATH, ...args], {
+    cwd: dir,
+    env: { ...process.env, SOLANA_KEYSTORE_PASSPHRASE: PASSPHRASE },
+    stdio: ['ignore', 'pipe', 'pipe']
+  }).toString().trim();
+}
+
+test.beforeEach(() => {
+  fs.rmSync(path.join(dir, 'data'), { recursive: true, force: true });
+  config.solana.keystorePassphrase = '';
+  config.solana.walletPrivateKey = '';
+});
+
+test('secret keys are imported in base58, as JSON arrays or as seeds', () => {
+  const keypair = Keypair.generate();
+  const publicKey = keypair.publicKey.toBase58();
+  
+  assert.strictEqual(keystore.parseSecretKey(bs58.encode(Buffer.from(keypair.secretKey))).publicKey.toBase58(), publicKey);
+  assert.strictEqual(keystore.parseSecretKey(` ${JSON.stringify(Array.from(keypair.secretKey))}\n`).publicKey.toBase58(), publicKey);
+  assert.strictEqual(keystore.parseSecretKey(JSON.stringify(Array.from(keypair.secretKey.slice(0, 32)))).publicKey.toBase58(), publicKey);
+  
+  const mismatched = Uint8Array.from([...keypair.secretKey.slice(0, 32), ...Keypair.generate().publicKey.toBytes()]);
+  assert.throws(() => keystore.parseSecretKey(JSON.stringify(Array.from(mismatched))), /public key part of the key does not match/);
+  assert.throws(() => keystore.parseSecretKey('[1, 2,'), /not a valid JSON array/);
+  assert.throws(() => keystore.parseSecretKey('[1, 256]'), /must be an array of bytes/);
+  assert.throws(() => keystore.parseSecretKey('0OIl'), /neither a JSON array nor base58/);
+  assert.throws(() => keystore.parseSecretKey('[1, 2, 3]'), /The key has 3 bytes/);
+  assert.throws(() => keystore.parseSecretKey(''), /The key is empty/);
+});
+
+test('the keystore only opens with its passphrase and is not replaced by accident', () => {
+  const keypair = Keypair.generate();
+  
+  assert.throws(() => keystore.save(keypair, 'short'), /at least 8 characters/);
+  assert.strictEqual(keystore.save(keypair, PASSPHRASE), null);
+  
+  const keystorePath = path.join(dir, 'data', 'wallet.json');
+  assert.strictEqual(fs.statSync(keystorePath).mode & 0o777, 0o600);
+  assert.ok(!fs.readFileSync(keystorePath, 'utf8').includes(bs58.encode(Buffer.from(keypair.secretKey))));
+  
+  assert.deepStrictEqual(keystore.load(PASSPHRASE).secretKey, keypair.secretKey);
+  assert.strictEqual(keystore.getPublicKey(), keypair.publicKey.toBase58());
+  assert.throws(() => keystore.load('wrong passphrase'), /Wrong passphrase or damaged keystore/);
+  
+  // The public key in the clear is authenticated
+  const tampered = JSON.parse(fs.readFileSync(keystorePath, 'utf8'));
+  tampered.publicKey = Keypair.generate().publicKey.toBase58();
+  assert.throws(() => keystore.decrypt(tampered, PASSPHRASE), /Wrong passphrase or damaged keystore/);
+  
+  const replacement = Keypair.generate();
+  assert.throws(() => keystore.save(replacement, PASSPHRASE), /There is a keystore already/);
+  
+  const backupPath = keystore.save(replacement, PASSPHRASE, true);
+  assert.strictEqual(keystore.load(PASSPHRASE).publicKey.toBase58(), replacement.publicKey.toBase58());
+  assert.deepStrictEqual(keystore.decrypt(JSON.parse(fs.readFileSync(backupPath, 'utf8')), PASSPHRASE).secretKey, keypair.secretKey);
+});
+
+test('the key commands generate, export, rotate and import wallets', () => {
+  const generated = keys('generate');
+  assert.strictEqual(keys('address'), generated);
+  assert.throws(() => keys('generate'), /use rotate to replace it/);
+  
+  const exported = keystore.parseSecretKey(keys('export', '--format', 'json'));
+  assert.strictEqual(exported.publicKey.toBase58(), generated);
+  assert.strictEqual(keystore.parseSecretKey(keys('export')).publicKey.toBase58(), generated);
+  
+  const rotated = keys('rotate');
+  assert.notStrictEqual(rotated, generated);
+  assert.strictEqual(keys('address'), rotated);
+  
+  // The old wallet can be imported again from its export
+  fs.rmSync(path.join(dir, 'data'), { recursive: true });
+  fs.writeFileSync(path.join(dir, 'old-key.json'), JSON.stringify(Array.from(exported.secretKey)));
+  assert.strictEqual(keys('import', '--file', 'old-key.json'), generated);
+});
+
+test('the client does not start without a usable wallet', async () => {
+  await assert.rejects(solana.init(), /No wallet: create one with `npm run keys generate`/);
+  
+  config.solana.walletPrivateKey = '[1, 2, 3]';
+  await assert.rejects(solana.init(), /SOLANA_WALLET_PRIVATE_KEY is not usable: The key has 3 bytes/);
+  
+  keystore.save(Keypair.generate(), PASSPHRASE);
+  await assert.rejects(solana.init(), /needs its passphrase in SOLANA_KEYSTORE_PASSPHRASE/);
+  
+  config.solana.keystorePassphrase = 'wrong passphrase';
+  await assert.rejects(solana.init(), /Wrong passphrase or damaged keystore/);
+});
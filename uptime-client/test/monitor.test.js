@@ -0,0 +1,217 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const net = require('net');
+const { Resolver } = require('dns');
+const ping = require('@louislam/ping');
+const { LOGICAL, parseConditions, evaluateExpression, evaluateExpressionGroup } = require('../src/utils/conditions');
+const monitor = require('../src/services/monitor');
+
+// Condition in the monitor's JSON format
+function expression(operator, value, andOr = LOGICAL.AND) {
+  return { type: 'expression', variable: 'record', operator, value, andOr };
+}
+
+// Answer DNS lookups with the given records instead of asking a server
+function mockResolver(t, answer) {
+  const lookups = [];
+  
+  t.mock.method(Resolver.prototype, 'setServers', function (servers) {
+    this.servers = servers;
+  });
+  t.mock.method(Resolver.prototype, 'resolve', function (hostname, recordType, callback) {
+    lookups.push({ hostname, recordType, servers: this.servers });
+    const records = answer(recordType);
+    setImmediate(() => records instanceof Error ? callback(records) : callback(null, records));
+  });
+  t.mock.method(Resolver.prototype, 'reverse', function (hostname, callback) {
+    lookups.push({ hostname, recordType: 'PTR', servers: this.servers });
+    setImmediate(() => callback(null, answer('PTR')));
+  });
+  
+  return lookups;
+}
+
+// Start an HTTP server which answers with the status code in the path
+async function startServer(t) {
+  const server = http.createServer((req, res) => {
+    res.statusCode = parseInt(req.url.substring(1)) || 200;
+    res.end('ok');
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  
+  return `http://127.0.0.1:${server.address().port}`;
+}
+
+test('conditions are evaluated like the main application', () => {
+  const context = { record: 'mx1.example.com' };
+  
+  // The cases of the main application's test-evaluator.js
+  assert.strictEqual(evaluateExpression(expression('contains', 'mx1.example.com'), context), true);
+  assert.strictEqual(evaluateExpression(expression('contains', 'mx1.example.com'), { record: 'mx2.example.com' }), false);
+  
+  const and = parseConditions([expression('contains', 'mx1.'), expression('contains', 'example.com')]);
+  assert.strictEqual(evaluateExpressionGroup(and, { record: 'mx1.example.com' }), true);
+  assert.strictEqual(evaluateExpressionGroup(and, { record: 'mx1.' }), false);
+  
+  const or = parseConditions([expression('contains', 'example.com'), expression('contains', 'example.org', LOGICAL.OR)]);
+  assert.strictEqual(evaluateExpressionGroup(or, { record: 'example.org' }), true);
+  assert.strictEqual(evaluateExpressionGroup(or, { record: 'example.net' }), false);
+  
+  // Nested groups, given as the JSON string the monitor stores
+  const nested = parseConditions(JSON.stringify([
+    expression('contains', 'mx1.'),
+    { type: 'group', andOr: LOGICAL.AND, children: [expression('ends_with', '.com'), expression('ends_with', '.org', LOGICAL.OR)] }
+  ]));
+  assert.strictEqual(evaluateExpressionGroup(nested, { record: 'mx1.example.org' }), true);
+  assert.strictEqual(evaluateExpressionGroup(nested, { record: 'mx1.example.net' }), false);
+  assert.strictEqual(evaluateExpressionGroup(nested, { record: 'mx2.example.com' }), false);
+  
+  // Children are combined from left to right, without precedence
+  const leftToRight = parseConditions([expression('equals', 'a'), expression('equals', 'b', LOGICAL.OR), expression('equals', 'c')]);
+  assert.strictEqual(evaluateExpressionGroup(leftToRight, { record: 'a' }), false);
+  
+  assert.strictEqual(parseConditions('[]'), null);
+  assert.strictEqual(parseConditions(null), null);
+});
+
+test('condition operators compare values like the main application', () => {
+  const cases = [
+    ['equals', 'a', 'a', true],
+    ['not_equals', 'a', 'a', false],
+    ['contains', ['a', 'b'], 'b', true],
+    ['not_contains', 'abc', 'd', true],
+    ['starts_with', 'abc', 'ab', true],
+    ['not_starts_with', 'abc', 'ab', false],
+    ['ends_with', 'abc', 'bc', true],
+    ['not_ends_with', 'abc', 'bc', false],
+    // Values are strings in the monitor's JSON, numbers are converted
+    ['num_equals', 5, '5', true],
+    ['num_not_equals', 5, '5', false],
+    ['lt', 4, '5', true],
+    ['gt', 4, '5', false],
+    ['lte', 5, '5', true],
+    ['gte', 4, '5', false]
+  ];
+  
+  for (const [operator, variable, value, expected] of cases) {
+    assert.strictEqual(evaluateExpression({ variable: 'v', operator, value }, { v: variable }), expected, operator);
+  }
+  
+  assert.throws(() => evaluateExpression({ variable: 'v', operator: 'matches', value: 'a' }, { v: 'a' }), /Unexpected expression operator ID 'matches'/);
+  assert.throws(() => evaluateExpression({ variable: 'v', operator: 'equals', value: 'a' }, {}), /Variable missing in context: v/);
+});
+
+test('DNS checks resolve with the given server and evaluate the conditions', async t => {
+  const lookups = mockResolver(t, recordType => ({
+    A: ['93.184.215.14', '93.184.215.15'],
+    TXT: [['v=spf1 ', '-all'], ['google-site-verification=abc']],
+    MX: [{ exchange: 'mx1.example.com', priority: 10 }, { exchange: 'mx2.example.com', priority: 20 }],
+    SOA: { nsname: 'ns.example.com', hostmaster: 'hostmaster.example.com', serial: 1, refresh: 2, retry: 3, expire: 4, minttl: 5 },
+    PTR: ['example.com']
+  })[recordType]);
+  
+  const a = await monitor.executeMonitoringTask({
+    type: 'dns',
+    target: 'example.com',
+    dnsResolveServer: '[2606:4700:4700::1111]',
+    dnsResolvePort: 5353,
+    conditions: JSON.stringify([expression('equals', '93.184.215.15')])
+  });
+  assert.strictEqual(a.success, true);
+  assert.strictEqual(a.message, 'Records: 93.184.215.14 | 93.184.215.15');
+  assert.deepStrictEqual(lookups[0], { hostname: 'example.com', recordType: 'A', servers: ['[2606:4700:4700::1111]:5353'] });
+  
+  const mx = await monitor.executeMonitoringTask({
+    type: 'dns',
+    target: 'example.com',
+    dnsResolveType: 'MX',
+    conditions: [expression('equals', 'mx3.example.com')]
+  });
+  assert.strictEqual(mx.success, false);
+  assert.strictEqual(mx.message, 'Hostname: mx1.example.com - Priority: 10 | Hostname: mx2.example.com - Priority: 20');
+  assert.deepStrictEqual(lookups[1].servers, ['[1.1.1.1]:53']);
+  
+  // Every string of a TXT record is matched on its own
+  const txt = await monitor.executeMonitoringTask({
+    type: 'dns',
+    target: 'example.com',
+    dnsResolveType: 'TXT',
+    conditions: [expression('equals', '-all')]
+  });
+  assert.strictEqual(txt.success, true);
+  
+  const soa = await monitor.executeMonitoringTask({ type: 'dns', target: 'example.com', dnsResolveType: 'SOA' });
+  assert.strictEqual(soa.success, true);
+  assert.strictEqual(soa.message, 'NS-Name: ns.example.com | Hostmaster: hostmaster.example.com | Serial: 1 | Refresh: 2 | Retry: 3 | Expire: 4 | MinTTL: 5');
+  
+  const ptr = await monitor.executeMonitoringTask({ type: 'dns', target: '93.184.215.14', dnsResolveType: 'PTR' });
+  assert.strictEqual(ptr.message, 'Records: example.com');
+  assert.strictEqual(lookups.at(-1).recordType, 'PTR');
+});
+
+test('DNS checks fail when the lookup fails', async t => {
+  mockResolver(t, () => Object.assign(new Error('queryA ENOTFOUND example.invalid'), { code: 'ENOTFOUND' }));
+  
+  const result = await monitor.executeMonitoringTask({ type: 'dns', target: 'example.invalid' });
+  assert.strictEqual(result.success, false);
+  assert.strictEqual(result.error, 'queryA ENOTFOUND example.invalid');
+});
+
+test('HTTP checks accept the status code ranges of the main application', async t => {
+  const url = await startServer(t);
+  const check = (path, fields) => monitor.executeMonitoringTask({ type: 'http', target: url + path, ...fields });
+  
+  assert.strictEqual((await check('/204', { acceptedStatusCodes: ['200-299'] })).success, true);
+  assert.strictEqual((await check('/404', { acceptedStatusCodes: ['200-299'] })).success, false);
+  assert.strictEqual((await check('/404', { acceptedStatusCodes: ['200-299', '404'] })).success, true);
+  assert.strictEqual((await check('/503', { acceptedStatusCodes: ['500-599'] })).success, true);
+  
+  const rejected = await check('/302', { acceptedStatusCodes: ['200-299'], maxRedirects: 0 });
+  assert.strictEqual(rejected.success, false);
+  assert.strictEqual(rejected.statusCode, 302);
+  assert.strictEqual(rejected.error, 'Status code 302 is not accepted');
+  
+  // Without ranges, the status codes given as numbers, by default only 200
+  assert.strictEqual((await check('/200')).success, true);
+  assert.strictEqual((await check('/201')).success, false);
+  assert.strictEqual((await check('/201', { validStatusCodes: [200, 201] })).success, true);
+});
+
+test('TCP checks connect to the port', async t => {
+  const server = net.createServer(socket => socket.end());
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const port = server.address().port;
+  
+  const open = await monitor.executeMonitoringTask({ type: 'tcp', target: '127.0.0.1', port, timeout: 2000 });
+  assert.strictEqual(open.success, true);
+  assert.ok(Number.isInteger(open.responseTime));
+  
+  await new Promise(resolve => server.close(resolve));
+  
+  const closed = await monitor.executeMonitoringTask({ type: 'tcp', target: '127.0.0.1', port, timeout: 2000 });
+  assert.strictEqual(closed.success, false);
+  assert.match(closed.error, /ECONNREFUSED/);
+});
+
+test('ping checks send one probe and try IPv6 when the host is not resolved', async t => {
+  const probes = [];
+  t.mock.method(ping.promise, 'probe', async (hostname, options) => {
+    probes.push(options);
+    return options.v6 ? { alive: true, time: 12 } : { alive: false, output: '' };
+  });
+  
+  const result = await monitor.executeMonitoringTask({ type: 'ping', target: 'example.com' });
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(result.responseTime, 12);
+  assert.deepStrictEqual(probes, [
+    { v6: false, min_reply: 1, deadline: 10, packetSize: 56 },
+    { v6: true, min_reply: 1, deadline: 10, packetSize: 56 }
+  ]);
+  
+  ping.promise.probe.mock.mockImplementation(async () => ({ alive: false, output: '100% packet loss' }));
+  const down = await monitor.executeMonitoringTask({ type: 'ping', target: 'example.com', packetSize: 100 });
+  assert.strictEqual(down.success, false);
+  assert.strictEqual(down.error, '100% packet loss');
+});
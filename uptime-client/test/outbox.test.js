@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { useTempDir, reload } = require('./helpers');
+
+const dir = useTempDir();
+const config = require('../config/default');
+
+const OUTBOX_PATH = path.join(dir, 'data', 'outbox.jsonl');
+
+// Signed message as the envelope service builds it
+function message(seq, type = 'metrics') {
+  return { type, nodeId: 'node-a', seq, timestamp: 1000 + seq, data: { seq }, signature: 'sig' };
+}
+
+test.beforeEach(() => {
+  fs.rmSync(path.join(dir, 'data'), { recursive: true, force: true });
+  config.outbox.maxMessages = 10000;
+  config.outbox.maxBytes = 10 * 1024 * 1024;
+});
+
+test('messages are kept on disk until they are acknowledged', () => {
+  const outbox = reload('../src/services/outbox');
+  
+  assert.strictEqual(outbox.isDurable('metrics'), true);
+  assert.strictEqual(outbox.isDurable('taskResult'), true);
+  assert.strictEqual(outbox.isDurable('ping'), false);
+  
+  for (let seq = 1; seq <= 4; seq++) {
+    outbox.add(message(seq));
+  }
+  assert.strictEqual(fs.readFileSync(OUTBOX_PATH, 'utf8').split('\n').filter(Boolean).length, 4);
+  
+  // Acks are cumulative, older acks change nothing
+  outbox.acknowledge(2);
+  outbox.acknowledge(1);
+  assert.deepStrictEqual(outbox.getMessages().map(m => m.seq), [3, 4]);
+  assert.strictEqual(outbox.getStatus().oldestTimestamp, 1003);
+  
+  // After a restart the unacknowledged messages are replayed as they were
+  const restarted = reload('../src/services/outbox');
+  assert.deepStrictEqual(restarted.getMessages(), [message(3), message(4)]);
+  assert.strictEqual(restarted.getStatus().bytes, outbox.getStatus().bytes);
+});
+
+test('a line cut off by a crash is skipped', () => {
+  fs.mkdirSync(path.join(dir, 'data'));
+  fs.writeFileSync(OUTBOX_PATH, JSON.stringify(message(2)) + '\n' + JSON.stringify(message(1)) + '\n{"type":"metr');
+  
+  const outbox = reload('../src/services/outbox');
+  assert.deepStrictEqual(outbox.getMessages().map(m => m.seq), [1, 2]);
+  
+  outbox.add(message(3));
+  assert.deepStrictEqual(reload('../src/services/outbox').getMessages().map(m => m.seq), [1, 2, 3]);
+});
+
+test('the oldest messages are dropped when the outbox is full', () => {
+  const outbox = reload('../src/services/outbox');
+  config.outbox.maxMessages = 3;
+  
+  for (let seq = 1; seq <= 5; seq++) {
+    outbox.add(message(seq));
+  }
+  assert.deepStrictEqual(outbox.getMessages().map(m => m.seq), [3, 4, 5]);
+  assert.deepStrictEqual(reload('../src/services/outbox').getMessages().map(m => m.seq), [3, 4, 5]);
+  
+  // By size as well, the newest message is always kept
+  config.outbox.maxBytes = 1;
+  outbox.add(message(6));
+  assert.deepStrictEqual(outbox.getMessages().map(m => m.seq), [6]);
+});
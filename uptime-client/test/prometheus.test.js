@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { useTempDir } = require('./helpers');
+
+useTempDir();
+
+const monitor = require('../src/services/monitor');
+const websocketService = require('../src/services/websocket');
+const rewards = require('../src/services/rewards');
+const outbox = require('../src/services/outbox');
+const endpoints = require('../src/services/endpoints');
+const prometheus = require('../src/services/prometheus');
+
+// Metrics as the monitor collects them
+const METRICS = {
+  current: {
+    cpu: { usage: 12.5, cores: 4 },
+    memory: { total: 8000, used: 2000 },
+    disk: [{ fs: '/dev/sda1', size: 1000, used: 400 }],
+    network: [{ interface: 'eth0', rxBytes: 10, txBytes: 20, rxErrors: 1, txErrors: 0 }],
+    uptime: { system: 3600, client: 60 }
+  }
+};
+
+// Tasks with their last result and schedule
+const TASKS = [
+  {
+    id: 'task-1',
+    name: 'Website',
+    type: 'http',
+    target: 'https://example.com',
+    lastResult: { success: true, responseTime: 87 },
+    lastRunTime: 1700000000000,
+    schedule: { runs: 3, skipped: 1 }
+  },
+  {
+    id: 'task-2',
+    name: 'Database',
+    type: 'tcp',
+    target: 'db.example.com',
+    lastResult: { success: false, error: 'ECONNREFUSED' },
+    lastRunTime: 1700000001000,
+    schedule: { runs: 1, skipped: 0 }
+  }
+];
+
+// Get the value of a series in the exported text, or undefined
+function value(body, series) {
+  const line = body.split('\n').find(line => line.startsWith(series + ' '));
+  return line === undefined ? undefined : Number(line.substring(series.length + 1));
+}
+
+test('the collected metrics, tasks, connection, outbox and rewards are exported', async t => {
+  t.mock.method(monitor, 'getMetrics', async () => METRICS);
+  const tasks = t.mock.method(monitor, 'getMonitoringTasks', () => TASKS);
+  t.mock.method(websocketService, 'isSocketConnected', () => true);
+  t.mock.method(websocketService, 'getReputation', () => ({ score: 0.9 }));
+  
+  rewards.record({ epochStart: '2026-10-01T00:00:00.000Z', amount: 5, txId: 'tx' });
+  rewards.record({ epochStart: '2026-10-02T00:00:00.000Z', amount: 2 });
+  outbox.add({ type: 'metrics', seq: 1, timestamp: 1, data: {} });
+  
+  // Chosen when the client connects
+  endpoints.getCurrent();
+  
+  const { contentType, body } = await prometheus.getMetrics();
+  assert.match(contentType, /^application\/openmetrics-text/);
+  assert.match(body, /# EOF\n$/);
+  
+  assert.strictEqual(value(body, 'uptime_client_cpu_usage_percent'), 12.5);
+  assert.strictEqual(value(body, 'uptime_client_memory_used_bytes'), 2000);
+  assert.strictEqual(value(body, 'uptime_client_disk_used_bytes{fs="/dev/sda1"}'), 400);
+  assert.strictEqual(value(body, 'uptime_client_network_errors{interface="eth0",direction="receive"}'), 1);
+  assert.strictEqual(value(body, 'uptime_client_client_uptime_seconds'), 60);
+  
+  const website = '{task_id="task-1",task_name="Website",task_type="http",task_target="https://example.com"}';
+  const database = '{task_id="task-2",task_name="Database",task_type="tcp",task_target="db.example.com"}';
+  assert.strictEqual(value(body, `uptime_client_task_status${website}`), 1);
+  assert.strictEqual(value(body, `uptime_client_task_status${database}`), 0);
+  assert.strictEqual(value(body, `uptime_client_task_response_time_ms${website}`), 87);
+  assert.strictEqual(value(body, `uptime_client_task_response_time_ms${database}`), undefined);
+  assert.strictEqual(value(body, `uptime_client_task_last_run_timestamp_seconds${website}`), 1700000000);
+  assert.strictEqual(value(body, `uptime_client_task_skipped_runs${website}`), 1);
+  
+  assert.strictEqual(value(body, 'uptime_client_websocket_connected'), 1);
+  assert.strictEqual(value(body, 'uptime_client_main_app_endpoint_current{url="http://localhost:3001/api"}'), 1);
+  assert.strictEqual(value(body, 'uptime_client_main_app_endpoint_available{url="http://localhost:3001/api"}'), 1);
+  assert.strictEqual(value(body, 'uptime_client_outbox_messages'), 1);
+  assert.strictEqual(value(body, 'uptime_client_reputation_score'), 0.9);
+  assert.strictEqual(value(body, 'uptime_client_reward_epochs'), 2);
+  assert.strictEqual(value(body, 'uptime_client_reward_paid'), 5);
+  assert.strictEqual(value(body, 'uptime_client_reward_unpaid'), 2);
+  
+  // The series of a removed task are gone on the next scrape
+  tasks.mock.mockImplementation(() => TASKS.slice(0, 1));
+  const next = (await prometheus.getMetrics()).body;
+  assert.strictEqual(value(next, `uptime_client_task_status${website}`), 1);
+  assert.strictEqual(value(next, `uptime_client_task_status${database}`), undefined);
+});
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { useTempDir, reload } = require('./helpers');
+
+const dir = useTempDir();
+const config = require('../config/default');
+
+const OVERRIDES_PATH = path.join(dir, 'data', 'config.json');
+const defaults = JSON.parse(JSON.stringify(config));
+
+// Start with the defaults and a fresh module, as after a restart
+function restart() {
+  for (const key of Object.keys(defaults)) {
+    config[key] = JSON.parse(JSON.stringify(defaults[key]));
+  }
+  
+  const remoteConfig = reload('../src/services/remote-config');
+  remoteConfig.init();
+  return remoteConfig;
+}
+
+test.beforeEach(() => {
+  fs.rmSync(path.join(dir, 'data'), { recursive: true, force: true });
+});
+
+test('updates are applied, reported to the listeners and kept after a restart', () => {
+  const remoteConfig = restart();
+  const changes = [];
+  remoteConfig.onChange(changed => changes.push(changed));
+  
+  const changed = remoteConfig.applyUpdate({
+    monitoring: { interval: 30000, metrics: { disk: false } },
+    'websocket.reconnectInterval': config.websocket.reconnectInterval
+  });
+  
+  // Settings which keep their value are saved, but not reported as changed
+  assert.deepStrictEqual(changed, { 'monitoring.interval': 30000, 'monitoring.metrics.disk': false });
+  assert.deepStrictEqual(changes, [changed]);
+  assert.strictEqual(config.monitoring.interval, 30000);
+  assert.strictEqual(config.monitoring.metrics.disk, false);
+  assert.strictEqual(remoteConfig.getRemoteSettings()['monitoring.interval'], 30000);
+  
+  const restarted = restart();
+  assert.strictEqual(config.monitoring.interval, 30000);
+  assert.strictEqual(config.monitoring.metrics.disk, false);
+  assert.strictEqual(restarted.getRemoteSettings()['websocket.reconnectInterval'], defaults.websocket.reconnectInterval);
+});
+
+test('updates with a setting the main application may not change are rejected as a whole', () => {
+  const remoteConfig = restart();
+  let listened = false;
+  remoteConfig.onChange(() => {
+    listened = true;
+  });
+  
+  assert.throws(() => remoteConfig.applyUpdate({
+    monitoring: { interval: 30000 },
+    mainApp: { wsUrl: 'ws://attacker.example' },
+    'user.statusUpdateInterval': 1000
+  }), {
+    message: 'Rejected configuration update: mainApp.wsUrl cannot be changed remotely; user.statusUpdateInterval must be an integer from 60000 to 86400000'
+  });
+  
+  assert.throws(() => remoteConfig.applyUpdate({ 'monitoring.metrics.cpu': 'no' }), /monitoring.metrics.cpu must be true or false/);
+  assert.throws(() => remoteConfig.applyUpdate({}), /Empty configuration update/);
+  assert.throws(() => remoteConfig.applyUpdate([]), /Invalid configuration update/);
+  
+  assert.strictEqual(config.monitoring.interval, defaults.monitoring.interval);
+  assert.strictEqual(config.mainApp.wsUrl, defaults.mainApp.wsUrl);
+  assert.strictEqual(listened, false);
+  assert.strictEqual(fs.existsSync(OVERRIDES_PATH), false);
+});
+
+test('saved settings which are no longer valid are dropped', () => {
+  fs.mkdirSync(path.dirname(OVERRIDES_PATH));
+  fs.writeFileSync(OVERRIDES_PATH, JSON.stringify({
+    'monitoring.interval': 60000,
+    'solana.rpcUrl': 'http://attacker.example',
+    'websocket.maxReconnectAttempts': 0
+  }));
+  
+  restart();
+  assert.strictEqual(config.monitoring.interval, 60000);
+  assert.strictEqual(config.solana.rpcUrl, defaults.solana.rpcUrl);
+  assert.strictEqual(config.websocket.maxReconnectAttempts, defaults.websocket.maxReconnectAttempts);
+});
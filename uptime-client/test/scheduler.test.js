@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const config = require('../config/default');
+const scheduler = require('../src/services/scheduler');
+
+// Schedule a job whose runs only finish when `finish` is called
+function blockingJob(id) {
+  const job = { runs: 0, finish: null };
+  
+  scheduler.schedule(id, () => new Promise(resolve => {
+    job.runs++;
+    job.finish = resolve;
+  }), { interval: 60000, jitter: 0 });
+  
+  return job;
+}
+
+test.beforeEach(() => {
+  config.scheduler.maxConcurrent = 1;
+});
+
+test('runNow resolves once the run finished', async t => {
+  const job = blockingJob('run-now');
+  t.after(() => scheduler.cancel('run-now'));
+  
+  const finished = scheduler.runNow('run-now');
+  assert.strictEqual(job.runs, 1);
+  
+  job.finish();
+  assert.strictEqual(await finished, true);
+  assert.strictEqual(await scheduler.runNow('unknown'), false);
+});
+
+// Without a timeout a waiter which is never resolved hangs the test run
+test('runNow resolves with false when the queued run is dropped', { timeout: 5000 }, async t => {
+  const blocker = blockingJob('blocker');
+  blockingJob('queued');
+  t.after(() => {
+    scheduler.cancel('blocker');
+    scheduler.cancel('queued');
+  });
+  
+  scheduler.runNow('blocker');
+  
+  // Waits for the slot the blocker holds
+  const paused = scheduler.runNow('queued');
+  assert.strictEqual(scheduler.getStatus().queued, 1);
+  
+  scheduler.pause('queued');
+  assert.strictEqual(await paused, false);
+  assert.strictEqual(scheduler.getStatus().queued, 0);
+  
+  // The same when the job is cancelled
+  scheduler.resume('queued');
+  const cancelled = scheduler.runNow('queued');
+  scheduler.cancel('queued');
+  assert.strictEqual(await cancelled, false);
+  
+  blocker.finish();
+});
@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { Keypair } = require('@solana/web3.js');
+const { useTempDir } = require('./helpers');
+
+const dir = useTempDir();
+const configSchema = require('../src/utils/config-schema');
+
+const SETUP_PATH = path.join(__dirname, '..', 'setup.js');
+
+// Load config/default.js with the given environment variables
+function loadConfig(env) {
+  const saved = { ...process.env };
+  Object.assign(process.env, env);
+  
+  try {
+    delete require.cache[require.resolve('../config/default')];
+    return require('../config/default');
+  } finally {
+    process.env = saved;
+  }
+}
+
+// Run the setup in the test directory, returns its exit code and output
+function setup(args, env = {}) {
+  const result = spawnSync(process.execPath, [SETUP_PATH, ...args], {
+    cwd: dir,
+    env: { ...process.env, ...env },
+    encoding: 'utf8'
+  });
+  
+  return { status: result.status, output: result.stdout + result.stderr };
+}
+
+test('the configuration is validated by type, URL, public key and interval', () => {
+  const valid = loadConfig({ PORT: '3005', MONITORING_INTERVAL: '30000' });
+  assert.deepStrictEqual(configSchema.validate(valid), []);
+  
+  // Numbers from the environment are converted
+  assert.strictEqual(valid.client.port, 3005);
+  assert.strictEqual(valid.monitoring.interval, 30000);
+  
+  const invalid = loadConfig({
+    PORT: '80a',
+    MAIN_APP_WS_URL: 'http://localhost:3001/ws/nodes',
+    MAIN_APP_ENDPOINTS: 'https://eu.example.com/api wss://eu.example.com/ws/nodes 0',
+    USER_PUBLIC_KEY: 'not-a-key',
+    STATUS_UPDATE_INTERVAL: String(2 ** 31),
+    CLIENT_API_KEY: 'secret',
+    LOG_LEVEL: 'loud'
+  });
+  
+  assert.deepStrictEqual(configSchema.validate(invalid), [
+    'PORT (client.port) must be an integer from 1 to 65535, got "80a"',
+    'CLIENT_API_KEY (client.apiKey) must have at least 16 characters',
+    'MAIN_APP_WS_URL (mainApp.wsUrl) must be a URL starting with ws:// or wss://, got "http://localhost:3001/ws/nodes"',
+    'MAIN_APP_ENDPOINTS (mainApp.endpoints) has an invalid endpoint 1: weight must be an integer from 1 to 1000, got "https://eu.example.com/api wss://eu.example.com/ws/nodes 0"',
+    'USER_PUBLIC_KEY (user.publicKey) must be a Solana public key in base58, got "not-a-key"',
+    // Longer intervals would make the scheduler's timers fire right away
+    'STATUS_UPDATE_INTERVAL (user.statusUpdateInterval) must be an integer from 60000 to 86400000 ms, got "2147483648"',
+    'LOG_LEVEL (logging.level) must be one of error, warn, info, http, verbose, debug, silly, got "loud"'
+  ]);
+  
+  assert.strictEqual(configSchema.checkEnv('MONITORING_INTERVAL', 'every minute'), 'MONITORING_INTERVAL (monitoring.interval) must be an integer from 5000 to 86400000 ms, got "every minute"');
+  assert.strictEqual(configSchema.checkEnv('NODE_TAGS', 'anything'), null);
+});
+
+test('the non-interactive setup reports all invalid settings before writing anything', () => {
+  const configFile = path.join(dir, 'node.json');
+  fs.writeFileSync(configFile, JSON.stringify({ MAIN_APP_API_URL: 'ftp://example.com', MONITORING_INTERVAL: 1000 }));
+  
+  const result = setup(['--non-interactive', '--skip-install', '--config', configFile, '--log-level', 'loud']);
+  assert.strictEqual(result.status, configSchema.EXIT_INVALID_CONFIG);
+  assert.match(result.output, /Invalid configuration:\n- MAIN_APP_API_URL \(mainApp.apiUrl\) must be a URL starting with http:\/\/ or https:\/\/, got "ftp:\/\/example.com"\n- MONITORING_INTERVAL \(monitoring.interval\) must be an integer from 5000 to 86400000 ms, got "1000"\n- LOG_LEVEL/);
+  assert.deepStrictEqual(fs.readdirSync(dir), ['node.json']);
+});
+
+test('the setup exits with a usage error for an invalid command line', () => {
+  const unknown = setup(['--non-interactive', '--wallet-adress', 'x']);
+  assert.strictEqual(unknown.status, 64);
+  assert.match(unknown.output, /Unknown option --wallet-adress/);
+  
+  const wallet = setup(['--wallet', 'find']);
+  assert.strictEqual(wallet.status, 64);
+  assert.match(wallet.output, /--wallet must be generate or import/);
+  
+  assert.strictEqual(setup(['--port']).status, 64);
+});
+
+test('--check validates the configuration the client would start with', () => {
+  const wallet = JSON.stringify(Array.from(Keypair.generate().secretKey));
+  
+  const valid = setup(['--check'], { SOLANA_WALLET_PRIVATE_KEY: wallet });
+  assert.strictEqual(valid.status, 0, valid.output);
+  assert.match(valid.output, /The configuration is valid/);
+  
+  const noWallet = setup(['--check'], { SOLANA_NETWORK: 'localnet' });
+  assert.strictEqual(noWallet.status, configSchema.EXIT_INVALID_CONFIG);
+  assert.match(noWallet.output, /SOLANA_NETWORK \(solana.network\) must be one of devnet, testnet, mainnet-beta/);
+  assert.match(noWallet.output, /There is no wallet in .*wallet.json, create one with npm run keys generate/);
+});
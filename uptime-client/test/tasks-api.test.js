@@ -0,0 +1,124 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const net = require('net');
+const express = require('express');
+const { useTempDir } = require('./helpers');
+
+const dir = useTempDir();
+fs.mkdirSync(path.join(dir, 'data'));
+
+const { getApiKey } = require('../src/utils/api-key');
+const monitor = require('../src/services/monitor');
+const taskRoutes = require('../src/routes/tasks');
+
+// Start the task API as the client serves it
+async function startApi(t) {
+  const app = express();
+  app.use(express.json());
+  app.use('/tasks', taskRoutes);
+  
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  t.after(() => server.close());
+  
+  return `http://127.0.0.1:${server.address().port}/tasks`;
+}
+
+// Send a request to the task API, by default with the API key
+async function request(url, method, body, headers = { 'Authorization': `Bearer ${getApiKey()}` }) {
+  const res = await fetch(url, {
+    method,
+    headers: { ...headers, 'Content-Type': 'application/json' },
+    body: body && JSON.stringify(body)
+  });
+  
+  return { status: res.status, body: res.status === 204 ? null : await res.json() };
+}
+
+test('requests need the API key', async t => {
+  const url = await startApi(t);
+  
+  assert.strictEqual((await request(url, 'GET')).status, 200);
+  
+  // Generated on first use, only readable by the user running the client
+  const keyPath = path.join(dir, 'data', 'api-key');
+  assert.strictEqual(fs.readFileSync(keyPath, 'utf8').trim(), getApiKey());
+  assert.strictEqual(fs.statSync(keyPath).mode & 0o777, 0o600);
+  
+  assert.strictEqual((await request(url, 'GET', undefined, { 'X-API-Key': getApiKey() })).status, 200);
+  
+  const missing = await request(url, 'GET', undefined, {});
+  assert.strictEqual(missing.status, 401);
+  assert.deepStrictEqual(missing.body, { error: 'Invalid or missing API key' });
+  assert.strictEqual((await request(url, 'GET', undefined, { 'Authorization': 'Bearer wrong' })).status, 401);
+});
+
+test('tasks are added, run, paused, updated and removed', async t => {
+  const url = await startApi(t);
+  
+  const target = net.createServer(socket => socket.end());
+  await new Promise(resolve => target.listen(0, '127.0.0.1', resolve));
+  t.after(() => target.close());
+  
+  // Private by default, the fields the client manages are ignored
+  const added = await request(url, 'POST', {
+    type: 'tcp',
+    target: '127.0.0.1',
+    port: target.address().port,
+    interval: 60000,
+    lastResult: 'forged'
+  });
+  assert.strictEqual(added.status, 201);
+  const task = added.body.task;
+  t.after(() => monitor.removeMonitoringTask(task.id));
+  assert.strictEqual(task.private, true);
+  assert.strictEqual(task.lastResult, undefined);
+  assert.strictEqual(task.schedule.paused, false);
+  
+  const run = await request(`${url}/${task.id}/run`, 'POST');
+  assert.strictEqual(run.status, 200);
+  assert.strictEqual(run.body.result.result.success, true);
+  
+  const results = await request(`${url}/${task.id}/results`, 'GET');
+  assert.deepStrictEqual(results.body.results, [run.body.result]);
+  
+  const paused = await request(`${url}/${task.id}/pause`, 'POST');
+  assert.strictEqual(paused.body.task.paused, true);
+  assert.strictEqual(paused.body.task.schedule.paused, true);
+  
+  // Updates are validated, the task is kept as it was
+  const invalid = await request(`${url}/${task.id}`, 'PATCH', { port: 70000 });
+  assert.strictEqual(invalid.status, 400);
+  assert.strictEqual(invalid.body.error, 'TCP tasks need a port between 1 and 65535');
+  
+  const updated = await request(`${url}/${task.id}`, 'PATCH', { id: 'other', name: 'Local port', interval: 120000 });
+  assert.strictEqual(updated.status, 200);
+  assert.strictEqual(updated.body.task.id, task.id);
+  assert.strictEqual(updated.body.task.name, 'Local port');
+  assert.strictEqual(updated.body.task.port, target.address().port);
+  
+  // Kept on disk for the next start
+  const persisted = JSON.parse(fs.readFileSync(path.join(dir, 'data', 'monitoring.json'), 'utf8'));
+  assert.strictEqual(persisted.monitoringTasks.find(other => other.id === task.id).interval, 120000);
+  
+  assert.strictEqual((await request(`${url}/${task.id}`, 'DELETE')).status, 204);
+  assert.strictEqual((await request(`${url}/${task.id}`, 'GET')).status, 404);
+  assert.strictEqual((await request(`${url}/${task.id}/run`, 'POST')).status, 404);
+});
+
+test('invalid tasks are rejected', async t => {
+  const url = await startApi(t);
+  
+  const noTarget = await request(url, 'POST', { type: 'http', interval: 60000 });
+  assert.strictEqual(noTarget.status, 400);
+  assert.strictEqual(noTarget.body.error, 'Task target is required');
+  
+  const interval = await request(url, 'POST', { type: 'http', target: 'http://127.0.0.1', interval: 10 });
+  assert.strictEqual(interval.status, 400);
+  assert.strictEqual(interval.body.error, 'Interval must be at least 1000 ms');
+  
+  assert.deepStrictEqual((await request(url, 'GET')).body.tasks, []);
+});